@@ -0,0 +1,7 @@
+module.exports = {
+  presets: ['module:metro-react-native-babel-preset'],
+  plugins: [
+    // Build-time switches read by src/services/firebase.js
+    ['transform-inline-environment-variables', { include: ['USE_FIREBASE_EMULATORS'] }],
+  ],
+};
@@ -0,0 +1,16 @@
+// Native modules aren't linked under Jest; use the mocks the libraries ship
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock')
+);
+jest.mock('react-native-localize', () => require('react-native-localize/mock'));
+
+// react-native-keychain has no Jest mock, so keep secrets in memory instead
+jest.mock('react-native-keychain', () => ({}));
+jest.mock('./src/services/secureStorage', () => {
+  const secureStorage = jest.requireActual('./src/services/secureStorage');
+  secureStorage.default.setBackend(secureStorage.createMemoryBackend());
+  return secureStorage;
+});
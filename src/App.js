@@ -2,12 +2,18 @@ import React from 'react';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { AuthProvider } from './contexts/AuthContext';
 import AppNavigator from './navigation/AppNavigator';
+import AppLock from './components/AppLock';
+import { LocaleProvider } from './i18n/LocaleProvider';
 
 const App = () => {
   return (
     <SafeAreaProvider>
       <AuthProvider>
-        <AppNavigator />
+        <LocaleProvider>
+          <AppLock>
+            <AppNavigator />
+          </AppLock>
+        </LocaleProvider>
       </AuthProvider>
     </SafeAreaProvider>
   );
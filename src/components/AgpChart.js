@@ -0,0 +1,202 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { formatGlucose, fromMgdl } from '../utils/glucoseUnits';
+import { formatMealTime } from '../utils/diabetesProfile';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+// Glucose range covered by the chart's y axis, in mg/dL
+const CHART_MIN_MGDL = 40;
+const CHART_MAX_MGDL = 350;
+
+const CHART_HEIGHT = 180;
+
+// Band colors, from the outer 5-95th percentile band to the median line
+const OUTER_BAND_COLOR = 'rgba(21, 101, 192, 0.2)';
+const INNER_BAND_COLOR = 'rgba(21, 101, 192, 0.45)';
+const MEDIAN_COLOR = '#1565C0';
+
+// Hours labelled on the x axis
+const HOUR_LABELS = [0, 6, 12, 18];
+
+/**
+ * Height of a glucose value above the bottom of the chart
+ * @param {number} mgdl - Glucose in mg/dL
+ * @returns {string} - Percentage of the chart height
+ */
+const toPercent = (mgdl) => {
+  const clamped = Math.min(Math.max(mgdl, CHART_MIN_MGDL), CHART_MAX_MGDL);
+  return ((clamped - CHART_MIN_MGDL) / (CHART_MAX_MGDL - CHART_MIN_MGDL)) * 100;
+};
+
+/**
+ * Style placing a band between two glucose values
+ * @param {number} lowMgdl - Bottom of the band in mg/dL
+ * @param {number} highMgdl - Top of the band in mg/dL
+ * @returns {object} - Absolute position style
+ */
+const bandStyle = (lowMgdl, highMgdl) => ({
+  bottom: `${toPercent(lowMgdl)}%`,
+  height: `${toPercent(highMgdl) - toPercent(lowMgdl)}%`,
+});
+
+/**
+ * Ambulatory glucose profile: one column per hour of the day with the 5-95th
+ * and 25-75th percentile bands and the median, over the target range
+ */
+const AgpChart = ({ agp, targets, unit }) => {
+  const { t } = useTranslation();
+  const formatTarget = (mgdl) => formatGlucose(fromMgdl(mgdl, unit), unit);
+
+  return (
+    <View>
+      <View style={styles.chartRow}>
+        <View style={styles.yAxis}>
+          <Text style={[styles.axisLabel, styles.yLabel, { bottom: `${toPercent(targets.high)}%` }]}>
+            {formatTarget(targets.high)}
+          </Text>
+          <Text style={[styles.axisLabel, styles.yLabel, { bottom: `${toPercent(targets.low)}%` }]}>
+            {formatTarget(targets.low)}
+          </Text>
+        </View>
+
+        <View style={styles.plot}>
+          <View style={[styles.targetBand, bandStyle(targets.low, targets.high)]} />
+          <View style={styles.columns}>
+            {agp.map((hour) => (
+              <View key={hour.hour} style={styles.column}>
+                {hour.p50 !== null && (
+                  <>
+                    <View style={[styles.outerBand, bandStyle(hour.p5, hour.p95)]} />
+                    <View style={[styles.innerBand, bandStyle(hour.p25, hour.p75)]} />
+                    <View style={[styles.median, { bottom: `${toPercent(hour.p50)}%` }]} />
+                  </>
+                )}
+              </View>
+            ))}
+          </View>
+        </View>
+      </View>
+
+      <View style={styles.xAxis}>
+        {HOUR_LABELS.map((hour) => (
+          <Text key={hour} style={[styles.axisLabel, styles.xLabel]}>
+            {formatMealTime(hour * 60)}
+          </Text>
+        ))}
+      </View>
+
+      <View style={styles.legend}>
+        <View style={styles.legendItem}>
+          <View style={[styles.legendSwatch, styles.medianSwatch]} />
+          <Text style={styles.legendText}>{t('home.agp.median')}</Text>
+        </View>
+        <View style={styles.legendItem}>
+          <View style={[styles.legendSwatch, styles.innerSwatch]} />
+          <Text style={styles.legendText}>{t('home.agp.interquartile')}</Text>
+        </View>
+        <View style={styles.legendItem}>
+          <View style={[styles.legendSwatch, styles.outerSwatch]} />
+          <Text style={styles.legendText}>{t('home.agp.outer')}</Text>
+        </View>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chartRow: {
+    flexDirection: 'row',
+    height: CHART_HEIGHT,
+  },
+  yAxis: {
+    width: 36,
+  },
+  plot: {
+    flex: 1,
+    borderLeftWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: '#ddd',
+  },
+  targetBand: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    backgroundColor: '#EEF7EF',
+  },
+  columns: {
+    flex: 1,
+    flexDirection: 'row',
+  },
+  column: {
+    flex: 1,
+    marginHorizontal: 1,
+  },
+  outerBand: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    backgroundColor: OUTER_BAND_COLOR,
+  },
+  innerBand: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    backgroundColor: INNER_BAND_COLOR,
+  },
+  median: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: 2,
+    backgroundColor: MEDIAN_COLOR,
+  },
+  axisLabel: {
+    fontSize: 11,
+    color: '#777',
+  },
+  yLabel: {
+    position: 'absolute',
+    right: 4,
+    marginBottom: -7,
+  },
+  xAxis: {
+    flexDirection: 'row',
+    marginLeft: 36,
+    marginTop: 4,
+  },
+  xLabel: {
+    flex: 1,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 15,
+    marginBottom: 5,
+  },
+  legendSwatch: {
+    width: 14,
+    height: 10,
+    marginRight: 5,
+  },
+  medianSwatch: {
+    height: 2,
+    backgroundColor: MEDIAN_COLOR,
+  },
+  innerSwatch: {
+    backgroundColor: INNER_BAND_COLOR,
+  },
+  outerSwatch: {
+    backgroundColor: OUTER_BAND_COLOR,
+  },
+  legendText: {
+    fontSize: 12,
+    color: '#555',
+  },
+});
+
+export default AgpChart;
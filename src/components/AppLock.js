@@ -0,0 +1,347 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+  AppState,
+} from 'react-native';
+import { useAuth } from '../contexts/AuthContext';
+import appLockService, { DEFAULT_RELOCK_TIMEOUT_SECONDS } from '../services/appLockService';
+import { getErrorMessage } from '../utils/errorMapping';
+import useLogout from '../utils/useLogout';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+// Translation keys for the biometry types react-native-biometrics reports
+const BIOMETRY_LABEL_KEYS = {
+  FaceID: 'appLock.biometry.faceId',
+  TouchID: 'appLock.biometry.touchId',
+  Biometrics: 'appLock.biometry.fingerprint',
+};
+
+/**
+ * Covers the app with a PIN / biometric prompt while it is locked. The app
+ * stays mounted underneath so unlocking returns the user to where they were.
+ */
+const AppLock = ({ children }) => {
+  const { currentUser } = useAuth();
+  const logOut = useLogout();
+  const { t } = useTranslation();
+  const uid = currentUser?.uid;
+  const enabled = !!currentUser?.appLockEnabled;
+  // The auth user shown until the profile loads has no lock setting. A loaded
+  // profile always has createdAt, and appLockEnabled once the user chose.
+  const enabledKnown = currentUser?.appLockEnabled !== undefined || currentUser?.createdAt !== undefined;
+  const biometricsEnabled = !!currentUser?.appLockBiometricsEnabled;
+  const relockAfterMs =
+    (currentUser?.appLockTimeoutSeconds ?? DEFAULT_RELOCK_TIMEOUT_SECONDS) * 1000;
+
+  // checking -> locked / unlocked
+  const [status, setStatus] = useState('checking');
+  const [pin, setPin] = useState('');
+  const [message, setMessage] = useState(null);
+  const [lockedUntil, setLockedUntil] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [biometryType, setBiometryType] = useState(null);
+  const backgroundedAt = useRef(null);
+
+  // Read through refs so turning the lock on in settings doesn't lock at once
+  const settingRef = useRef({ uid, enabled, enabledKnown });
+  settingRef.current = { uid, enabled, enabledKnown };
+  // Set while the lock is waiting for the profile to say whether it's on
+  const waitingForSetting = useRef(false);
+
+  const lock = useCallback(async () => {
+    if (settingRef.current.enabledKnown && !settingRef.current.enabled) {
+      setStatus('unlocked');
+      return;
+    }
+    // Cover the app straight away rather than after the lookups
+    setStatus('checking');
+
+    try {
+      // Until the profile loads, go by the setting last seen on this device
+      const remembered = await appLockService.getRememberedEnabled(settingRef.current.uid);
+      const { enabled: profileEnabled, enabledKnown: known } = settingRef.current;
+      const lockEnabled = known ? profileEnabled : remembered;
+
+      waitingForSetting.current = lockEnabled === null;
+      if (lockEnabled === null) {
+        return;
+      }
+      // A lock enabled on another device has no PIN here yet
+      if (!lockEnabled || !(await appLockService.hasPin())) {
+        setStatus('unlocked');
+        return;
+      }
+      const lockout = await appLockService.getLockoutState();
+      setLockedUntil(lockout.lockedUntil);
+    } catch (error) {
+      // Fail closed: show the PIN prompt rather than the app
+      console.error('App lock check error:', error);
+    }
+    setPin('');
+    setMessage(null);
+    setStatus('locked');
+  }, []);
+
+  // Lock on launch and on sign-in
+  useEffect(() => {
+    lock();
+  }, [lock, uid]);
+
+  // Finish a check that was waiting for the profile's lock setting
+  useEffect(() => {
+    if (enabledKnown && waitingForSetting.current) {
+      lock();
+    }
+  }, [lock, enabledKnown]);
+
+  // Remember the setting for the next cold start
+  useEffect(() => {
+    if (uid && enabledKnown) {
+      appLockService.rememberEnabled(uid, enabled).catch(() => {});
+    }
+  }, [uid, enabled, enabledKnown]);
+
+  // Lock again after the app has been in the background for too long
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'background') {
+        backgroundedAt.current = Date.now();
+      } else if (nextState === 'active' && backgroundedAt.current !== null) {
+        const elapsed = Date.now() - backgroundedAt.current;
+        backgroundedAt.current = null;
+        if (elapsed >= relockAfterMs) {
+          lock();
+        }
+      }
+    });
+    return () => subscription.remove();
+  }, [lock, relockAfterMs]);
+
+  useEffect(() => {
+    if (!biometricsEnabled) {
+      setBiometryType(null);
+      return;
+    }
+    appLockService.getBiometricsAvailability().then(({ biometryType: type }) => setBiometryType(type));
+  }, [biometricsEnabled]);
+
+  const unlockWithBiometrics = useCallback(async () => {
+    if (await appLockService.authenticateWithBiometrics()) {
+      setStatus('unlocked');
+    }
+  }, []);
+
+  // Offer biometrics straight away when the lock screen appears
+  useEffect(() => {
+    if (status === 'locked' && biometryType) {
+      unlockWithBiometrics();
+    }
+  }, [status, biometryType, unlockWithBiometrics]);
+
+  const secondsLeft = Math.max(0, Math.ceil((lockedUntil - now) / 1000));
+
+  // Count down an active lockout
+  useEffect(() => {
+    if (secondsLeft === 0) {
+      return undefined;
+    }
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [secondsLeft]);
+
+  const handleUnlock = async () => {
+    try {
+      const result = await appLockService.verifyPin(pin);
+      setPin('');
+
+      if (result.success) {
+        setStatus('unlocked');
+        return;
+      }
+
+      setNow(Date.now());
+      setLockedUntil(result.lockedUntil);
+      setMessage(
+        result.remainingAttempts > 0
+          ? t('appLock.incorrectPin', { count: result.remainingAttempts })
+          : t('appLock.lockedOut')
+      );
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('appLock.checkFailed')));
+    }
+  };
+
+  const handleForgotPin = () => {
+    Alert.alert(
+      t('appLock.forgotPinTitle'),
+      t('appLock.forgotPinMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('appLock.logOut'),
+          style: 'destructive',
+          onPress: async () => {
+            // Keep the PIN if the user backs out of losing unsynced changes
+            if (!(await logOut())) {
+              return;
+            }
+            try {
+              await appLockService.removePin();
+            } catch (error) {
+              console.error('Remove PIN error:', error);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const isLocked = !!currentUser && status !== 'unlocked';
+
+  return (
+    <View style={styles.container}>
+      {children}
+      {isLocked && (
+        <View style={styles.overlay}>
+          {status === 'checking' ? (
+            <ActivityIndicator size="large" color="#2E7D32" />
+          ) : (
+            <View style={styles.lockContainer}>
+              <Text style={styles.title}>{t('appLock.lockedTitle')}</Text>
+              <Text style={styles.subtitle}>{t('appLock.enterPin')}</Text>
+
+              <TextInput
+                style={styles.pinInput}
+                value={pin}
+                onChangeText={setPin}
+                keyboardType="number-pad"
+                secureTextEntry
+                maxLength={8}
+                autoFocus={!biometryType}
+                editable={secondsLeft === 0}
+                onSubmitEditing={handleUnlock}
+              />
+
+              {secondsLeft > 0 ? (
+                <Text style={styles.errorText}>{t('appLock.tryAgainIn', { seconds: secondsLeft })}</Text>
+              ) : (
+                message && <Text style={styles.errorText}>{message}</Text>
+              )}
+
+              <TouchableOpacity
+                style={[styles.button, (secondsLeft > 0 || pin.length < 4) && styles.disabledButton]}
+                onPress={handleUnlock}
+                disabled={secondsLeft > 0 || pin.length < 4}
+              >
+                <Text style={styles.buttonText}>{t('appLock.unlock')}</Text>
+              </TouchableOpacity>
+
+              {biometryType && (
+                <TouchableOpacity style={styles.linkButton} onPress={unlockWithBiometrics}>
+                  <Text style={styles.linkText}>
+                    {t('appLock.useMethod', {
+                      method: t(BIOMETRY_LABEL_KEYS[biometryType] || 'appLock.biometry.other'),
+                    })}
+                  </Text>
+                </TouchableOpacity>
+              )}
+
+              <TouchableOpacity style={styles.linkButton} onPress={handleForgotPin}>
+                <Text style={styles.secondaryLinkText}>{t('appLock.forgotPin')}</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#f9f9f9',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  lockContainer: {
+    width: '100%',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2E7D32',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  pinInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingVertical: 12,
+    fontSize: 24,
+    letterSpacing: 8,
+    textAlign: 'center',
+    backgroundColor: '#f9f9f9',
+  },
+  errorText: {
+    color: '#D32F2F',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  button: {
+    backgroundColor: '#2E7D32',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  linkButton: {
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  linkText: {
+    color: '#2E7D32',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  secondaryLinkText: {
+    color: '#666',
+    fontSize: 14,
+  },
+});
+
+export default AppLock;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { View, Text, TextInput, StyleSheet } from 'react-native';
+
+/**
+ * Labelled text input with its validation error shown underneath. Pass
+ * children instead of input props to wrap another control, such as a row of
+ * chips, with the same label and error display.
+ */
+const FormField = ({ label, error, hint, children, style, inputStyle, ...inputProps }) => {
+  return (
+    <View style={[styles.container, style]}>
+      {!!label && <Text style={styles.label}>{label}</Text>}
+      {children || (
+        <TextInput
+          style={[styles.input, !!error && styles.inputError, inputStyle]}
+          {...inputProps}
+        />
+      )}
+      {error ? (
+        <Text style={styles.errorText}>{error}</Text>
+      ) : (
+        !!hint && <Text style={styles.hintText}>{hint}</Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    marginBottom: 8,
+    color: '#444',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 16,
+    backgroundColor: '#f9f9f9',
+  },
+  inputError: {
+    borderColor: '#D32F2F',
+  },
+  errorText: {
+    color: '#D32F2F',
+    fontSize: 14,
+    marginTop: 5,
+  },
+  hintText: {
+    color: '#888',
+    fontSize: 13,
+    marginTop: 5,
+  },
+});
+
+export default FormField;
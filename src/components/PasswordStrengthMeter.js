@@ -0,0 +1,83 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { MIN_PASSWORD_LENGTH, getPasswordStrength } from '../utils/validation';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+// Bar color for each strength score, from very weak to strong
+const LEVEL_COLORS = ['#D32F2F', '#D32F2F', '#F57F17', '#7CB342', '#2E7D32'];
+
+const SEGMENTS = 4;
+
+/**
+ * Strength bar and checklist shown under a new password field. Renders
+ * nothing until something has been typed.
+ */
+const PasswordStrengthMeter = ({ password, userInputs = [] }) => {
+  const { t } = useTranslation();
+
+  if (!password) {
+    return null;
+  }
+
+  const { score, level, checks, isGuessable } = getPasswordStrength(password, userInputs);
+  const color = LEVEL_COLORS[score];
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.bar}>
+        {Array.from({ length: SEGMENTS }, (_, index) => (
+          <View
+            key={index}
+            style={[styles.segment, index < Math.max(score, 1) && { backgroundColor: color }]}
+          />
+        ))}
+      </View>
+      <Text style={[styles.levelText, { color }]}>
+        {t('validation.strength.label', { level: t(`validation.strength.levels.${level}`) })}
+      </Text>
+
+      {isGuessable ? (
+        <Text style={styles.checkText}>{t('validation.passwordCommon')}</Text>
+      ) : (
+        Object.keys(checks).map((check) => (
+          <Text key={check} style={[styles.checkText, checks[check] && styles.checkPassed]}>
+            {checks[check] ? '✓' : '•'} {t(`validation.strength.checks.${check}`, { count: MIN_PASSWORD_LENGTH })}
+          </Text>
+        ))
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: -10,
+    marginBottom: 20,
+  },
+  bar: {
+    flexDirection: 'row',
+    marginBottom: 6,
+  },
+  segment: {
+    flex: 1,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#ddd',
+    marginRight: 4,
+  },
+  levelText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  checkText: {
+    color: '#888',
+    fontSize: 13,
+    lineHeight: 18,
+  },
+  checkPassed: {
+    color: '#2E7D32',
+  },
+});
+
+export default PasswordStrengthMeter;
@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import syncService from '../services/syncService';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+/**
+ * Small header badge showing writes that haven't reached the server yet.
+ * Writes the server rejected show in red until the user taps to dismiss them.
+ * Renders nothing when everything is synced.
+ */
+const SyncStatusBadge = () => {
+  const { t } = useTranslation();
+  const [status, setStatus] = useState(syncService.getStatus());
+
+  useEffect(() => {
+    return syncService.subscribe(setStatus);
+  }, []);
+
+  if (status.droppedCount > 0) {
+    const showDropped = () => {
+      const dropped = syncService.dismissDroppedWrites();
+      Alert.alert(t('sync.droppedTitle'), t('sync.droppedMessage', { count: dropped.length }));
+    };
+
+    return (
+      <TouchableOpacity style={[styles.badge, styles.droppedBadge]} onPress={showDropped}>
+        <Text style={[styles.badgeText, styles.droppedBadgeText]}>
+          {t('sync.dropped', { count: status.droppedCount })}
+        </Text>
+      </TouchableOpacity>
+    );
+  }
+
+  if (status.pendingCount === 0 && status.isOnline) {
+    return null;
+  }
+
+  const count = status.pendingCount;
+  let label = t('sync.pending', { count });
+  if (!status.isOnline) {
+    label = count > 0 ? t('sync.offlinePending', { count }) : t('sync.offline');
+  } else if (status.isSyncing) {
+    label = t('sync.syncing', { count });
+  }
+
+  return (
+    <View style={[styles.badge, !status.isOnline && styles.offlineBadge]}>
+      <Text style={[styles.badgeText, !status.isOnline && styles.offlineBadgeText]}>
+        {label}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    backgroundColor: '#EEF7EF',
+    borderColor: '#D4E7D6',
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 3,
+  },
+  offlineBadge: {
+    backgroundColor: '#FFF8E1',
+    borderColor: '#FFE082',
+  },
+  badgeText: {
+    color: '#2E7D32',
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  offlineBadgeText: {
+    color: '#F57F17',
+  },
+  droppedBadge: {
+    backgroundColor: '#FDECEA',
+    borderColor: '#F5C6C2',
+  },
+  droppedBadgeText: {
+    color: '#D32F2F',
+  },
+});
+
+export default SyncStatusBadge;
@@ -1,41 +1,106 @@
 import React, { createContext, useState, useEffect, useContext } from 'react';
 import authService from '../services/authService';
+import syncService from '../services/syncService';
 import { auth } from '../services/firebase';
+import { mapError } from '../utils/errorMapping';
 
 // Create the authentication context
 const AuthContext = createContext(null);
 
+// Longest the app waits for the auth state before rendering anyway
+const BOOTSTRAP_TIMEOUT_MS = 3000;
+
 /**
  * Provider component that wraps the app and makes auth object available to any
  * child component that calls useAuth().
  */
 export function AuthProvider({ children }) {
   const [currentUser, setCurrentUser] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [initializing, setInitializing] = useState(true);
+  // Last auth error, as returned by mapError
   const [error, setError] = useState(null);
 
-  // Setup authentication state listener
+  // Bootstrap: render as soon as either the cached user is read or Firebase
+  // reports the auth state, whichever comes first, or after a timeout
   useEffect(() => {
-    const unsubscribe = setupAuthListener();
-    return () => unsubscribe();
+    let bootstrapped = false;
+    let authStateKnown = false;
+
+    const finishBootstrap = () => {
+      if (bootstrapped) {
+        return;
+      }
+      bootstrapped = true;
+      setInitializing(false);
+    };
+
+    const timeout = setTimeout(finishBootstrap, BOOTSTRAP_TIMEOUT_MS);
+
+    // Get any plaintext token left by older versions out of AsyncStorage
+    authService.migrateLegacyStorage();
+
+    authService.getCachedUser().then((cachedUser) => {
+      // The auth listener is authoritative once it has fired
+      if (!authStateKnown) {
+        setCurrentUser(cachedUser);
+        finishBootstrap();
+      }
+    });
+
+    const unsubscribe = setupAuthListener(() => {
+      authStateKnown = true;
+      finishBootstrap();
+    });
+    const stopWatchingToken = authService.watchIdToken();
+
+    return () => {
+      clearTimeout(timeout);
+      unsubscribe();
+      stopWatchingToken();
+    };
+  }, []);
+
+  // Replay writes queued while offline whenever connectivity returns
+  useEffect(() => {
+    const stopSync = syncService.start();
+    return () => stopSync();
   }, []);
 
   // Function to set up the authentication state listener
-  const setupAuthListener = () => {
+  const setupAuthListener = (onAuthState) => {
     return auth().onAuthStateChanged(async (user) => {
-      if (user) {
-        // Get full user data from Firestore
-        try {
-          const userData = await authService.getCurrentUser();
+      if (!user) {
+        setCurrentUser(null);
+        onAuthState();
+        return;
+      }
+
+      // Render straight away from the cached profile, falling back to the
+      // auth user, then revalidate it from Firestore in the background
+      const cachedUser = await authService.getCachedUser();
+      setCurrentUser(
+        cachedUser?.uid === user.uid
+          ? cachedUser
+          : {
+            uid: user.uid,
+            email: user.email,
+            emailVerified: user.emailVerified,
+            isAnonymous: user.isAnonymous,
+            providerIds: user.providerData.map((provider) => provider.providerId),
+          }
+      );
+      onAuthState();
+
+      try {
+        const userData = await authService.getCurrentUser();
+        if (userData) {
           setCurrentUser(userData);
-        } catch (err) {
-          setCurrentUser(user);
-          console.error('Error getting user data:', err);
+          await authService.setCachedUser(userData);
         }
-      } else {
-        setCurrentUser(null);
+      } catch (err) {
+        console.error('Error getting user data:', err);
       }
-      setLoading(false);
     });
   };
 
@@ -47,7 +112,7 @@ export function AuthProvider({ children }) {
       const user = await authService.register(email, password, userData);
       return user;
     } catch (err) {
-      setError(err.message);
+      setError(mapError(err));
       throw err;
     } finally {
       setLoading(false);
@@ -62,7 +127,57 @@ export function AuthProvider({ children }) {
       const user = await authService.login(email, password);
       return user;
     } catch (err) {
-      setError(err.message);
+      setError(mapError(err));
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Sign in with Google or Apple. For guests this links the provider to
+  // their account, which doesn't fire the auth listener, so refresh here.
+  const signInWithProvider = async (signIn) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const user = await signIn();
+      setCurrentUser(await authService.getCurrentUser());
+      return user;
+    } catch (err) {
+      setError(mapError(err));
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const signInWithGoogle = () => signInWithProvider(() => authService.signInWithGoogle());
+  const signInWithApple = () => signInWithProvider(() => authService.signInWithApple());
+
+  // Try the app as a guest
+  const signInAsGuest = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      return await authService.signInAnonymously();
+    } catch (err) {
+      setError(mapError(err));
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Turn a guest account into an email/password account
+  const linkWithEmail = async (email, password) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const user = await authService.linkWithEmail(email, password);
+      setCurrentUser(await authService.getCurrentUser());
+      return user;
+    } catch (err) {
+      setError(mapError(err));
       throw err;
     } finally {
       setLoading(false);
@@ -70,13 +185,13 @@ export function AuthProvider({ children }) {
   };
 
   // Log out the current user
-  const logout = async () => {
+  const logout = async (options) => {
     setLoading(true);
     setError(null);
     try {
-      await authService.logout();
+      await authService.logout(options);
     } catch (err) {
-      setError(err.message);
+      setError(mapError(err));
       throw err;
     } finally {
       setLoading(false);
@@ -90,7 +205,7 @@ export function AuthProvider({ children }) {
     try {
       await authService.resetPassword(email);
     } catch (err) {
-      setError(err.message);
+      setError(mapError(err));
       throw err;
     } finally {
       setLoading(false);
@@ -108,7 +223,7 @@ export function AuthProvider({ children }) {
         ...userData,
       }));
     } catch (err) {
-      setError(err.message);
+      setError(mapError(err));
       throw err;
     } finally {
       setLoading(false);
@@ -123,24 +238,84 @@ export function AuthProvider({ children }) {
       const success = await authService.changePassword(currentPassword, newPassword);
       return success;
     } catch (err) {
-      setError(err.message);
+      setError(mapError(err));
       throw err;
     } finally {
       setLoading(false);
     }
   };
 
+  // Permanently delete the user's account and data. Doesn't toggle loading,
+  // which would unmount the screen showing progress and errors.
+  const deleteAccount = async (password) => {
+    setError(null);
+    try {
+      await authService.deleteAccount(password);
+    } catch (err) {
+      setError(mapError(err));
+      throw err;
+    }
+  };
+
+  // Build a JSON archive of the user's data
+  const exportData = async () => {
+    setError(null);
+    try {
+      return await authService.exportUserData();
+    } catch (err) {
+      setError(mapError(err));
+      throw err;
+    }
+  };
+
+  // Send another verification email; resolves with when the next may be sent
+  const resendVerificationEmail = async () => {
+    setError(null);
+    try {
+      return await authService.sendVerificationEmail();
+    } catch (err) {
+      setError(mapError(err));
+      throw err;
+    }
+  };
+
+  // Check whether the user has clicked the verification link
+  const refreshEmailVerification = async () => {
+    setError(null);
+    try {
+      const emailVerified = await authService.reloadEmailVerification();
+      if (emailVerified) {
+        setCurrentUser((prevUser) => ({ ...prevUser, emailVerified }));
+      }
+      return emailVerified;
+    } catch (err) {
+      setError(mapError(err));
+      throw err;
+    }
+  };
+
   // The value object that will be shared across components
   const value = {
     currentUser,
     loading,
+    initializing,
+    requiresEmailVerification: authService.requiresEmailVerification(currentUser),
     error,
     register,
     login,
+    signInWithGoogle,
+    signInWithApple,
+    signInAsGuest,
+    linkWithEmail,
+    isAppleSignInAvailable: authService.isAppleSignInAvailable(),
     logout,
     resetPassword,
     updateProfile,
     changePassword,
+    resendVerificationEmail,
+    refreshEmailVerification,
+    deleteAccount,
+    exportData,
     isAuthenticated: () => !!currentUser,
   };
 
@@ -0,0 +1,61 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import * as RNLocalize from 'react-native-localize';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  detectDeviceLocale,
+  formatNumber,
+  getLocale,
+  parseNumber,
+  setLocale,
+  subscribe,
+  t,
+  tList,
+} from './index';
+
+const LocaleContext = createContext(null);
+
+/**
+ * Provider that keeps the app's language in sync with the user's language
+ * override (profile "language" field) or, without one, the device settings.
+ * Must be rendered inside AuthProvider.
+ */
+export function LocaleProvider({ children }) {
+  const { currentUser } = useAuth();
+  const [locale, setLocaleState] = useState(getLocale());
+  const [deviceLocale, setDeviceLocale] = useState(detectDeviceLocale());
+  const overrideLocale = currentUser?.language || null;
+
+  useEffect(() => subscribe(setLocaleState), []);
+
+  // Pick up language changes made in the device settings while the app runs
+  useEffect(() => {
+    const handleChange = () => setDeviceLocale(detectDeviceLocale());
+    RNLocalize.addEventListener('change', handleChange);
+    return () => RNLocalize.removeEventListener('change', handleChange);
+  }, []);
+
+  useEffect(() => {
+    setLocale(overrideLocale || deviceLocale);
+  }, [overrideLocale, deviceLocale]);
+
+  // The helpers read the module's locale; the new object on each change is
+  // what re-renders consumers
+  const value = useMemo(
+    () => ({ locale, t, tList, formatNumber, parseNumber }),
+    [locale]
+  );
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+}
+
+/**
+ * Get the translate and formatting helpers for the current language
+ * @returns {object} - { locale, t, tList, formatNumber, parseNumber }
+ */
+export function useTranslation() {
+  const context = useContext(LocaleContext);
+  if (context === null) {
+    throw new Error('useTranslation must be used within a LocaleProvider');
+  }
+  return context;
+}
@@ -0,0 +1,32 @@
+import { findMissingKeys } from '..';
+
+describe('translations', () => {
+  it('has every English key in every other language', () => {
+    expect(findMissingKeys()).toEqual({});
+  });
+});
+
+describe('findMissingKeys', () => {
+  const en = {
+    common: { save: 'Save', cancel: 'Cancel' },
+    items: { one: '{count} item', other: '{count} items' },
+  };
+
+  it('lists keys a language is missing', () => {
+    const es = { common: { save: 'Guardar' }, items: { other: '{count} elementos' } };
+
+    expect(findMissingKeys({ en, es })).toEqual({ es: ['common.cancel'] });
+  });
+
+  it('only requires the "other" plural form', () => {
+    const zh = { common: { save: '保存', cancel: '取消' }, items: { other: '{count} 项' } };
+
+    expect(findMissingKeys({ en, zh })).toEqual({});
+  });
+
+  it('reports a plural entry that is missing entirely', () => {
+    const zh = { common: { save: '保存', cancel: '取消' } };
+
+    expect(findMissingKeys({ en, zh })).toEqual({ zh: ['items'] });
+  });
+});
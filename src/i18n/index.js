@@ -0,0 +1,208 @@
+import * as RNLocalize from 'react-native-localize';
+import en from './locales/en';
+import es from './locales/es';
+import zh from './locales/zh';
+
+/**
+ * Translation, pluralization and locale-aware formatting.
+ *
+ * The active locale is module state so plain functions (date helpers, error
+ * mapping) can translate too. Components should read strings through
+ * useTranslation() from LocaleProvider so they re-render when it changes.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+export const SUPPORTED_LOCALES = ['en', 'es', 'zh'];
+
+// Each language's name in that language, for the language picker
+export const LOCALE_NAMES = {
+  en: 'English',
+  es: 'Español',
+  zh: '中文',
+};
+
+const CATALOGS = { en, es, zh };
+
+// Decimal and grouping separators per locale
+const NUMBER_SEPARATORS = {
+  en: { decimal: '.', group: ',' },
+  es: { decimal: ',', group: '.' },
+  zh: { decimal: '.', group: ',' },
+};
+
+// CLDR cardinal plural categories used by each locale's catalog
+const PLURAL_RULES = {
+  en: (count) => (count === 1 ? 'one' : 'other'),
+  es: (count) => (count === 1 ? 'one' : 'other'),
+  zh: () => 'other',
+};
+
+/**
+ * Pick the supported locale that best matches the device settings
+ * @returns {string} - Locale code, e.g. "es"
+ */
+export function detectDeviceLocale() {
+  try {
+    const best = RNLocalize.findBestAvailableLanguage(SUPPORTED_LOCALES);
+    return best ? best.languageTag.split('-')[0] : DEFAULT_LOCALE;
+  } catch (error) {
+    return DEFAULT_LOCALE;
+  }
+}
+
+let currentLocale = detectDeviceLocale();
+const listeners = new Set();
+
+/**
+ * Get the active locale
+ * @returns {string} - Locale code
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Change the active locale and notify subscribers
+ * @param {string} locale - Locale code; unsupported codes fall back to English
+ */
+export function setLocale(locale) {
+  const nextLocale = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+
+  if (nextLocale !== currentLocale) {
+    currentLocale = nextLocale;
+    listeners.forEach((listener) => listener(nextLocale));
+  }
+}
+
+/**
+ * Listen for locale changes
+ * @param {function} listener - Called with the new locale
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Look up a dotted key in a catalog
+ * @param {object} catalog - Translation catalog
+ * @param {string} key - Key such as "login.title"
+ * @returns {*} - The entry, or undefined
+ */
+const lookup = (catalog, key) => {
+  return key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+};
+
+/**
+ * Translate a key, falling back to English and then to the key itself.
+ * Entries with plural forms pick one using params.count; {name}
+ * placeholders are replaced with params.
+ * @param {string} key - Key such as "login.title"
+ * @param {object} params - Placeholder values
+ * @returns {string} - Translated text
+ */
+export function t(key, params = {}) {
+  let value = lookup(CATALOGS[currentLocale], key);
+  let locale = currentLocale;
+
+  if (value === undefined) {
+    value = lookup(CATALOGS[DEFAULT_LOCALE], key);
+    locale = DEFAULT_LOCALE;
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value) && 'other' in value) {
+    value = value[PLURAL_RULES[locale](params.count)] ?? value.other;
+  }
+
+  if (typeof value !== 'string') {
+    return key;
+  }
+
+  return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Get a list (such as month names) from the catalog
+ * @param {string} key - Key of an array entry
+ * @returns {Array<string>} - The list, in English if missing
+ */
+export function tList(key) {
+  const value = lookup(CATALOGS[currentLocale], key);
+  return Array.isArray(value) ? value : lookup(CATALOGS[DEFAULT_LOCALE], key) || [];
+}
+
+/**
+ * Format a number with the locale's separators
+ * @param {number} value - Number to format
+ * @param {object} options - Formatting options
+ * @param {number} options.minimumFractionDigits - Decimals always shown
+ * @param {number} options.maximumFractionDigits - Decimals at most
+ * @returns {string} - Formatted number, e.g. "5,6" in Spanish
+ */
+export function formatNumber(value, { minimumFractionDigits = 0, maximumFractionDigits = 1 } = {}) {
+  if (typeof value !== 'number' || !isFinite(value)) {
+    return '';
+  }
+
+  const { decimal, group } = NUMBER_SEPARATORS[currentLocale];
+  let [integer, fraction = ''] = Math.abs(value).toFixed(maximumFractionDigits).split('.');
+
+  // Drop trailing zeros beyond the minimum
+  while (fraction.length > minimumFractionDigits && fraction.endsWith('0')) {
+    fraction = fraction.slice(0, -1);
+  }
+
+  // Four-digit numbers read better without grouping in every locale
+  if (integer.length > 4) {
+    integer = integer.replace(/\B(?=(\d{3})+(?!\d))/g, group);
+  }
+
+  // No sign on values that round to zero
+  const sign = value < 0 && /[1-9]/.test(integer + fraction) ? '-' : '';
+  return `${sign}${integer}${fraction ? decimal + fraction : ''}`;
+}
+
+/**
+ * Parse a number typed by the user. Either "." or "," is accepted as the
+ * decimal separator; grouping separators are not supported.
+ * @param {string} text - Text to parse
+ * @returns {number} - The number, or NaN
+ */
+export function parseNumber(text) {
+  const normalized = String(text).trim().replace(',', '.');
+  return /^-?(\d+\.?\d*|\.\d+)$/.test(normalized) ? parseFloat(normalized) : NaN;
+}
+
+/**
+ * Find keys present in the reference catalog but missing from others
+ * @param {object} catalogs - Catalogs by locale
+ * @param {string} referenceLocale - Locale every other catalog must match
+ * @returns {object} - Missing keys per locale, e.g. { es: ['home.title'] }
+ */
+export function findMissingKeys(catalogs = CATALOGS, referenceLocale = DEFAULT_LOCALE) {
+  const collectKeys = (node, prefix = '') => {
+    if (node === null || typeof node !== 'object' || Array.isArray(node)) {
+      return [prefix];
+    }
+    // Plural forms differ between languages; only "other" is required
+    if ('other' in node) {
+      return [prefix];
+    }
+    return Object.keys(node).flatMap((key) => collectKeys(node[key], prefix ? `${prefix}.${key}` : key));
+  };
+
+  const referenceKeys = collectKeys(catalogs[referenceLocale]);
+  const missing = {};
+
+  Object.keys(catalogs)
+    .filter((locale) => locale !== referenceLocale)
+    .forEach((locale) => {
+      const keys = referenceKeys.filter((key) => lookup(catalogs[locale], key) === undefined);
+      if (keys.length > 0) {
+        missing[locale] = keys;
+      }
+    });
+
+  return missing;
+}
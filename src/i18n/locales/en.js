@@ -0,0 +1,678 @@
+// English strings. This is the reference catalog: every key here must exist
+// in the other languages too (see findMissingKeys).
+export default {
+  common: {
+    appName: 'GI Tracker',
+    error: 'Error',
+    email: 'Email',
+    emailPlaceholder: 'Enter your email',
+    password: 'Password',
+    diabetesType: 'Diabetes Type',
+    logoutFailed: 'Failed to log out',
+    notSet: 'Not set',
+    cancel: 'Cancel',
+    delete: 'Delete',
+    dateTime: 'Date & Time',
+    notes: 'Notes',
+    optional: 'Optional',
+    edit: 'Edit',
+    save: 'Save',
+    settingsFailed: 'Failed to update your settings',
+  },
+  validation: {
+    emailRequired: 'Email is required',
+    passwordRequired: 'Password is required',
+    nameRequired: 'Name is required',
+    emailInvalid: 'Please enter a valid email address',
+    passwordTooShort: {
+      one: 'Password must be at least {count} character long',
+      other: 'Password must be at least {count} characters long',
+    },
+    passwordsDoNotMatch: 'Passwords do not match',
+    diabetesTypeRequired: 'Please select your diabetes type',
+    dateTimeFormat: 'Please enter the date and time as YYYY-MM-DD HH:MM',
+    nameTooLong: {
+      one: 'Name must be {count} character or less',
+      other: 'Name must be {count} characters or less',
+    },
+    required: 'This field is required',
+    numberRange: 'Enter a number between {min} and {max}',
+    passwordCommon: 'This password is too easy to guess. Avoid common passwords and your name or email',
+    passwordWeak: 'Choose a stronger password: make it longer or mix letters, numbers and symbols',
+    regimenInvalid: 'This treatment does not apply to the selected diabetes type',
+    mealTimeFormat: 'Enter a time as HH:MM, e.g. 07:30',
+    strength: {
+      label: 'Password strength: {level}',
+      levels: {
+        veryWeak: 'Very weak',
+        weak: 'Weak',
+        fair: 'Fair',
+        good: 'Good',
+        strong: 'Strong',
+      },
+      checks: {
+        length: 'At least {count} characters',
+        mixedCase: 'Upper and lower case letters',
+        digit: 'A number',
+        symbol: 'A symbol',
+      },
+    },
+  },
+  tabs: {
+    home: 'Home',
+    food: 'Food',
+    log: 'Log',
+    trends: 'Trends',
+    profile: 'Profile',
+  },
+  titles: {
+    foodSearch: 'Search Food GI',
+    mealLog: 'Meal Log',
+    logMeal: 'Log a Meal',
+    editMeal: 'Edit Meal',
+    recordGlucose: 'Record Blood Glucose',
+    editReading: 'Edit Reading',
+    history: 'History',
+    cgmImport: 'Import CGM Data',
+    mealPlan: 'Meal Plan',
+    insights: 'My Food Responses',
+    profile: 'Edit Profile',
+  },
+  login: {
+    subtitle: 'Log in to your account',
+    passwordPlaceholder: 'Enter your password',
+    forgotPassword: 'Forgot Password?',
+    submit: 'Log In',
+    divider: 'or',
+    google: 'Continue with Google',
+    apple: 'Sign in with Apple',
+    guest: 'Try without an account',
+    noAccount: "Don't have an account?",
+    signUp: 'Sign Up',
+    errorTitle: 'Login Error',
+    failed: 'Failed to log in',
+    signInErrorTitle: 'Sign In Error',
+    signInFailed: 'Failed to sign in',
+    accountExists: 'An account already exists for {email}. Sign in with {methods} to link it to this account.',
+    thisEmail: 'this email',
+    or: ' or ',
+    playServicesUnavailable: 'Google Play Services is not available on this device',
+    providers: {
+      password: 'your email and password',
+      google: 'Google',
+      apple: 'Apple',
+      original: 'your original method',
+    },
+  },
+  register: {
+    subtitle: 'Create your account',
+    name: 'Full Name',
+    namePlaceholder: 'Enter your full name',
+    passwordPlaceholder: 'Create a password',
+    confirmPassword: 'Confirm Password',
+    confirmPasswordPlaceholder: 'Confirm your password',
+    submit: 'Create Account',
+    haveAccount: 'Already have an account?',
+    errorTitle: 'Registration Error',
+    failed: 'Failed to create account',
+  },
+  forgotPassword: {
+    title: 'Reset Password',
+    subtitle: "Enter your email address and we'll send you a link to reset your password",
+    submit: 'Send Reset Link',
+    sentTitle: 'Email Sent!',
+    sentMessage: "We've sent a password reset link to your email address. Please check your inbox and follow the instructions to reset your password.",
+    backToLogin: 'Back to Login',
+    errorTitle: 'Reset Password Error',
+    failed: 'Failed to send password reset email',
+  },
+  verifyEmail: {
+    title: 'Verify Your Email',
+    linkSentBefore: "We've sent a verification link to ",
+    linkSentAfter: '. Open it to finish setting up your account.',
+    confirm: "I've Verified My Email",
+    resend: 'Resend Email',
+    resendIn: 'Resend Email ({seconds}s)',
+    differentAccount: 'Use a Different Account',
+    sentTitle: 'Email Sent',
+    sentMessage: "We've sent a new verification link to {email}",
+    notVerifiedTitle: 'Not Verified Yet',
+    notVerifiedMessage: 'We could not confirm your email yet. Open the link in the email we sent you, then try again.',
+    errorTitle: 'Verification Error',
+    sendFailed: 'Failed to send verification email',
+    checkFailed: 'Failed to check your verification status',
+  },
+  onboarding: {
+    title: 'Set Up GI Tracker',
+    intro: 'A few questions to tailor your targets and insights. You can change any of this later in your profile.',
+    stepCount: 'Step {current} of {total}',
+    back: 'Back',
+    next: 'Next',
+    finish: 'Finish',
+    diabetesTypeTitle: 'Which type of diabetes do you have?',
+    regimenTitle: 'How do you manage your diabetes?',
+    regimenHint: 'Choose your main treatment. Insulin settings are only asked for if you use insulin.',
+    regimenRequired: 'Please choose how you manage your diabetes',
+    unitsTitle: 'Which unit does your meter show?',
+    unitsHint: 'Readings and targets are shown in this unit.',
+    targetsTitle: 'Your Target Range',
+    targetsHint: 'The usual range for {type} is {low}–{high} {unit}. Use the range your care team gave you if it differs.',
+    targetsHintGestational: 'Targets are tighter during pregnancy: the usual range is {low}–{high} {unit}. Use the range your care team gave you if it differs.',
+    insulinTitle: 'Insulin Settings',
+    insulinHint: "Optional. Leave these blank if you're not sure and add them later in your profile.",
+    mealTimesTitle: 'When do you usually eat?',
+    mealTimesHint: 'Used to pick the meal type when you log a meal. Enter 24-hour times.',
+    saveFailed: 'Failed to save your answers',
+  },
+  home: {
+    welcome: 'Welcome, {name}!',
+    defaultName: 'User',
+    subtitle: "Track your food's glycemic index and manage your diabetes better",
+    profileTitle: 'Your Profile',
+    nameLabel: 'Name:',
+    emailLabel: 'Email:',
+    diabetesTypeLabel: 'Diabetes Type:',
+    editProfile: 'Edit Profile',
+    actionsTitle: 'What would you like to do?',
+    searchFood: 'Search Food GI',
+    logMeal: 'Log a Meal',
+    recordGlucose: 'Record Blood Glucose',
+    viewHistory: 'View History',
+    importCgm: 'Import CGM Data',
+    planMeals: 'Plan My Week',
+    foodResponses: 'My Food Responses',
+    logout: 'Logout',
+    trendsTitle: 'Glucose Trends',
+    periodDays: {
+      one: '{count} day',
+      other: '{count} days',
+    },
+    targetRange: 'Your target range: {low}–{high} {unit}',
+    noReadings: 'No glucose readings in this period. Record your glucose to see your time in range and trends.',
+    metricsFailed: 'Failed to load your glucose trends',
+    percent: '{value}%',
+    ranges: {
+      veryHigh: 'Very high',
+      high: 'High',
+      inRange: 'In range',
+      low: 'Low',
+      veryLow: 'Very low',
+    },
+    rangeGoal: 'Most people aim for over 70% in range and under 4% low.',
+    stats: {
+      mean: 'Mean glucose ({unit})',
+      gmi: 'GMI (estimated HbA1c)',
+      cv: 'Variability (CV, aim ≤{limit}%)',
+      readings: {
+        one: 'Reading',
+        other: 'Readings',
+      },
+    },
+    gmiCaveat: {
+      one: 'GMI is only a reliable HbA1c estimate with readings from at least {count} day.',
+      other: 'GMI is only a reliable HbA1c estimate with readings from at least {count} days.',
+    },
+    agp: {
+      title: 'Daily Glucose Pattern',
+      description: 'Your readings by time of day: the line is the median, the bands show where most readings fall.',
+      median: 'Median',
+      interquartile: '25–75%',
+      outer: '5–95%',
+    },
+  },
+  food: {
+    searchPlaceholder: 'Search foods, e.g. brown rice',
+    serving: 'Serving: {description} ({grams} g)',
+    personalGi: {
+      one: 'Your GI: {gi} ({low}–{high}, {count} meal)',
+      other: 'Your GI: {gi} ({low}–{high}, {count} meals)',
+    },
+    noResults: 'No foods found for "{query}"',
+    bands: {
+      low: 'Low GI',
+      medium: 'Medium GI',
+      high: 'High GI',
+    },
+  },
+  meals: {
+    add: 'Add Meal',
+    empty: 'No meals logged yet',
+    carbs: 'Carbs: {grams} g',
+    glycemicLoad: 'GL: {value}',
+    deleteTitle: 'Delete Meal',
+    deleteConfirm: 'Are you sure you want to delete this meal?',
+    loadFailed: 'Failed to load your meals',
+    deleteFailed: 'Failed to delete meal',
+  },
+  mealEdit: {
+    mealType: 'Meal Type',
+    addFood: 'Add Food',
+    searchPlaceholder: 'Search foods',
+    gi: 'GI {value}',
+    totalCarbs: 'Total carbs: {grams} g',
+    totalGlycemicLoad: 'Glycemic load: {value}',
+    save: 'Save Meal',
+    noFoods: 'Please add at least one food',
+    invalidQuantity: 'Please enter a quantity greater than zero for every food',
+    loadFailed: 'Failed to load meal',
+    saveFailed: 'Failed to save meal',
+    swapsTitle: 'Lower-GI Swaps',
+    swapsSaving: 'Making the top swaps could lower this meal\'s glycemic load by {value}',
+    swapFrom: 'Instead of {name} (GL {gl})',
+    swapDetails: '{quantity} {unit} · GI {gi} · {carbs} g carbs · GL {gl} (−{saving})',
+    swapPersonalGi: 'Uses your personal GI',
+    swapRespondsBetter: 'Your glucose has risen less after this food',
+    swap: 'Swap',
+  },
+  mealPlan: {
+    weekOf: 'Week of {date}',
+    glycemicLoad: 'Glycemic load',
+    carbs: 'Carbs (g)',
+    budgetValue: '{total} / {budget}',
+    overBudget: 'This day is over your daily budget',
+    overBudgetTitle: 'Over Budget',
+    overBudgetMessage: 'This brings the day to a glycemic load of {glycemicLoad} (budget {glBudget}) and {carbs} g of carbs (budget {carbBudget} g). Add it anyway?',
+    addAnyway: 'Add Anyway',
+    addTo: 'Add food to',
+    mealTotals: 'GL {glycemicLoad} · {carbs} g carbs',
+    nothingPlanned: 'Nothing planned',
+    logMeal: 'Log This Meal',
+    logged: '✓ Logged',
+    showSwaps: 'Lower-GI swaps (GL −{value})',
+    hideSwaps: 'Hide swaps',
+    shoppingList: 'Shopping List',
+    shoppingItem: '{name}, about {grams} g',
+    shoppingEmpty: 'Plan some meals to build a shopping list',
+    shareShoppingList: 'Share Shopping List',
+    show: 'Show',
+    hide: 'Hide',
+    loadFailed: 'Failed to load meal plan',
+    saveFailed: 'Failed to save meal plan',
+    logFailed: 'Failed to log meal',
+  },
+  glucose: {
+    value: 'Blood Glucose',
+    placeholder: 'e.g. {example}',
+    validRange: 'Valid range: {min}–{max} {unit}',
+    context: 'When was it taken?',
+    linkedMeal: 'Linked Meal (optional)',
+    save: 'Save Reading',
+    deleteTitle: 'Delete Reading',
+    deleteConfirm: 'Are you sure you want to delete this reading?',
+    valueRequired: 'Please enter your blood glucose value',
+    outOfRange: 'Please enter a value between {min} and {max} {unit}',
+    futureReading: 'Readings cannot be in the future',
+    confirmTitle: 'Check Your Reading',
+    confirmLow: '{value} {unit} is unusually low. Is it correct?',
+    confirmHigh: '{value} {unit} is unusually high. Is it correct?',
+    loadFailed: 'Failed to load reading',
+    saveFailed: 'Failed to save reading',
+    deleteFailed: 'Failed to delete reading',
+  },
+  history: {
+    types: {
+      all: 'All',
+      meal: 'Meals',
+      glucose: 'Glucose',
+    },
+    ranges: {
+      all: 'All time',
+      days: {
+        one: '{count} day',
+        other: '{count} days',
+      },
+    },
+    mealSummary: 'Carbs {grams} g · GL {gl}',
+    empty: 'Nothing logged for this period',
+    loadFailed: 'Failed to load your history',
+  },
+  cgmImport: {
+    title: 'Import from your CGM',
+    description: 'Import the glucose readings from a CSV export. Readings you already have are skipped, so you can import overlapping exports.',
+    dexcomSteps: 'Dexcom: in Dexcom Clarity open Export, choose the date range and save the CSV file.',
+    libreSteps: 'FreeStyle Libre: in LibreView open Glucose History, choose Download glucose data and save the CSV file.',
+    pick: 'Choose CSV File',
+    pickAnother: 'Import Another File',
+    reading: 'Reading the file…',
+    progress: 'Saving readings… {written} of {total}',
+    failed: 'Failed to import the file',
+    summaryTitle: 'Import Summary',
+    fileInfo: '{name} · {source}',
+    sources: {
+      dexcom: 'Dexcom Clarity',
+      libre: 'FreeStyle LibreView',
+    },
+    imported: 'New readings',
+    range: 'From {from} to {to}',
+    skipped: 'Skipped rows',
+    malformed: 'Malformed rows',
+    skipReasons: {
+      duplicate: 'Already imported',
+      notGlucose: 'Not a glucose reading',
+    },
+    malformedReasons: {
+      timestamp: 'Invalid date or time',
+      value: 'Invalid glucose value',
+      outOfRange: 'Glucose value out of range',
+    },
+    rows: 'Rows {rows}',
+    moreRows: {
+      one: ' and {count} more',
+      other: ' and {count} more',
+    },
+    viewHistory: 'View History',
+  },
+  insights: {
+    title: 'How foods affect you',
+    basedOn: {
+      one: 'Based on {count} meal from the last 90 days with a reading just before eating and at least two readings in the 3 hours after.',
+      other: 'Based on {count} meals from the last 90 days with a reading just before eating and at least two readings in the 3 hours after.',
+    },
+    best: 'Gentlest on your glucose',
+    worst: 'Biggest spikes',
+    notEnoughData: 'Not enough data yet. Record your glucose before a meal and again 1 and 2 hours after to see which foods suit you best.',
+    byMealType: 'By meal type',
+    mealCount: {
+      one: '{count} meal',
+      other: '{count} meals',
+    },
+    peakDelta: '+{value} mg/dL',
+    personalGi: 'Personal GI',
+    personalGiDescription: 'Estimate your own GI for foods you eat often, shown next to the published GI in food search.',
+    referenceMeal: 'Reference meal',
+    referenceNeeded: {
+      one: 'Log {count} more reference meal of {food} on its own, with glucose readings before and after, to start estimating.',
+      other: 'Log {count} more reference meals of {food} on their own, with glucose readings before and after, to start estimating.',
+    },
+    foodSamplesNeeded: {
+      one: 'Foods need at least {count} meal where they supply most of the carbs before an estimate is shown.',
+      other: 'Foods need at least {count} meals where they supply most of the carbs before an estimate is shown.',
+    },
+    confidenceInterval: {
+      one: '95% CI {low}–{high} · {count} meal',
+      other: '95% CI {low}–{high} · {count} meals',
+    },
+    versus: ' vs {gi}',
+    loadFailed: 'Failed to analyze your data',
+  },
+  profile: {
+    guestTitle: 'Save Your Data',
+    guestHint: "You're using GI Tracker as a guest. Create an account to keep your meals and readings if you change phones or reinstall the app.",
+    accountCreatedTitle: 'Account Created',
+    accountCreatedMessage: 'Your data is now saved to your account',
+    createAccountErrorTitle: 'Create Account Error',
+    createAccountFailed: 'Failed to create your account',
+    personalDetails: 'Personal Details',
+    birthdate: 'Birthdate',
+    birthdateFormat: 'Enter your birthdate as YYYY-MM-DD',
+    birthdateInvalid: 'Please enter a valid birthdate',
+    clinicalSettings: 'Clinical Settings',
+    treatment: 'Treatment',
+    preferredUnit: 'Preferred Glucose Unit',
+    targetLow: 'Target Range Low ({unit})',
+    targetHigh: 'Target Range High ({unit})',
+    insulinToCarbRatio: 'Insulin-to-Carb Ratio (g per unit)',
+    insulinToCarbRatioPlaceholder: 'Optional, e.g. 10',
+    correctionFactor: 'Correction Factor ({unit} per unit)',
+    rangeError: 'Enter a value between {min}–{max} {unit}',
+    targetOrder: 'The upper target must be above the lower target',
+    ratioError: 'Enter {min}–{max} grams per unit',
+    correctionFactorError: 'Enter a value between {min}–{max} {unit} per unit',
+    dailyGlBudget: 'Daily glycemic load budget',
+    dailyCarbBudget: 'Daily carb budget (g)',
+    budgetHint: 'The meal planner warns when a day goes over these budgets.',
+    budgetError: 'Enter a value between {min}–{max}',
+    save: 'Save Profile',
+    savedTitle: 'Profile Updated',
+    savedMessage: 'Your profile has been saved',
+    saveFailed: 'Failed to update your profile',
+    changePassword: 'Change Password',
+    currentPassword: 'Current Password',
+    currentPasswordPlaceholder: 'Enter your current password',
+    currentPasswordRequired: 'Please enter your current password',
+    newPassword: 'New Password',
+    newPasswordPlaceholder: 'Create a new password',
+    confirmNewPassword: 'Confirm New Password',
+    confirmNewPasswordPlaceholder: 'Confirm your new password',
+    passwordChangedTitle: 'Password Changed',
+    passwordChangedMessage: 'Your password has been updated',
+    changePasswordErrorTitle: 'Change Password Error',
+    changePasswordFailed: 'Failed to change password',
+    security: 'Security',
+    appLockOn: 'App Lock: On',
+    appLockOff: 'App Lock: Off',
+    integrations: 'Integrations',
+    nightscoutOn: 'Nightscout: Connected',
+    nightscoutOff: 'Connect Nightscout',
+    language: 'Language',
+    deviceLanguage: 'Device default',
+    yourData: 'Your Data',
+    exportHint: 'Download a copy of your profile, meals and glucose readings as JSON.',
+    export: 'Export My Data',
+    exportTitle: 'GI Tracker data export',
+    exportFailed: 'Failed to export your data',
+    deleteHint: 'Deleting your account removes all of your data from GI Tracker.',
+    deletePasswordPlaceholder: 'Enter your password to confirm',
+    deletePasswordRequired: 'Please enter your password to delete your account',
+    deleteAccount: 'Delete Account',
+    deleteAccountConfirm: 'This permanently deletes your account, meals and glucose readings. This cannot be undone.',
+    deleteAccountErrorTitle: 'Delete Account Error',
+    deleteAccountFailed: 'Failed to delete your account',
+  },
+  appLock: {
+    title: 'App Lock',
+    setPin: 'Set a PIN',
+    changePin: 'Change PIN',
+    hint: 'Ask for a PIN whenever GI Tracker is opened, so your health data stays private if someone else has your phone.',
+    currentPin: 'Current PIN',
+    newPin: 'New PIN (4-8 digits)',
+    confirmPin: 'Confirm New PIN',
+    turnOn: 'Turn On App Lock',
+    turnOff: 'Turn Off App Lock',
+    unlocking: 'Unlocking',
+    useBiometrics: 'Unlock with biometrics',
+    biometricPrompt: 'Unlock GI Tracker',
+    usePin: 'Use PIN',
+    relockAfter: 'Lock again after leaving the app',
+    immediately: 'Immediately',
+    minutes: {
+      one: '{count} minute',
+      other: '{count} minutes',
+    },
+    incorrectPinTitle: 'Incorrect PIN',
+    tooManyAttempts: 'Too many incorrect attempts. Please try again later',
+    incorrectCurrentPin: {
+      one: 'The current PIN is incorrect. {count} attempt left',
+      other: 'The current PIN is incorrect. {count} attempts left',
+    },
+    pinFormat: 'PIN must be 4 to 8 digits',
+    pinsDoNotMatch: 'PINs do not match',
+    pinChanged: 'Your PIN has been changed',
+    turnedOn: 'App lock is now on',
+    currentPinRequired: 'Enter your current PIN to turn off app lock',
+    saveFailed: 'Failed to save your PIN',
+    turnOffFailed: 'Failed to turn off app lock',
+    lockedTitle: 'GI Tracker is locked',
+    enterPin: 'Enter your PIN to continue',
+    unlock: 'Unlock',
+    tryAgainIn: 'Try again in {seconds}s',
+    incorrectPin: {
+      one: 'Incorrect PIN. {count} attempt left',
+      other: 'Incorrect PIN. {count} attempts left',
+    },
+    lockedOut: 'Too many incorrect attempts',
+    useMethod: 'Use {method}',
+    biometry: {
+      faceId: 'Face ID',
+      touchId: 'Touch ID',
+      fingerprint: 'Fingerprint',
+      other: 'Biometrics',
+    },
+    forgotPin: 'Forgot PIN?',
+    forgotPinTitle: 'Forgot PIN',
+    forgotPinMessage: 'Log out and sign in again with your account to reset the app lock.',
+    logOut: 'Log Out',
+    checkFailed: 'Failed to check your PIN',
+  },
+  nightscout: {
+    title: 'Nightscout',
+    siteTitle: 'Your Nightscout Site',
+    hint: 'Pull your sensor glucose from Nightscout and send your logged meals there as carb treatments.',
+    url: 'Site address',
+    urlPlaceholder: 'https://your-site.example.com',
+    urlInvalid: 'Enter the full address of your site, starting with https://',
+    apiSecret: 'API secret',
+    secretSaved: 'Saved. Leave empty to keep it, or enter a new one to replace it.',
+    secretRequired: 'Enter the API_SECRET set on your Nightscout site',
+    secretLength: {
+      one: 'API secrets are at least {count} character long',
+      other: 'API secrets are at least {count} characters long',
+    },
+    save: 'Save and Test Connection',
+    connected: 'Connected to {name}',
+    connectFailed: 'Could not connect to your Nightscout site',
+    syncTitle: 'Sync',
+    syncHint: 'Each sync only transfers what is new since the last one. Meals are sent once; later changes to them are not.',
+    lastSync: 'Last synced {date}',
+    neverSynced: 'Not synced yet. The first sync covers the last 30 days.',
+    syncNow: 'Sync Now',
+    syncResult: 'Added {readings} and sent {meals}',
+    readingCount: {
+      one: '{count} reading',
+      other: '{count} readings',
+    },
+    mealCount: {
+      one: '{count} meal',
+      other: '{count} meals',
+    },
+    syncFailed: 'Failed to sync with Nightscout',
+    disconnect: 'Disconnect',
+    disconnectTitle: 'Disconnect Nightscout?',
+    disconnectMessage: 'Readings already imported stay in your log.',
+  },
+  sync: {
+    pending: '{count} pending',
+    offline: 'Offline',
+    offlinePending: 'Offline · {count} pending',
+    syncing: 'Syncing {count}…',
+    unsyncedTitle: 'Unsynced changes',
+    unsyncedMessage: {
+      one: "{count} change hasn't been saved to the server yet. It will be lost if you log out now.",
+      other: "{count} changes haven't been saved to the server yet. They will be lost if you log out now.",
+    },
+    logOutAnyway: 'Log Out Anyway',
+    dropped: {
+      one: '{count} change not saved',
+      other: '{count} changes not saved',
+    },
+    droppedTitle: 'Changes not saved',
+    droppedMessage: {
+      one: 'The server rejected {count} change made while offline, so it was discarded. Please check your recent entries.',
+      other: 'The server rejected {count} changes made while offline, so they were discarded. Please check your recent entries.',
+    },
+  },
+  errors: {
+    invalidEmail: 'Invalid email format',
+    userNotFound: 'No account found with this email',
+    wrongPassword: 'Incorrect password',
+    invalidCredential: 'Incorrect email or password',
+    userDisabled: 'This account has been disabled',
+    emailInUse: 'This email is already in use',
+    credentialInUse: 'This account is already in use. Log out and sign in to it instead',
+    providerLinked: 'This sign-in method is already linked to your account',
+    accountExists: 'An account already exists with this email using a different sign-in method',
+    weakPassword: 'Password is too weak',
+    recentLogin: 'Please log in again to continue',
+    reauthFailed: 'Your current password is incorrect',
+    sessionExpired: 'Your session has expired. Please log in again',
+    notAllowed: 'This sign-in method is not enabled',
+    linkExpired: 'This link has expired. Please request a new one',
+    linkInvalid: 'This link is invalid or has already been used',
+    tooManyRequests: 'Too many attempts',
+    network: 'Network error',
+    server: 'Something went wrong on our side',
+    permissionDenied: "You don't have permission to do that",
+    notFound: 'This item no longer exists',
+    alreadyExists: 'This item already exists',
+    invalidData: 'Some of the data is invalid',
+    offline: 'The server cannot be reached',
+    timeout: 'The request took too long',
+    conflict: 'The data changed while saving',
+    quota: 'Too many requests',
+    cancelled: 'The request was cancelled',
+    unknown: 'Something went wrong',
+    importFormat: 'This file is not a Dexcom Clarity or LibreView CSV export',
+    nightscoutUrl: 'The Nightscout address is not valid',
+    nightscoutUnauthorized: 'Nightscout did not accept the API secret',
+    nightscoutUnreachable: 'Your Nightscout site cannot be reached',
+    nightscoutServer: 'Your Nightscout site returned an error',
+    pendingWrites: "Some changes haven't been saved to the server yet",
+    hints: {
+      network: 'Check your internet connection and try again.',
+      later: 'Please wait a few minutes and try again.',
+      again: 'Please try again.',
+    },
+    withHint: '{message}. {hint}',
+  },
+  dates: {
+    monthsShort: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+    weekdaysShort: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    dateTime: '{month} {day}, {time}',
+    dayHeading: '{weekday}, {month} {day}',
+    today: 'Today',
+    yesterday: 'Yesterday',
+  },
+  diabetesTypes: {
+    'Type 1': 'Type 1',
+    'Type 2': 'Type 2',
+    Gestational: 'Gestational',
+    Prediabetes: 'Prediabetes',
+  },
+  regimens: {
+    diet_only: 'Diet and exercise only',
+    oral_meds: 'Tablets or non-insulin medication',
+    basal_bolus: 'Insulin injections',
+    pump: 'Insulin pump',
+  },
+  mealTypes: {
+    breakfast: 'Breakfast',
+    lunch: 'Lunch',
+    dinner: 'Dinner',
+    snack: 'Snack',
+  },
+  foodCategories: {
+    fruits: 'Fruits',
+    vegetables: 'Vegetables',
+    'starchy-vegetables': 'Starchy vegetables',
+    bread: 'Bread',
+    grains: 'Grains and rice',
+    pasta: 'Pasta and noodles',
+    cereals: 'Cereals',
+    legumes: 'Legumes',
+    dairy: 'Dairy',
+    snacks: 'Snacks',
+    sweets: 'Sweets',
+    beverages: 'Beverages',
+  },
+  readingContexts: {
+    fasting: 'Fasting',
+    pre_meal: 'Before meal',
+    post_meal_1h: '1h after meal',
+    post_meal_2h: '2h after meal',
+    bedtime: 'Bedtime',
+    cgm: 'CGM sensor',
+  },
+  units: {
+    g: 'g',
+    kg: 'kg',
+    oz: 'oz',
+    lb: 'lb',
+    cup: 'cup',
+    tbsp: 'tbsp',
+    tsp: 'tsp',
+    ml: 'ml',
+    piece: 'piece',
+    slice: 'slice',
+    serving: 'serving',
+  },
+};
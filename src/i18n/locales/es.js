@@ -0,0 +1,677 @@
+// Spanish strings
+export default {
+  common: {
+    appName: 'GI Tracker',
+    error: 'Error',
+    email: 'Correo electrónico',
+    emailPlaceholder: 'Introduce tu correo electrónico',
+    password: 'Contraseña',
+    diabetesType: 'Tipo de diabetes',
+    logoutFailed: 'No se pudo cerrar la sesión',
+    notSet: 'Sin definir',
+    cancel: 'Cancelar',
+    delete: 'Eliminar',
+    dateTime: 'Fecha y hora',
+    notes: 'Notas',
+    optional: 'Opcional',
+    edit: 'Editar',
+    save: 'Guardar',
+    settingsFailed: 'No se pudo actualizar tu configuración',
+  },
+  validation: {
+    emailRequired: 'El correo electrónico es obligatorio',
+    passwordRequired: 'La contraseña es obligatoria',
+    nameRequired: 'El nombre es obligatorio',
+    emailInvalid: 'Introduce un correo electrónico válido',
+    passwordTooShort: {
+      one: 'La contraseña debe tener al menos {count} carácter',
+      other: 'La contraseña debe tener al menos {count} caracteres',
+    },
+    passwordsDoNotMatch: 'Las contraseñas no coinciden',
+    diabetesTypeRequired: 'Selecciona tu tipo de diabetes',
+    dateTimeFormat: 'Introduce la fecha y la hora como AAAA-MM-DD HH:MM',
+    nameTooLong: {
+      one: 'El nombre debe tener como máximo {count} carácter',
+      other: 'El nombre debe tener como máximo {count} caracteres',
+    },
+    required: 'Este campo es obligatorio',
+    numberRange: 'Introduce un número entre {min} y {max}',
+    passwordCommon: 'Esta contraseña es demasiado fácil de adivinar. Evita contraseñas comunes y tu nombre o correo',
+    passwordWeak: 'Elige una contraseña más segura: hazla más larga o combina letras, números y símbolos',
+    regimenInvalid: 'Este tratamiento no corresponde al tipo de diabetes seleccionado',
+    mealTimeFormat: 'Introduce la hora como HH:MM, p. ej. 07:30',
+    strength: {
+      label: 'Seguridad de la contraseña: {level}',
+      levels: {
+        veryWeak: 'Muy débil',
+        weak: 'Débil',
+        fair: 'Aceptable',
+        good: 'Buena',
+        strong: 'Fuerte',
+      },
+      checks: {
+        length: 'Al menos {count} caracteres',
+        mixedCase: 'Mayúsculas y minúsculas',
+        digit: 'Un número',
+        symbol: 'Un símbolo',
+      },
+    },
+  },
+  tabs: {
+    home: 'Inicio',
+    food: 'Alimentos',
+    log: 'Registro',
+    trends: 'Tendencias',
+    profile: 'Perfil',
+  },
+  titles: {
+    foodSearch: 'Buscar IG de alimentos',
+    mealLog: 'Registro de comidas',
+    logMeal: 'Registrar una comida',
+    editMeal: 'Editar comida',
+    recordGlucose: 'Registrar glucosa',
+    editReading: 'Editar lectura',
+    history: 'Historial',
+    cgmImport: 'Importar datos del MCG',
+    mealPlan: 'Plan de comidas',
+    insights: 'Mis respuestas a los alimentos',
+    profile: 'Editar perfil',
+  },
+  login: {
+    subtitle: 'Inicia sesión en tu cuenta',
+    passwordPlaceholder: 'Introduce tu contraseña',
+    forgotPassword: '¿Olvidaste tu contraseña?',
+    submit: 'Iniciar sesión',
+    divider: 'o',
+    google: 'Continuar con Google',
+    apple: 'Iniciar sesión con Apple',
+    guest: 'Probar sin una cuenta',
+    noAccount: '¿No tienes una cuenta?',
+    signUp: 'Regístrate',
+    errorTitle: 'Error al iniciar sesión',
+    failed: 'No se pudo iniciar sesión',
+    signInErrorTitle: 'Error al iniciar sesión',
+    signInFailed: 'No se pudo iniciar sesión',
+    accountExists: 'Ya existe una cuenta para {email}. Inicia sesión con {methods} para vincularla a esta cuenta.',
+    thisEmail: 'este correo',
+    or: ' o ',
+    playServicesUnavailable: 'Google Play Services no está disponible en este dispositivo',
+    providers: {
+      password: 'tu correo y contraseña',
+      google: 'Google',
+      apple: 'Apple',
+      original: 'tu método original',
+    },
+  },
+  register: {
+    subtitle: 'Crea tu cuenta',
+    name: 'Nombre completo',
+    namePlaceholder: 'Introduce tu nombre completo',
+    passwordPlaceholder: 'Crea una contraseña',
+    confirmPassword: 'Confirmar contraseña',
+    confirmPasswordPlaceholder: 'Confirma tu contraseña',
+    submit: 'Crear cuenta',
+    haveAccount: '¿Ya tienes una cuenta?',
+    errorTitle: 'Error de registro',
+    failed: 'No se pudo crear la cuenta',
+  },
+  forgotPassword: {
+    title: 'Restablecer contraseña',
+    subtitle: 'Introduce tu correo electrónico y te enviaremos un enlace para restablecer tu contraseña',
+    submit: 'Enviar enlace',
+    sentTitle: '¡Correo enviado!',
+    sentMessage: 'Te hemos enviado un enlace para restablecer la contraseña. Revisa tu bandeja de entrada y sigue las instrucciones.',
+    backToLogin: 'Volver al inicio de sesión',
+    errorTitle: 'Error al restablecer la contraseña',
+    failed: 'No se pudo enviar el correo para restablecer la contraseña',
+  },
+  verifyEmail: {
+    title: 'Verifica tu correo',
+    linkSentBefore: 'Hemos enviado un enlace de verificación a ',
+    linkSentAfter: '. Ábrelo para terminar de configurar tu cuenta.',
+    confirm: 'Ya he verificado mi correo',
+    resend: 'Reenviar correo',
+    resendIn: 'Reenviar correo ({seconds} s)',
+    differentAccount: 'Usar otra cuenta',
+    sentTitle: 'Correo enviado',
+    sentMessage: 'Hemos enviado un nuevo enlace de verificación a {email}',
+    notVerifiedTitle: 'Aún no verificado',
+    notVerifiedMessage: 'Todavía no hemos podido confirmar tu correo. Abre el enlace del correo que te enviamos y vuelve a intentarlo.',
+    errorTitle: 'Error de verificación',
+    sendFailed: 'No se pudo enviar el correo de verificación',
+    checkFailed: 'No se pudo comprobar el estado de la verificación',
+  },
+  onboarding: {
+    title: 'Configura GI Tracker',
+    intro: 'Unas preguntas para adaptar tus objetivos y análisis. Puedes cambiar todo esto más tarde en tu perfil.',
+    stepCount: 'Paso {current} de {total}',
+    back: 'Atrás',
+    next: 'Siguiente',
+    finish: 'Terminar',
+    diabetesTypeTitle: '¿Qué tipo de diabetes tienes?',
+    regimenTitle: '¿Cómo controlas tu diabetes?',
+    regimenHint: 'Elige tu tratamiento principal. Solo se piden los ajustes de insulina si usas insulina.',
+    regimenRequired: 'Elige cómo controlas tu diabetes',
+    unitsTitle: '¿Qué unidad muestra tu glucómetro?',
+    unitsHint: 'Las lecturas y los objetivos se muestran en esta unidad.',
+    targetsTitle: 'Tu rango objetivo',
+    targetsHint: 'El rango habitual ({type}) es {low}–{high} {unit}. Usa el rango que te indicó tu equipo médico si es distinto.',
+    targetsHintGestational: 'Durante el embarazo los objetivos son más estrictos: el rango habitual es {low}–{high} {unit}. Usa el rango que te indicó tu equipo médico si es distinto.',
+    insulinTitle: 'Ajustes de insulina',
+    insulinHint: 'Opcional. Déjalos en blanco si no estás seguro y añádelos más tarde en tu perfil.',
+    mealTimesTitle: '¿A qué hora sueles comer?',
+    mealTimesHint: 'Se usa para elegir el tipo de comida al registrarla. Introduce horas en formato de 24 horas.',
+    saveFailed: 'No se pudieron guardar tus respuestas',
+  },
+  home: {
+    welcome: '¡Hola, {name}!',
+    defaultName: 'usuario',
+    subtitle: 'Controla el índice glucémico de tus alimentos y gestiona mejor tu diabetes',
+    profileTitle: 'Tu perfil',
+    nameLabel: 'Nombre:',
+    emailLabel: 'Correo:',
+    diabetesTypeLabel: 'Tipo de diabetes:',
+    editProfile: 'Editar perfil',
+    actionsTitle: '¿Qué quieres hacer?',
+    searchFood: 'Buscar IG de alimentos',
+    logMeal: 'Registrar una comida',
+    recordGlucose: 'Registrar glucosa',
+    viewHistory: 'Ver historial',
+    importCgm: 'Importar datos del MCG',
+    planMeals: 'Planificar mi semana',
+    foodResponses: 'Mis respuestas a los alimentos',
+    logout: 'Cerrar sesión',
+    trendsTitle: 'Tendencias de glucosa',
+    periodDays: {
+      one: '{count} día',
+      other: '{count} días',
+    },
+    targetRange: 'Tu rango objetivo: {low}–{high} {unit}',
+    noReadings: 'No hay lecturas de glucosa en este periodo. Registra tu glucosa para ver tu tiempo en rango y tus tendencias.',
+    metricsFailed: 'No se pudieron cargar tus tendencias de glucosa',
+    percent: '{value} %',
+    ranges: {
+      veryHigh: 'Muy alta',
+      high: 'Alta',
+      inRange: 'En rango',
+      low: 'Baja',
+      veryLow: 'Muy baja',
+    },
+    rangeGoal: 'La mayoría busca más del 70 % en rango y menos del 4 % en bajas.',
+    stats: {
+      mean: 'Glucosa media ({unit})',
+      gmi: 'GMI (HbA1c estimada)',
+      cv: 'Variabilidad (CV, objetivo ≤{limit} %)',
+      readings: {
+        one: 'Lectura',
+        other: 'Lecturas',
+      },
+    },
+    gmiCaveat: {
+      one: 'El GMI solo es una estimación fiable de la HbA1c con lecturas de al menos {count} día.',
+      other: 'El GMI solo es una estimación fiable de la HbA1c con lecturas de al menos {count} días.',
+    },
+    agp: {
+      title: 'Patrón diario de glucosa',
+      description: 'Tus lecturas por hora del día: la línea es la mediana y las bandas muestran dónde cae la mayoría de lecturas.',
+      median: 'Mediana',
+      interquartile: '25–75 %',
+      outer: '5–95 %',
+    },
+  },
+  food: {
+    searchPlaceholder: 'Busca alimentos, p. ej. arroz integral',
+    serving: 'Ración: {description} ({grams} g)',
+    personalGi: {
+      one: 'Tu IG: {gi} ({low}–{high}, {count} comida)',
+      other: 'Tu IG: {gi} ({low}–{high}, {count} comidas)',
+    },
+    noResults: 'No se encontraron alimentos para «{query}»',
+    bands: {
+      low: 'IG bajo',
+      medium: 'IG medio',
+      high: 'IG alto',
+    },
+  },
+  meals: {
+    add: 'Añadir comida',
+    empty: 'Aún no has registrado comidas',
+    carbs: 'Carbohidratos: {grams} g',
+    glycemicLoad: 'CG: {value}',
+    deleteTitle: 'Eliminar comida',
+    deleteConfirm: '¿Seguro que quieres eliminar esta comida?',
+    loadFailed: 'No se pudieron cargar tus comidas',
+    deleteFailed: 'No se pudo eliminar la comida',
+  },
+  mealEdit: {
+    mealType: 'Tipo de comida',
+    addFood: 'Añadir alimento',
+    searchPlaceholder: 'Buscar alimentos',
+    gi: 'IG {value}',
+    totalCarbs: 'Carbohidratos totales: {grams} g',
+    totalGlycemicLoad: 'Carga glucémica: {value}',
+    save: 'Guardar comida',
+    noFoods: 'Añade al menos un alimento',
+    invalidQuantity: 'Introduce una cantidad mayor que cero para cada alimento',
+    loadFailed: 'No se pudo cargar la comida',
+    saveFailed: 'No se pudo guardar la comida',
+    swapsTitle: 'Alternativas de IG más bajo',
+    swapsSaving: 'Con los mejores cambios, la carga glucémica de esta comida podría bajar {value}',
+    swapFrom: 'En lugar de {name} (CG {gl})',
+    swapDetails: '{quantity} {unit} · IG {gi} · {carbs} g de carbohidratos · CG {gl} (−{saving})',
+    swapPersonalGi: 'Usa tu IG personal',
+    swapRespondsBetter: 'Tu glucosa ha subido menos después de este alimento',
+    swap: 'Cambiar',
+  },
+  mealPlan: {
+    weekOf: 'Semana del {date}',
+    glycemicLoad: 'Carga glucémica',
+    carbs: 'Carbohidratos (g)',
+    budgetValue: '{total} / {budget}',
+    overBudget: 'Este día supera tu límite diario',
+    overBudgetTitle: 'Límite superado',
+    overBudgetMessage: 'Con esto el día llega a una carga glucémica de {glycemicLoad} (límite {glBudget}) y {carbs} g de carbohidratos (límite {carbBudget} g). ¿Añadirlo de todos modos?',
+    addAnyway: 'Añadir igualmente',
+    addTo: 'Añadir alimento a',
+    mealTotals: 'CG {glycemicLoad} · {carbs} g de carbohidratos',
+    nothingPlanned: 'Nada planificado',
+    logMeal: 'Registrar esta comida',
+    logged: '✓ Registrada',
+    showSwaps: 'Alternativas de IG más bajo (CG −{value})',
+    hideSwaps: 'Ocultar alternativas',
+    shoppingList: 'Lista de la compra',
+    shoppingItem: '{name}, unos {grams} g',
+    shoppingEmpty: 'Planifica algunas comidas para crear una lista de la compra',
+    shareShoppingList: 'Compartir lista de la compra',
+    show: 'Mostrar',
+    hide: 'Ocultar',
+    loadFailed: 'No se pudo cargar el plan de comidas',
+    saveFailed: 'No se pudo guardar el plan de comidas',
+    logFailed: 'No se pudo registrar la comida',
+  },
+  glucose: {
+    value: 'Glucosa en sangre',
+    placeholder: 'p. ej. {example}',
+    validRange: 'Rango válido: {min}–{max} {unit}',
+    context: '¿Cuándo se tomó?',
+    linkedMeal: 'Comida vinculada (opcional)',
+    save: 'Guardar lectura',
+    deleteTitle: 'Eliminar lectura',
+    deleteConfirm: '¿Seguro que quieres eliminar esta lectura?',
+    valueRequired: 'Introduce tu valor de glucosa en sangre',
+    outOfRange: 'Introduce un valor entre {min} y {max} {unit}',
+    futureReading: 'Las lecturas no pueden ser futuras',
+    confirmTitle: 'Comprueba tu lectura',
+    confirmLow: '{value} {unit} es inusualmente bajo. ¿Es correcto?',
+    confirmHigh: '{value} {unit} es inusualmente alto. ¿Es correcto?',
+    loadFailed: 'No se pudo cargar la lectura',
+    saveFailed: 'No se pudo guardar la lectura',
+    deleteFailed: 'No se pudo eliminar la lectura',
+  },
+  history: {
+    types: {
+      all: 'Todo',
+      meal: 'Comidas',
+      glucose: 'Glucosa',
+    },
+    ranges: {
+      all: 'Todo',
+      days: {
+        one: '{count} día',
+        other: '{count} días',
+      },
+    },
+    mealSummary: 'Carbohidratos {grams} g · CG {gl}',
+    empty: 'No hay registros en este periodo',
+    loadFailed: 'No se pudo cargar tu historial',
+  },
+  cgmImport: {
+    title: 'Importar desde tu MCG',
+    description: 'Importa las lecturas de glucosa de una exportación CSV. Las lecturas que ya tienes se omiten, así que puedes importar exportaciones que se solapen.',
+    dexcomSteps: 'Dexcom: en Dexcom Clarity abre Exportar, elige el rango de fechas y guarda el archivo CSV.',
+    libreSteps: 'FreeStyle Libre: en LibreView abre Historial de glucosa, elige Descargar datos de glucosa y guarda el archivo CSV.',
+    pick: 'Elegir archivo CSV',
+    pickAnother: 'Importar otro archivo',
+    reading: 'Leyendo el archivo…',
+    progress: 'Guardando lecturas… {written} de {total}',
+    failed: 'No se pudo importar el archivo',
+    summaryTitle: 'Resumen de la importación',
+    fileInfo: '{name} · {source}',
+    sources: {
+      dexcom: 'Dexcom Clarity',
+      libre: 'FreeStyle LibreView',
+    },
+    imported: 'Lecturas nuevas',
+    range: 'Del {from} al {to}',
+    skipped: 'Filas omitidas',
+    malformed: 'Filas con errores',
+    skipReasons: {
+      duplicate: 'Ya importada',
+      notGlucose: 'No es una lectura de glucosa',
+    },
+    malformedReasons: {
+      timestamp: 'Fecha u hora no válida',
+      value: 'Valor de glucosa no válido',
+      outOfRange: 'Valor de glucosa fuera de rango',
+    },
+    rows: 'Filas {rows}',
+    moreRows: {
+      one: ' y {count} más',
+      other: ' y {count} más',
+    },
+    viewHistory: 'Ver historial',
+  },
+  insights: {
+    title: 'Cómo te afectan los alimentos',
+    basedOn: {
+      one: 'Basado en {count} comida de los últimos 90 días con una lectura justo antes de comer y al menos dos lecturas en las 3 horas siguientes.',
+      other: 'Basado en {count} comidas de los últimos 90 días con una lectura justo antes de comer y al menos dos lecturas en las 3 horas siguientes.',
+    },
+    best: 'Los más suaves con tu glucosa',
+    worst: 'Los mayores picos',
+    notEnoughData: 'Aún no hay suficientes datos. Mide tu glucosa antes de una comida y de nuevo 1 y 2 horas después para ver qué alimentos te sientan mejor.',
+    byMealType: 'Por tipo de comida',
+    mealCount: {
+      one: '{count} comida',
+      other: '{count} comidas',
+    },
+    peakDelta: '+{value} mg/dL',
+    personalGi: 'IG personal',
+    personalGiDescription: 'Calcula tu propio IG para los alimentos que comes a menudo; se muestra junto al IG publicado en la búsqueda de alimentos.',
+    referenceMeal: 'Comida de referencia',
+    referenceNeeded: {
+      one: 'Registra {count} comida de referencia más de {food} sola, con lecturas de glucosa antes y después, para empezar a calcular.',
+      other: 'Registra {count} comidas de referencia más de {food} solas, con lecturas de glucosa antes y después, para empezar a calcular.',
+    },
+    foodSamplesNeeded: {
+      one: 'Los alimentos necesitan al menos {count} comida en la que aporten la mayoría de los carbohidratos antes de mostrar una estimación.',
+      other: 'Los alimentos necesitan al menos {count} comidas en las que aporten la mayoría de los carbohidratos antes de mostrar una estimación.',
+    },
+    confidenceInterval: {
+      one: 'IC 95 % {low}–{high} · {count} comida',
+      other: 'IC 95 % {low}–{high} · {count} comidas',
+    },
+    versus: ' frente a {gi}',
+    loadFailed: 'No se pudieron analizar tus datos',
+  },
+  profile: {
+    guestTitle: 'Guarda tus datos',
+    guestHint: 'Estás usando GI Tracker como invitado. Crea una cuenta para conservar tus comidas y lecturas si cambias de teléfono o reinstalas la app.',
+    accountCreatedTitle: 'Cuenta creada',
+    accountCreatedMessage: 'Tus datos ya están guardados en tu cuenta',
+    createAccountErrorTitle: 'Error al crear la cuenta',
+    createAccountFailed: 'No se pudo crear tu cuenta',
+    personalDetails: 'Datos personales',
+    birthdate: 'Fecha de nacimiento',
+    birthdateFormat: 'Introduce tu fecha de nacimiento como AAAA-MM-DD',
+    birthdateInvalid: 'Introduce una fecha de nacimiento válida',
+    clinicalSettings: 'Ajustes clínicos',
+    treatment: 'Tratamiento',
+    preferredUnit: 'Unidad de glucosa preferida',
+    targetLow: 'Límite inferior del objetivo ({unit})',
+    targetHigh: 'Límite superior del objetivo ({unit})',
+    insulinToCarbRatio: 'Ratio insulina/carbohidratos (g por unidad)',
+    insulinToCarbRatioPlaceholder: 'Opcional, p. ej. 10',
+    correctionFactor: 'Factor de corrección ({unit} por unidad)',
+    rangeError: 'Introduce un valor entre {min}–{max} {unit}',
+    targetOrder: 'El límite superior debe ser mayor que el inferior',
+    ratioError: 'Introduce {min}–{max} gramos por unidad',
+    correctionFactorError: 'Introduce un valor entre {min}–{max} {unit} por unidad',
+    dailyGlBudget: 'Límite diario de carga glucémica',
+    dailyCarbBudget: 'Límite diario de carbohidratos (g)',
+    budgetHint: 'El planificador de comidas te avisa cuando un día supera estos límites.',
+    budgetError: 'Introduce un valor entre {min}–{max}',
+    save: 'Guardar perfil',
+    savedTitle: 'Perfil actualizado',
+    savedMessage: 'Tu perfil se ha guardado',
+    saveFailed: 'No se pudo actualizar tu perfil',
+    changePassword: 'Cambiar contraseña',
+    currentPassword: 'Contraseña actual',
+    currentPasswordPlaceholder: 'Introduce tu contraseña actual',
+    currentPasswordRequired: 'Introduce tu contraseña actual',
+    newPassword: 'Nueva contraseña',
+    newPasswordPlaceholder: 'Crea una nueva contraseña',
+    confirmNewPassword: 'Confirmar nueva contraseña',
+    confirmNewPasswordPlaceholder: 'Confirma tu nueva contraseña',
+    passwordChangedTitle: 'Contraseña cambiada',
+    passwordChangedMessage: 'Tu contraseña se ha actualizado',
+    changePasswordErrorTitle: 'Error al cambiar la contraseña',
+    changePasswordFailed: 'No se pudo cambiar la contraseña',
+    security: 'Seguridad',
+    appLockOn: 'Bloqueo de la app: activado',
+    appLockOff: 'Bloqueo de la app: desactivado',
+    integrations: 'Integraciones',
+    nightscoutOn: 'Nightscout: conectado',
+    nightscoutOff: 'Conectar Nightscout',
+    language: 'Idioma',
+    deviceLanguage: 'Idioma del dispositivo',
+    yourData: 'Tus datos',
+    exportHint: 'Descarga una copia de tu perfil, comidas y lecturas de glucosa en formato JSON.',
+    export: 'Exportar mis datos',
+    exportTitle: 'Exportación de datos de GI Tracker',
+    exportFailed: 'No se pudieron exportar tus datos',
+    deleteHint: 'Al eliminar tu cuenta se borran todos tus datos de GI Tracker.',
+    deletePasswordPlaceholder: 'Introduce tu contraseña para confirmar',
+    deletePasswordRequired: 'Introduce tu contraseña para eliminar tu cuenta',
+    deleteAccount: 'Eliminar cuenta',
+    deleteAccountConfirm: 'Esto elimina de forma permanente tu cuenta, tus comidas y tus lecturas de glucosa. No se puede deshacer.',
+    deleteAccountErrorTitle: 'Error al eliminar la cuenta',
+    deleteAccountFailed: 'No se pudo eliminar tu cuenta',
+  },
+  appLock: {
+    title: 'Bloqueo de la app',
+    setPin: 'Crear un PIN',
+    changePin: 'Cambiar PIN',
+    hint: 'Pide un PIN cada vez que se abra GI Tracker, para que tus datos de salud sigan siendo privados si otra persona tiene tu teléfono.',
+    currentPin: 'PIN actual',
+    newPin: 'Nuevo PIN (4-8 dígitos)',
+    confirmPin: 'Confirmar nuevo PIN',
+    turnOn: 'Activar bloqueo',
+    turnOff: 'Desactivar bloqueo',
+    unlocking: 'Desbloqueo',
+    useBiometrics: 'Desbloquear con biometría',
+    biometricPrompt: 'Desbloquear GI Tracker',
+    usePin: 'Usar PIN',
+    relockAfter: 'Volver a bloquear tras salir de la app',
+    immediately: 'Inmediatamente',
+    minutes: {
+      one: '{count} minuto',
+      other: '{count} minutos',
+    },
+    incorrectPinTitle: 'PIN incorrecto',
+    tooManyAttempts: 'Demasiados intentos fallidos. Inténtalo más tarde',
+    incorrectCurrentPin: {
+      one: 'El PIN actual es incorrecto. Queda {count} intento',
+      other: 'El PIN actual es incorrecto. Quedan {count} intentos',
+    },
+    pinFormat: 'El PIN debe tener de 4 a 8 dígitos',
+    pinsDoNotMatch: 'Los PIN no coinciden',
+    pinChanged: 'Tu PIN se ha cambiado',
+    turnedOn: 'El bloqueo de la app está activado',
+    currentPinRequired: 'Introduce tu PIN actual para desactivar el bloqueo',
+    saveFailed: 'No se pudo guardar tu PIN',
+    turnOffFailed: 'No se pudo desactivar el bloqueo',
+    lockedTitle: 'GI Tracker está bloqueado',
+    enterPin: 'Introduce tu PIN para continuar',
+    unlock: 'Desbloquear',
+    tryAgainIn: 'Inténtalo de nuevo en {seconds} s',
+    incorrectPin: {
+      one: 'PIN incorrecto. Queda {count} intento',
+      other: 'PIN incorrecto. Quedan {count} intentos',
+    },
+    lockedOut: 'Demasiados intentos fallidos',
+    useMethod: 'Usar {method}',
+    biometry: {
+      faceId: 'Face ID',
+      touchId: 'Touch ID',
+      fingerprint: 'huella dactilar',
+      other: 'biometría',
+    },
+    forgotPin: '¿Olvidaste el PIN?',
+    forgotPinTitle: 'PIN olvidado',
+    forgotPinMessage: 'Cierra sesión y vuelve a iniciarla con tu cuenta para restablecer el bloqueo de la app.',
+    logOut: 'Cerrar sesión',
+    checkFailed: 'No se pudo comprobar tu PIN',
+  },
+  nightscout: {
+    title: 'Nightscout',
+    siteTitle: 'Tu sitio de Nightscout',
+    hint: 'Trae la glucosa de tu sensor desde Nightscout y envía allí tus comidas registradas como tratamientos de carbohidratos.',
+    url: 'Dirección del sitio',
+    urlPlaceholder: 'https://tu-sitio.example.com',
+    urlInvalid: 'Introduce la dirección completa de tu sitio, empezando por https://',
+    apiSecret: 'API secret',
+    secretSaved: 'Guardado. Déjalo vacío para conservarlo o escribe uno nuevo para sustituirlo.',
+    secretRequired: 'Introduce el API_SECRET configurado en tu sitio de Nightscout',
+    secretLength: {
+      one: 'El API secret tiene al menos {count} carácter',
+      other: 'El API secret tiene al menos {count} caracteres',
+    },
+    save: 'Guardar y probar conexión',
+    connected: 'Conectado a {name}',
+    connectFailed: 'No se pudo conectar con tu sitio de Nightscout',
+    syncTitle: 'Sincronización',
+    syncHint: 'Cada sincronización solo transfiere lo nuevo desde la anterior. Las comidas se envían una vez; los cambios posteriores no.',
+    lastSync: 'Última sincronización: {date}',
+    neverSynced: 'Aún no se ha sincronizado. La primera sincronización abarca los últimos 30 días.',
+    syncNow: 'Sincronizar ahora',
+    syncResult: 'Se añadieron {readings} y se enviaron {meals}',
+    readingCount: {
+      one: '{count} lectura',
+      other: '{count} lecturas',
+    },
+    mealCount: {
+      one: '{count} comida',
+      other: '{count} comidas',
+    },
+    syncFailed: 'No se pudo sincronizar con Nightscout',
+    disconnect: 'Desconectar',
+    disconnectTitle: '¿Desconectar Nightscout?',
+    disconnectMessage: 'Las lecturas ya importadas se quedan en tu registro.',
+  },
+  sync: {
+    pending: '{count} pendientes',
+    offline: 'Sin conexión',
+    offlinePending: 'Sin conexión · {count} pendientes',
+    syncing: 'Sincronizando {count}…',
+    unsyncedTitle: 'Cambios sin sincronizar',
+    unsyncedMessage: {
+      one: '{count} cambio aún no se ha guardado en el servidor. Se perderá si cierras sesión ahora.',
+      other: '{count} cambios aún no se han guardado en el servidor. Se perderán si cierras sesión ahora.',
+    },
+    logOutAnyway: 'Cerrar sesión igualmente',
+    dropped: {
+      one: '{count} cambio sin guardar',
+      other: '{count} cambios sin guardar',
+    },
+    droppedTitle: 'Cambios sin guardar',
+    droppedMessage: {
+      one: 'El servidor rechazó {count} cambio hecho sin conexión y se descartó. Revisa tus registros recientes.',
+      other: 'El servidor rechazó {count} cambios hechos sin conexión y se descartaron. Revisa tus registros recientes.',
+    },
+  },
+  errors: {
+    invalidEmail: 'Formato de correo no válido',
+    userNotFound: 'No hay ninguna cuenta con este correo',
+    wrongPassword: 'Contraseña incorrecta',
+    invalidCredential: 'Correo o contraseña incorrectos',
+    userDisabled: 'Esta cuenta se ha desactivado',
+    emailInUse: 'Este correo ya está en uso',
+    credentialInUse: 'Esta cuenta ya está en uso. Cierra sesión e inicia sesión con ella',
+    providerLinked: 'Este método de inicio de sesión ya está vinculado a tu cuenta',
+    accountExists: 'Ya existe una cuenta con este correo que usa otro método de inicio de sesión',
+    weakPassword: 'La contraseña es demasiado débil',
+    recentLogin: 'Vuelve a iniciar sesión para continuar',
+    reauthFailed: 'Tu contraseña actual es incorrecta',
+    sessionExpired: 'Tu sesión ha caducado. Vuelve a iniciar sesión',
+    notAllowed: 'Este método de inicio de sesión no está habilitado',
+    linkExpired: 'Este enlace ha caducado. Solicita uno nuevo',
+    linkInvalid: 'Este enlace no es válido o ya se ha usado',
+    tooManyRequests: 'Demasiados intentos',
+    network: 'Error de red',
+    server: 'Algo ha fallado por nuestra parte',
+    permissionDenied: 'No tienes permiso para hacer eso',
+    notFound: 'Este elemento ya no existe',
+    alreadyExists: 'Este elemento ya existe',
+    invalidData: 'Algunos datos no son válidos',
+    offline: 'No se puede conectar con el servidor',
+    timeout: 'La solicitud ha tardado demasiado',
+    conflict: 'Los datos cambiaron mientras se guardaban',
+    quota: 'Demasiadas solicitudes',
+    cancelled: 'La solicitud se ha cancelado',
+    unknown: 'Algo ha salido mal',
+    importFormat: 'Este archivo no es una exportación CSV de Dexcom Clarity o LibreView',
+    nightscoutUrl: 'La dirección de Nightscout no es válida',
+    nightscoutUnauthorized: 'Nightscout no aceptó el API secret',
+    nightscoutUnreachable: 'No se puede acceder a tu sitio de Nightscout',
+    nightscoutServer: 'Tu sitio de Nightscout devolvió un error',
+    pendingWrites: 'Algunos cambios aún no se han guardado en el servidor',
+    hints: {
+      network: 'Comprueba tu conexión a internet y vuelve a intentarlo.',
+      later: 'Espera unos minutos y vuelve a intentarlo.',
+      again: 'Vuelve a intentarlo.',
+    },
+    withHint: '{message}. {hint}',
+  },
+  dates: {
+    monthsShort: ['ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sept', 'oct', 'nov', 'dic'],
+    weekdaysShort: ['dom', 'lun', 'mar', 'mié', 'jue', 'vie', 'sáb'],
+    dateTime: '{day} {month}, {time}',
+    dayHeading: '{weekday}, {day} {month}',
+    today: 'Hoy',
+    yesterday: 'Ayer',
+  },
+  diabetesTypes: {
+    'Type 1': 'Tipo 1',
+    'Type 2': 'Tipo 2',
+    Gestational: 'Gestacional',
+    Prediabetes: 'Prediabetes',
+  },
+  regimens: {
+    diet_only: 'Solo dieta y ejercicio',
+    oral_meds: 'Pastillas o medicación sin insulina',
+    basal_bolus: 'Inyecciones de insulina',
+    pump: 'Bomba de insulina',
+  },
+  mealTypes: {
+    breakfast: 'Desayuno',
+    lunch: 'Almuerzo',
+    dinner: 'Cena',
+    snack: 'Tentempié',
+  },
+  foodCategories: {
+    fruits: 'Frutas',
+    vegetables: 'Verduras',
+    'starchy-vegetables': 'Tubérculos y verduras feculentas',
+    bread: 'Pan',
+    grains: 'Cereales en grano y arroz',
+    pasta: 'Pasta y fideos',
+    cereals: 'Cereales de desayuno',
+    legumes: 'Legumbres',
+    dairy: 'Lácteos',
+    snacks: 'Aperitivos',
+    sweets: 'Dulces',
+    beverages: 'Bebidas',
+  },
+  readingContexts: {
+    fasting: 'En ayunas',
+    pre_meal: 'Antes de comer',
+    post_meal_1h: '1 h después de comer',
+    post_meal_2h: '2 h después de comer',
+    bedtime: 'Al acostarse',
+    cgm: 'Sensor MCG',
+  },
+  units: {
+    g: 'g',
+    kg: 'kg',
+    oz: 'oz',
+    lb: 'lb',
+    cup: 'taza',
+    tbsp: 'cda',
+    tsp: 'cdta',
+    ml: 'ml',
+    piece: 'pieza',
+    slice: 'rebanada',
+    serving: 'ración',
+  },
+};
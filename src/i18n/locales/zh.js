@@ -0,0 +1,656 @@
+// Simplified Chinese strings. Chinese has no plural forms, so plural
+// entries only define "other".
+export default {
+  common: {
+    appName: 'GI Tracker',
+    error: '错误',
+    email: '电子邮箱',
+    emailPlaceholder: '输入你的电子邮箱',
+    password: '密码',
+    diabetesType: '糖尿病类型',
+    logoutFailed: '退出登录失败',
+    notSet: '未设置',
+    cancel: '取消',
+    delete: '删除',
+    dateTime: '日期和时间',
+    notes: '备注',
+    optional: '可选',
+    edit: '修改',
+    save: '保存',
+    settingsFailed: '更新设置失败',
+  },
+  validation: {
+    emailRequired: '请输入电子邮箱',
+    passwordRequired: '请输入密码',
+    nameRequired: '请输入姓名',
+    emailInvalid: '请输入有效的电子邮箱地址',
+    passwordTooShort: {
+      other: '密码至少需要 {count} 个字符',
+    },
+    passwordsDoNotMatch: '两次输入的密码不一致',
+    diabetesTypeRequired: '请选择你的糖尿病类型',
+    dateTimeFormat: '请按 YYYY-MM-DD HH:MM 格式输入日期和时间',
+    nameTooLong: {
+      other: '姓名不能超过 {count} 个字符',
+    },
+    required: '此项为必填项',
+    numberRange: '请输入 {min} 到 {max} 之间的数字',
+    passwordCommon: '此密码太容易被猜到。请避免使用常见密码以及你的姓名或邮箱',
+    passwordWeak: '请设置更安全的密码：加长密码，或组合使用字母、数字和符号',
+    regimenInvalid: '此治疗方式不适用于所选的糖尿病类型',
+    mealTimeFormat: '请按 HH:MM 格式输入时间，例如 07:30',
+    strength: {
+      label: '密码强度：{level}',
+      levels: {
+        veryWeak: '很弱',
+        weak: '弱',
+        fair: '一般',
+        good: '良好',
+        strong: '强',
+      },
+      checks: {
+        length: '至少 {count} 个字符',
+        mixedCase: '包含大写和小写字母',
+        digit: '包含数字',
+        symbol: '包含符号',
+      },
+    },
+  },
+  tabs: {
+    home: '首页',
+    food: '食物',
+    log: '记录',
+    trends: '趋势',
+    profile: '我的',
+  },
+  titles: {
+    foodSearch: '查询食物 GI',
+    mealLog: '饮食记录',
+    logMeal: '记录一餐',
+    editMeal: '编辑餐食',
+    recordGlucose: '记录血糖',
+    editReading: '编辑读数',
+    history: '历史记录',
+    cgmImport: '导入 CGM 数据',
+    mealPlan: '膳食计划',
+    insights: '我的食物反应',
+    profile: '编辑资料',
+  },
+  login: {
+    subtitle: '登录你的账户',
+    passwordPlaceholder: '输入你的密码',
+    forgotPassword: '忘记密码？',
+    submit: '登录',
+    divider: '或',
+    google: '使用 Google 继续',
+    apple: '通过 Apple 登录',
+    guest: '不注册，先试用',
+    noAccount: '还没有账户？',
+    signUp: '注册',
+    errorTitle: '登录错误',
+    failed: '登录失败',
+    signInErrorTitle: '登录错误',
+    signInFailed: '登录失败',
+    accountExists: '{email} 已有账户。请使用 {methods} 登录，以将其关联到此账户。',
+    thisEmail: '此邮箱',
+    or: ' 或 ',
+    playServicesUnavailable: '此设备上没有可用的 Google Play 服务',
+    providers: {
+      password: '电子邮箱和密码',
+      google: 'Google',
+      apple: 'Apple',
+      original: '原来的方式',
+    },
+  },
+  register: {
+    subtitle: '创建你的账户',
+    name: '姓名',
+    namePlaceholder: '输入你的姓名',
+    passwordPlaceholder: '设置密码',
+    confirmPassword: '确认密码',
+    confirmPasswordPlaceholder: '再次输入密码',
+    submit: '创建账户',
+    haveAccount: '已有账户？',
+    errorTitle: '注册错误',
+    failed: '创建账户失败',
+  },
+  forgotPassword: {
+    title: '重置密码',
+    subtitle: '输入你的电子邮箱，我们会向你发送重置密码的链接',
+    submit: '发送重置链接',
+    sentTitle: '邮件已发送！',
+    sentMessage: '我们已向你的邮箱发送了重置密码的链接。请查收邮件并按照说明重置密码。',
+    backToLogin: '返回登录',
+    errorTitle: '重置密码错误',
+    failed: '发送重置密码邮件失败',
+  },
+  verifyEmail: {
+    title: '验证你的邮箱',
+    linkSentBefore: '我们已向 ',
+    linkSentAfter: ' 发送了验证链接。打开链接即可完成账户设置。',
+    confirm: '我已完成验证',
+    resend: '重新发送邮件',
+    resendIn: '重新发送邮件（{seconds} 秒）',
+    differentAccount: '使用其他账户',
+    sentTitle: '邮件已发送',
+    sentMessage: '我们已向 {email} 发送了新的验证链接',
+    notVerifiedTitle: '尚未验证',
+    notVerifiedMessage: '我们暂时无法确认你的邮箱。请打开我们发送的邮件中的链接，然后重试。',
+    errorTitle: '验证错误',
+    sendFailed: '发送验证邮件失败',
+    checkFailed: '检查验证状态失败',
+  },
+  onboarding: {
+    title: '设置 GI Tracker',
+    intro: '回答几个问题，以便为你定制目标和分析。之后可以随时在个人资料中修改。',
+    stepCount: '第 {current} 步，共 {total} 步',
+    back: '上一步',
+    next: '下一步',
+    finish: '完成',
+    diabetesTypeTitle: '你患的是哪种类型的糖尿病？',
+    regimenTitle: '你如何控制糖尿病？',
+    regimenHint: '选择你的主要治疗方式。只有使用胰岛素时才会询问胰岛素设置。',
+    regimenRequired: '请选择你控制糖尿病的方式',
+    unitsTitle: '你的血糖仪显示哪种单位？',
+    unitsHint: '读数和目标将以此单位显示。',
+    targetsTitle: '你的目标范围',
+    targetsHint: '{type}的常用范围是 {low}–{high} {unit}。如果医护团队给了你不同的范围，请以其为准。',
+    targetsHintGestational: '怀孕期间的目标更严格：常用范围是 {low}–{high} {unit}。如果医护团队给了你不同的范围，请以其为准。',
+    insulinTitle: '胰岛素设置',
+    insulinHint: '可选。如果不确定可以先留空，之后在个人资料中添加。',
+    mealTimesTitle: '你通常什么时候吃饭？',
+    mealTimesHint: '记录餐食时用于自动选择餐次。请输入 24 小时制时间。',
+    saveFailed: '保存你的回答失败',
+  },
+  home: {
+    welcome: '欢迎，{name}！',
+    defaultName: '用户',
+    subtitle: '追踪食物的升糖指数，更好地管理糖尿病',
+    profileTitle: '你的资料',
+    nameLabel: '姓名：',
+    emailLabel: '邮箱：',
+    diabetesTypeLabel: '糖尿病类型：',
+    editProfile: '编辑资料',
+    actionsTitle: '你想做什么？',
+    searchFood: '查询食物 GI',
+    logMeal: '记录一餐',
+    recordGlucose: '记录血糖',
+    viewHistory: '查看历史',
+    importCgm: '导入 CGM 数据',
+    planMeals: '规划本周膳食',
+    foodResponses: '我的食物反应',
+    logout: '退出登录',
+    trendsTitle: '血糖趋势',
+    periodDays: {
+      other: '{count} 天',
+    },
+    targetRange: '你的目标范围：{low}–{high} {unit}',
+    noReadings: '此期间没有血糖记录。记录血糖后即可查看目标范围内时间和趋势。',
+    metricsFailed: '无法加载血糖趋势',
+    percent: '{value}%',
+    ranges: {
+      veryHigh: '非常高',
+      high: '偏高',
+      inRange: '在范围内',
+      low: '偏低',
+      veryLow: '非常低',
+    },
+    rangeGoal: '多数人的目标是 70% 以上时间在范围内，低血糖时间少于 4%。',
+    stats: {
+      mean: '平均血糖（{unit}）',
+      gmi: 'GMI（估算糖化血红蛋白）',
+      cv: '波动性（CV，目标 ≤{limit}%）',
+      readings: {
+        other: '条记录',
+      },
+    },
+    gmiCaveat: {
+      other: '至少有 {count} 天的血糖记录时，GMI 才能可靠地估算糖化血红蛋白。',
+    },
+    agp: {
+      title: '每日血糖模式',
+      description: '按一天中的时间汇总你的血糖：线条为中位数，色带显示大多数读数所在的范围。',
+      median: '中位数',
+      interquartile: '25–75%',
+      outer: '5–95%',
+    },
+  },
+  food: {
+    searchPlaceholder: '搜索食物，例如糙米',
+    serving: '每份：{description}（{grams} 克）',
+    personalGi: {
+      other: '你的 GI：{gi}（{low}–{high}，{count} 餐）',
+    },
+    noResults: '未找到与“{query}”相关的食物',
+    bands: {
+      low: '低 GI',
+      medium: '中 GI',
+      high: '高 GI',
+    },
+  },
+  meals: {
+    add: '添加餐食',
+    empty: '还没有饮食记录',
+    carbs: '碳水：{grams} 克',
+    glycemicLoad: 'GL：{value}',
+    deleteTitle: '删除餐食',
+    deleteConfirm: '确定要删除这餐吗？',
+    loadFailed: '加载饮食记录失败',
+    deleteFailed: '删除餐食失败',
+  },
+  mealEdit: {
+    mealType: '餐次',
+    addFood: '添加食物',
+    searchPlaceholder: '搜索食物',
+    gi: 'GI {value}',
+    totalCarbs: '总碳水：{grams} 克',
+    totalGlycemicLoad: '血糖负荷：{value}',
+    save: '保存餐食',
+    noFoods: '请至少添加一种食物',
+    invalidQuantity: '请为每种食物输入大于零的数量',
+    loadFailed: '加载餐食失败',
+    saveFailed: '保存餐食失败',
+    swapsTitle: '低 GI 替换建议',
+    swapsSaving: '采用最佳替换后，这餐的血糖负荷可降低 {value}',
+    swapFrom: '替换 {name}（GL {gl}）',
+    swapDetails: '{quantity} {unit} · GI {gi} · 碳水 {carbs} 克 · GL {gl}（−{saving}）',
+    swapPersonalGi: '使用您的个人 GI',
+    swapRespondsBetter: '您吃这种食物后血糖上升较少',
+    swap: '替换',
+  },
+  mealPlan: {
+    weekOf: '{date} 这一周',
+    glycemicLoad: '血糖负荷',
+    carbs: '碳水（克）',
+    budgetValue: '{total} / {budget}',
+    overBudget: '这一天超出了您的每日预算',
+    overBudgetTitle: '超出预算',
+    overBudgetMessage: '加入后这一天的血糖负荷为 {glycemicLoad}（预算 {glBudget}），碳水为 {carbs} 克（预算 {carbBudget} 克）。仍要添加吗？',
+    addAnyway: '仍然添加',
+    addTo: '添加食物到',
+    mealTotals: 'GL {glycemicLoad} · 碳水 {carbs} 克',
+    nothingPlanned: '暂无计划',
+    logMeal: '记录这一餐',
+    logged: '✓ 已记录',
+    showSwaps: '低 GI 替换建议（GL −{value}）',
+    hideSwaps: '隐藏替换建议',
+    shoppingList: '购物清单',
+    shoppingItem: '{name}，约 {grams} 克',
+    shoppingEmpty: '规划一些餐食即可生成购物清单',
+    shareShoppingList: '分享购物清单',
+    show: '显示',
+    hide: '隐藏',
+    loadFailed: '加载膳食计划失败',
+    saveFailed: '保存膳食计划失败',
+    logFailed: '记录餐食失败',
+  },
+  glucose: {
+    value: '血糖',
+    placeholder: '例如 {example}',
+    validRange: '有效范围：{min}–{max} {unit}',
+    context: '测量时间',
+    linkedMeal: '关联餐食（可选）',
+    save: '保存读数',
+    deleteTitle: '删除读数',
+    deleteConfirm: '确定要删除这条读数吗？',
+    valueRequired: '请输入血糖值',
+    outOfRange: '请输入 {min} 到 {max} {unit} 之间的数值',
+    futureReading: '读数时间不能晚于现在',
+    confirmTitle: '请检查读数',
+    confirmLow: '{value} {unit} 偏低得不寻常。确定无误吗？',
+    confirmHigh: '{value} {unit} 偏高得不寻常。确定无误吗？',
+    loadFailed: '加载读数失败',
+    saveFailed: '保存读数失败',
+    deleteFailed: '删除读数失败',
+  },
+  history: {
+    types: {
+      all: '全部',
+      meal: '餐食',
+      glucose: '血糖',
+    },
+    ranges: {
+      all: '全部时间',
+      days: {
+        other: '{count} 天',
+      },
+    },
+    mealSummary: '碳水 {grams} 克 · GL {gl}',
+    empty: '这段时间没有记录',
+    loadFailed: '加载历史记录失败',
+  },
+  cgmImport: {
+    title: '从 CGM 导入',
+    description: '从 CSV 导出文件导入血糖读数。已有的读数会被跳过，因此可以导入时间重叠的文件。',
+    dexcomSteps: 'Dexcom：在 Dexcom Clarity 中打开“导出”，选择日期范围并保存 CSV 文件。',
+    libreSteps: 'FreeStyle Libre：在 LibreView 中打开“血糖历史记录”，选择“下载血糖数据”并保存 CSV 文件。',
+    pick: '选择 CSV 文件',
+    pickAnother: '导入其他文件',
+    reading: '正在读取文件…',
+    progress: '正在保存读数…{written}/{total}',
+    failed: '导入文件失败',
+    summaryTitle: '导入摘要',
+    fileInfo: '{name} · {source}',
+    sources: {
+      dexcom: 'Dexcom Clarity',
+      libre: 'FreeStyle LibreView',
+    },
+    imported: '新读数',
+    range: '从 {from} 到 {to}',
+    skipped: '跳过的行',
+    malformed: '格式错误的行',
+    skipReasons: {
+      duplicate: '已导入',
+      notGlucose: '不是血糖读数',
+    },
+    malformedReasons: {
+      timestamp: '日期或时间无效',
+      value: '血糖值无效',
+      outOfRange: '血糖值超出范围',
+    },
+    rows: '第 {rows} 行',
+    moreRows: {
+      other: '，另有 {count} 行',
+    },
+    viewHistory: '查看历史',
+  },
+  insights: {
+    title: '食物对你的影响',
+    basedOn: {
+      other: '基于过去 90 天内的 {count} 餐，每餐在进食前有一次读数，且餐后 3 小时内至少有两次读数。',
+    },
+    best: '对血糖最温和',
+    worst: '升糖最明显',
+    notEnoughData: '数据还不够。请在餐前以及餐后 1 小时和 2 小时记录血糖，看看哪些食物最适合你。',
+    byMealType: '按餐次',
+    mealCount: {
+      other: '{count} 餐',
+    },
+    peakDelta: '+{value} mg/dL',
+    personalGi: '个人 GI',
+    personalGiDescription: '估算你常吃食物的个人 GI，并在食物搜索中显示在公布的 GI 旁边。',
+    referenceMeal: '参照餐',
+    referenceNeeded: {
+      other: '再单独吃 {count} 次{food}作为参照餐，并在餐前餐后记录血糖，即可开始估算。',
+    },
+    foodSamplesNeeded: {
+      other: '某种食物需要至少 {count} 餐作为主要碳水来源，才会显示估算值。',
+    },
+    confidenceInterval: {
+      other: '95% 置信区间 {low}–{high} · {count} 餐',
+    },
+    versus: ' 对比 {gi}',
+    loadFailed: '分析数据失败',
+  },
+  profile: {
+    guestTitle: '保存你的数据',
+    guestHint: '你正在以访客身份使用 GI Tracker。创建账户后，即使换手机或重新安装应用，也能保留你的餐食和读数。',
+    accountCreatedTitle: '账户已创建',
+    accountCreatedMessage: '你的数据已保存到账户中',
+    createAccountErrorTitle: '创建账户错误',
+    createAccountFailed: '创建账户失败',
+    personalDetails: '个人信息',
+    birthdate: '出生日期',
+    birthdateFormat: '请按 YYYY-MM-DD 格式输入出生日期',
+    birthdateInvalid: '请输入有效的出生日期',
+    clinicalSettings: '临床设置',
+    treatment: '治疗方式',
+    preferredUnit: '常用血糖单位',
+    targetLow: '目标范围下限（{unit}）',
+    targetHigh: '目标范围上限（{unit}）',
+    insulinToCarbRatio: '胰岛素碳水比（每单位对应克数）',
+    insulinToCarbRatioPlaceholder: '可选，例如 10',
+    correctionFactor: '校正系数（每单位 {unit}）',
+    rangeError: '请输入 {min}–{max} {unit} 之间的数值',
+    targetOrder: '目标上限必须高于下限',
+    ratioError: '请输入每单位 {min}–{max} 克',
+    correctionFactorError: '请输入每单位 {min}–{max} {unit} 之间的数值',
+    dailyGlBudget: '每日血糖负荷预算',
+    dailyCarbBudget: '每日碳水预算（克）',
+    budgetHint: '当某一天超出这些预算时，膳食计划会提醒您。',
+    budgetError: '请输入 {min}–{max} 之间的数值',
+    save: '保存资料',
+    savedTitle: '资料已更新',
+    savedMessage: '你的资料已保存',
+    saveFailed: '更新资料失败',
+    changePassword: '修改密码',
+    currentPassword: '当前密码',
+    currentPasswordPlaceholder: '输入当前密码',
+    currentPasswordRequired: '请输入当前密码',
+    newPassword: '新密码',
+    newPasswordPlaceholder: '设置新密码',
+    confirmNewPassword: '确认新密码',
+    confirmNewPasswordPlaceholder: '再次输入新密码',
+    passwordChangedTitle: '密码已修改',
+    passwordChangedMessage: '你的密码已更新',
+    changePasswordErrorTitle: '修改密码错误',
+    changePasswordFailed: '修改密码失败',
+    security: '安全',
+    appLockOn: '应用锁：已开启',
+    appLockOff: '应用锁：已关闭',
+    integrations: '集成',
+    nightscoutOn: 'Nightscout：已连接',
+    nightscoutOff: '连接 Nightscout',
+    language: '语言',
+    deviceLanguage: '跟随系统',
+    yourData: '你的数据',
+    exportHint: '以 JSON 格式下载你的资料、餐食和血糖读数副本。',
+    export: '导出我的数据',
+    exportTitle: 'GI Tracker 数据导出',
+    exportFailed: '导出数据失败',
+    deleteHint: '删除账户会从 GI Tracker 中移除你的所有数据。',
+    deletePasswordPlaceholder: '输入密码以确认',
+    deletePasswordRequired: '请输入密码以删除账户',
+    deleteAccount: '删除账户',
+    deleteAccountConfirm: '这将永久删除你的账户、餐食和血糖读数，且无法撤销。',
+    deleteAccountErrorTitle: '删除账户错误',
+    deleteAccountFailed: '删除账户失败',
+  },
+  appLock: {
+    title: '应用锁',
+    setPin: '设置 PIN 码',
+    changePin: '修改 PIN 码',
+    hint: '每次打开 GI Tracker 时要求输入 PIN 码，即使别人拿到你的手机，你的健康数据也能保密。',
+    currentPin: '当前 PIN 码',
+    newPin: '新 PIN 码（4-8 位数字）',
+    confirmPin: '确认新 PIN 码',
+    turnOn: '开启应用锁',
+    turnOff: '关闭应用锁',
+    unlocking: '解锁',
+    useBiometrics: '使用生物识别解锁',
+    biometricPrompt: '解锁 GI Tracker',
+    usePin: '使用 PIN 码',
+    relockAfter: '离开应用后重新锁定',
+    immediately: '立即',
+    minutes: {
+      other: '{count} 分钟',
+    },
+    incorrectPinTitle: 'PIN 码错误',
+    tooManyAttempts: '错误次数过多，请稍后再试',
+    incorrectCurrentPin: {
+      other: '当前 PIN 码错误，还剩 {count} 次机会',
+    },
+    pinFormat: 'PIN 码必须是 4 到 8 位数字',
+    pinsDoNotMatch: '两次输入的 PIN 码不一致',
+    pinChanged: '你的 PIN 码已修改',
+    turnedOn: '应用锁已开启',
+    currentPinRequired: '请输入当前 PIN 码以关闭应用锁',
+    saveFailed: '保存 PIN 码失败',
+    turnOffFailed: '关闭应用锁失败',
+    lockedTitle: 'GI Tracker 已锁定',
+    enterPin: '输入 PIN 码以继续',
+    unlock: '解锁',
+    tryAgainIn: '{seconds} 秒后重试',
+    incorrectPin: {
+      other: 'PIN 码错误，还剩 {count} 次机会',
+    },
+    lockedOut: '错误次数过多',
+    useMethod: '使用{method}',
+    biometry: {
+      faceId: '面容 ID',
+      touchId: '触控 ID',
+      fingerprint: '指纹',
+      other: '生物识别',
+    },
+    forgotPin: '忘记 PIN 码？',
+    forgotPinTitle: '忘记 PIN 码',
+    forgotPinMessage: '退出登录后，使用你的账户重新登录即可重置应用锁。',
+    logOut: '退出登录',
+    checkFailed: '验证 PIN 码失败',
+  },
+  nightscout: {
+    title: 'Nightscout',
+    siteTitle: '你的 Nightscout 站点',
+    hint: '从 Nightscout 获取传感器血糖数据，并将记录的餐食作为碳水治疗记录发送到 Nightscout。',
+    url: '站点地址',
+    urlPlaceholder: 'https://your-site.example.com',
+    urlInvalid: '请输入完整的站点地址，以 https:// 开头',
+    apiSecret: 'API 密钥',
+    secretSaved: '已保存。留空则保留，输入新的密钥则替换。',
+    secretRequired: '请输入 Nightscout 站点上设置的 API_SECRET',
+    secretLength: {
+      other: 'API 密钥至少为 {count} 个字符',
+    },
+    save: '保存并测试连接',
+    connected: '已连接到 {name}',
+    connectFailed: '无法连接到你的 Nightscout 站点',
+    syncTitle: '同步',
+    syncHint: '每次同步只传输上次同步之后的新数据。餐食只发送一次，之后的修改不会再发送。',
+    lastSync: '上次同步：{date}',
+    neverSynced: '尚未同步。首次同步涵盖最近 30 天。',
+    syncNow: '立即同步',
+    syncResult: '已添加 {readings}，已发送 {meals}',
+    readingCount: {
+      other: '{count} 条读数',
+    },
+    mealCount: {
+      other: '{count} 餐',
+    },
+    syncFailed: '与 Nightscout 同步失败',
+    disconnect: '断开连接',
+    disconnectTitle: '断开 Nightscout？',
+    disconnectMessage: '已导入的读数会保留在你的记录中。',
+  },
+  sync: {
+    pending: '{count} 条待同步',
+    offline: '离线',
+    offlinePending: '离线 · {count} 条待同步',
+    syncing: '正在同步 {count} 条…',
+    unsyncedTitle: '有未同步的更改',
+    unsyncedMessage: {
+      other: '有 {count} 条更改尚未保存到服务器。现在退出登录将丢失这些更改。',
+    },
+    logOutAnyway: '仍然退出',
+    dropped: {
+      other: '{count} 条更改未保存',
+    },
+    droppedTitle: '更改未保存',
+    droppedMessage: {
+      other: '服务器拒绝了离线时做的 {count} 条更改，这些更改已被丢弃。请检查最近的记录。',
+    },
+  },
+  errors: {
+    invalidEmail: '电子邮箱格式无效',
+    userNotFound: '没有使用此邮箱的账户',
+    wrongPassword: '密码错误',
+    invalidCredential: '邮箱或密码错误',
+    userDisabled: '此账户已被停用',
+    emailInUse: '此邮箱已被使用',
+    credentialInUse: '此账户已被使用。请退出登录后改用该账户登录',
+    providerLinked: '此登录方式已关联到你的账户',
+    accountExists: '此邮箱已有使用其他登录方式的账户',
+    weakPassword: '密码强度太弱',
+    recentLogin: '请重新登录后继续',
+    reauthFailed: '当前密码错误',
+    sessionExpired: '登录已过期，请重新登录',
+    notAllowed: '未启用此登录方式',
+    linkExpired: '此链接已过期，请重新申请',
+    linkInvalid: '此链接无效或已被使用',
+    tooManyRequests: '尝试次数过多',
+    network: '网络错误',
+    server: '服务器出现问题',
+    permissionDenied: '你没有执行此操作的权限',
+    notFound: '此项目已不存在',
+    alreadyExists: '此项目已存在',
+    invalidData: '部分数据无效',
+    offline: '无法连接到服务器',
+    timeout: '请求超时',
+    conflict: '保存时数据已发生变化',
+    quota: '请求过多',
+    cancelled: '请求已取消',
+    unknown: '出了点问题',
+    importFormat: '该文件不是 Dexcom Clarity 或 LibreView 导出的 CSV 文件',
+    nightscoutUrl: 'Nightscout 地址无效',
+    nightscoutUnauthorized: 'Nightscout 未接受该 API 密钥',
+    nightscoutUnreachable: '无法访问你的 Nightscout 站点',
+    nightscoutServer: '你的 Nightscout 站点返回了错误',
+    pendingWrites: '部分更改尚未保存到服务器',
+    hints: {
+      network: '请检查网络连接后重试。',
+      later: '请等待几分钟后重试。',
+      again: '请重试。',
+    },
+    withHint: '{message}。{hint}',
+  },
+  dates: {
+    monthsShort: ['1月', '2月', '3月', '4月', '5月', '6月', '7月', '8月', '9月', '10月', '11月', '12月'],
+    weekdaysShort: ['周日', '周一', '周二', '周三', '周四', '周五', '周六'],
+    dateTime: '{month}{day}日 {time}',
+    dayHeading: '{month}{day}日 {weekday}',
+    today: '今天',
+    yesterday: '昨天',
+  },
+  diabetesTypes: {
+    'Type 1': '1 型',
+    'Type 2': '2 型',
+    Gestational: '妊娠期',
+    Prediabetes: '糖尿病前期',
+  },
+  regimens: {
+    diet_only: '仅饮食和运动',
+    oral_meds: '口服药或非胰岛素药物',
+    basal_bolus: '胰岛素注射',
+    pump: '胰岛素泵',
+  },
+  mealTypes: {
+    breakfast: '早餐',
+    lunch: '午餐',
+    dinner: '晚餐',
+    snack: '加餐',
+  },
+  foodCategories: {
+    fruits: '水果',
+    vegetables: '蔬菜',
+    'starchy-vegetables': '薯类及淀粉类蔬菜',
+    bread: '面包',
+    grains: '谷物和米饭',
+    pasta: '意面和面条',
+    cereals: '早餐谷物',
+    legumes: '豆类',
+    dairy: '乳制品',
+    snacks: '零食',
+    sweets: '甜食',
+    beverages: '饮料',
+  },
+  readingContexts: {
+    fasting: '空腹',
+    pre_meal: '餐前',
+    post_meal_1h: '餐后 1 小时',
+    post_meal_2h: '餐后 2 小时',
+    bedtime: '睡前',
+    cgm: 'CGM 传感器',
+  },
+  units: {
+    g: '克',
+    kg: '千克',
+    oz: '盎司',
+    lb: '磅',
+    cup: '杯',
+    tbsp: '汤匙',
+    tsp: '茶匙',
+    ml: '毫升',
+    piece: '个',
+    slice: '片',
+    serving: '份',
+  },
+};
@@ -1,7 +1,7 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
-import { View, ActivityIndicator, StyleSheet } from 'react-native';
+import { View, ActivityIndicator, StyleSheet, Linking } from 'react-native';
 
 import { useAuth } from '../contexts/AuthContext';
 
@@ -9,15 +9,18 @@ import { useAuth } from '../contexts/AuthContext';
 import LoginScreen from '../screens/LoginScreen';
 import RegisterScreen from '../screens/RegisterScreen';
 import ForgotPasswordScreen from '../screens/ForgotPasswordScreen';
+import VerifyEmailScreen from '../screens/VerifyEmailScreen';
+import OnboardingScreen from '../screens/OnboardingScreen';
 
-// App Screens (placeholder for now)
-import HomeScreen from '../screens/HomeScreen';
+import AppTabs from './AppTabs';
+import linking from './linking';
+import { loadNavigationState, saveNavigationState } from './navigationState';
 
 // Create Stack Navigators
 const AuthStack = createNativeStackNavigator();
-const AppStack = createNativeStackNavigator();
+const OnboardingStack = createNativeStackNavigator();
 
-const AuthNavigator = () => {
+const AuthNavigator = ({ requiresEmailVerification }) => {
   return (
     <AuthStack.Navigator 
       screenOptions={{
@@ -25,29 +28,85 @@ const AuthNavigator = () => {
         contentStyle: { backgroundColor: '#f9f9f9' }
       }}
     >
-      <AuthStack.Screen name="Login" component={LoginScreen} />
-      <AuthStack.Screen name="Register" component={RegisterScreen} />
-      <AuthStack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
+      {requiresEmailVerification ? (
+        // Signed in but unverified - nothing that reads or writes user data
+        <AuthStack.Screen name="VerifyEmail" component={VerifyEmailScreen} />
+      ) : (
+        <>
+          <AuthStack.Screen name="Login" component={LoginScreen} />
+          <AuthStack.Screen name="Register" component={RegisterScreen} />
+          <AuthStack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
+        </>
+      )}
     </AuthStack.Navigator>
   );
 };
 
+const OnboardingNavigator = () => {
+  return (
+    <OnboardingStack.Navigator
+      screenOptions={{
+        headerShown: false,
+        contentStyle: { backgroundColor: '#f9f9f9' }
+      }}
+    >
+      <OnboardingStack.Screen name="Onboarding" component={OnboardingScreen} />
+    </OnboardingStack.Navigator>
+  );
+};
+
 const AppNavigator = () => {
-  const { currentUser, loading } = useAuth();
-  const [initializing, setInitializing] = useState(true);
+  const { currentUser, initializing, requiresEmailVerification } = useAuth();
+  
+  const uid = currentUser?.uid;
+  // Both are tagged with the uid they belong to, so a different user signing
+  // in is seen during that same render rather than after an effect runs
+  const [restored, setRestored] = useState({ uid: undefined, state: undefined });
+  const navigationStateRef = useRef({ uid: undefined, state: undefined });
   
-  // Handle initial app loading
+  // Reopen the screens the user last had open, unless the app was launched
+  // from a deep link, which decides the first screen itself
   useEffect(() => {
-    // Wait a bit for auth to initialize
-    const timer = setTimeout(() => {
-      setInitializing(false);
-    }, 2000);
+    if (!uid) {
+      return undefined;
+    }
+    
+    let cancelled = false;
+    
+    const restoreState = async () => {
+      const initialUrl = await Linking.getInitialURL();
+      const state = initialUrl ? undefined : await loadNavigationState(uid);
+      
+      if (!cancelled) {
+        setRestored({ uid, state });
+      }
+    };
     
-    return () => clearTimeout(timer);
-  }, []);
+    restoreState();
+    return () => {
+      cancelled = true;
+    };
+  }, [uid]);
+  
+  const isRestoring = !!uid && restored.uid !== uid;
+  const restoredState = restored.uid === uid ? restored.state : undefined;
+  const latestState =
+    navigationStateRef.current.uid === uid ? navigationStateRef.current.state : undefined;
+  
+  const showApp = !!currentUser && !requiresEmailVerification;
+  // Profiles created before onboarding existed have no flag and skip it
+  const needsOnboarding = showApp && currentUser.onboardingCompleted === false;
+  
+  // Only the app tabs' state is worth restoring
+  const handleStateChange = (state) => {
+    if (showApp && !needsOnboarding) {
+      navigationStateRef.current = { uid, state };
+      saveNavigationState(uid, state);
+    }
+  };
   
   // Show loading screen while auth state is being determined
-  if (initializing || loading) {
+  if (initializing || isRestoring) {
     return (
       <View style={styles.loadingContainer}>
         <ActivityIndicator size="large" color="#2E7D32" />
@@ -56,23 +115,21 @@ const AppNavigator = () => {
   }
   
   return (
-    <NavigationContainer>
-      {currentUser ? (
-        // User is signed in - show app screens
-        <AppStack.Navigator>
-          <AppStack.Screen 
-            name="Home" 
-            component={HomeScreen} 
-            options={{ 
-              title: 'GI Tracker',
-              headerTintColor: '#2E7D32',
-              headerTitleStyle: { fontWeight: 'bold' },
-            }}
-          />
-        </AppStack.Navigator>
+    <NavigationContainer
+      linking={linking}
+      // The container remounts after sign-in, so resume from the latest state
+      initialState={latestState || restoredState}
+      onStateChange={handleStateChange}
+    >
+      {needsOnboarding ? (
+        // New account - collect the clinical profile first
+        <OnboardingNavigator />
+      ) : showApp ? (
+        // User is signed in - show app tabs
+        <AppTabs />
       ) : (
-        // User is not signed in - show auth flow
-        <AuthNavigator />
+        // User is not signed in or has to verify their email - show auth flow
+        <AuthNavigator requiresEmailVerification={requiresEmailVerification} />
       )}
     </NavigationContainer>
   );
@@ -0,0 +1,151 @@
+import React from 'react';
+import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import Ionicons from 'react-native-vector-icons/Ionicons';
+
+import SyncStatusBadge from '../components/SyncStatusBadge';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+import HomeScreen from '../screens/HomeScreen';
+import FoodSearchScreen from '../screens/FoodSearchScreen';
+import MealLogScreen from '../screens/MealLogScreen';
+import MealEditScreen from '../screens/MealEditScreen';
+import GlucoseEntryScreen from '../screens/GlucoseEntryScreen';
+import HistoryScreen from '../screens/HistoryScreen';
+import CgmImportScreen from '../screens/CgmImportScreen';
+import MealPlanScreen from '../screens/MealPlanScreen';
+import InsightsScreen from '../screens/InsightsScreen';
+import ProfileScreen from '../screens/ProfileScreen';
+import AppLockSettingsScreen from '../screens/AppLockSettingsScreen';
+import NightscoutSettingsScreen from '../screens/NightscoutSettingsScreen';
+
+const Tab = createBottomTabNavigator();
+const HomeStack = createNativeStackNavigator();
+const FoodStack = createNativeStackNavigator();
+const LogStack = createNativeStackNavigator();
+const TrendsStack = createNativeStackNavigator();
+const ProfileStack = createNativeStackNavigator();
+
+// Pending-sync indicator shown in the header of every app screen
+const renderSyncStatus = () => <SyncStatusBadge />;
+
+// Shared header styling for the screens in every tab
+const stackScreenOptions = {
+  headerTintColor: '#2E7D32',
+  headerTitleStyle: { fontWeight: 'bold' },
+  headerRight: renderSyncStatus,
+};
+
+// Ionicons name per tab, as [focused, unfocused]
+const TAB_ICONS = {
+  HomeTab: ['home', 'home-outline'],
+  FoodTab: ['search', 'search-outline'],
+  LogTab: ['create', 'create-outline'],
+  TrendsTab: ['stats-chart', 'stats-chart-outline'],
+  ProfileTab: ['person', 'person-outline'],
+};
+
+// Tabs show their nested stack's header instead of their own
+const tabScreenOptions = ({ route }) => ({
+  headerShown: false,
+  tabBarActiveTintColor: '#2E7D32',
+  tabBarInactiveTintColor: '#888',
+  tabBarIcon: ({ focused, color, size }) => (
+    <Ionicons
+      name={TAB_ICONS[route.name][focused ? 0 : 1]}
+      size={size}
+      color={color}
+    />
+  ),
+});
+
+const HomeStackNavigator = () => {
+  const { t } = useTranslation();
+  return (
+    <HomeStack.Navigator screenOptions={stackScreenOptions}>
+      <HomeStack.Screen name="Home" component={HomeScreen} options={{ title: t('common.appName') }} />
+    </HomeStack.Navigator>
+  );
+};
+
+const FoodStackNavigator = () => {
+  const { t } = useTranslation();
+  return (
+    <FoodStack.Navigator screenOptions={stackScreenOptions}>
+      <FoodStack.Screen name="FoodSearch" component={FoodSearchScreen} options={{ title: t('titles.foodSearch') }} />
+    </FoodStack.Navigator>
+  );
+};
+
+const LogStackNavigator = () => {
+  const { t } = useTranslation();
+  return (
+    <LogStack.Navigator screenOptions={stackScreenOptions}>
+      <LogStack.Screen name="MealLog" component={MealLogScreen} options={{ title: t('titles.mealLog') }} />
+      <LogStack.Screen
+        name="MealEdit"
+        component={MealEditScreen}
+        options={({ route }) => ({
+          title: t(route.params?.mealId ? 'titles.editMeal' : 'titles.logMeal'),
+        })}
+      />
+      <LogStack.Screen
+        name="GlucoseEntry"
+        component={GlucoseEntryScreen}
+        options={({ route }) => ({
+          title: t(route.params?.readingId ? 'titles.editReading' : 'titles.recordGlucose'),
+        })}
+      />
+      <LogStack.Screen name="History" component={HistoryScreen} options={{ title: t('titles.history') }} />
+      <LogStack.Screen name="CgmImport" component={CgmImportScreen} options={{ title: t('titles.cgmImport') }} />
+      <LogStack.Screen name="MealPlan" component={MealPlanScreen} options={{ title: t('titles.mealPlan') }} />
+    </LogStack.Navigator>
+  );
+};
+
+const TrendsStackNavigator = () => {
+  const { t } = useTranslation();
+  return (
+    <TrendsStack.Navigator screenOptions={stackScreenOptions}>
+      <TrendsStack.Screen name="Insights" component={InsightsScreen} options={{ title: t('titles.insights') }} />
+    </TrendsStack.Navigator>
+  );
+};
+
+const ProfileStackNavigator = () => {
+  const { t } = useTranslation();
+  return (
+    <ProfileStack.Navigator screenOptions={stackScreenOptions}>
+      <ProfileStack.Screen name="Profile" component={ProfileScreen} options={{ title: t('titles.profile') }} />
+      <ProfileStack.Screen
+        name="AppLockSettings"
+        component={AppLockSettingsScreen}
+        options={{ title: t('appLock.title') }}
+      />
+      <ProfileStack.Screen
+        name="NightscoutSettings"
+        component={NightscoutSettingsScreen}
+        options={{ title: t('nightscout.title') }}
+      />
+    </ProfileStack.Navigator>
+  );
+};
+
+/**
+ * Bottom tabs for signed-in users. Each tab holds its own stack, so switching
+ * tabs keeps the screens the user had open in each one.
+ */
+const AppTabs = () => {
+  const { t } = useTranslation();
+  return (
+    <Tab.Navigator screenOptions={tabScreenOptions}>
+      <Tab.Screen name="HomeTab" component={HomeStackNavigator} options={{ title: t('tabs.home') }} />
+      <Tab.Screen name="FoodTab" component={FoodStackNavigator} options={{ title: t('tabs.food') }} />
+      <Tab.Screen name="LogTab" component={LogStackNavigator} options={{ title: t('tabs.log') }} />
+      <Tab.Screen name="TrendsTab" component={TrendsStackNavigator} options={{ title: t('tabs.trends') }} />
+      <Tab.Screen name="ProfileTab" component={ProfileStackNavigator} options={{ title: t('tabs.profile') }} />
+    </Tab.Navigator>
+  );
+};
+
+export default AppTabs;
@@ -0,0 +1,53 @@
+/**
+ * Deep link configuration for the NavigationContainer, e.g.
+ * foodgi://log/glucose opens the glucose entry screen in the Log tab.
+ * The URL scheme must also be registered in the native projects
+ * (Android intent filter and iOS CFBundleURLSchemes).
+ */
+const linking = {
+  prefixes: ['foodgi://'],
+  config: {
+    screens: {
+      HomeTab: {
+        screens: {
+          Home: 'home',
+        },
+      },
+      FoodTab: {
+        screens: {
+          FoodSearch: 'food',
+        },
+      },
+      LogTab: {
+        // Keep the meal log underneath linked screens so back returns to it
+        initialRouteName: 'MealLog',
+        screens: {
+          MealLog: 'log',
+          MealEdit: 'log/meal/:mealId?',
+          GlucoseEntry: 'log/glucose/:readingId?',
+          History: 'log/history',
+          CgmImport: 'log/import',
+          MealPlan: 'log/plan',
+        },
+      },
+      TrendsTab: {
+        screens: {
+          Insights: 'trends',
+        },
+      },
+      ProfileTab: {
+        screens: {
+          Profile: 'profile',
+          AppLockSettings: 'profile/app-lock',
+          NightscoutSettings: 'profile/nightscout',
+        },
+      },
+      Login: 'login',
+      Register: 'register',
+      ForgotPassword: 'forgot-password',
+      VerifyEmail: 'verify-email',
+    },
+  },
+};
+
+export default linking;
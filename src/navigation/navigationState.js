@@ -0,0 +1,36 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Key for the navigation state saved between launches
+const NAVIGATION_STATE_KEY = '@GI Tracker:navigationState';
+
+/**
+ * Load the navigation state saved for a user
+ * @param {string} uid - Id of the signed-in user
+ * @returns {Promise<object|undefined>} - Saved state, or undefined if there is none
+ */
+export async function loadNavigationState(uid) {
+  try {
+    const saved = await AsyncStorage.getItem(NAVIGATION_STATE_KEY);
+    const { uid: savedUid, state } = saved ? JSON.parse(saved) : {};
+
+    // Another account's screens (and ids in their params) must not be restored
+    return savedUid === uid ? state : undefined;
+  } catch (error) {
+    console.error('Load navigation state error:', error);
+    return undefined;
+  }
+}
+
+/**
+ * Save the navigation state so the app reopens where the user left it
+ * @param {string} uid - Id of the signed-in user
+ * @param {object} state - Navigation state from onStateChange
+ * @returns {Promise<void>}
+ */
+export async function saveNavigationState(uid, state) {
+  try {
+    await AsyncStorage.setItem(NAVIGATION_STATE_KEY, JSON.stringify({ uid, state }));
+  } catch (error) {
+    console.error('Save navigation state error:', error);
+  }
+}
@@ -0,0 +1,345 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Switch,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useAuth } from '../contexts/AuthContext';
+import appLockService, {
+  DEFAULT_RELOCK_TIMEOUT_SECONDS,
+  RELOCK_TIMEOUT_OPTIONS,
+} from '../services/appLockService';
+import { getErrorMessage } from '../utils/errorMapping';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+const AppLockSettingsScreen = () => {
+  const { currentUser, updateProfile } = useAuth();
+  const { t } = useTranslation();
+  const [hasPin, setHasPin] = useState(null);
+  const [biometricsAvailable, setBiometricsAvailable] = useState(false);
+  const [currentPin, setCurrentPin] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const lockEnabled = !!currentUser?.appLockEnabled && !!hasPin;
+  const timeoutSeconds = currentUser?.appLockTimeoutSeconds ?? DEFAULT_RELOCK_TIMEOUT_SECONDS;
+
+  useEffect(() => {
+    appLockService.hasPin()
+      .then(setHasPin)
+      .catch((error) => Alert.alert(t('common.error'), getErrorMessage(error, t('appLock.checkFailed'))));
+    appLockService.getBiometricsAvailability().then(({ available }) => setBiometricsAvailable(available));
+  }, [t]);
+
+  const clearForm = () => {
+    setCurrentPin('');
+    setNewPin('');
+    setConfirmPin('');
+  };
+
+  // Check the current PIN before changing or removing it
+  const checkCurrentPin = async () => {
+    const result = await appLockService.verifyPin(currentPin);
+
+    if (result.success) {
+      return true;
+    }
+
+    Alert.alert(
+      t('appLock.incorrectPinTitle'),
+      result.lockedUntil > Date.now()
+        ? t('appLock.tooManyAttempts')
+        : t('appLock.incorrectCurrentPin', { count: result.remainingAttempts })
+    );
+    return false;
+  };
+
+  const handleSavePin = async () => {
+    if (!appLockService.isValidPin(newPin)) {
+      Alert.alert(t('common.error'), t('appLock.pinFormat'));
+      return;
+    }
+
+    if (newPin !== confirmPin) {
+      Alert.alert(t('common.error'), t('appLock.pinsDoNotMatch'));
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      if (lockEnabled && !(await checkCurrentPin())) {
+        return;
+      }
+
+      await appLockService.setPin(newPin);
+      setHasPin(true);
+      await updateProfile({ appLockEnabled: true });
+      clearForm();
+      Alert.alert(t('appLock.title'), t(lockEnabled ? 'appLock.pinChanged' : 'appLock.turnedOn'));
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('appLock.saveFailed')));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleTurnOff = async () => {
+    if (!currentPin) {
+      Alert.alert(t('common.error'), t('appLock.currentPinRequired'));
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      if (!(await checkCurrentPin())) {
+        return;
+      }
+
+      await appLockService.removePin();
+      setHasPin(false);
+      await updateProfile({ appLockEnabled: false, appLockBiometricsEnabled: false });
+      clearForm();
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('appLock.turnOffFailed')));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleBiometricsChange = async (value) => {
+    try {
+      // Make sure the sensor recognizes the user before relying on it
+      if (value && !(await appLockService.authenticateWithBiometrics())) {
+        return;
+      }
+      await updateProfile({ appLockBiometricsEnabled: value });
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('common.settingsFailed')));
+    }
+  };
+
+  const handleTimeoutChange = async (seconds) => {
+    try {
+      await updateProfile({ appLockTimeoutSeconds: seconds });
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('common.settingsFailed')));
+    }
+  };
+
+  if (hasPin === null) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2E7D32" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+      <View style={styles.formContainer}>
+        <Text style={styles.sectionTitle}>{t(lockEnabled ? 'appLock.changePin' : 'appLock.setPin')}</Text>
+        <Text style={styles.hintText}>{t('appLock.hint')}</Text>
+
+        {lockEnabled && (
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>{t('appLock.currentPin')}</Text>
+            <TextInput
+              style={styles.input}
+              keyboardType="number-pad"
+              secureTextEntry
+              maxLength={8}
+              value={currentPin}
+              onChangeText={setCurrentPin}
+            />
+          </View>
+        )}
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('appLock.newPin')}</Text>
+          <TextInput
+            style={styles.input}
+            keyboardType="number-pad"
+            secureTextEntry
+            maxLength={8}
+            value={newPin}
+            onChangeText={setNewPin}
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>{t('appLock.confirmPin')}</Text>
+          <TextInput
+            style={styles.input}
+            keyboardType="number-pad"
+            secureTextEntry
+            maxLength={8}
+            value={confirmPin}
+            onChangeText={setConfirmPin}
+          />
+        </View>
+
+        <TouchableOpacity style={styles.button} onPress={handleSavePin} disabled={isSaving}>
+          {isSaving ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.buttonText}>{t(lockEnabled ? 'appLock.changePin' : 'appLock.turnOn')}</Text>
+          )}
+        </TouchableOpacity>
+
+        {lockEnabled && (
+          <TouchableOpacity
+            style={[styles.button, styles.deleteButton]}
+            onPress={handleTurnOff}
+            disabled={isSaving}
+          >
+            <Text style={styles.buttonText}>{t('appLock.turnOff')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {lockEnabled && (
+        <View style={styles.formContainer}>
+          <Text style={styles.sectionTitle}>{t('appLock.unlocking')}</Text>
+
+          {biometricsAvailable && (
+            <View style={styles.switchRow}>
+              <Text style={styles.label}>{t('appLock.useBiometrics')}</Text>
+              <Switch
+                value={!!currentUser?.appLockBiometricsEnabled}
+                onValueChange={handleBiometricsChange}
+                trackColor={{ true: '#2E7D32' }}
+              />
+            </View>
+          )}
+
+          <Text style={styles.label}>{t('appLock.relockAfter')}</Text>
+          <View style={styles.chipContainer}>
+            {RELOCK_TIMEOUT_OPTIONS.map((seconds) => (
+              <TouchableOpacity
+                key={seconds}
+                style={[styles.chip, timeoutSeconds === seconds && styles.selectedChip]}
+                onPress={() => handleTimeoutChange(seconds)}
+              >
+                <Text style={[styles.chipText, timeoutSeconds === seconds && styles.selectedChipText]}>
+                  {seconds === 0 ? t('appLock.immediately') : t('appLock.minutes', { count: seconds / 60 })}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f9f9f9',
+  },
+  container: {
+    flexGrow: 1,
+    backgroundColor: '#f9f9f9',
+    padding: 15,
+  },
+  formContainer: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 20,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  hintText: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+    marginBottom: 15,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    marginBottom: 8,
+    color: '#444',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 16,
+    backgroundColor: '#f9f9f9',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  chipContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+    width: '48%',
+    alignItems: 'center',
+  },
+  selectedChip: {
+    borderColor: '#2E7D32',
+    backgroundColor: '#EEF7EF',
+  },
+  chipText: {
+    color: '#666',
+    fontSize: 14,
+  },
+  selectedChipText: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  button: {
+    backgroundColor: '#2E7D32',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginVertical: 10,
+  },
+  deleteButton: {
+    backgroundColor: '#D32F2F',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default AppLockSettingsScreen;
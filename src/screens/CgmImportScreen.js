@@ -0,0 +1,279 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import cgmImportService from '../services/cgmImportService';
+import { MALFORMED_REASONS, SKIP_REASONS } from '../utils/cgmImport';
+import { formatDateTime } from '../utils/dateUtils';
+import { getErrorMessage } from '../utils/errorMapping';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+// Row numbers listed per reason before the rest are summarized as a count
+const MAX_LISTED_ROWS = 20;
+
+/**
+ * Group skipped or malformed rows by reason
+ * @param {Array<{row: number, reason: string}>} rows - Rows from the import summary
+ * @param {Array<string>} reasons - Reasons in display order
+ * @returns {Array<{reason: string, rows: Array<number>}>} - Reasons that have rows
+ */
+const groupByReason = (rows, reasons) => {
+  return reasons
+    .map((reason) => ({ reason, rows: rows.filter((row) => row.reason === reason).map(({ row }) => row) }))
+    .filter((group) => group.rows.length > 0);
+};
+
+const CgmImportScreen = ({ navigation }) => {
+  const { t } = useTranslation();
+  const [fileName, setFileName] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handlePickFile = async () => {
+    setError(null);
+
+    try {
+      const file = await cgmImportService.pickExportFile();
+      if (!file) {
+        return;
+      }
+
+      setFileName(file.name);
+      setSummary(null);
+      setProgress(null);
+      setIsImporting(true);
+
+      setSummary(await cgmImportService.importExport(file.text, (written, total) => {
+        setProgress({ written, total });
+      }));
+    } catch (err) {
+      setError(getErrorMessage(err, t('cgmImport.failed')));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const renderRowGroup = (group, labelPrefix) => {
+    const listed = group.rows.slice(0, MAX_LISTED_ROWS).join(', ');
+    const more = group.rows.length - MAX_LISTED_ROWS;
+
+    return (
+      <View key={group.reason} style={styles.groupRow}>
+        <Text style={styles.groupTitle}>
+          {t(`${labelPrefix}.${group.reason}`)} ({group.rows.length})
+        </Text>
+        <Text style={styles.groupRows}>
+          {t('cgmImport.rows', { rows: listed })}
+          {more > 0 ? t('cgmImport.moreRows', { count: more }) : ''}
+        </Text>
+      </View>
+    );
+  };
+
+  const renderSummary = () => {
+    const skippedGroups = groupByReason(summary.skipped, Object.values(SKIP_REASONS));
+    const malformedGroups = groupByReason(summary.malformed, Object.values(MALFORMED_REASONS));
+
+    return (
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>{t('cgmImport.summaryTitle')}</Text>
+        <Text style={styles.infoText}>
+          {t('cgmImport.fileInfo', { name: fileName, source: t(`cgmImport.sources.${summary.source}`) })}
+        </Text>
+
+        <View style={styles.countRow}>
+          <Text style={styles.countLabel}>{t('cgmImport.imported')}</Text>
+          <Text style={[styles.countValue, styles.importedValue]}>{summary.imported}</Text>
+        </View>
+        {summary.from && (
+          <Text style={styles.infoText}>
+            {t('cgmImport.range', { from: formatDateTime(summary.from), to: formatDateTime(summary.to) })}
+          </Text>
+        )}
+
+        <View style={styles.countRow}>
+          <Text style={styles.countLabel}>{t('cgmImport.skipped')}</Text>
+          <Text style={styles.countValue}>{summary.skipped.length}</Text>
+        </View>
+        {skippedGroups.map((group) => renderRowGroup(group, 'cgmImport.skipReasons'))}
+
+        <View style={styles.countRow}>
+          <Text style={styles.countLabel}>{t('cgmImport.malformed')}</Text>
+          <Text style={[styles.countValue, summary.malformed.length > 0 && styles.malformedValue]}>
+            {summary.malformed.length}
+          </Text>
+        </View>
+        {malformedGroups.map((group) => renderRowGroup(group, 'cgmImport.malformedReasons'))}
+
+        {summary.imported > 0 && (
+          <TouchableOpacity style={styles.secondaryButton} onPress={() => navigation.navigate('History')}>
+            <Text style={styles.secondaryButtonText}>{t('cgmImport.viewHistory')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>{t('cgmImport.title')}</Text>
+        <Text style={styles.infoText}>{t('cgmImport.description')}</Text>
+        <Text style={styles.stepText}>{t('cgmImport.dexcomSteps')}</Text>
+        <Text style={styles.stepText}>{t('cgmImport.libreSteps')}</Text>
+
+        <TouchableOpacity
+          style={[styles.button, isImporting && styles.buttonDisabled]}
+          onPress={handlePickFile}
+          disabled={isImporting}
+        >
+          <Text style={styles.buttonText}>{t(summary ? 'cgmImport.pickAnother' : 'cgmImport.pick')}</Text>
+        </TouchableOpacity>
+
+        {isImporting && (
+          <View style={styles.progressRow}>
+            <ActivityIndicator color="#2E7D32" />
+            <Text style={styles.progressText}>
+              {progress
+                ? t('cgmImport.progress', { written: progress.written, total: progress.total })
+                : t('cgmImport.reading')}
+            </Text>
+          </View>
+        )}
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+      </View>
+
+      {summary && renderSummary()}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  content: {
+    paddingBottom: 15,
+  },
+  card: {
+    backgroundColor: 'white',
+    margin: 15,
+    marginBottom: 0,
+    padding: 15,
+    borderRadius: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  infoText: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+    marginBottom: 10,
+  },
+  stepText: {
+    fontSize: 14,
+    color: '#555',
+    lineHeight: 20,
+    marginBottom: 8,
+  },
+  button: {
+    backgroundColor: '#2E7D32',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  progressText: {
+    marginLeft: 10,
+    fontSize: 14,
+    color: '#555',
+  },
+  errorText: {
+    color: '#D32F2F',
+    fontSize: 14,
+    marginTop: 15,
+  },
+  countRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  countLabel: {
+    fontSize: 16,
+    color: '#333',
+  },
+  countValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#555',
+  },
+  importedValue: {
+    color: '#2E7D32',
+  },
+  malformedValue: {
+    color: '#D32F2F',
+  },
+  groupRow: {
+    marginBottom: 8,
+    paddingLeft: 10,
+  },
+  groupTitle: {
+    fontSize: 14,
+    color: '#555',
+    fontWeight: '500',
+  },
+  groupRows: {
+    fontSize: 13,
+    color: '#777',
+    lineHeight: 18,
+  },
+  secondaryButton: {
+    marginTop: 10,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2E7D32',
+    alignItems: 'center',
+  },
+  secondaryButtonText: {
+    color: '#2E7D32',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+});
+
+export default CgmImportScreen;
@@ -0,0 +1,203 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  FlatList,
+  StyleSheet,
+} from 'react-native';
+import { useAuth } from '../contexts/AuthContext';
+import foodService from '../services/foodService';
+import insightsService from '../services/insightsService';
+import useDebouncedValue from '../utils/useDebouncedValue';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+const BAND_COLORS = {
+  low: '#2E7D32',
+  medium: '#F9A825',
+  high: '#D32F2F',
+};
+
+const FoodSearchScreen = () => {
+  const { currentUser } = useAuth();
+  const { t } = useTranslation();
+  const [query, setQuery] = useState('');
+  const [personalEstimates, setPersonalEstimates] = useState({});
+  const debouncedQuery = useDebouncedValue(query, SEARCH_DEBOUNCE_MS);
+
+  const personalGiEnabled = !!currentUser?.personalGiEnabled;
+  const referenceFoodId = currentUser?.personalGiReferenceFoodId || 'glucose';
+
+  // Personal GI is opt-in; load the estimates only for users who turned it on
+  useEffect(() => {
+    if (!personalGiEnabled) {
+      setPersonalEstimates({});
+      return;
+    }
+
+    const loadEstimates = async () => {
+      try {
+        const { estimates } = await insightsService.getPersonalGiEstimates({ referenceFoodId });
+        setPersonalEstimates(estimates);
+      } catch (error) {
+        console.error('Error loading personal GI estimates:', error);
+      }
+    };
+
+    loadEstimates();
+  }, [personalGiEnabled, referenceFoodId]);
+
+  const results = useMemo(() => {
+    if (!debouncedQuery.trim()) {
+      return foodService.getAllFoods();
+    }
+    return foodService.searchFoods(debouncedQuery);
+  }, [debouncedQuery]);
+
+  const renderFood = ({ item }) => {
+    const band = foodService.getGiBand(item.gi);
+    const personal = personalEstimates[item.id];
+
+    return (
+      <View style={styles.resultCard}>
+        <View style={styles.resultInfo}>
+          <Text style={styles.foodName}>{item.name}</Text>
+          <Text style={styles.servingText}>
+            {t('food.serving', { description: item.servingDescription, grams: item.servingSize })}
+          </Text>
+          {personal && (
+            <Text style={styles.personalGiText}>
+              {t('food.personalGi', {
+                gi: personal.personalGi,
+                low: personal.ciLow,
+                high: personal.ciHigh,
+                count: personal.sampleCount,
+              })}
+            </Text>
+          )}
+        </View>
+        <View style={styles.giContainer}>
+          <Text style={[styles.giValue, { color: BAND_COLORS[band] }]}>{item.gi}</Text>
+          <View style={[styles.bandBadge, { backgroundColor: BAND_COLORS[band] }]}>
+            <Text style={styles.bandText}>{t(`food.bands.${band}`)}</Text>
+          </View>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.searchContainer}>
+        <TextInput
+          style={styles.searchInput}
+          placeholder={t('food.searchPlaceholder')}
+          autoCapitalize="none"
+          autoCorrect={false}
+          clearButtonMode="while-editing"
+          value={query}
+          onChangeText={setQuery}
+        />
+      </View>
+
+      <FlatList
+        data={results}
+        keyExtractor={(item) => item.id}
+        renderItem={renderFood}
+        keyboardShouldPersistTaps="handled"
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>
+            {t('food.noResults', { query: debouncedQuery })}
+          </Text>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  searchContainer: {
+    padding: 15,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  searchInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 16,
+    backgroundColor: '#f9f9f9',
+  },
+  listContent: {
+    padding: 15,
+  },
+  resultCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  resultInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  foodName: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+    marginBottom: 4,
+  },
+  servingText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  personalGiText: {
+    fontSize: 14,
+    color: '#1565C0',
+    marginTop: 4,
+  },
+  giContainer: {
+    alignItems: 'center',
+    minWidth: 80,
+  },
+  giValue: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  bandBadge: {
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  bandText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 30,
+  },
+});
+
+export default FoodSearchScreen;
@@ -2,7 +2,6 @@ import React, { useState } from 'react';
 import {
   View,
   Text,
-  TextInput,
   TouchableOpacity,
   StyleSheet,
   ScrollView,
@@ -12,41 +11,39 @@ import {
   Platform,
 } from 'react-native';
 import { useAuth } from '../contexts/AuthContext';
+import FormField from '../components/FormField';
+import { getErrorMessage } from '../utils/errorMapping';
+import { hasErrors, required, validEmail, validate } from '../utils/validation';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+const RESET_PASSWORD_SCHEMA = {
+  email: [required('validation.emailRequired'), validEmail()],
+};
 
 const ForgotPasswordScreen = ({ navigation }) => {
   const [email, setEmail] = useState('');
+  const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [isEmailSent, setIsEmailSent] = useState(false);
   
   const { resetPassword } = useAuth();
-  
-  const validateEmail = (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  };
+  const { t } = useTranslation();
   
   const handleResetPassword = async () => {
-    // Validate input
-    if (!email.trim() || !validateEmail(email)) {
-      Alert.alert('Error', 'Please enter a valid email address');
+    const validationErrors = validate({ email }, RESET_PASSWORD_SCHEMA);
+    setErrors(validationErrors);
+    
+    if (hasErrors(validationErrors)) {
       return;
     }
     
     setIsLoading(true);
     
     try {
-      await resetPassword(email);
+      await resetPassword(email.trim());
       setIsEmailSent(true);
     } catch (error) {
-      let errorMessage = 'Failed to send password reset email';
-      
-      if (error.code === 'auth/user-not-found') {
-        errorMessage = 'No account found with this email';
-      } else if (error.code === 'auth/invalid-email') {
-        errorMessage = 'Invalid email format';
-      }
-      
-      Alert.alert('Reset Password Error', errorMessage);
+      Alert.alert(t('forgotPassword.errorTitle'), getErrorMessage(error, t('forgotPassword.failed')));
     } finally {
       setIsLoading(false);
     }
@@ -63,41 +60,35 @@ const ForgotPasswordScreen = ({ navigation }) => {
     >
       <ScrollView contentContainerStyle={styles.container}>
         <View style={styles.formContainer}>
-          <Text style={styles.title}>Reset Password</Text>
+          <Text style={styles.title}>{t('forgotPassword.title')}</Text>
           
           {isEmailSent ? (
             <>
               <View style={styles.successContainer}>
-                <Text style={styles.successTitle}>Email Sent!</Text>
-                <Text style={styles.successMessage}>
-                  We've sent a password reset link to your email address. Please check your inbox and follow the instructions to reset your password.
-                </Text>
+                <Text style={styles.successTitle}>{t('forgotPassword.sentTitle')}</Text>
+                <Text style={styles.successMessage}>{t('forgotPassword.sentMessage')}</Text>
               </View>
               
               <TouchableOpacity
                 style={styles.button}
                 onPress={navigateToLogin}
               >
-                <Text style={styles.buttonText}>Back to Login</Text>
+                <Text style={styles.buttonText}>{t('forgotPassword.backToLogin')}</Text>
               </TouchableOpacity>
             </>
           ) : (
             <>
-              <Text style={styles.subtitle}>
-                Enter your email address and we'll send you a link to reset your password
-              </Text>
+              <Text style={styles.subtitle}>{t('forgotPassword.subtitle')}</Text>
               
-              <View style={styles.inputContainer}>
-                <Text style={styles.label}>Email</Text>
-                <TextInput
-                  style={styles.input}
-                  placeholder="Enter your email"
-                  keyboardType="email-address"
-                  autoCapitalize="none"
-                  value={email}
-                  onChangeText={setEmail}
-                />
-              </View>
+              <FormField
+                label={t('common.email')}
+                placeholder={t('common.emailPlaceholder')}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                value={email}
+                onChangeText={setEmail}
+                error={errors.email}
+              />
               
               <TouchableOpacity
                 style={styles.button}
@@ -107,7 +98,7 @@ const ForgotPasswordScreen = ({ navigation }) => {
                 {isLoading ? (
                   <ActivityIndicator color="#fff" />
                 ) : (
-                  <Text style={styles.buttonText}>Send Reset Link</Text>
+                  <Text style={styles.buttonText}>{t('forgotPassword.submit')}</Text>
                 )}
               </TouchableOpacity>
               
@@ -115,7 +106,7 @@ const ForgotPasswordScreen = ({ navigation }) => {
                 style={styles.backButton}
                 onPress={navigateToLogin}
               >
-                <Text style={styles.backButtonText}>Back to Login</Text>
+                <Text style={styles.backButtonText}>{t('forgotPassword.backToLogin')}</Text>
               </TouchableOpacity>
             </>
           )}
@@ -155,23 +146,6 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 30,
   },
-  inputContainer: {
-    marginBottom: 20,
-  },
-  label: {
-    fontSize: 16,
-    marginBottom: 8,
-    color: '#444',
-  },
-  input: {
-    borderWidth: 1,
-    borderColor: '#ddd',
-    borderRadius: 8,
-    paddingHorizontal: 15,
-    paddingVertical: 12,
-    fontSize: 16,
-    backgroundColor: '#f9f9f9',
-  },
   button: {
     backgroundColor: '#2E7D32',
     borderRadius: 8,
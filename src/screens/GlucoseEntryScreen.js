@@ -0,0 +1,454 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { useAuth } from '../contexts/AuthContext';
+import glucoseService, { READING_CONTEXTS } from '../services/glucoseService';
+import mealService from '../services/mealService';
+import {
+  MGDL,
+  GLUCOSE_UNITS,
+  convertGlucose,
+  formatGlucose,
+  getPlausibleRange,
+  isPlausibleGlucose,
+  roundGlucose,
+  toMgdl,
+} from '../utils/glucoseUnits';
+import { formatDateTime, formatDateTimeInput, parseDateTimeInput } from '../utils/dateUtils';
+import FormField from '../components/FormField';
+import { getErrorMessage } from '../utils/errorMapping';
+import { hasErrors, required, satisfies, validDateTime, validate } from '../utils/validation';
+import { parseNumber } from '../i18n';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+// Contexts where linking the reading to a meal makes sense
+const MEAL_CONTEXTS = ['pre_meal', 'post_meal_1h', 'post_meal_2h'];
+
+// Readings in this range are possible but worth double-checking before saving
+const CONFIRM_BELOW_MGDL = 54;
+const CONFIRM_ABOVE_MGDL = 350;
+
+const READING_SCHEMA = {
+  value: [
+    required('glucose.valueRequired'),
+    satisfies(
+      (value, values) => isPlausibleGlucose(parseNumber(value), values.unit),
+      'glucose.outOfRange',
+      ({ unit }) => {
+        const range = getPlausibleRange(unit);
+        return { min: formatGlucose(range.min, unit), max: formatGlucose(range.max, unit), unit };
+      }
+    ),
+  ],
+  dateTime: [
+    required('validation.dateTimeFormat'),
+    validDateTime({ allowFuture: false, futureMessageKey: 'glucose.futureReading' }),
+  ],
+};
+
+const GlucoseEntryScreen = ({ navigation, route }) => {
+  const readingId = route.params?.readingId;
+  const { currentUser } = useAuth();
+  const { t } = useTranslation();
+
+  const [value, setValue] = useState('');
+  const [unit, setUnit] = useState(currentUser?.preferredGlucoseUnit || MGDL);
+  const [context, setContext] = useState('fasting');
+  const [dateTime, setDateTime] = useState(formatDateTimeInput(new Date()));
+  const [mealId, setMealId] = useState(null);
+  const [recentMeals, setRecentMeals] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(!!readingId);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Load recent meals so the reading can be linked to one
+  useEffect(() => {
+    const loadMeals = async () => {
+      try {
+        const meals = await mealService.getRecentMeals(5);
+        setRecentMeals(meals);
+      } catch (error) {
+        console.error('Error loading recent meals:', error);
+      }
+    };
+
+    loadMeals();
+  }, []);
+
+  // Load the reading being edited
+  useEffect(() => {
+    if (!readingId) {
+      return;
+    }
+
+    const loadReading = async () => {
+      try {
+        const reading = await glucoseService.getReading(readingId);
+        if (reading) {
+          setValue(formatGlucose(reading.value, reading.unit));
+          setUnit(reading.unit);
+          setContext(reading.context);
+          setDateTime(formatDateTimeInput(reading.timestamp));
+          setMealId(reading.mealId);
+          setNotes(reading.notes || '');
+        }
+      } catch (error) {
+        Alert.alert(t('common.error'), getErrorMessage(error, t('glucose.loadFailed')));
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadReading();
+  }, [readingId, t]);
+
+  const range = getPlausibleRange(unit);
+
+  // Convert whatever has been typed so switching units doesn't lose the value
+  const handleUnitChange = (newUnit) => {
+    const parsedValue = parseNumber(value);
+    if (!isNaN(parsedValue)) {
+      setValue(formatGlucose(roundGlucose(convertGlucose(parsedValue, unit, newUnit), newUnit), newUnit));
+    }
+    setUnit(newUnit);
+  };
+
+  const handleContextChange = (newContext) => {
+    setContext(newContext);
+    if (!MEAL_CONTEXTS.includes(newContext)) {
+      setMealId(null);
+    }
+  };
+
+  const saveReading = async (reading) => {
+    setIsSaving(true);
+
+    try {
+      if (readingId) {
+        await glucoseService.updateReading(readingId, reading);
+      } else {
+        await glucoseService.addReading(reading);
+      }
+      navigation.goBack();
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('glucose.saveFailed')));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    const validationErrors = validate({ value, unit, dateTime }, READING_SCHEMA);
+    setErrors(validationErrors);
+
+    if (hasErrors(validationErrors)) {
+      return;
+    }
+
+    const parsedValue = parseNumber(value);
+    const timestamp = parseDateTimeInput(dateTime);
+    const reading = { value: parsedValue, unit, context, mealId, timestamp, notes };
+    const mgdl = toMgdl(parsedValue, unit);
+
+    if (mgdl < CONFIRM_BELOW_MGDL || mgdl > CONFIRM_ABOVE_MGDL) {
+      Alert.alert(
+        t('glucose.confirmTitle'),
+        t(mgdl < CONFIRM_BELOW_MGDL ? 'glucose.confirmLow' : 'glucose.confirmHigh', {
+          value: formatGlucose(parsedValue, unit),
+          unit,
+        }),
+        [
+          { text: t('common.edit'), style: 'cancel' },
+          { text: t('common.save'), onPress: () => saveReading(reading) },
+        ]
+      );
+      return;
+    }
+
+    saveReading(reading);
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      t('glucose.deleteTitle'),
+      t('glucose.deleteConfirm'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await glucoseService.deleteReading(readingId);
+              navigation.goBack();
+            } catch (error) {
+              Alert.alert(t('common.error'), getErrorMessage(error, t('glucose.deleteFailed')));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2E7D32" />
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : null}
+      style={{ flex: 1 }}
+    >
+      <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+        <View style={styles.formContainer}>
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>{t('glucose.value')}</Text>
+            <View style={styles.valueRow}>
+              <TextInput
+                style={[styles.input, styles.valueInput, errors.value && styles.inputError]}
+                placeholder={t('glucose.placeholder', { example: formatGlucose(unit === MGDL ? 110 : 6.1, unit) })}
+                keyboardType="decimal-pad"
+                value={value}
+                onChangeText={setValue}
+              />
+              {GLUCOSE_UNITS.map((glucoseUnit) => (
+                <TouchableOpacity
+                  key={glucoseUnit}
+                  style={[styles.unitButton, unit === glucoseUnit && styles.selectedChip]}
+                  onPress={() => handleUnitChange(glucoseUnit)}
+                >
+                  <Text style={[styles.unitText, unit === glucoseUnit && styles.selectedChipText]}>
+                    {glucoseUnit}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {errors.value ? (
+              <Text style={styles.errorText}>{errors.value}</Text>
+            ) : (
+              <Text style={styles.hintText}>
+                {t('glucose.validRange', {
+                  min: formatGlucose(range.min, unit),
+                  max: formatGlucose(range.max, unit),
+                  unit,
+                })}
+              </Text>
+            )}
+          </View>
+
+          <Text style={styles.label}>{t('glucose.context')}</Text>
+          <View style={styles.chipContainer}>
+            {READING_CONTEXTS.map((readingContext) => (
+              <TouchableOpacity
+                key={readingContext}
+                style={[styles.chip, context === readingContext && styles.selectedChip]}
+                onPress={() => handleContextChange(readingContext)}
+              >
+                <Text style={[styles.chipText, context === readingContext && styles.selectedChipText]}>
+                  {t(`readingContexts.${readingContext}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {MEAL_CONTEXTS.includes(context) && recentMeals.length > 0 && (
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>{t('glucose.linkedMeal')}</Text>
+              {recentMeals.map((meal) => (
+                <TouchableOpacity
+                  key={meal.id}
+                  style={[styles.mealOption, mealId === meal.id && styles.selectedChip]}
+                  onPress={() => setMealId(mealId === meal.id ? null : meal.id)}
+                >
+                  <Text style={[styles.chipText, mealId === meal.id && styles.selectedChipText]}>
+                    {t(`mealTypes.${meal.mealType}`)} · {formatDateTime(meal.timestamp)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          <FormField
+            label={t('common.dateTime')}
+            placeholder="YYYY-MM-DD HH:MM"
+            value={dateTime}
+            onChangeText={setDateTime}
+            error={errors.dateTime}
+          />
+
+          <FormField
+            label={t('common.notes')}
+            placeholder={t('common.optional')}
+            value={notes}
+            onChangeText={setNotes}
+          />
+
+          <TouchableOpacity
+            style={styles.button}
+            onPress={handleSave}
+            disabled={isSaving}
+          >
+            {isSaving ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>{t('glucose.save')}</Text>
+            )}
+          </TouchableOpacity>
+
+          {readingId && (
+            <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+              <Text style={styles.deleteButtonText}>{t('glucose.deleteTitle')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f9f9f9',
+  },
+  container: {
+    flexGrow: 1,
+    backgroundColor: '#f9f9f9',
+    padding: 15,
+  },
+  formContainer: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    marginBottom: 8,
+    color: '#444',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 16,
+    backgroundColor: '#f9f9f9',
+  },
+  valueRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  valueInput: {
+    flex: 1,
+    fontSize: 22,
+    marginRight: 8,
+  },
+  unitButton: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 12,
+    marginLeft: 6,
+  },
+  unitText: {
+    color: '#666',
+    fontSize: 14,
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#888',
+    marginTop: 6,
+  },
+  inputError: {
+    borderColor: '#D32F2F',
+  },
+  errorText: {
+    color: '#D32F2F',
+    fontSize: 14,
+    marginTop: 6,
+  },
+  chipContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+    width: '48%',
+    alignItems: 'center',
+  },
+  mealOption: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  selectedChip: {
+    borderColor: '#2E7D32',
+    backgroundColor: '#EEF7EF',
+  },
+  chipText: {
+    color: '#666',
+    fontSize: 14,
+    textTransform: 'capitalize',
+  },
+  selectedChipText: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  button: {
+    backgroundColor: '#2E7D32',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginVertical: 10,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  deleteButton: {
+    alignItems: 'center',
+    padding: 15,
+  },
+  deleteButtonText: {
+    color: '#D32F2F',
+    fontSize: 16,
+  },
+});
+
+export default GlucoseEntryScreen;
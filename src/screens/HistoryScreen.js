@@ -0,0 +1,287 @@
+import React, { useCallback, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  SectionList,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import historyService from '../services/historyService';
+import { formatDayHeading, startOfDay } from '../utils/dateUtils';
+import { formatGlucose } from '../utils/glucoseUnits';
+import { getErrorMessage } from '../utils/errorMapping';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+const TYPE_FILTERS = [
+  { key: 'all', labelKey: 'history.types.all', types: ['meal', 'glucose'] },
+  { key: 'meal', labelKey: 'history.types.meal', types: ['meal'] },
+  { key: 'glucose', labelKey: 'history.types.glucose', types: ['glucose'] },
+];
+
+const RANGE_FILTERS = [
+  { key: 'all', labelKey: 'history.ranges.all', days: null },
+  { key: '7d', labelKey: 'history.ranges.days', days: 7 },
+  { key: '30d', labelKey: 'history.ranges.days', days: 30 },
+  { key: '90d', labelKey: 'history.ranges.days', days: 90 },
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const HistoryScreen = ({ navigation }) => {
+  const { t } = useTranslation();
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [rangeFilter, setRangeFilter] = useState('30d');
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+
+  const feedRef = useRef(null);
+  const loadingRef = useRef(false);
+  // Bumped whenever the feed is replaced, so loads started for an older feed
+  // can tell they are stale
+  const generationRef = useRef(0);
+
+  const loadMore = useCallback(async () => {
+    const feed = feedRef.current;
+    const generation = generationRef.current;
+
+    if (!feed || loadingRef.current || !feed.hasMore()) {
+      return;
+    }
+
+    loadingRef.current = true;
+    setIsLoading(true);
+
+    try {
+      const newEntries = await feed.loadMore();
+
+      if (generation === generationRef.current) {
+        setEntries((prevEntries) => [...prevEntries, ...newEntries]);
+        setHasMore(feed.hasMore());
+      }
+    } catch (error) {
+      if (generation === generationRef.current) {
+        Alert.alert(t('common.error'), getErrorMessage(error, t('history.loadFailed')));
+      }
+    } finally {
+      // A stale load must not clear the flag of the load now running
+      if (generation === generationRef.current) {
+        loadingRef.current = false;
+        setIsLoading(false);
+      }
+    }
+  }, [t]);
+
+  // Start a new feed whenever the filters change
+  const resetFeed = useCallback(() => {
+    const { types } = TYPE_FILTERS.find((filter) => filter.key === typeFilter);
+    const { days } = RANGE_FILTERS.find((filter) => filter.key === rangeFilter);
+    const from = days ? startOfDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000)) : null;
+
+    generationRef.current += 1;
+    feedRef.current = historyService.createFeed({ types, from });
+    loadingRef.current = false;
+    setEntries([]);
+    setHasMore(true);
+    loadMore();
+  }, [typeFilter, rangeFilter, loadMore]);
+
+  // Also reload on focus, since entries may have been edited or deleted on
+  // another screen
+  useFocusEffect(resetFeed);
+
+  const renderEntry = ({ item }) => {
+    const time = `${pad(item.timestamp.getHours())}:${pad(item.timestamp.getMinutes())}`;
+
+    if (item.type === 'meal') {
+      const meal = item.data;
+      return (
+        <TouchableOpacity
+          style={styles.entryCard}
+          onPress={() => navigation.navigate('MealEdit', { mealId: meal.id })}
+        >
+          <Text style={styles.entryTime}>{time}</Text>
+          <View style={styles.entryBody}>
+            <Text style={styles.entryTitle}>{t(`mealTypes.${meal.mealType}`)}</Text>
+            <Text style={styles.entryDetail} numberOfLines={1}>
+              {meal.items.map((food) => food.name).join(', ')}
+            </Text>
+            <Text style={styles.entryDetail}>
+              {t('history.mealSummary', { grams: meal.totalCarbs, gl: meal.totalGlycemicLoad })}
+            </Text>
+          </View>
+        </TouchableOpacity>
+      );
+    }
+
+    const reading = item.data;
+    return (
+      <TouchableOpacity
+        style={[styles.entryCard, styles.glucoseCard]}
+        onPress={() => navigation.navigate('GlucoseEntry', { readingId: reading.id })}
+      >
+        <Text style={styles.entryTime}>{time}</Text>
+        <View style={styles.entryBody}>
+          <Text style={styles.glucoseValue}>
+            {formatGlucose(reading.value, reading.unit)} {reading.unit}
+          </Text>
+          <Text style={styles.entryDetail}>{t(`readingContexts.${reading.context}`)}</Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderChips = (filters, selected, onSelect) => (
+    <View style={styles.chipRow}>
+      {filters.map((filter) => (
+        <TouchableOpacity
+          key={filter.key}
+          style={[styles.chip, selected === filter.key && styles.selectedChip]}
+          onPress={() => onSelect(filter.key)}
+        >
+          <Text style={[styles.chipText, selected === filter.key && styles.selectedChipText]}>
+            {t(filter.labelKey, { count: filter.days })}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.filterContainer}>
+        {renderChips(TYPE_FILTERS, typeFilter, setTypeFilter)}
+        {renderChips(RANGE_FILTERS, rangeFilter, setRangeFilter)}
+      </View>
+
+      <SectionList
+        sections={historyService.groupByDay(entries)}
+        keyExtractor={(item) => `${item.type}-${item.id}`}
+        renderItem={renderEntry}
+        renderSectionHeader={({ section }) => (
+          <Text style={styles.sectionHeader}>{formatDayHeading(section.date)}</Text>
+        )}
+        stickySectionHeadersEnabled
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        contentContainerStyle={styles.listContent}
+        ListFooterComponent={
+          isLoading ? <ActivityIndicator color="#2E7D32" style={styles.loader} /> : null
+        }
+        ListEmptyComponent={
+          !isLoading && !hasMore ? (
+            <Text style={styles.emptyText}>{t('history.empty')}</Text>
+          ) : null
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  filterContainer: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 15,
+    paddingTop: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 5,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 5,
+  },
+  selectedChip: {
+    borderColor: '#2E7D32',
+    backgroundColor: '#EEF7EF',
+  },
+  chipText: {
+    color: '#666',
+    fontSize: 14,
+  },
+  selectedChipText: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  listContent: {
+    paddingHorizontal: 15,
+    paddingBottom: 15,
+  },
+  sectionHeader: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#555',
+    backgroundColor: '#f9f9f9',
+    paddingTop: 15,
+    paddingBottom: 8,
+  },
+  entryCard: {
+    flexDirection: 'row',
+    backgroundColor: 'white',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#2E7D32',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  glucoseCard: {
+    borderLeftColor: '#1565C0',
+  },
+  entryTime: {
+    fontSize: 14,
+    color: '#666',
+    width: 50,
+  },
+  entryBody: {
+    flex: 1,
+  },
+  entryTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+    textTransform: 'capitalize',
+    marginBottom: 2,
+  },
+  glucoseValue: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+    marginBottom: 2,
+  },
+  entryDetail: {
+    fontSize: 14,
+    color: '#666',
+  },
+  loader: {
+    marginVertical: 20,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 30,
+  },
+});
+
+export default HistoryScreen;
@@ -1,68 +1,263 @@
-import React from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, ScrollView, Alert } from 'react-native';
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
 import { useAuth } from '../contexts/AuthContext';
+import insightsService from '../services/insightsService';
+import AgpChart from '../components/AgpChart';
+import { CV_STABLE_LIMIT, METRIC_PERIODS_DAYS, MIN_GMI_DAYS } from '../utils/glucoseMetrics';
+import { getDefaultTargets } from '../utils/diabetesProfile';
+import { MGDL, formatGlucose, fromMgdl } from '../utils/glucoseUnits';
+import { getErrorMessage } from '../utils/errorMapping';
+import useLogout from '../utils/useLogout';
+import { useTranslation } from '../i18n/LocaleProvider';
 
-const HomeScreen = () => {
-  const { currentUser, logout } = useAuth();
-  
-  const handleLogout = async () => {
-    try {
-      await logout();
-      // Navigation will be handled by the auth state listener in AppNavigator
-    } catch (error) {
-      Alert.alert('Error', 'Failed to log out');
+// Time-in-range bands from the top of the scale down, with their colors
+const RANGE_BANDS = [
+  { key: 'veryHigh', color: '#EF6C00' },
+  { key: 'high', color: '#F9A825' },
+  { key: 'inRange', color: '#2E7D32' },
+  { key: 'low', color: '#D32F2F' },
+  { key: 'veryLow', color: '#8E0000' },
+];
+
+/**
+ * Split the time-in-range shares into non-overlapping bands. "below" and
+ * "above" include the very low and very high shares.
+ * @param {object} ranges - { veryLow, below, inRange, above, veryHigh } in percent
+ * @returns {object} - { veryHigh, high, inRange, low, veryLow } in percent
+ */
+const toRangeBands = (ranges) => ({
+  veryHigh: ranges.veryHigh,
+  high: ranges.above - ranges.veryHigh,
+  inRange: ranges.inRange,
+  low: ranges.below - ranges.veryLow,
+  veryLow: ranges.veryLow,
+});
+
+const HomeScreen = ({ navigation }) => {
+  const { currentUser } = useAuth();
+  // Navigation will be handled by the auth state listener in AppNavigator
+  const handleLogout = useLogout();
+  const { t, formatNumber } = useTranslation();
+  const [periodDays, setPeriodDays] = useState(14);
+  const [metrics, setMetrics] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [metricsError, setMetricsError] = useState(null);
+
+  const unit = currentUser?.preferredGlucoseUnit || MGDL;
+  const defaultTargets = getDefaultTargets(currentUser?.diabetesType);
+  const targetLow = currentUser?.targetLowMgdl ?? defaultTargets.low;
+  const targetHigh = currentUser?.targetHighMgdl ?? defaultTargets.high;
+
+  useFocusEffect(
+    useCallback(() => {
+      const loadMetrics = async () => {
+        setIsLoading(true);
+        setMetricsError(null);
+        try {
+          setMetrics(await insightsService.getGlucoseMetrics({
+            days: periodDays,
+            targets: { low: targetLow, high: targetHigh },
+          }));
+        } catch (err) {
+          setMetricsError(getErrorMessage(err, t('home.metricsFailed')));
+        } finally {
+          setIsLoading(false);
+        }
+      };
+
+      loadMetrics();
+    }, [periodDays, targetLow, targetHigh, t])
+  );
+
+  const formatPercent = (value) => t('home.percent', { value: formatNumber(value, { maximumFractionDigits: 0 }) });
+  const formatMgdl = (mgdl) => formatGlucose(fromMgdl(mgdl, unit), unit);
+
+  const renderMetrics = () => {
+    if (isLoading) {
+      return <ActivityIndicator style={styles.metricsLoading} size="large" color="#2E7D32" />;
+    }
+
+    if (metricsError) {
+      return <Text style={styles.emptyText}>{metricsError}</Text>;
+    }
+
+    if (!metrics || metrics.readingCount === 0) {
+      return <Text style={styles.emptyText}>{t('home.noReadings')}</Text>;
     }
+
+    const bands = toRangeBands(metrics.ranges);
+
+    return (
+      <>
+        <View style={styles.rangeBar}>
+          {RANGE_BANDS.filter((band) => bands[band.key] > 0).map((band) => (
+            <View key={band.key} style={{ flex: bands[band.key], backgroundColor: band.color }} />
+          ))}
+        </View>
+
+        {RANGE_BANDS.map((band) => (
+          <View key={band.key} style={styles.rangeRow}>
+            <View style={[styles.rangeDot, { backgroundColor: band.color }]} />
+            <Text style={styles.rangeLabel}>{t(`home.ranges.${band.key}`)}</Text>
+            <Text style={styles.rangeValue}>{formatPercent(bands[band.key])}</Text>
+          </View>
+        ))}
+        <Text style={styles.noteText}>{t('home.rangeGoal')}</Text>
+
+        <View style={styles.statsGrid}>
+          <View style={styles.statCell}>
+            <Text style={styles.statValue}>{formatMgdl(metrics.meanMgdl)}</Text>
+            <Text style={styles.statLabel}>{t('home.stats.mean', { unit })}</Text>
+          </View>
+          <View style={styles.statCell}>
+            <Text style={styles.statValue}>
+              {t('home.percent', { value: formatNumber(metrics.gmi, { minimumFractionDigits: 1 }) })}
+            </Text>
+            <Text style={styles.statLabel}>{t('home.stats.gmi')}</Text>
+          </View>
+          <View style={styles.statCell}>
+            <Text style={[styles.statValue, metrics.cv > CV_STABLE_LIMIT && styles.statWarning]}>
+              {metrics.cv === null ? '–' : formatPercent(metrics.cv)}
+            </Text>
+            <Text style={styles.statLabel}>{t('home.stats.cv', { limit: CV_STABLE_LIMIT })}</Text>
+          </View>
+          <View style={styles.statCell}>
+            <Text style={styles.statValue}>{metrics.readingCount}</Text>
+            <Text style={styles.statLabel}>{t('home.stats.readings', { count: metrics.readingCount })}</Text>
+          </View>
+        </View>
+        {!metrics.gmiReliable && (
+          <Text style={styles.noteText}>{t('home.gmiCaveat', { count: MIN_GMI_DAYS })}</Text>
+        )}
+      </>
+    );
   };
-  
+
   return (
     <ScrollView style={styles.container}>
       <View style={styles.header}>
         <Text style={styles.welcomeText}>
-          Welcome, {currentUser?.name || 'User'}!
+          {t('home.welcome', { name: currentUser?.name || t('home.defaultName') })}
         </Text>
-        <Text style={styles.subtitleText}>
-          Track your food's glycemic index and manage your diabetes better
+        <Text style={styles.subtitleText}>{t('home.subtitle')}</Text>
+      </View>
+
+      <View style={styles.infoBox}>
+        <Text style={styles.infoTitle}>{t('home.trendsTitle')}</Text>
+        <View style={styles.chipRow}>
+          {METRIC_PERIODS_DAYS.map((days) => (
+            <TouchableOpacity
+              key={days}
+              style={[styles.chip, periodDays === days && styles.selectedChip]}
+              onPress={() => setPeriodDays(days)}
+            >
+              <Text style={[styles.chipText, periodDays === days && styles.selectedChipText]}>
+                {t('home.periodDays', { count: days })}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <Text style={styles.noteText}>
+          {t('home.targetRange', { low: formatMgdl(targetLow), high: formatMgdl(targetHigh), unit })}
         </Text>
+        {renderMetrics()}
       </View>
+
+      {!isLoading && !metricsError && metrics?.readingCount > 0 && (
+        <View style={styles.infoBox}>
+          <Text style={styles.infoTitle}>{t('home.agp.title')}</Text>
+          <Text style={styles.noteText}>{t('home.agp.description')}</Text>
+          <AgpChart agp={metrics.agp} targets={{ low: targetLow, high: targetHigh }} unit={unit} />
+        </View>
+      )}
       
       <View style={styles.infoBox}>
-        <Text style={styles.infoTitle}>Your Profile</Text>
+        <Text style={styles.infoTitle}>{t('home.profileTitle')}</Text>
         <View style={styles.infoRow}>
-          <Text style={styles.infoLabel}>Name:</Text>
-          <Text style={styles.infoValue}>{currentUser?.name || 'Not set'}</Text>
+          <Text style={styles.infoLabel}>{t('home.nameLabel')}</Text>
+          <Text style={styles.infoValue}>{currentUser?.name || t('common.notSet')}</Text>
         </View>
         <View style={styles.infoRow}>
-          <Text style={styles.infoLabel}>Email:</Text>
-          <Text style={styles.infoValue}>{currentUser?.email || 'Not set'}</Text>
+          <Text style={styles.infoLabel}>{t('home.emailLabel')}</Text>
+          <Text style={styles.infoValue}>{currentUser?.email || t('common.notSet')}</Text>
         </View>
         <View style={styles.infoRow}>
-          <Text style={styles.infoLabel}>Diabetes Type:</Text>
-          <Text style={styles.infoValue}>{currentUser?.diabetesType || 'Not set'}</Text>
+          <Text style={styles.infoLabel}>{t('home.diabetesTypeLabel')}</Text>
+          <Text style={styles.infoValue}>{currentUser?.diabetesType
+              ? t(`diabetesTypes.${currentUser.diabetesType}`)
+              : t('common.notSet')}</Text>
         </View>
+        <TouchableOpacity
+          style={styles.editProfileButton}
+          onPress={() => navigation.navigate('ProfileTab', { screen: 'Profile' })}
+        >
+          <Text style={styles.editProfileText}>{t('home.editProfile')}</Text>
+        </TouchableOpacity>
       </View>
       
       <View style={styles.actionsContainer}>
-        <Text style={styles.actionsTitle}>What would you like to do?</Text>
+        <Text style={styles.actionsTitle}>{t('home.actionsTitle')}</Text>
+        
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => navigation.navigate('FoodTab', { screen: 'FoodSearch' })}
+        >
+          <Text style={styles.actionButtonText}>{t('home.searchFood')}</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => navigation.navigate('LogTab', { screen: 'MealLog' })}
+        >
+          <Text style={styles.actionButtonText}>{t('home.logMeal')}</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => navigation.navigate('LogTab', { screen: 'MealPlan', initial: false })}
+        >
+          <Text style={styles.actionButtonText}>{t('home.planMeals')}</Text>
+        </TouchableOpacity>
         
-        <TouchableOpacity style={styles.actionButton}>
-          <Text style={styles.actionButtonText}>Search Food GI</Text>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => navigation.navigate('LogTab', { screen: 'GlucoseEntry', initial: false })}
+        >
+          <Text style={styles.actionButtonText}>{t('home.recordGlucose')}</Text>
         </TouchableOpacity>
         
-        <TouchableOpacity style={styles.actionButton}>
-          <Text style={styles.actionButtonText}>Log a Meal</Text>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => navigation.navigate('LogTab', { screen: 'History', initial: false })}
+        >
+          <Text style={styles.actionButtonText}>{t('home.viewHistory')}</Text>
         </TouchableOpacity>
         
-        <TouchableOpacity style={styles.actionButton}>
-          <Text style={styles.actionButtonText}>Record Blood Glucose</Text>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => navigation.navigate('LogTab', { screen: 'CgmImport', initial: false })}
+        >
+          <Text style={styles.actionButtonText}>{t('home.importCgm')}</Text>
         </TouchableOpacity>
         
-        <TouchableOpacity style={styles.actionButton}>
-          <Text style={styles.actionButtonText}>View History</Text>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => navigation.navigate('TrendsTab', { screen: 'Insights' })}
+        >
+          <Text style={styles.actionButtonText}>{t('home.foodResponses')}</Text>
         </TouchableOpacity>
       </View>
       
       <TouchableOpacity style={styles.logoutButton} onPress={handleLogout}>
-        <Text style={styles.logoutButtonText}>Logout</Text>
+        <Text style={styles.logoutButtonText}>{t('home.logout')}</Text>
       </TouchableOpacity>
     </ScrollView>
   );
@@ -106,6 +301,98 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 15,
   },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 5,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 5,
+  },
+  selectedChip: {
+    borderColor: '#2E7D32',
+    backgroundColor: '#EEF7EF',
+  },
+  chipText: {
+    color: '#666',
+    fontSize: 14,
+  },
+  selectedChipText: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  metricsLoading: {
+    marginVertical: 20,
+  },
+  emptyText: {
+    fontSize: 15,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 21,
+    marginVertical: 10,
+  },
+  noteText: {
+    fontSize: 13,
+    color: '#777',
+    lineHeight: 18,
+    marginBottom: 10,
+  },
+  rangeBar: {
+    flexDirection: 'row',
+    height: 16,
+    borderRadius: 8,
+    overflow: 'hidden',
+    backgroundColor: '#f0f0f0',
+    marginBottom: 10,
+  },
+  rangeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  rangeDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 8,
+  },
+  rangeLabel: {
+    flex: 1,
+    fontSize: 15,
+    color: '#555',
+  },
+  rangeValue: {
+    fontSize: 15,
+    color: '#333',
+    fontWeight: '500',
+  },
+  statsGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 5,
+  },
+  statCell: {
+    width: '50%',
+    paddingVertical: 10,
+  },
+  statValue: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#2E7D32',
+  },
+  statWarning: {
+    color: '#F57F17',
+  },
+  statLabel: {
+    fontSize: 13,
+    color: '#666',
+  },
   infoRow: {
     flexDirection: 'row',
     marginBottom: 10,
@@ -121,6 +408,15 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     flex: 1,
   },
+  editProfileButton: {
+    marginTop: 10,
+    alignSelf: 'flex-start',
+  },
+  editProfileText: {
+    color: '#2E7D32',
+    fontSize: 16,
+    fontWeight: '500',
+  },
   actionsContainer: {
     backgroundColor: 'white',
     margin: 15,
@@ -0,0 +1,321 @@
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  Switch,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { useAuth } from '../contexts/AuthContext';
+import insightsService from '../services/insightsService';
+import foodService from '../services/foodService';
+import { MIN_FOOD_SAMPLES, MIN_REFERENCE_SAMPLES, REFERENCE_FOODS } from '../utils/personalGi';
+import { getErrorMessage } from '../utils/errorMapping';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+const InsightsScreen = () => {
+  const { currentUser, updateProfile } = useAuth();
+  const { t } = useTranslation();
+  const [insights, setInsights] = useState(null);
+  const [personalGi, setPersonalGi] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const personalGiEnabled = !!currentUser?.personalGiEnabled;
+  const referenceFoodId = currentUser?.personalGiReferenceFoodId || 'glucose';
+
+  useFocusEffect(
+    useCallback(() => {
+      const loadInsights = async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+          const [responseInsights, personalGiEstimates] = await Promise.all([
+            insightsService.getFoodResponseInsights(),
+            personalGiEnabled
+              ? insightsService.getPersonalGiEstimates({ referenceFoodId })
+              : Promise.resolve(null),
+          ]);
+          setInsights(responseInsights);
+          setPersonalGi(personalGiEstimates);
+        } catch (err) {
+          setError(getErrorMessage(err, t('insights.loadFailed')));
+        } finally {
+          setIsLoading(false);
+        }
+      };
+
+      loadInsights();
+    }, [personalGiEnabled, referenceFoodId, t])
+  );
+
+  const updatePersonalGiSettings = async (changes) => {
+    try {
+      await updateProfile(changes);
+    } catch (err) {
+      Alert.alert(t('common.error'), getErrorMessage(err, t('common.settingsFailed')));
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2E7D32" />
+      </View>
+    );
+  }
+
+  if (error) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.emptyText}>{error}</Text>
+      </View>
+    );
+  }
+
+  const renderFoodRow = (food) => (
+    <View key={food.foodId} style={styles.row}>
+      <View style={styles.rowInfo}>
+        <Text style={styles.rowTitle}>{food.name}</Text>
+        <Text style={styles.rowDetail}>{t('insights.mealCount', { count: food.mealCount })}</Text>
+      </View>
+      <Text style={styles.rowValue}>{t('insights.peakDelta', { value: Math.round(food.meanPeakDelta) })}</Text>
+    </View>
+  );
+
+  const hasRankings = insights.best.length > 0;
+  const personalEstimates = personalGi ? Object.values(personalGi.estimates) : [];
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.infoBox}>
+        <Text style={styles.infoTitle}>{t('insights.title')}</Text>
+        <Text style={styles.infoText}>
+          {t('insights.basedOn', { count: insights.responses.length })}
+        </Text>
+      </View>
+
+      {hasRankings ? (
+        <>
+          <View style={styles.infoBox}>
+            <Text style={styles.sectionTitle}>{t('insights.best')}</Text>
+            {insights.best.map(renderFoodRow)}
+          </View>
+
+          {insights.worst.length > 0 && (
+            <View style={styles.infoBox}>
+              <Text style={styles.sectionTitle}>{t('insights.worst')}</Text>
+              {insights.worst.map(renderFoodRow)}
+            </View>
+          )}
+        </>
+      ) : (
+        <View style={styles.infoBox}>
+          <Text style={styles.emptyText}>{t('insights.notEnoughData')}</Text>
+        </View>
+      )}
+
+      {insights.mealTypes.length > 0 && (
+        <View style={styles.infoBox}>
+          <Text style={styles.sectionTitle}>{t('insights.byMealType')}</Text>
+          {insights.mealTypes.map((type) => (
+            <View key={type.mealType} style={styles.row}>
+              <View style={styles.rowInfo}>
+                <Text style={[styles.rowTitle, styles.capitalize]}>{t(`mealTypes.${type.mealType}`)}</Text>
+                <Text style={styles.rowDetail}>{t('insights.mealCount', { count: type.mealCount })}</Text>
+              </View>
+              <Text style={styles.rowValue}>
+                {t('insights.peakDelta', { value: Math.round(type.meanPeakDelta) })}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
+
+      <View style={[styles.infoBox, styles.lastBox]}>
+        <View style={styles.row}>
+          <View style={styles.rowInfo}>
+            <Text style={styles.sectionTitle}>{t('insights.personalGi')}</Text>
+            <Text style={styles.infoText}>{t('insights.personalGiDescription')}</Text>
+          </View>
+          <Switch
+            value={personalGiEnabled}
+            onValueChange={(value) => updatePersonalGiSettings({ personalGiEnabled: value })}
+            trackColor={{ true: '#2E7D32' }}
+          />
+        </View>
+
+        {personalGiEnabled && (
+          <>
+            <Text style={styles.label}>{t('insights.referenceMeal')}</Text>
+            <View style={styles.chipRow}>
+              {Object.keys(REFERENCE_FOODS).map((foodId) => (
+                <TouchableOpacity
+                  key={foodId}
+                  style={[styles.chip, referenceFoodId === foodId && styles.selectedChip]}
+                  onPress={() => updatePersonalGiSettings({ personalGiReferenceFoodId: foodId })}
+                >
+                  <Text style={[styles.chipText, referenceFoodId === foodId && styles.selectedChipText]}>
+                    {foodService.getFoodById(foodId)?.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {personalGi && !personalGi.reference.ready && (
+              <Text style={styles.infoText}>
+                {t('insights.referenceNeeded', {
+                  count: MIN_REFERENCE_SAMPLES - personalGi.reference.sampleCount,
+                  food: foodService.getFoodById(referenceFoodId)?.name.toLowerCase(),
+                })}
+              </Text>
+            )}
+
+            {personalGi?.reference.ready && personalEstimates.length === 0 && (
+              <Text style={styles.infoText}>
+                {t('insights.foodSamplesNeeded', { count: MIN_FOOD_SAMPLES })}
+              </Text>
+            )}
+
+            {personalEstimates.map((estimate) => (
+              <View key={estimate.foodId} style={styles.row}>
+                <View style={styles.rowInfo}>
+                  <Text style={styles.rowTitle}>{estimate.name}</Text>
+                  <Text style={styles.rowDetail}>
+                    {t('insights.confidenceInterval', {
+                      low: estimate.ciLow,
+                      high: estimate.ciHigh,
+                      count: estimate.sampleCount,
+                    })}
+                  </Text>
+                </View>
+                <Text style={styles.rowValue}>
+                  {estimate.personalGi}
+                  <Text style={styles.rowDetail}>
+                    {t('insights.versus', { gi: foodService.getFoodById(estimate.foodId)?.gi })}
+                  </Text>
+                </Text>
+              </View>
+            ))}
+          </>
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f9f9f9',
+    padding: 20,
+  },
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  infoBox: {
+    backgroundColor: 'white',
+    margin: 15,
+    marginBottom: 0,
+    padding: 15,
+    borderRadius: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  infoTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 16,
+    color: '#333',
+  },
+  capitalize: {
+    textTransform: 'capitalize',
+  },
+  rowDetail: {
+    fontSize: 13,
+    color: '#888',
+  },
+  rowValue: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#2E7D32',
+  },
+  lastBox: {
+    marginBottom: 15,
+  },
+  label: {
+    fontSize: 14,
+    color: '#444',
+    marginTop: 10,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 5,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 5,
+  },
+  selectedChip: {
+    borderColor: '#2E7D32',
+    backgroundColor: '#EEF7EF',
+  },
+  chipText: {
+    color: '#666',
+    fontSize: 14,
+  },
+  selectedChipText: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    fontSize: 15,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 21,
+  },
+});
+
+export default InsightsScreen;
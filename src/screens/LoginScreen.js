@@ -2,7 +2,6 @@ import React, { useState } from 'react';
 import {
   View,
   Text,
-  TextInput,
   TouchableOpacity,
   StyleSheet,
   ScrollView,
@@ -11,48 +10,89 @@ import {
   KeyboardAvoidingView,
   Platform,
 } from 'react-native';
+import { statusCodes } from '@react-native-google-signin/google-signin';
+import { appleAuth } from '@invertase/react-native-apple-authentication';
 import { useAuth } from '../contexts/AuthContext';
+import FormField from '../components/FormField';
+import { getErrorMessage } from '../utils/errorMapping';
+import { hasErrors, required, validEmail, validate } from '../utils/validation';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+// Translation keys for the sign-in methods an account can use
+const PROVIDER_NAME_KEYS = {
+  password: 'login.providers.password',
+  'google.com': 'login.providers.google',
+  'apple.com': 'login.providers.apple',
+};
+
+const LOGIN_SCHEMA = {
+  email: [required('validation.emailRequired'), validEmail()],
+  password: [required('validation.passwordRequired')],
+};
 
 const LoginScreen = ({ navigation }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
+  const [providerLoading, setProviderLoading] = useState(null);
   
-  const { login } = useAuth();
+  const { login, signInWithGoogle, signInWithApple, signInAsGuest, isAppleSignInAvailable } = useAuth();
+  const { t } = useTranslation();
   
   const handleLogin = async () => {
-    // Validate input
-    if (!email.trim()) {
-      Alert.alert('Error', 'Email is required');
-      return;
-    }
+    const validationErrors = validate({ email, password }, LOGIN_SCHEMA);
+    setErrors(validationErrors);
     
-    if (!password) {
-      Alert.alert('Error', 'Password is required');
+    if (hasErrors(validationErrors)) {
       return;
     }
     
     setIsLoading(true);
     
     try {
-      await login(email, password);
+      await login(email.trim(), password);
+      // Navigation will be handled by the auth state listener
+    } catch (error) {
+      Alert.alert(t('login.errorTitle'), getErrorMessage(error, t('login.failed')));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  const handleProviderSignIn = async (provider, signIn) => {
+    setProviderLoading(provider);
+    
+    try {
+      await signIn();
       // Navigation will be handled by the auth state listener
     } catch (error) {
-      let errorMessage = 'Failed to log in';
+      // The user closed the provider's sign-in sheet
+      if (error.code === statusCodes.SIGN_IN_CANCELLED || error.code === appleAuth.Error.CANCELED) {
+        return;
+      }
       
-      if (error.code === 'auth/user-not-found') {
-        errorMessage = 'No account found with this email';
-      } else if (error.code === 'auth/wrong-password') {
-        errorMessage = 'Incorrect password';
-      } else if (error.code === 'auth/invalid-email') {
-        errorMessage = 'Invalid email format';
-      } else if (error.code === 'auth/too-many-requests') {
-        errorMessage = 'Too many failed login attempts. Please try again later';
+      let errorMessage = getErrorMessage(error, t('login.signInFailed'));
+      
+      // Tell the user which sign-in method links the two accounts
+      if (error.code === 'auth/account-exists-with-different-credential') {
+        const existing = (error.existingProviders || [])
+          .filter((providerId) => PROVIDER_NAME_KEYS[providerId])
+          .map((providerId) => t(PROVIDER_NAME_KEYS[providerId]));
+        errorMessage = t('login.accountExists', {
+          email: error.email || t('login.thisEmail'),
+          methods: existing.join(t('login.or')) || t('login.providers.original'),
+        });
+        if (error.email) {
+          setEmail(error.email);
+        }
+      } else if (error.code === statusCodes.PLAY_SERVICES_NOT_AVAILABLE) {
+        errorMessage = t('login.playServicesUnavailable');
       }
       
-      Alert.alert('Login Error', errorMessage);
+      Alert.alert(t('login.signInErrorTitle'), errorMessage);
     } finally {
-      setIsLoading(false);
+      setProviderLoading(null);
     }
   };
   
@@ -71,37 +111,33 @@ const LoginScreen = ({ navigation }) => {
     >
       <ScrollView contentContainerStyle={styles.container}>
         <View style={styles.formContainer}>
-          <Text style={styles.title}>GI Tracker</Text>
-          <Text style={styles.subtitle}>Log in to your account</Text>
+          <Text style={styles.title}>{t('common.appName')}</Text>
+          <Text style={styles.subtitle}>{t('login.subtitle')}</Text>
           
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Email</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="Enter your email"
-              keyboardType="email-address"
-              autoCapitalize="none"
-              value={email}
-              onChangeText={setEmail}
-            />
-          </View>
+          <FormField
+            label={t('common.email')}
+            placeholder={t('common.emailPlaceholder')}
+            keyboardType="email-address"
+            autoCapitalize="none"
+            value={email}
+            onChangeText={setEmail}
+            error={errors.email}
+          />
           
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Password</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="Enter your password"
-              secureTextEntry
-              value={password}
-              onChangeText={setPassword}
-            />
-          </View>
+          <FormField
+            label={t('common.password')}
+            placeholder={t('login.passwordPlaceholder')}
+            secureTextEntry
+            value={password}
+            onChangeText={setPassword}
+            error={errors.password}
+          />
           
           <TouchableOpacity
             style={styles.forgotPasswordButton}
             onPress={navigateToForgotPassword}
           >
-            <Text style={styles.forgotPasswordText}>Forgot Password?</Text>
+            <Text style={styles.forgotPasswordText}>{t('login.forgotPassword')}</Text>
           </TouchableOpacity>
           
           <TouchableOpacity
@@ -112,14 +148,58 @@ const LoginScreen = ({ navigation }) => {
             {isLoading ? (
               <ActivityIndicator color="#fff" />
             ) : (
-              <Text style={styles.buttonText}>Log In</Text>
+              <Text style={styles.buttonText}>{t('login.submit')}</Text>
+            )}
+          </TouchableOpacity>
+          
+          <View style={styles.dividerContainer}>
+            <View style={styles.divider} />
+            <Text style={styles.dividerText}>{t('login.divider')}</Text>
+            <View style={styles.divider} />
+          </View>
+          
+          <TouchableOpacity
+            style={styles.providerButton}
+            onPress={() => handleProviderSignIn('google', signInWithGoogle)}
+            disabled={!!providerLoading}
+          >
+            {providerLoading === 'google' ? (
+              <ActivityIndicator color="#2E7D32" />
+            ) : (
+              <Text style={styles.providerButtonText}>{t('login.google')}</Text>
+            )}
+          </TouchableOpacity>
+          
+          {isAppleSignInAvailable && (
+            <TouchableOpacity
+              style={[styles.providerButton, styles.appleButton]}
+              onPress={() => handleProviderSignIn('apple', signInWithApple)}
+              disabled={!!providerLoading}
+            >
+              {providerLoading === 'apple' ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={[styles.providerButtonText, styles.appleButtonText]}>{t('login.apple')}</Text>
+              )}
+            </TouchableOpacity>
+          )}
+          
+          <TouchableOpacity
+            style={styles.guestButton}
+            onPress={() => handleProviderSignIn('guest', signInAsGuest)}
+            disabled={!!providerLoading}
+          >
+            {providerLoading === 'guest' ? (
+              <ActivityIndicator color="#2E7D32" />
+            ) : (
+              <Text style={styles.guestButtonText}>{t('login.guest')}</Text>
             )}
           </TouchableOpacity>
           
           <View style={styles.registerContainer}>
-            <Text style={styles.registerText}>Don't have an account? </Text>
+            <Text style={styles.registerText}>{t('login.noAccount')} </Text>
             <TouchableOpacity onPress={navigateToRegister}>
-              <Text style={styles.registerLink}>Sign Up</Text>
+              <Text style={styles.registerLink}>{t('login.signUp')}</Text>
             </TouchableOpacity>
           </View>
         </View>
@@ -158,23 +238,6 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 30,
   },
-  inputContainer: {
-    marginBottom: 20,
-  },
-  label: {
-    fontSize: 16,
-    marginBottom: 8,
-    color: '#444',
-  },
-  input: {
-    borderWidth: 1,
-    borderColor: '#ddd',
-    borderRadius: 8,
-    paddingHorizontal: 15,
-    paddingVertical: 12,
-    fontSize: 16,
-    backgroundColor: '#f9f9f9',
-  },
   forgotPasswordButton: {
     alignSelf: 'flex-end',
     marginBottom: 20,
@@ -195,6 +258,49 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  dividerContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 15,
+  },
+  divider: {
+    flex: 1,
+    height: 1,
+    backgroundColor: '#ddd',
+  },
+  dividerText: {
+    color: '#888',
+    marginHorizontal: 10,
+    fontSize: 14,
+  },
+  providerButton: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  providerButtonText: {
+    color: '#333',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  appleButton: {
+    backgroundColor: '#000',
+    borderColor: '#000',
+  },
+  appleButtonText: {
+    color: '#fff',
+  },
+  guestButton: {
+    alignItems: 'center',
+    padding: 10,
+  },
+  guestButtonText: {
+    color: '#2E7D32',
+    fontSize: 16,
+  },
   registerContainer: {
     flexDirection: 'row',
     justifyContent: 'center',
@@ -0,0 +1,627 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { useAuth } from '../contexts/AuthContext';
+import mealService, { MEAL_TYPES } from '../services/mealService';
+import foodService from '../services/foodService';
+import nutritionService from '../services/nutritionService';
+import substitutionService from '../services/substitutionService';
+import useDebouncedValue from '../utils/useDebouncedValue';
+import { formatDateTimeInput, parseDateTimeInput } from '../utils/dateUtils';
+import FormField from '../components/FormField';
+import { getErrorMessage } from '../utils/errorMapping';
+import { hasErrors, required, satisfies, validDateTime, validate } from '../utils/validation';
+import { parseMealTime } from '../utils/diabetesProfile';
+import { parseNumber } from '../i18n';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+// How far from a usual meal time a meal still counts as that meal
+const MEAL_TIME_WINDOW_MINUTES = 90;
+
+/**
+ * Pick a sensible meal type for the current time of day, using the user's
+ * usual meal times when they have set them
+ * @param {object} mealTimes - Usual time (HH:MM) per meal type, from the profile
+ * @returns {string} - Meal type
+ */
+const getDefaultMealType = (mealTimes) => {
+  const now = new Date();
+
+  if (mealTimes) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    let closest = null;
+    let closestDistance = MEAL_TIME_WINDOW_MINUTES;
+
+    Object.keys(mealTimes).forEach((type) => {
+      const mealMinutes = parseMealTime(mealTimes[type]);
+      const distance = mealMinutes === null ? Infinity : Math.abs(minutes - mealMinutes);
+      if (distance <= closestDistance) {
+        closest = type;
+        closestDistance = distance;
+      }
+    });
+
+    return closest || 'snack';
+  }
+
+  const hour = now.getHours();
+  if (hour < 11) {
+    return 'breakfast';
+  }
+  if (hour < 15) {
+    return 'lunch';
+  }
+  if (hour >= 17 && hour < 22) {
+    return 'dinner';
+  }
+  return 'snack';
+};
+
+const MEAL_SCHEMA = {
+  dateTime: [required('validation.dateTimeFormat'), validDateTime()],
+  items: [
+    required('mealEdit.noFoods'),
+    satisfies((items) => items.every((item) => parseNumber(item.quantity) > 0), 'mealEdit.invalidQuantity'),
+  ],
+};
+
+const MealEditScreen = ({ navigation, route }) => {
+  const mealId = route.params?.mealId;
+  const { currentUser } = useAuth();
+  const { t, formatNumber } = useTranslation();
+
+  const [mealType, setMealType] = useState(() => getDefaultMealType(currentUser?.mealTimes));
+  const [dateTime, setDateTime] = useState(formatDateTimeInput(new Date()));
+  const [items, setItems] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [errors, setErrors] = useState({});
+  const [foodQuery, setFoodQuery] = useState('');
+  const [isLoading, setIsLoading] = useState(!!mealId);
+  const [isSaving, setIsSaving] = useState(false);
+  const [personalData, setPersonalData] = useState({});
+
+  const personalGiEnabled = !!currentUser?.personalGiEnabled;
+  const referenceFoodId = currentUser?.personalGiReferenceFoodId || 'glucose';
+
+  const debouncedFoodQuery = useDebouncedValue(foodQuery, 250);
+
+  // Load the meal being edited
+  useEffect(() => {
+    if (!mealId) {
+      return;
+    }
+
+    const loadMeal = async () => {
+      try {
+        const meal = await mealService.getMeal(mealId);
+        if (meal) {
+          setMealType(meal.mealType);
+          setDateTime(formatDateTimeInput(meal.timestamp));
+          setItems(meal.items.map((item) => ({
+            foodId: item.foodId,
+            quantity: String(item.quantity),
+            unit: item.unit,
+          })));
+          setNotes(meal.notes || '');
+        }
+      } catch (error) {
+        Alert.alert(t('common.error'), getErrorMessage(error, t('mealEdit.loadFailed')));
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadMeal();
+  }, [mealId, t]);
+
+  // The user's own responses refine the swap suggestions; without them the
+  // suggestions fall back to published GI values
+  useEffect(() => {
+    const loadPersonalData = async () => {
+      try {
+        setPersonalData(await substitutionService.loadPersonalData({
+          referenceFoodId: personalGiEnabled ? referenceFoodId : null,
+        }));
+      } catch (error) {
+        console.error('Error loading personal response data:', error);
+      }
+    };
+
+    loadPersonalData();
+  }, [personalGiEnabled, referenceFoodId]);
+
+  const foodSuggestions = useMemo(() => {
+    return debouncedFoodQuery.trim() ? foodService.searchFoods(debouncedFoodQuery, 5) : [];
+  }, [debouncedFoodQuery]);
+
+  // Invalid quantities are left out of the live totals until they're fixed
+  const validItems = useMemo(() => {
+    return items
+      .map((item, position) => ({ ...item, position, quantity: parseNumber(item.quantity) }))
+      .filter((item) => item.quantity > 0);
+  }, [items]);
+
+  const totals = useMemo(() => {
+    try {
+      return nutritionService.calculateMealGlycemicLoad(validItems);
+    } catch (error) {
+      return { totalCarbs: 0, totalGlycemicLoad: 0 };
+    }
+  }, [validItems]);
+
+  const swapSuggestions = useMemo(() => {
+    try {
+      return substitutionService.suggestSwaps(validItems, personalData);
+    } catch (error) {
+      return { items: [], totalSaving: 0 };
+    }
+  }, [validItems, personalData]);
+
+  const addFood = (food) => {
+    setItems((prevItems) => [...prevItems, { foodId: food.id, quantity: '1', unit: 'serving' }]);
+    setFoodQuery('');
+  };
+
+  const updateItem = (index, changes) => {
+    setItems((prevItems) => prevItems.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  // Replace an item with a suggested swap; index is the item's position in validItems
+  const applySwap = (index, swap) => {
+    updateItem(validItems[index].position, {
+      foodId: swap.foodId,
+      quantity: String(swap.quantity),
+      unit: swap.unit,
+    });
+  };
+
+  const removeItem = (index) => {
+    setItems((prevItems) => prevItems.filter((item, i) => i !== index));
+  };
+
+  // Cycle through the units this food can be measured in
+  const cycleUnit = (index) => {
+    const item = items[index];
+    const units = nutritionService.getSupportedUnits(foodService.getFoodById(item.foodId));
+    const nextUnit = units[(units.indexOf(item.unit) + 1) % units.length];
+    updateItem(index, { unit: nextUnit });
+  };
+
+  const handleSave = async () => {
+    const validationErrors = validate({ dateTime, items }, MEAL_SCHEMA);
+    setErrors(validationErrors);
+
+    if (hasErrors(validationErrors)) {
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      const timestamp = parseDateTimeInput(dateTime);
+      const parsedItems = items.map((item) => ({ ...item, quantity: parseNumber(item.quantity) }));
+      const meal = { mealType, timestamp, items: parsedItems, notes };
+
+      if (mealId) {
+        await mealService.updateMeal(mealId, meal);
+      } else {
+        await mealService.addMeal(meal);
+      }
+
+      navigation.goBack();
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('mealEdit.saveFailed')));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      t('meals.deleteTitle'),
+      t('meals.deleteConfirm'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await mealService.deleteMeal(mealId);
+              navigation.goBack();
+            } catch (error) {
+              Alert.alert(t('common.error'), getErrorMessage(error, t('meals.deleteFailed')));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2E7D32" />
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : null}
+      style={{ flex: 1 }}
+    >
+      <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+        <View style={styles.formContainer}>
+          <Text style={styles.label}>{t('mealEdit.mealType')}</Text>
+          <View style={styles.chipContainer}>
+            {MEAL_TYPES.map((type) => (
+              <TouchableOpacity
+                key={type}
+                style={[styles.chip, mealType === type && styles.selectedChip]}
+                onPress={() => setMealType(type)}
+              >
+                <Text style={[styles.chipText, mealType === type && styles.selectedChipText]}>
+                  {t(`mealTypes.${type}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <FormField
+            label={t('common.dateTime')}
+            placeholder="YYYY-MM-DD HH:MM"
+            value={dateTime}
+            onChangeText={setDateTime}
+            error={errors.dateTime}
+          />
+
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>{t('mealEdit.addFood')}</Text>
+            <TextInput
+              style={styles.input}
+              placeholder={t('mealEdit.searchPlaceholder')}
+              autoCapitalize="none"
+              autoCorrect={false}
+              value={foodQuery}
+              onChangeText={setFoodQuery}
+            />
+            {foodSuggestions.map((food) => (
+              <TouchableOpacity
+                key={food.id}
+                style={styles.suggestion}
+                onPress={() => addFood(food)}
+              >
+                <Text style={styles.suggestionText}>{food.name}</Text>
+                <Text style={styles.suggestionGi}>{t('mealEdit.gi', { value: food.gi })}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {items.map((item, index) => {
+            const food = foodService.getFoodById(item.foodId);
+            return (
+              <View key={`${item.foodId}-${index}`} style={styles.itemRow}>
+                <Text style={styles.itemName} numberOfLines={2}>{food?.name || item.foodId}</Text>
+                <TextInput
+                  style={styles.quantityInput}
+                  keyboardType="decimal-pad"
+                  value={item.quantity}
+                  onChangeText={(quantity) => updateItem(index, { quantity })}
+                />
+                <TouchableOpacity style={styles.unitButton} onPress={() => cycleUnit(index)}>
+                  <Text style={styles.unitText}>{t(`units.${item.unit}`)}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => removeItem(index)}>
+                  <Text style={styles.removeText}>✕</Text>
+                </TouchableOpacity>
+              </View>
+            );
+          })}
+          {errors.items && <Text style={styles.errorText}>{errors.items}</Text>}
+
+          <View style={styles.totalsContainer}>
+            <Text style={styles.totalText}>{t('mealEdit.totalCarbs', { grams: totals.totalCarbs })}</Text>
+            <Text style={styles.totalText}>
+              {t('mealEdit.totalGlycemicLoad', { value: totals.totalGlycemicLoad })}
+            </Text>
+          </View>
+
+          {swapSuggestions.items.length > 0 && (
+            <View style={styles.swapsContainer}>
+              <Text style={styles.label}>{t('mealEdit.swapsTitle')}</Text>
+              <Text style={styles.swapsSaving}>
+                {t('mealEdit.swapsSaving', { value: formatNumber(swapSuggestions.totalSaving) })}
+              </Text>
+              {swapSuggestions.items.map((item) => (
+                <View key={`${item.foodId}-${item.index}`} style={styles.swapGroup}>
+                  <Text style={styles.swapFrom}>
+                    {t('mealEdit.swapFrom', { name: item.name, gl: formatNumber(item.glycemicLoad) })}
+                  </Text>
+                  {item.swaps.map((swap) => (
+                    <View key={swap.foodId} style={styles.swapRow}>
+                      <View style={styles.swapInfo}>
+                        <Text style={styles.swapName}>{swap.name}</Text>
+                        <Text style={styles.swapDetails}>
+                          {t('mealEdit.swapDetails', {
+                            quantity: formatNumber(swap.quantity),
+                            unit: t(`units.${swap.unit}`),
+                            gi: swap.gi,
+                            carbs: formatNumber(swap.carbs),
+                            gl: formatNumber(swap.glycemicLoad),
+                            saving: formatNumber(swap.glSaving),
+                          })}
+                        </Text>
+                        {swap.respondsBetter && (
+                          <Text style={styles.swapPersonal}>{t('mealEdit.swapRespondsBetter')}</Text>
+                        )}
+                        {!swap.respondsBetter && swap.personalGi && (
+                          <Text style={styles.swapPersonal}>{t('mealEdit.swapPersonalGi')}</Text>
+                        )}
+                      </View>
+                      <TouchableOpacity style={styles.swapButton} onPress={() => applySwap(item.index, swap)}>
+                        <Text style={styles.swapButtonText}>{t('mealEdit.swap')}</Text>
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                </View>
+              ))}
+            </View>
+          )}
+
+          <FormField
+            label={t('common.notes')}
+            placeholder={t('common.optional')}
+            value={notes}
+            onChangeText={setNotes}
+          />
+
+          <TouchableOpacity
+            style={styles.button}
+            onPress={handleSave}
+            disabled={isSaving}
+          >
+            {isSaving ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>{t('mealEdit.save')}</Text>
+            )}
+          </TouchableOpacity>
+
+          {mealId && (
+            <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+              <Text style={styles.deleteButtonText}>{t('meals.deleteTitle')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f9f9f9',
+  },
+  container: {
+    flexGrow: 1,
+    backgroundColor: '#f9f9f9',
+    padding: 15,
+  },
+  formContainer: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    marginBottom: 8,
+    color: '#444',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 16,
+    backgroundColor: '#f9f9f9',
+  },
+  chipContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+    width: '48%',
+    alignItems: 'center',
+  },
+  selectedChip: {
+    borderColor: '#2E7D32',
+    backgroundColor: '#EEF7EF',
+  },
+  chipText: {
+    color: '#666',
+    fontSize: 14,
+    textTransform: 'capitalize',
+  },
+  selectedChipText: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  suggestion: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    paddingHorizontal: 5,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  suggestionText: {
+    fontSize: 15,
+    color: '#333',
+    flex: 1,
+  },
+  suggestionGi: {
+    fontSize: 14,
+    color: '#666',
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  itemName: {
+    flex: 1,
+    fontSize: 15,
+    color: '#333',
+  },
+  quantityInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    width: 60,
+    marginHorizontal: 8,
+    textAlign: 'center',
+    backgroundColor: '#f9f9f9',
+  },
+  unitButton: {
+    backgroundColor: '#EEF7EF',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    minWidth: 70,
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  unitText: {
+    color: '#2E7D32',
+    fontSize: 14,
+  },
+  removeText: {
+    color: '#D32F2F',
+    fontSize: 18,
+    paddingHorizontal: 4,
+  },
+  errorText: {
+    color: '#D32F2F',
+    fontSize: 14,
+    marginTop: 5,
+  },
+  totalsContainer: {
+    backgroundColor: '#EEF7EF',
+    borderRadius: 8,
+    padding: 15,
+    marginVertical: 10,
+  },
+  totalText: {
+    fontSize: 16,
+    color: '#2E7D32',
+    fontWeight: '500',
+  },
+  swapsContainer: {
+    marginVertical: 10,
+  },
+  swapsSaving: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+  swapGroup: {
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    paddingTop: 10,
+    marginBottom: 5,
+  },
+  swapFrom: {
+    fontSize: 14,
+    color: '#444',
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  swapRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  swapInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  swapName: {
+    fontSize: 15,
+    color: '#333',
+  },
+  swapDetails: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  swapPersonal: {
+    fontSize: 13,
+    color: '#2E7D32',
+    marginTop: 2,
+  },
+  swapButton: {
+    borderWidth: 1,
+    borderColor: '#2E7D32',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  swapButtonText: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  button: {
+    backgroundColor: '#2E7D32',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginVertical: 10,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  deleteButton: {
+    alignItems: 'center',
+    padding: 15,
+  },
+  deleteButtonText: {
+    color: '#D32F2F',
+    fontSize: 16,
+  },
+});
+
+export default MealEditScreen;
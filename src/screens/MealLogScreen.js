@@ -0,0 +1,202 @@
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  FlatList,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import mealService from '../services/mealService';
+import nutritionService from '../services/nutritionService';
+import { formatDateTime } from '../utils/dateUtils';
+import { getErrorMessage } from '../utils/errorMapping';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+const GL_COLORS = {
+  low: '#2E7D32',
+  medium: '#F9A825',
+  high: '#D32F2F',
+};
+
+const MealLogScreen = ({ navigation }) => {
+  const { t } = useTranslation();
+  const [meals, setMeals] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadMeals = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const recentMeals = await mealService.getRecentMeals();
+      setMeals(recentMeals);
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('meals.loadFailed')));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [t]);
+
+  // Reload whenever the screen comes back into focus, e.g. after saving a meal
+  useFocusEffect(
+    useCallback(() => {
+      loadMeals();
+    }, [loadMeals])
+  );
+
+  const handleDelete = (meal) => {
+    Alert.alert(
+      t('meals.deleteTitle'),
+      t('meals.deleteConfirm'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await mealService.deleteMeal(meal.id);
+              setMeals((prevMeals) => prevMeals.filter((m) => m.id !== meal.id));
+            } catch (error) {
+              Alert.alert(t('common.error'), getErrorMessage(error, t('meals.deleteFailed')));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderMeal = ({ item }) => {
+    const band = nutritionService.getGlBand(item.totalGlycemicLoad);
+
+    return (
+      <TouchableOpacity
+        style={styles.mealCard}
+        onPress={() => navigation.navigate('MealEdit', { mealId: item.id })}
+      >
+        <View style={styles.mealHeader}>
+          <Text style={styles.mealType}>{t(`mealTypes.${item.mealType}`)}</Text>
+          <Text style={styles.mealTime}>{formatDateTime(item.timestamp)}</Text>
+        </View>
+        <Text style={styles.mealFoods} numberOfLines={2}>
+          {item.items.map((food) => food.name).join(', ')}
+        </Text>
+        <View style={styles.mealFooter}>
+          <Text style={styles.mealStat}>{t('meals.carbs', { grams: item.totalCarbs })}</Text>
+          <Text style={[styles.mealStat, { color: GL_COLORS[band] }]}>
+            {t('meals.glycemicLoad', { value: item.totalGlycemicLoad })}
+          </Text>
+          <TouchableOpacity onPress={() => handleDelete(item)}>
+            <Text style={styles.deleteText}>{t('common.delete')}</Text>
+          </TouchableOpacity>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.button}
+        onPress={() => navigation.navigate('MealEdit')}
+      >
+        <Text style={styles.buttonText}>{t('meals.add')}</Text>
+      </TouchableOpacity>
+
+      {isLoading ? (
+        <ActivityIndicator size="large" color="#2E7D32" style={styles.loader} />
+      ) : (
+        <FlatList
+          data={meals}
+          keyExtractor={(item) => item.id}
+          renderItem={renderMeal}
+          contentContainerStyle={styles.listContent}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>{t('meals.empty')}</Text>
+          }
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  button: {
+    backgroundColor: '#2E7D32',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    margin: 15,
+    marginBottom: 5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  loader: {
+    marginTop: 30,
+  },
+  listContent: {
+    padding: 15,
+  },
+  mealCard: {
+    backgroundColor: 'white',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  mealHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  mealType: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    textTransform: 'capitalize',
+  },
+  mealTime: {
+    fontSize: 14,
+    color: '#666',
+  },
+  mealFoods: {
+    fontSize: 14,
+    color: '#555',
+    marginBottom: 10,
+  },
+  mealFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  mealStat: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#333',
+  },
+  deleteText: {
+    color: '#D32F2F',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 30,
+  },
+});
+
+export default MealLogScreen;
@@ -0,0 +1,799 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Share,
+} from 'react-native';
+import { useAuth } from '../contexts/AuthContext';
+import { MEAL_TYPES } from '../services/mealService';
+import mealPlanService from '../services/mealPlanService';
+import foodService from '../services/foodService';
+import substitutionService from '../services/substitutionService';
+import useDebouncedValue from '../utils/useDebouncedValue';
+import { addDays, formatDay, parseDateKey, startOfWeek, toDateKey } from '../utils/dateUtils';
+import { getDailyBudgets } from '../utils/diabetesProfile';
+import { getErrorMessage } from '../utils/errorMapping';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+// Planned portions go up and down in half servings
+const QUANTITY_STEP = 0.5;
+
+const MealPlanScreen = () => {
+  const { currentUser } = useAuth();
+  const { t, tList, formatNumber } = useTranslation();
+
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [selectedDate, setSelectedDate] = useState(() => toDateKey(new Date()));
+  const [plannedMeals, setPlannedMeals] = useState([]);
+  const [mealType, setMealType] = useState('breakfast');
+  const [foodQuery, setFoodQuery] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [loggingId, setLoggingId] = useState(null);
+  const [showShoppingList, setShowShoppingList] = useState(false);
+  const [swapsShownId, setSwapsShownId] = useState(null);
+  const [personalData, setPersonalData] = useState({});
+
+  const personalGiEnabled = !!currentUser?.personalGiEnabled;
+  const referenceFoodId = currentUser?.personalGiReferenceFoodId || 'glucose';
+
+  const debouncedFoodQuery = useDebouncedValue(foodQuery, 250);
+  const budgets = useMemo(() => getDailyBudgets(currentUser), [currentUser]);
+  const todayKey = toDateKey(new Date());
+
+  const loadWeek = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setPlannedMeals(await mealPlanService.getWeekPlan(weekStart));
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('mealPlan.loadFailed')));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [weekStart, t]);
+
+  useEffect(() => {
+    loadWeek();
+  }, [loadWeek]);
+
+  // As in the meal editor, the user's own responses refine the swap suggestions
+  useEffect(() => {
+    const loadPersonalData = async () => {
+      try {
+        setPersonalData(await substitutionService.loadPersonalData({
+          referenceFoodId: personalGiEnabled ? referenceFoodId : null,
+        }));
+      } catch (error) {
+        console.error('Error loading personal response data:', error);
+      }
+    };
+
+    loadPersonalData();
+  }, [personalGiEnabled, referenceFoodId]);
+
+  const days = useMemo(
+    () => mealPlanService.summarizeWeek(plannedMeals, weekStart, budgets),
+    [plannedMeals, weekStart, budgets]
+  );
+  const selectedDay = days.find((day) => day.date === selectedDate) || days[0];
+
+  const shoppingList = useMemo(() => mealPlanService.buildShoppingList(plannedMeals), [plannedMeals]);
+
+  // Swaps for the selected day's meals that haven't been logged yet, by planned meal id
+  const swapSuggestions = useMemo(() => {
+    const suggestions = {};
+    plannedMeals
+      .filter((plannedMeal) => plannedMeal.date === selectedDay.date && !plannedMeal.loggedMealId)
+      .forEach((plannedMeal) => {
+        suggestions[plannedMeal.id] = substitutionService.suggestSwaps(plannedMeal.items, personalData);
+      });
+    return suggestions;
+  }, [plannedMeals, selectedDay.date, personalData]);
+
+  const foodSuggestions = useMemo(() => {
+    return debouncedFoodQuery.trim() ? foodService.searchFoods(debouncedFoodQuery, 5) : [];
+  }, [debouncedFoodQuery]);
+
+  // Keep the same weekday selected when moving between weeks
+  const changeWeek = (weeks) => {
+    const nextWeekStart = addDays(weekStart, weeks * 7);
+    const dayIndex = Math.round((parseDateKey(selectedDay.date) - weekStart) / (24 * 60 * 60 * 1000));
+    setWeekStart(nextWeekStart);
+    setSelectedDate(toDateKey(addDays(nextWeekStart, dayIndex)));
+  };
+
+  const getPlannedMeal = (date, type) => {
+    return plannedMeals.find((plannedMeal) => plannedMeal.date === date && plannedMeal.mealType === type);
+  };
+
+  const persist = async (plannedMeal) => {
+    try {
+      const saved = await mealPlanService.savePlannedMeal(plannedMeal);
+      const id = mealPlanService.getPlannedMealId(plannedMeal.date, plannedMeal.mealType);
+      setPlannedMeals((prevMeals) => [
+        ...prevMeals.filter((prevMeal) => prevMeal.id !== id),
+        ...(saved ? [saved] : []),
+      ]);
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('mealPlan.saveFailed')));
+    }
+  };
+
+  // Changes that push the day past its budget need the user's confirmation
+  const saveWithinBudget = (plannedMeal) => {
+    const dayMeals = plannedMeals.filter((prevMeal) => prevMeal.date === plannedMeal.date);
+    const otherMeals = dayMeals.filter((prevMeal) => prevMeal.mealType !== plannedMeal.mealType);
+    const updated = plannedMeal.items.length > 0 ? mealPlanService.buildPlannedMealData(plannedMeal) : null;
+
+    const before = mealPlanService.summarizeDay(dayMeals, budgets);
+    const after = mealPlanService.summarizeDay(updated ? [...otherMeals, updated] : otherMeals, budgets);
+    const exceedsBudget =
+      (after.overGlycemicLoad && after.totalGlycemicLoad > before.totalGlycemicLoad) ||
+      (after.overCarbs && after.totalCarbs > before.totalCarbs);
+
+    if (!exceedsBudget) {
+      persist(plannedMeal);
+      return;
+    }
+
+    Alert.alert(
+      t('mealPlan.overBudgetTitle'),
+      t('mealPlan.overBudgetMessage', {
+        glycemicLoad: formatNumber(after.totalGlycemicLoad),
+        glBudget: budgets.glycemicLoad,
+        carbs: formatNumber(after.totalCarbs),
+        carbBudget: budgets.carbs,
+      }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('mealPlan.addAnyway'), onPress: () => persist(plannedMeal) },
+      ]
+    );
+  };
+
+  const addFood = (food) => {
+    const plannedMeal = getPlannedMeal(selectedDay.date, mealType);
+    const items = plannedMeal ? plannedMeal.items : [];
+
+    setFoodQuery('');
+    saveWithinBudget({
+      ...plannedMeal,
+      date: selectedDay.date,
+      mealType,
+      items: [...items, { foodId: food.id, quantity: 1, unit: 'serving' }],
+    });
+  };
+
+  const changeQuantity = (plannedMeal, index, step) => {
+    const items = plannedMeal.items.map((item, i) => (
+      i === index ? { ...item, quantity: Math.max(QUANTITY_STEP, item.quantity + step) } : item
+    ));
+    saveWithinBudget({ ...plannedMeal, items });
+  };
+
+  const removeItem = (plannedMeal, index) => {
+    persist({ ...plannedMeal, items: plannedMeal.items.filter((item, i) => i !== index) });
+  };
+
+  // A swap can carry a few more carbs than the food it replaces, so it goes
+  // through the same budget check as any other change
+  const applySwap = (plannedMeal, index, swap) => {
+    const items = plannedMeal.items.map((item, i) => (
+      i === index ? { foodId: swap.foodId, quantity: swap.quantity, unit: swap.unit } : item
+    ));
+    saveWithinBudget({ ...plannedMeal, items });
+  };
+
+  const handleLog = async (plannedMeal) => {
+    setLoggingId(plannedMeal.id);
+    try {
+      const { plannedMeal: updated } = await mealPlanService.logPlannedMeal(plannedMeal, currentUser?.mealTimes);
+      setPlannedMeals((prevMeals) => prevMeals.map((prevMeal) => (prevMeal.id === updated.id ? updated : prevMeal)));
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('mealPlan.logFailed')));
+    } finally {
+      setLoggingId(null);
+    }
+  };
+
+  const handleShareShoppingList = async () => {
+    const lines = shoppingList.flatMap((group) => [
+      `${t(`foodCategories.${group.category}`)}:`,
+      ...group.items.map((item) => `- ${t('mealPlan.shoppingItem', { name: item.name, grams: formatNumber(item.grams) })}`),
+    ]);
+
+    try {
+      await Share.share({
+        title: t('mealPlan.shoppingList'),
+        message: [t('mealPlan.weekOf', { date: formatDay(weekStart) }), ...lines].join('\n'),
+      });
+    } catch (error) {
+      console.error('Error sharing shopping list:', error);
+    }
+  };
+
+  const renderBudget = (label, total, budget, isOver) => (
+    <View style={styles.budgetRow}>
+      <View style={styles.budgetLabels}>
+        <Text style={styles.budgetLabel}>{label}</Text>
+        <Text style={[styles.budgetValue, isOver && styles.overText]}>
+          {t('mealPlan.budgetValue', { total: formatNumber(total), budget })}
+        </Text>
+      </View>
+      <View style={styles.budgetTrack}>
+        <View
+          style={[
+            styles.budgetFill,
+            { width: `${Math.min(100, (total / budget) * 100)}%` },
+            isOver && styles.budgetFillOver,
+          ]}
+        />
+      </View>
+    </View>
+  );
+
+  const renderSwaps = (plannedMeal) => {
+    const suggestions = swapSuggestions[plannedMeal.id];
+    if (!suggestions || suggestions.items.length === 0) {
+      return null;
+    }
+
+    const isShown = swapsShownId === plannedMeal.id;
+
+    return (
+      <View style={styles.swapsContainer}>
+        <TouchableOpacity onPress={() => setSwapsShownId(isShown ? null : plannedMeal.id)}>
+          <Text style={styles.toggleText}>
+            {isShown
+              ? t('mealPlan.hideSwaps')
+              : t('mealPlan.showSwaps', { value: formatNumber(suggestions.totalSaving) })}
+          </Text>
+        </TouchableOpacity>
+
+        {isShown && suggestions.items.map((item) => (
+          <View key={`${item.foodId}-${item.index}`} style={styles.swapGroup}>
+            <Text style={styles.swapFrom}>
+              {t('mealEdit.swapFrom', { name: item.name, gl: formatNumber(item.glycemicLoad) })}
+            </Text>
+            {item.swaps.map((swap) => (
+              <View key={swap.foodId} style={styles.swapRow}>
+                <View style={styles.swapInfo}>
+                  <Text style={styles.swapName}>{swap.name}</Text>
+                  <Text style={styles.swapDetails}>
+                    {t('mealEdit.swapDetails', {
+                      quantity: formatNumber(swap.quantity),
+                      unit: t(`units.${swap.unit}`),
+                      gi: swap.gi,
+                      carbs: formatNumber(swap.carbs),
+                      gl: formatNumber(swap.glycemicLoad),
+                      saving: formatNumber(swap.glSaving),
+                    })}
+                  </Text>
+                  {swap.respondsBetter && (
+                    <Text style={styles.swapPersonal}>{t('mealEdit.swapRespondsBetter')}</Text>
+                  )}
+                  {!swap.respondsBetter && swap.personalGi && (
+                    <Text style={styles.swapPersonal}>{t('mealEdit.swapPersonalGi')}</Text>
+                  )}
+                </View>
+                <TouchableOpacity
+                  style={styles.swapButton}
+                  onPress={() => applySwap(plannedMeal, item.index, swap)}
+                >
+                  <Text style={styles.swapButtonText}>{t('mealEdit.swap')}</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  const renderPlannedMeal = (type) => {
+    const plannedMeal = getPlannedMeal(selectedDay.date, type);
+    const canLog = plannedMeal && !plannedMeal.loggedMealId && plannedMeal.date <= todayKey;
+
+    return (
+      <View key={type} style={styles.mealContainer}>
+        <View style={styles.mealHeader}>
+          <Text style={styles.mealType}>{t(`mealTypes.${type}`)}</Text>
+          {plannedMeal && (
+            <Text style={styles.mealTotals}>
+              {t('mealPlan.mealTotals', {
+                glycemicLoad: formatNumber(plannedMeal.totalGlycemicLoad),
+                carbs: formatNumber(plannedMeal.totalCarbs),
+              })}
+            </Text>
+          )}
+        </View>
+
+        {plannedMeal ? plannedMeal.items.map((item, index) => (
+          <View key={`${item.foodId}-${index}`} style={styles.itemRow}>
+            <Text style={styles.itemName} numberOfLines={2}>{item.name}</Text>
+            <TouchableOpacity onPress={() => changeQuantity(plannedMeal, index, -QUANTITY_STEP)}>
+              <Text style={styles.stepText}>−</Text>
+            </TouchableOpacity>
+            <Text style={styles.quantityText}>
+              {formatNumber(item.quantity)} {t(`units.${item.unit}`)}
+            </Text>
+            <TouchableOpacity onPress={() => changeQuantity(plannedMeal, index, QUANTITY_STEP)}>
+              <Text style={styles.stepText}>+</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => removeItem(plannedMeal, index)}>
+              <Text style={styles.removeText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        )) : (
+          <Text style={styles.emptyText}>{t('mealPlan.nothingPlanned')}</Text>
+        )}
+
+        {plannedMeal && renderSwaps(plannedMeal)}
+        {plannedMeal?.loggedMealId && <Text style={styles.loggedText}>{t('mealPlan.logged')}</Text>}
+        {canLog && (
+          <TouchableOpacity
+            style={styles.logButton}
+            onPress={() => handleLog(plannedMeal)}
+            disabled={loggingId === plannedMeal.id}
+          >
+            {loggingId === plannedMeal.id ? (
+              <ActivityIndicator color="#2E7D32" />
+            ) : (
+              <Text style={styles.logButtonText}>{t('mealPlan.logMeal')}</Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+      <View style={styles.weekHeader}>
+        <TouchableOpacity style={styles.weekArrow} onPress={() => changeWeek(-1)}>
+          <Text style={styles.weekArrowText}>‹</Text>
+        </TouchableOpacity>
+        <Text style={styles.weekTitle}>{t('mealPlan.weekOf', { date: formatDay(weekStart) })}</Text>
+        <TouchableOpacity style={styles.weekArrow} onPress={() => changeWeek(1)}>
+          <Text style={styles.weekArrowText}>›</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.dayContainer}>
+        {days.map((day) => {
+          const date = parseDateKey(day.date);
+          const isSelected = day.date === selectedDay.date;
+          const isOver = day.overGlycemicLoad || day.overCarbs;
+          return (
+            <TouchableOpacity
+              key={day.date}
+              style={[styles.dayChip, isSelected && styles.selectedDayChip, isOver && styles.overDayChip]}
+              onPress={() => setSelectedDate(day.date)}
+            >
+              <Text style={[styles.dayName, isSelected && styles.selectedDayText]}>
+                {tList('dates.weekdaysShort')[date.getDay()]}
+              </Text>
+              <Text style={[styles.dayNumber, isSelected && styles.selectedDayText]}>{date.getDate()}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {isLoading ? (
+        <ActivityIndicator size="large" color="#2E7D32" style={styles.loader} />
+      ) : (
+        <>
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>{formatDay(parseDateKey(selectedDay.date))}</Text>
+            {renderBudget(
+              t('mealPlan.glycemicLoad'),
+              selectedDay.totalGlycemicLoad,
+              budgets.glycemicLoad,
+              selectedDay.overGlycemicLoad
+            )}
+            {renderBudget(t('mealPlan.carbs'), selectedDay.totalCarbs, budgets.carbs, selectedDay.overCarbs)}
+            {(selectedDay.overGlycemicLoad || selectedDay.overCarbs) && (
+              <Text style={styles.warningText}>{t('mealPlan.overBudget')}</Text>
+            )}
+
+            <Text style={styles.label}>{t('mealPlan.addTo')}</Text>
+            <View style={styles.chipContainer}>
+              {MEAL_TYPES.map((type) => (
+                <TouchableOpacity
+                  key={type}
+                  style={[styles.chip, mealType === type && styles.selectedChip]}
+                  onPress={() => setMealType(type)}
+                >
+                  <Text style={[styles.chipText, mealType === type && styles.selectedChipText]}>
+                    {t(`mealTypes.${type}`)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <TextInput
+              style={styles.input}
+              placeholder={t('mealEdit.searchPlaceholder')}
+              autoCapitalize="none"
+              autoCorrect={false}
+              value={foodQuery}
+              onChangeText={setFoodQuery}
+            />
+            {foodSuggestions.map((food) => (
+              <TouchableOpacity key={food.id} style={styles.suggestion} onPress={() => addFood(food)}>
+                <Text style={styles.suggestionText}>{food.name}</Text>
+                <Text style={styles.suggestionGi}>{t('mealEdit.gi', { value: food.gi })}</Text>
+              </TouchableOpacity>
+            ))}
+
+            {MEAL_TYPES.map(renderPlannedMeal)}
+          </View>
+
+          <View style={styles.card}>
+            <TouchableOpacity
+              style={styles.shoppingHeader}
+              onPress={() => setShowShoppingList((isShown) => !isShown)}
+            >
+              <Text style={styles.cardTitle}>{t('mealPlan.shoppingList')}</Text>
+              <Text style={styles.toggleText}>{showShoppingList ? t('mealPlan.hide') : t('mealPlan.show')}</Text>
+            </TouchableOpacity>
+
+            {showShoppingList && (shoppingList.length === 0 ? (
+              <Text style={styles.emptyText}>{t('mealPlan.shoppingEmpty')}</Text>
+            ) : (
+              <>
+                {shoppingList.map((group) => (
+                  <View key={group.category} style={styles.shoppingGroup}>
+                    <Text style={styles.shoppingCategory}>{t(`foodCategories.${group.category}`)}</Text>
+                    {group.items.map((item) => (
+                      <Text key={item.foodId} style={styles.shoppingItem}>
+                        {t('mealPlan.shoppingItem', { name: item.name, grams: formatNumber(item.grams) })}
+                      </Text>
+                    ))}
+                  </View>
+                ))}
+                <TouchableOpacity style={styles.button} onPress={handleShareShoppingList}>
+                  <Text style={styles.buttonText}>{t('mealPlan.shareShoppingList')}</Text>
+                </TouchableOpacity>
+              </>
+            ))}
+          </View>
+        </>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: '#f9f9f9',
+    padding: 15,
+  },
+  loader: {
+    marginTop: 40,
+  },
+  weekHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  weekArrow: {
+    paddingHorizontal: 15,
+    paddingVertical: 5,
+  },
+  weekArrowText: {
+    fontSize: 28,
+    color: '#2E7D32',
+  },
+  weekTitle: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  dayContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 15,
+  },
+  dayChip: {
+    width: '13%',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+  },
+  selectedDayChip: {
+    borderColor: '#2E7D32',
+    backgroundColor: '#EEF7EF',
+  },
+  overDayChip: {
+    borderColor: '#D32F2F',
+  },
+  dayName: {
+    fontSize: 12,
+    color: '#666',
+  },
+  dayNumber: {
+    fontSize: 16,
+    color: '#333',
+    fontWeight: 'bold',
+  },
+  selectedDayText: {
+    color: '#2E7D32',
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 20,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  budgetRow: {
+    marginBottom: 10,
+  },
+  budgetLabels: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  budgetLabel: {
+    fontSize: 14,
+    color: '#444',
+  },
+  budgetValue: {
+    fontSize: 14,
+    color: '#2E7D32',
+    fontWeight: '500',
+  },
+  budgetTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#eee',
+    overflow: 'hidden',
+  },
+  budgetFill: {
+    height: 8,
+    backgroundColor: '#2E7D32',
+  },
+  budgetFillOver: {
+    backgroundColor: '#D32F2F',
+  },
+  overText: {
+    color: '#D32F2F',
+  },
+  warningText: {
+    color: '#D32F2F',
+    fontSize: 14,
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 16,
+    marginTop: 5,
+    marginBottom: 8,
+    color: '#444',
+  },
+  chipContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 10,
+    width: '48%',
+    alignItems: 'center',
+  },
+  selectedChip: {
+    borderColor: '#2E7D32',
+    backgroundColor: '#EEF7EF',
+  },
+  chipText: {
+    color: '#666',
+    fontSize: 14,
+  },
+  selectedChipText: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 16,
+    backgroundColor: '#f9f9f9',
+  },
+  suggestion: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    paddingHorizontal: 5,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  suggestionText: {
+    fontSize: 15,
+    color: '#333',
+    flex: 1,
+  },
+  suggestionGi: {
+    fontSize: 14,
+    color: '#666',
+  },
+  mealContainer: {
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    paddingTop: 12,
+    marginTop: 12,
+  },
+  mealHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  mealType: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2E7D32',
+  },
+  mealTotals: {
+    fontSize: 13,
+    color: '#666',
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  itemName: {
+    flex: 1,
+    fontSize: 15,
+    color: '#333',
+  },
+  stepText: {
+    fontSize: 20,
+    color: '#2E7D32',
+    paddingHorizontal: 10,
+  },
+  quantityText: {
+    fontSize: 14,
+    color: '#444',
+    minWidth: 70,
+    textAlign: 'center',
+  },
+  removeText: {
+    fontSize: 16,
+    color: '#D32F2F',
+    paddingHorizontal: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#888',
+  },
+  swapsContainer: {
+    marginTop: 6,
+  },
+  swapGroup: {
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    paddingTop: 8,
+    marginTop: 8,
+  },
+  swapFrom: {
+    fontSize: 14,
+    color: '#444',
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  swapRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  swapInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  swapName: {
+    fontSize: 15,
+    color: '#333',
+  },
+  swapDetails: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  swapPersonal: {
+    fontSize: 13,
+    color: '#2E7D32',
+    marginTop: 2,
+  },
+  swapButton: {
+    borderWidth: 1,
+    borderColor: '#2E7D32',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  swapButtonText: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  loggedText: {
+    fontSize: 14,
+    color: '#2E7D32',
+    marginTop: 4,
+  },
+  logButton: {
+    borderWidth: 1,
+    borderColor: '#2E7D32',
+    borderRadius: 8,
+    padding: 10,
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  logButtonText: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  shoppingHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  toggleText: {
+    color: '#2E7D32',
+    fontSize: 14,
+  },
+  shoppingGroup: {
+    marginBottom: 12,
+  },
+  shoppingCategory: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#444',
+    marginBottom: 4,
+  },
+  shoppingItem: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 2,
+  },
+  button: {
+    backgroundColor: '#2E7D32',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginTop: 5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default MealPlanScreen;
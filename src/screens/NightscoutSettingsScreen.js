@@ -0,0 +1,270 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useAuth } from '../contexts/AuthContext';
+import nightscoutService, { normalizeNightscoutUrl } from '../services/nightscoutService';
+import FormField from '../components/FormField';
+import { hasErrors, required, satisfies, validate } from '../utils/validation';
+import { formatDateTime, toDate } from '../utils/dateUtils';
+import { getErrorMessage } from '../utils/errorMapping';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+// Nightscout refuses API secrets shorter than this
+const MIN_API_SECRET_LENGTH = 12;
+
+const NIGHTSCOUT_SCHEMA = {
+  url: [required(), satisfies((value) => normalizeNightscoutUrl(value) !== null, 'nightscout.urlInvalid')],
+  apiSecret: [
+    satisfies((value, values) => !!value || values.hasSecret, 'nightscout.secretRequired'),
+    satisfies(
+      (value) => !value || value.length >= MIN_API_SECRET_LENGTH,
+      'nightscout.secretLength',
+      () => ({ count: MIN_API_SECRET_LENGTH })
+    ),
+  ],
+};
+
+const NightscoutSettingsScreen = () => {
+  const { currentUser, updateProfile } = useAuth();
+  const { t } = useTranslation();
+  const [url, setUrl] = useState(currentUser?.nightscoutUrl || '');
+  const [apiSecret, setApiSecret] = useState('');
+  const [hasSecret, setHasSecret] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [syncResult, setSyncResult] = useState(null);
+
+  const isConnected = !!currentUser?.nightscoutUrl && !!hasSecret;
+  const lastSyncAt = currentUser?.nightscoutLastSyncAt ? toDate(currentUser.nightscoutLastSyncAt) : null;
+
+  useEffect(() => {
+    nightscoutService.hasApiSecret().then(setHasSecret);
+  }, []);
+
+  const handleSave = async () => {
+    const validationErrors = validate({ url, apiSecret, hasSecret }, NIGHTSCOUT_SCHEMA);
+    setErrors(validationErrors);
+    if (hasErrors(validationErrors)) {
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      const baseUrl = normalizeNightscoutUrl(url);
+
+      if (apiSecret) {
+        await nightscoutService.saveApiSecret(apiSecret);
+        setHasSecret(true);
+      }
+
+      const site = await nightscoutService.testConnection(baseUrl);
+
+      // A different site starts syncing from scratch
+      if (baseUrl !== currentUser?.nightscoutUrl) {
+        await updateProfile({
+          nightscoutUrl: baseUrl,
+          nightscoutEntriesCursor: null,
+          nightscoutTreatmentsCursor: null,
+          nightscoutLastSyncAt: null,
+        });
+      }
+
+      setUrl(baseUrl);
+      setApiSecret('');
+      Alert.alert(t('nightscout.title'), t('nightscout.connected', { name: site.name || baseUrl }));
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('nightscout.connectFailed')));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSync = async () => {
+    setIsSyncing(true);
+    setSyncResult(null);
+
+    try {
+      const result = await nightscoutService.sync(currentUser, updateProfile);
+      setSyncResult(result);
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('nightscout.syncFailed')));
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  const handleDisconnect = () => {
+    Alert.alert(t('nightscout.disconnectTitle'), t('nightscout.disconnectMessage'), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('nightscout.disconnect'),
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await nightscoutService.clearApiSecret();
+            setHasSecret(false);
+            await updateProfile({
+              nightscoutUrl: null,
+              nightscoutEntriesCursor: null,
+              nightscoutTreatmentsCursor: null,
+              nightscoutLastSyncAt: null,
+            });
+            setUrl('');
+            setSyncResult(null);
+          } catch (error) {
+            Alert.alert(t('common.error'), getErrorMessage(error, t('common.settingsFailed')));
+          }
+        },
+      },
+    ]);
+  };
+
+  if (hasSecret === null) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2E7D32" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+      <View style={styles.formContainer}>
+        <Text style={styles.sectionTitle}>{t('nightscout.siteTitle')}</Text>
+        <Text style={styles.hintText}>{t('nightscout.hint')}</Text>
+
+        <FormField
+          label={t('nightscout.url')}
+          error={errors.url}
+          placeholder={t('nightscout.urlPlaceholder')}
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+          value={url}
+          onChangeText={setUrl}
+        />
+
+        <FormField
+          label={t('nightscout.apiSecret')}
+          error={errors.apiSecret}
+          hint={hasSecret ? t('nightscout.secretSaved') : null}
+          placeholder={hasSecret ? '••••••••••••' : ''}
+          autoCapitalize="none"
+          autoCorrect={false}
+          secureTextEntry
+          value={apiSecret}
+          onChangeText={setApiSecret}
+        />
+
+        <TouchableOpacity style={styles.button} onPress={handleSave} disabled={isSaving}>
+          {isSaving ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.buttonText}>{t('nightscout.save')}</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {isConnected && (
+        <View style={styles.formContainer}>
+          <Text style={styles.sectionTitle}>{t('nightscout.syncTitle')}</Text>
+          <Text style={styles.hintText}>{t('nightscout.syncHint')}</Text>
+          <Text style={styles.statusText}>
+            {lastSyncAt
+              ? t('nightscout.lastSync', { date: formatDateTime(lastSyncAt) })
+              : t('nightscout.neverSynced')}
+          </Text>
+
+          {syncResult && (
+            <Text style={styles.statusText}>
+              {t('nightscout.syncResult', {
+                readings: t('nightscout.readingCount', { count: syncResult.imported }),
+                meals: t('nightscout.mealCount', { count: syncResult.pushed }),
+              })}
+            </Text>
+          )}
+
+          <TouchableOpacity style={styles.button} onPress={handleSync} disabled={isSyncing}>
+            {isSyncing ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>{t('nightscout.syncNow')}</Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity style={[styles.button, styles.deleteButton]} onPress={handleDisconnect}>
+            <Text style={styles.buttonText}>{t('nightscout.disconnect')}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f9f9f9',
+  },
+  container: {
+    flexGrow: 1,
+    backgroundColor: '#f9f9f9',
+    padding: 15,
+  },
+  formContainer: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 20,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  hintText: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+    marginBottom: 15,
+  },
+  statusText: {
+    fontSize: 15,
+    color: '#444',
+    marginBottom: 10,
+  },
+  button: {
+    backgroundColor: '#2E7D32',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginVertical: 10,
+  },
+  deleteButton: {
+    backgroundColor: '#D32F2F',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default NightscoutSettingsScreen;
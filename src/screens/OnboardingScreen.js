@@ -0,0 +1,547 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { useAuth } from '../contexts/AuthContext';
+import onboardingService from '../services/onboardingService';
+import FormField from '../components/FormField';
+import { getErrorMessage } from '../utils/errorMapping';
+import useLogout from '../utils/useLogout';
+import { MGDL, GLUCOSE_UNITS, formatGlucoseInput, toMgdl } from '../utils/glucoseUnits';
+import {
+  CLINICAL_SETTINGS_SCHEMA,
+  DEFAULT_MEAL_TIMES,
+  DIABETES_TYPES,
+  MEAL_TIMES_SCHEMA,
+  getDefaultTargets,
+  getRegimenOptions,
+} from '../utils/diabetesProfile';
+import { hasErrors, required, validate } from '../utils/validation';
+import { parseNumber } from '../i18n';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+/**
+ * Get the answers to start from, using what the user gave at sign-up
+ * @param {object} user - Current user's profile
+ * @returns {object} - Wizard values
+ */
+const getInitialValues = (user) => {
+  const diabetesType = DIABETES_TYPES.includes(user?.diabetesType) ? user.diabetesType : '';
+  const unit = user?.preferredGlucoseUnit || MGDL;
+  const targets = getDefaultTargets(diabetesType);
+
+  return {
+    diabetesType,
+    treatmentRegimen: '',
+    unit,
+    targetLow: formatGlucoseInput(targets.low, unit),
+    targetHigh: formatGlucoseInput(targets.high, unit),
+    insulinToCarbRatio: '',
+    correctionFactor: '',
+    mealTimes: { ...DEFAULT_MEAL_TIMES },
+  };
+};
+
+// Form fields validated on each step; meal times are checked on their own
+const STEP_FIELDS = {
+  diabetesType: ['diabetesType'],
+  regimen: ['treatmentRegimen'],
+  units: [],
+  targets: ['targetLow', 'targetHigh'],
+  insulin: ['insulinToCarbRatio', 'correctionFactor'],
+};
+
+// Unlike the profile screen, onboarding needs a regimen to pick the next steps
+const ONBOARDING_SCHEMA = {
+  ...CLINICAL_SETTINGS_SCHEMA,
+  treatmentRegimen: [
+    required('onboarding.regimenRequired'),
+    ...CLINICAL_SETTINGS_SCHEMA.treatmentRegimen,
+  ],
+};
+
+/**
+ * Validate the answers on one step of the wizard
+ * @param {string} step - Step id
+ * @param {object} values - Wizard values
+ * @returns {object} - Error message per invalid field
+ */
+const validateStep = (step, values) => {
+  if (step === 'mealTimes') {
+    return validate(values.mealTimes, MEAL_TIMES_SCHEMA);
+  }
+  return validate(values, ONBOARDING_SCHEMA, STEP_FIELDS[step]);
+};
+
+const OnboardingScreen = () => {
+  const { currentUser, updateProfile } = useAuth();
+  // Answers so far are kept, so onboarding resumes after logging back in
+  const handleLogout = useLogout();
+  const { t } = useTranslation();
+  const uid = currentUser?.uid;
+
+  const [values, setValues] = useState(null);
+  const [askDiabetesType, setAskDiabetesType] = useState(false);
+  const [step, setStep] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Read through a ref: only the profile at the start matters, and finishing
+  // updates it and leaves the screen
+  const profileRef = useRef(currentUser);
+  profileRef.current = currentUser;
+
+  // Resume an onboarding the user left partway, or start a new one
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadProgress = async () => {
+      const progress = await onboardingService.loadProgress(uid);
+      if (cancelled) {
+        return;
+      }
+
+      if (progress) {
+        setValues(progress.values);
+        setAskDiabetesType(progress.askDiabetesType);
+        setStep(progress.step);
+      } else {
+        const initialValues = getInitialValues(profileRef.current);
+        const ask = !initialValues.diabetesType;
+        setValues(initialValues);
+        setAskDiabetesType(ask);
+        setStep(onboardingService.getSteps(initialValues, ask)[0]);
+      }
+    };
+
+    loadProgress();
+    return () => {
+      cancelled = true;
+    };
+  }, [uid]);
+
+  // Keep every answer so quitting the app doesn't lose them
+  useEffect(() => {
+    if (values && step) {
+      onboardingService.saveProgress(uid, { step, values, askDiabetesType });
+    }
+  }, [uid, step, values, askDiabetesType]);
+
+  if (!values || !step) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#2E7D32" />
+      </View>
+    );
+  }
+
+  const steps = onboardingService.getSteps(values, askDiabetesType);
+  const stepIndex = Math.max(steps.indexOf(step), 0);
+  const currentStep = steps[stepIndex];
+  const isLastStep = stepIndex === steps.length - 1;
+  const { unit } = values;
+
+  const setField = (field, value) => {
+    setValues((prevValues) => ({ ...prevValues, [field]: value }));
+  };
+
+  // Targets and regimens depend on the diabetes type, so start from its defaults
+  const handleDiabetesTypeChange = (type) => {
+    const targets = getDefaultTargets(type);
+    setValues((prevValues) => ({
+      ...prevValues,
+      diabetesType: type,
+      treatmentRegimen: getRegimenOptions(type).includes(prevValues.treatmentRegimen)
+        ? prevValues.treatmentRegimen
+        : '',
+      targetLow: formatGlucoseInput(targets.low, prevValues.unit),
+      targetHigh: formatGlucoseInput(targets.high, prevValues.unit),
+    }));
+  };
+
+  // Convert the glucose fields so switching units keeps the same values
+  const handleUnitChange = (newUnit) => {
+    const convert = (text) => {
+      const value = parseNumber(text);
+      return isNaN(value) ? text : formatGlucoseInput(toMgdl(value, unit), newUnit);
+    };
+    setValues((prevValues) => ({
+      ...prevValues,
+      unit: newUnit,
+      targetLow: convert(prevValues.targetLow),
+      targetHigh: convert(prevValues.targetHigh),
+      correctionFactor: convert(prevValues.correctionFactor),
+    }));
+  };
+
+  const handleMealTimeChange = (meal, text) => {
+    setValues((prevValues) => ({
+      ...prevValues,
+      mealTimes: { ...prevValues.mealTimes, [meal]: text },
+    }));
+  };
+
+  const handleFinish = async () => {
+    setIsSaving(true);
+
+    try {
+      // AppNavigator shows the app once the profile is marked as onboarded
+      await updateProfile(onboardingService.buildProfile(values));
+      await onboardingService.clearProgress();
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('onboarding.saveFailed')));
+      setIsSaving(false);
+    }
+  };
+
+  const handleNext = () => {
+    const validationErrors = validateStep(currentStep, values);
+    setErrors(validationErrors);
+
+    if (hasErrors(validationErrors)) {
+      return;
+    }
+
+    if (isLastStep) {
+      handleFinish();
+    } else {
+      setStep(steps[stepIndex + 1]);
+    }
+  };
+
+  const handleBack = () => {
+    setErrors({});
+    setStep(steps[stepIndex - 1]);
+  };
+
+  const renderChips = (options, selected, onSelect, getLabel) => (
+    <View style={styles.chipContainer}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option}
+          style={[styles.chip, selected === option && styles.selectedChip]}
+          onPress={() => onSelect(option)}
+        >
+          <Text style={[styles.chipText, selected === option && styles.selectedChipText]}>
+            {getLabel(option)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderTargetsHint = () => {
+    const targets = getDefaultTargets(values.diabetesType);
+    const params = {
+      type: t(`diabetesTypes.${values.diabetesType}`),
+      low: formatGlucoseInput(targets.low, unit),
+      high: formatGlucoseInput(targets.high, unit),
+      unit,
+    };
+    return values.diabetesType === 'Gestational'
+      ? t('onboarding.targetsHintGestational', params)
+      : t('onboarding.targetsHint', params);
+  };
+
+  const renderStep = () => {
+    switch (currentStep) {
+      case 'diabetesType':
+        return (
+          <>
+            <Text style={styles.stepTitle}>{t('onboarding.diabetesTypeTitle')}</Text>
+            {renderChips(DIABETES_TYPES, values.diabetesType, handleDiabetesTypeChange, (type) =>
+              t(`diabetesTypes.${type}`)
+            )}
+            {errors.diabetesType && <Text style={styles.errorText}>{errors.diabetesType}</Text>}
+          </>
+        );
+      case 'regimen':
+        return (
+          <>
+            <Text style={styles.stepTitle}>{t('onboarding.regimenTitle')}</Text>
+            <Text style={styles.hintText}>{t('onboarding.regimenHint')}</Text>
+            {getRegimenOptions(values.diabetesType).map((regimen) => (
+              <TouchableOpacity
+                key={regimen}
+                style={[styles.option, values.treatmentRegimen === regimen && styles.selectedChip]}
+                onPress={() => setField('treatmentRegimen', regimen)}
+              >
+                <Text style={[styles.chipText, values.treatmentRegimen === regimen && styles.selectedChipText]}>
+                  {t(`regimens.${regimen}`)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+            {errors.treatmentRegimen && <Text style={styles.errorText}>{errors.treatmentRegimen}</Text>}
+          </>
+        );
+      case 'units':
+        return (
+          <>
+            <Text style={styles.stepTitle}>{t('onboarding.unitsTitle')}</Text>
+            <Text style={styles.hintText}>{t('onboarding.unitsHint')}</Text>
+            {renderChips(GLUCOSE_UNITS, unit, handleUnitChange, (glucoseUnit) => glucoseUnit)}
+          </>
+        );
+      case 'targets':
+        return (
+          <>
+            <Text style={styles.stepTitle}>{t('onboarding.targetsTitle')}</Text>
+            <Text style={styles.hintText}>{renderTargetsHint()}</Text>
+            <FormField
+              label={t('profile.targetLow', { unit })}
+              keyboardType="decimal-pad"
+              value={values.targetLow}
+              onChangeText={(text) => setField('targetLow', text)}
+              error={errors.targetLow}
+            />
+            <FormField
+              label={t('profile.targetHigh', { unit })}
+              keyboardType="decimal-pad"
+              value={values.targetHigh}
+              onChangeText={(text) => setField('targetHigh', text)}
+              error={errors.targetHigh}
+            />
+          </>
+        );
+      case 'insulin':
+        return (
+          <>
+            <Text style={styles.stepTitle}>{t('onboarding.insulinTitle')}</Text>
+            <Text style={styles.hintText}>{t('onboarding.insulinHint')}</Text>
+            <FormField
+              label={t('profile.insulinToCarbRatio')}
+              placeholder={t('profile.insulinToCarbRatioPlaceholder')}
+              keyboardType="decimal-pad"
+              value={values.insulinToCarbRatio}
+              onChangeText={(text) => setField('insulinToCarbRatio', text)}
+              error={errors.insulinToCarbRatio}
+            />
+            <FormField
+              label={t('profile.correctionFactor', { unit })}
+              placeholder={t('common.optional')}
+              keyboardType="decimal-pad"
+              value={values.correctionFactor}
+              onChangeText={(text) => setField('correctionFactor', text)}
+              error={errors.correctionFactor}
+            />
+          </>
+        );
+      case 'mealTimes':
+        return (
+          <>
+            <Text style={styles.stepTitle}>{t('onboarding.mealTimesTitle')}</Text>
+            <Text style={styles.hintText}>{t('onboarding.mealTimesHint')}</Text>
+            {Object.keys(values.mealTimes).map((meal) => (
+              <FormField
+                key={meal}
+                label={t(`mealTypes.${meal}`)}
+                placeholder="HH:MM"
+                keyboardType="numbers-and-punctuation"
+                maxLength={5}
+                value={values.mealTimes[meal]}
+                onChangeText={(text) => handleMealTimeChange(meal, text)}
+                error={errors[meal]}
+              />
+            ))}
+          </>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : null}
+      style={{ flex: 1 }}
+    >
+      <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+        <Text style={styles.title}>{t('onboarding.title')}</Text>
+        <Text style={styles.subtitle}>{t('onboarding.intro')}</Text>
+
+        <Text style={styles.stepCount}>
+          {t('onboarding.stepCount', { current: stepIndex + 1, total: steps.length })}
+        </Text>
+        <View style={styles.progressTrack}>
+          <View style={[styles.progressFill, { width: `${((stepIndex + 1) / steps.length) * 100}%` }]} />
+        </View>
+
+        <View style={styles.formContainer}>
+          {renderStep()}
+
+          <View style={styles.buttonRow}>
+            {stepIndex > 0 && (
+              <TouchableOpacity
+                style={[styles.button, styles.backButton]}
+                onPress={handleBack}
+                disabled={isSaving}
+              >
+                <Text style={styles.backButtonText}>{t('onboarding.back')}</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.button} onPress={handleNext} disabled={isSaving}>
+              {isSaving ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>
+                  {t(isLastStep ? 'onboarding.finish' : 'onboarding.next')}
+                </Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <TouchableOpacity onPress={handleLogout} disabled={isSaving}>
+          <Text style={styles.logoutText}>{t('home.logout')}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f9f9f9',
+  },
+  container: {
+    flexGrow: 1,
+    backgroundColor: '#f9f9f9',
+    padding: 20,
+    paddingTop: 60,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#2E7D32',
+    marginBottom: 10,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    lineHeight: 22,
+    marginBottom: 20,
+  },
+  stepCount: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#ddd',
+    marginBottom: 20,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#2E7D32',
+  },
+  formContainer: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 20,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  stepTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  hintText: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+    marginBottom: 15,
+  },
+  errorText: {
+    color: '#D32F2F',
+    fontSize: 14,
+    marginTop: 5,
+  },
+  chipContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+    width: '48%',
+    alignItems: 'center',
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 10,
+  },
+  selectedChip: {
+    borderColor: '#2E7D32',
+    backgroundColor: '#EEF7EF',
+  },
+  chipText: {
+    color: '#666',
+    fontSize: 14,
+  },
+  selectedChipText: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginTop: 10,
+  },
+  button: {
+    flex: 1,
+    backgroundColor: '#2E7D32',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+  },
+  backButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#2E7D32',
+    marginRight: 10,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  backButtonText: {
+    color: '#2E7D32',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  logoutText: {
+    color: '#666',
+    fontSize: 14,
+    textAlign: 'center',
+    marginVertical: 10,
+  },
+});
+
+export default OnboardingScreen;
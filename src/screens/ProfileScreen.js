@@ -0,0 +1,714 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  Share,
+} from 'react-native';
+import { useAuth } from '../contexts/AuthContext';
+import FormField from '../components/FormField';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+import { getErrorMessage } from '../utils/errorMapping';
+import { MGDL, GLUCOSE_UNITS, formatGlucoseInput, toMgdl } from '../utils/glucoseUnits';
+import {
+  CLINICAL_SETTINGS_SCHEMA,
+  DAILY_BUDGETS_SCHEMA,
+  DIABETES_TYPES,
+  getDailyBudgets,
+  getDefaultTargets,
+  getRegimenOptions,
+} from '../utils/diabetesProfile';
+import {
+  hasErrors,
+  matchesField,
+  maxLength,
+  required,
+  strongPassword,
+  validBirthdate,
+  validEmail,
+  validate,
+} from '../utils/validation';
+import { LOCALE_NAMES, SUPPORTED_LOCALES, formatNumber, parseNumber } from '../i18n';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+// Language chip that follows the device settings instead of a fixed language
+const DEVICE_LANGUAGE = 'device';
+
+const PROFILE_SCHEMA = {
+  ...CLINICAL_SETTINGS_SCHEMA,
+  ...DAILY_BUDGETS_SCHEMA,
+  name: [required('validation.nameRequired'), maxLength(100, 'validation.nameTooLong')],
+  birthdate: [validBirthdate('profile.birthdateFormat', 'profile.birthdateInvalid')],
+};
+
+const CHANGE_PASSWORD_SCHEMA = {
+  currentPassword: [required('profile.currentPasswordRequired')],
+  newPassword: [required('validation.passwordRequired'), strongPassword(['email', 'name'])],
+  confirmPassword: [matchesField('newPassword', 'validation.passwordsDoNotMatch')],
+};
+
+const LINK_EMAIL_SCHEMA = {
+  email: [required('validation.emailRequired'), validEmail()],
+  password: [required('validation.passwordRequired'), strongPassword(['email', 'name'])],
+};
+
+const ProfileScreen = ({ navigation }) => {
+  const {
+    currentUser,
+    updateProfile,
+    changePassword,
+    deleteAccount,
+    exportData,
+    linkWithEmail,
+    signInWithGoogle,
+    signInWithApple,
+    isAppleSignInAvailable,
+  } = useAuth();
+  const { t } = useTranslation();
+
+  const isGuest = !!currentUser?.isAnonymous;
+  // Profiles cached before provider ids were stored are email/password accounts
+  const hasPassword = currentUser?.providerIds
+    ? currentUser.providerIds.includes('password')
+    : !isGuest;
+
+  const initialUnit = currentUser?.preferredGlucoseUnit || MGDL;
+  const defaultTargets = getDefaultTargets(currentUser?.diabetesType);
+  const dailyBudgets = getDailyBudgets(currentUser);
+
+  const [name, setName] = useState(currentUser?.name || '');
+  const [birthdate, setBirthdate] = useState(currentUser?.birthdate || '');
+  const [diabetesType, setDiabetesType] = useState(currentUser?.diabetesType || '');
+  const [treatmentRegimen, setTreatmentRegimen] = useState(currentUser?.treatmentRegimen || '');
+  const [unit, setUnit] = useState(initialUnit);
+  const [targetLow, setTargetLow] = useState(
+    formatGlucoseInput(currentUser?.targetLowMgdl ?? defaultTargets.low, initialUnit)
+  );
+  const [targetHigh, setTargetHigh] = useState(
+    formatGlucoseInput(currentUser?.targetHighMgdl ?? defaultTargets.high, initialUnit)
+  );
+  const [insulinToCarbRatio, setInsulinToCarbRatio] = useState(
+    currentUser?.insulinToCarbRatio ? formatNumber(currentUser.insulinToCarbRatio) : ''
+  );
+  const [correctionFactor, setCorrectionFactor] = useState(
+    formatGlucoseInput(currentUser?.correctionFactorMgdl, initialUnit)
+  );
+  const [dailyGlBudget, setDailyGlBudget] = useState(formatNumber(dailyBudgets.glycemicLoad));
+  const [dailyCarbBudget, setDailyCarbBudget] = useState(formatNumber(dailyBudgets.carbs));
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isChangingPassword, setIsChangingPassword] = useState(false);
+
+  const [passwordErrors, setPasswordErrors] = useState({});
+
+  const [linkEmail, setLinkEmail] = useState('');
+  const [linkPassword, setLinkPassword] = useState('');
+  const [linkErrors, setLinkErrors] = useState({});
+  const [isLinking, setIsLinking] = useState(false);
+
+  const language = currentUser?.language || DEVICE_LANGUAGE;
+
+  const [isExporting, setIsExporting] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deleteError, setDeleteError] = useState(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  // Not every regimen applies to every diabetes type
+  const handleDiabetesTypeChange = (type) => {
+    setDiabetesType(type);
+    if (!getRegimenOptions(type).includes(treatmentRegimen)) {
+      setTreatmentRegimen('');
+    }
+  };
+
+  // Convert the glucose fields so switching units keeps the same values
+  const handleUnitChange = (newUnit) => {
+    const convert = (text) => {
+      const value = parseNumber(text);
+      return isNaN(value) ? text : formatGlucoseInput(toMgdl(value, unit), newUnit);
+    };
+    setTargetLow(convert(targetLow));
+    setTargetHigh(convert(targetHigh));
+    setCorrectionFactor(convert(correctionFactor));
+    setUnit(newUnit);
+  };
+
+  const handleSave = async () => {
+    const validationErrors = validate({
+      name,
+      birthdate,
+      diabetesType,
+      treatmentRegimen,
+      unit,
+      targetLow,
+      targetHigh,
+      insulinToCarbRatio,
+      correctionFactor,
+      dailyGlBudget,
+      dailyCarbBudget,
+    }, PROFILE_SCHEMA);
+    setErrors(validationErrors);
+
+    if (hasErrors(validationErrors)) {
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      await updateProfile({
+        name: name.trim(),
+        birthdate: birthdate || null,
+        diabetesType,
+        treatmentRegimen: treatmentRegimen || null,
+        preferredGlucoseUnit: unit,
+        targetLowMgdl: Math.round(toMgdl(parseNumber(targetLow), unit)),
+        targetHighMgdl: Math.round(toMgdl(parseNumber(targetHigh), unit)),
+        insulinToCarbRatio: insulinToCarbRatio ? parseNumber(insulinToCarbRatio) : null,
+        correctionFactorMgdl: correctionFactor
+          ? Math.round(toMgdl(parseNumber(correctionFactor), unit))
+          : null,
+        dailyGlBudget: parseNumber(dailyGlBudget),
+        dailyCarbBudget: parseNumber(dailyCarbBudget),
+      });
+      Alert.alert(t('profile.savedTitle'), t('profile.savedMessage'));
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('profile.saveFailed')));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleLanguageChange = async (locale) => {
+    try {
+      // LocaleProvider switches the app's language once the profile updates
+      await updateProfile({ language: locale === DEVICE_LANGUAGE ? null : locale });
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('common.settingsFailed')));
+    }
+  };
+
+  const handleChangePassword = async () => {
+    const validationErrors = validate(
+      { currentPassword, newPassword, confirmPassword, email: currentUser?.email, name },
+      CHANGE_PASSWORD_SCHEMA
+    );
+    setPasswordErrors(validationErrors);
+
+    if (hasErrors(validationErrors)) {
+      return;
+    }
+
+    setIsChangingPassword(true);
+
+    try {
+      // changePassword reauthenticates with the current password first
+      await changePassword(currentPassword, newPassword);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      Alert.alert(t('profile.passwordChangedTitle'), t('profile.passwordChangedMessage'));
+    } catch (error) {
+      Alert.alert(t('profile.changePasswordErrorTitle'), getErrorMessage(error, t('profile.changePasswordFailed')));
+    } finally {
+      setIsChangingPassword(false);
+    }
+  };
+
+  const handleLinkAccount = async (link) => {
+    setIsLinking(true);
+
+    try {
+      await link();
+      Alert.alert(t('profile.accountCreatedTitle'), t('profile.accountCreatedMessage'));
+    } catch (error) {
+      Alert.alert(t('profile.createAccountErrorTitle'), getErrorMessage(error, t('profile.createAccountFailed')));
+    } finally {
+      setIsLinking(false);
+    }
+  };
+
+  const handleLinkWithEmail = () => {
+    const validationErrors = validate({ email: linkEmail, password: linkPassword, name }, LINK_EMAIL_SCHEMA);
+    setLinkErrors(validationErrors);
+
+    if (hasErrors(validationErrors)) {
+      return;
+    }
+
+    handleLinkAccount(() => linkWithEmail(linkEmail.trim(), linkPassword));
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+
+    try {
+      const archive = await exportData();
+      await Share.share({
+        title: t('profile.exportTitle'),
+        message: JSON.stringify(archive, null, 2),
+      });
+    } catch (error) {
+      Alert.alert(t('common.error'), getErrorMessage(error, t('profile.exportFailed')));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const confirmDeleteAccount = async () => {
+    setIsDeleting(true);
+
+    try {
+      // Signs the user out, so the app returns to the login screen
+      await deleteAccount(deletePassword);
+    } catch (error) {
+      Alert.alert(t('profile.deleteAccountErrorTitle'), getErrorMessage(error, t('profile.deleteAccountFailed')));
+      setIsDeleting(false);
+    }
+  };
+
+  const handleDeleteAccount = () => {
+    const validationError = hasPassword && !deletePassword ? t('profile.deletePasswordRequired') : null;
+    setDeleteError(validationError);
+
+    if (validationError) {
+      return;
+    }
+
+    Alert.alert(
+      t('profile.deleteAccount'),
+      t('profile.deleteAccountConfirm'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('common.delete'), style: 'destructive', onPress: confirmDeleteAccount },
+      ]
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : null}
+      style={{ flex: 1 }}
+    >
+      <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+        {isGuest && (
+          <View style={styles.formContainer}>
+            <Text style={styles.sectionTitle}>{t('profile.guestTitle')}</Text>
+            <Text style={[styles.hintText, styles.guestHint]}>{t('profile.guestHint')}</Text>
+
+            <FormField
+              label={t('common.email')}
+              placeholder={t('common.emailPlaceholder')}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              value={linkEmail}
+              onChangeText={setLinkEmail}
+              error={linkErrors.email}
+            />
+
+            <FormField
+              label={t('common.password')}
+              placeholder={t('register.passwordPlaceholder')}
+              secureTextEntry
+              value={linkPassword}
+              onChangeText={setLinkPassword}
+              error={linkErrors.password}
+            />
+            <PasswordStrengthMeter password={linkPassword} userInputs={[linkEmail, name]} />
+
+            <TouchableOpacity
+              style={styles.button}
+              onPress={handleLinkWithEmail}
+              disabled={isLinking}
+            >
+              {isLinking ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>{t('register.submit')}</Text>
+              )}
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => handleLinkAccount(signInWithGoogle)}
+              disabled={isLinking}
+            >
+              <Text style={styles.secondaryButtonText}>{t('login.google')}</Text>
+            </TouchableOpacity>
+
+            {isAppleSignInAvailable && (
+              <TouchableOpacity
+                style={styles.secondaryButton}
+                onPress={() => handleLinkAccount(signInWithApple)}
+                disabled={isLinking}
+              >
+                <Text style={styles.secondaryButtonText}>{t('login.apple')}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
+        <View style={styles.formContainer}>
+          <Text style={styles.sectionTitle}>{t('profile.personalDetails')}</Text>
+
+          <FormField
+            label={t('register.name')}
+            placeholder={t('register.namePlaceholder')}
+            value={name}
+            onChangeText={setName}
+            error={errors.name}
+          />
+          <FormField
+            label={t('profile.birthdate')}
+            placeholder="YYYY-MM-DD"
+            value={birthdate}
+            onChangeText={setBirthdate}
+            error={errors.birthdate}
+          />
+
+          <FormField label={t('common.diabetesType')} error={errors.diabetesType}>
+            <View style={styles.chipContainer}>
+              {DIABETES_TYPES.map((type) => (
+                <TouchableOpacity
+                  key={type}
+                  style={[styles.chip, diabetesType === type && styles.selectedChip]}
+                  onPress={() => handleDiabetesTypeChange(type)}
+                >
+                  <Text style={[styles.chipText, diabetesType === type && styles.selectedChipText]}>
+                    {t(`diabetesTypes.${type}`)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </FormField>
+        </View>
+
+        <View style={styles.formContainer}>
+          <Text style={styles.sectionTitle}>{t('profile.clinicalSettings')}</Text>
+
+          <FormField label={t('profile.treatment')} error={errors.treatmentRegimen}>
+            <View style={styles.chipContainer}>
+              {getRegimenOptions(diabetesType).map((regimen) => (
+                <TouchableOpacity
+                  key={regimen}
+                  style={[styles.chip, treatmentRegimen === regimen && styles.selectedChip]}
+                  onPress={() => setTreatmentRegimen(regimen)}
+                >
+                  <Text style={[styles.chipText, treatmentRegimen === regimen && styles.selectedChipText]}>
+                    {t(`regimens.${regimen}`)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </FormField>
+
+          <FormField label={t('profile.preferredUnit')}>
+            <View style={styles.chipContainer}>
+              {GLUCOSE_UNITS.map((glucoseUnit) => (
+                <TouchableOpacity
+                  key={glucoseUnit}
+                  style={[styles.chip, unit === glucoseUnit && styles.selectedChip]}
+                  onPress={() => handleUnitChange(glucoseUnit)}
+                >
+                  <Text style={[styles.chipText, unit === glucoseUnit && styles.selectedChipText]}>
+                    {glucoseUnit}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </FormField>
+
+          <FormField
+            label={t('profile.targetLow', { unit })}
+            keyboardType="decimal-pad"
+            value={targetLow}
+            onChangeText={setTargetLow}
+            error={errors.targetLow}
+          />
+          <FormField
+            label={t('profile.targetHigh', { unit })}
+            keyboardType="decimal-pad"
+            value={targetHigh}
+            onChangeText={setTargetHigh}
+            error={errors.targetHigh}
+          />
+          <FormField
+            label={t('profile.insulinToCarbRatio')}
+            placeholder={t('profile.insulinToCarbRatioPlaceholder')}
+            keyboardType="decimal-pad"
+            value={insulinToCarbRatio}
+            onChangeText={setInsulinToCarbRatio}
+            error={errors.insulinToCarbRatio}
+          />
+          <FormField
+            label={t('profile.correctionFactor', { unit })}
+            placeholder={t('common.optional')}
+            keyboardType="decimal-pad"
+            value={correctionFactor}
+            onChangeText={setCorrectionFactor}
+            error={errors.correctionFactor}
+          />
+          <FormField
+            label={t('profile.dailyGlBudget')}
+            keyboardType="decimal-pad"
+            value={dailyGlBudget}
+            onChangeText={setDailyGlBudget}
+            error={errors.dailyGlBudget}
+          />
+          <FormField
+            label={t('profile.dailyCarbBudget')}
+            keyboardType="decimal-pad"
+            value={dailyCarbBudget}
+            onChangeText={setDailyCarbBudget}
+            error={errors.dailyCarbBudget}
+          />
+          <Text style={styles.hintText}>{t('profile.budgetHint')}</Text>
+
+          <TouchableOpacity
+            style={styles.button}
+            onPress={handleSave}
+            disabled={isSaving}
+          >
+            {isSaving ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>{t('profile.save')}</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        {hasPassword && (
+          <View style={styles.formContainer}>
+            <Text style={styles.sectionTitle}>{t('profile.changePassword')}</Text>
+
+            <FormField
+              label={t('profile.currentPassword')}
+              placeholder={t('profile.currentPasswordPlaceholder')}
+              secureTextEntry
+              value={currentPassword}
+              onChangeText={setCurrentPassword}
+              error={passwordErrors.currentPassword}
+            />
+
+            <FormField
+              label={t('profile.newPassword')}
+              placeholder={t('profile.newPasswordPlaceholder')}
+              secureTextEntry
+              value={newPassword}
+              onChangeText={setNewPassword}
+              error={passwordErrors.newPassword}
+            />
+            <PasswordStrengthMeter password={newPassword} userInputs={[currentUser?.email, name]} />
+
+            <FormField
+              label={t('profile.confirmNewPassword')}
+              placeholder={t('profile.confirmNewPasswordPlaceholder')}
+              secureTextEntry
+              value={confirmPassword}
+              onChangeText={setConfirmPassword}
+              error={passwordErrors.confirmPassword}
+            />
+
+            <TouchableOpacity
+              style={styles.button}
+              onPress={handleChangePassword}
+              disabled={isChangingPassword}
+            >
+              {isChangingPassword ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>{t('profile.changePassword')}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <View style={styles.formContainer}>
+          <Text style={styles.sectionTitle}>{t('profile.security')}</Text>
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={() => navigation.navigate('AppLockSettings')}
+          >
+            <Text style={styles.secondaryButtonText}>
+              {t(currentUser?.appLockEnabled ? 'profile.appLockOn' : 'profile.appLockOff')}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.formContainer}>
+          <Text style={styles.sectionTitle}>{t('profile.integrations')}</Text>
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={() => navigation.navigate('NightscoutSettings')}
+          >
+            <Text style={styles.secondaryButtonText}>
+              {t(currentUser?.nightscoutUrl ? 'profile.nightscoutOn' : 'profile.nightscoutOff')}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.formContainer}>
+          <Text style={styles.sectionTitle}>{t('profile.language')}</Text>
+          <View style={styles.chipContainer}>
+            {[DEVICE_LANGUAGE, ...SUPPORTED_LOCALES].map((locale) => (
+              <TouchableOpacity
+                key={locale}
+                style={[styles.chip, language === locale && styles.selectedChip]}
+                onPress={() => handleLanguageChange(locale)}
+              >
+                <Text style={[styles.chipText, language === locale && styles.selectedChipText]}>
+                  {locale === DEVICE_LANGUAGE ? t('profile.deviceLanguage') : LOCALE_NAMES[locale]}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        <View style={styles.formContainer}>
+          <Text style={styles.sectionTitle}>{t('profile.yourData')}</Text>
+          <Text style={styles.hintText}>{t('profile.exportHint')}</Text>
+
+          <TouchableOpacity
+            style={styles.button}
+            onPress={handleExport}
+            disabled={isExporting}
+          >
+            {isExporting ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>{t('profile.export')}</Text>
+            )}
+          </TouchableOpacity>
+
+          <Text style={[styles.hintText, styles.deleteHint]}>{t('profile.deleteHint')}</Text>
+
+          {hasPassword && (
+            <FormField
+              label={t('common.password')}
+              placeholder={t('profile.deletePasswordPlaceholder')}
+              secureTextEntry
+              value={deletePassword}
+              onChangeText={setDeletePassword}
+              error={deleteError}
+            />
+          )}
+
+          <TouchableOpacity
+            style={[styles.button, styles.deleteButton]}
+            onPress={handleDeleteAccount}
+            disabled={isDeleting}
+          >
+            {isDeleting ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>{t('profile.deleteAccount')}</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: '#f9f9f9',
+    padding: 15,
+  },
+  formContainer: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 20,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 15,
+  },
+  chipContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+    width: '48%',
+    alignItems: 'center',
+  },
+  selectedChip: {
+    borderColor: '#2E7D32',
+    backgroundColor: '#EEF7EF',
+  },
+  chipText: {
+    color: '#666',
+    fontSize: 14,
+  },
+  selectedChipText: {
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  button: {
+    backgroundColor: '#2E7D32',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginVertical: 10,
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  secondaryButtonText: {
+    color: '#333',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  guestHint: {
+    marginBottom: 15,
+  },
+  deleteButton: {
+    backgroundColor: '#D32F2F',
+  },
+  hintText: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+  },
+  deleteHint: {
+    marginTop: 15,
+    marginBottom: 15,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default ProfileScreen;
@@ -2,7 +2,6 @@ import React, { useState } from 'react';
 import {
   View,
   Text,
-  TextInput,
   TouchableOpacity,
   StyleSheet,
   ScrollView,
@@ -12,6 +11,28 @@ import {
   Platform,
 } from 'react-native';
 import { useAuth } from '../contexts/AuthContext';
+import FormField from '../components/FormField';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+import { getErrorMessage } from '../utils/errorMapping';
+import { DIABETES_TYPES } from '../utils/diabetesProfile';
+import {
+  hasErrors,
+  matchesField,
+  maxLength,
+  required,
+  strongPassword,
+  validEmail,
+  validate,
+} from '../utils/validation';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+const REGISTER_SCHEMA = {
+  name: [required('validation.nameRequired'), maxLength(100, 'validation.nameTooLong')],
+  email: [required('validation.emailRequired'), validEmail()],
+  password: [required('validation.passwordRequired'), strongPassword(['email', 'name'])],
+  confirmPassword: [matchesField('password', 'validation.passwordsDoNotMatch')],
+  diabetesType: [required('validation.diabetesTypeRequired')],
+};
 
 const RegisterScreen = ({ navigation }) => {
   const [name, setName] = useState('');
@@ -19,43 +40,20 @@ const RegisterScreen = ({ navigation }) => {
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [diabetesType, setDiabetesType] = useState('');
+  const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   
   const { register } = useAuth();
-  
-  const validateEmail = (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  };
-  
-  const validatePassword = (password) => {
-    return password.length >= 6;
-  };
+  const { t } = useTranslation();
   
   const handleRegister = async () => {
-    // Validate input
-    if (!name.trim()) {
-      Alert.alert('Error', 'Name is required');
-      return;
-    }
-    
-    if (!email.trim() || !validateEmail(email)) {
-      Alert.alert('Error', 'Please enter a valid email address');
-      return;
-    }
-    
-    if (!validatePassword(password)) {
-      Alert.alert('Error', 'Password must be at least 6 characters long');
-      return;
-    }
+    const validationErrors = validate(
+      { name, email, password, confirmPassword, diabetesType },
+      REGISTER_SCHEMA
+    );
+    setErrors(validationErrors);
     
-    if (password !== confirmPassword) {
-      Alert.alert('Error', 'Passwords do not match');
-      return;
-    }
-    
-    if (!diabetesType.trim()) {
-      Alert.alert('Error', 'Please select your diabetes type');
+    if (hasErrors(validationErrors)) {
       return;
     }
     
@@ -63,25 +61,15 @@ const RegisterScreen = ({ navigation }) => {
     
     try {
       const userData = {
-        name,
+        name: name.trim(),
         diabetesType,
         createdAt: new Date().toISOString(),
       };
       
-      await register(email, password, userData);
+      await register(email.trim(), password, userData);
       // Navigation will be handled by the auth state listener
     } catch (error) {
-      let errorMessage = 'Failed to create account';
-      
-      if (error.code === 'auth/email-already-in-use') {
-        errorMessage = 'This email is already in use';
-      } else if (error.code === 'auth/invalid-email') {
-        errorMessage = 'Invalid email format';
-      } else if (error.code === 'auth/weak-password') {
-        errorMessage = 'Password is too weak';
-      }
-      
-      Alert.alert('Registration Error', errorMessage);
+      Alert.alert(t('register.errorTitle'), getErrorMessage(error, t('register.failed')));
     } finally {
       setIsLoading(false);
     }
@@ -96,127 +84,71 @@ const RegisterScreen = ({ navigation }) => {
       behavior={Platform.OS === 'ios' ? 'padding' : null}
       style={{ flex: 1 }}
     >
-      <ScrollView contentContainerStyle={styles.container}>
+      <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
         <View style={styles.formContainer}>
-          <Text style={styles.title}>GI Tracker</Text>
-          <Text style={styles.subtitle}>Create your account</Text>
+          <Text style={styles.title}>{t('common.appName')}</Text>
+          <Text style={styles.subtitle}>{t('register.subtitle')}</Text>
           
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Full Name</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="Enter your full name"
-              value={name}
-              onChangeText={setName}
-            />
-          </View>
+          <FormField
+            label={t('register.name')}
+            placeholder={t('register.namePlaceholder')}
+            value={name}
+            onChangeText={setName}
+            error={errors.name}
+          />
           
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Email</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="Enter your email"
-              keyboardType="email-address"
-              autoCapitalize="none"
-              value={email}
-              onChangeText={setEmail}
-            />
-          </View>
+          <FormField
+            label={t('common.email')}
+            placeholder={t('common.emailPlaceholder')}
+            keyboardType="email-address"
+            autoCapitalize="none"
+            value={email}
+            onChangeText={setEmail}
+            error={errors.email}
+          />
           
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Password</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="Create a password"
-              secureTextEntry
-              value={password}
-              onChangeText={setPassword}
-            />
-          </View>
+          <FormField
+            label={t('common.password')}
+            placeholder={t('register.passwordPlaceholder')}
+            secureTextEntry
+            value={password}
+            onChangeText={setPassword}
+            error={errors.password}
+          />
+          <PasswordStrengthMeter password={password} userInputs={[email, name]} />
           
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Confirm Password</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="Confirm your password"
-              secureTextEntry
-              value={confirmPassword}
-              onChangeText={setConfirmPassword}
-            />
-          </View>
+          <FormField
+            label={t('register.confirmPassword')}
+            placeholder={t('register.confirmPasswordPlaceholder')}
+            secureTextEntry
+            value={confirmPassword}
+            onChangeText={setConfirmPassword}
+            error={errors.confirmPassword}
+          />
           
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Diabetes Type</Text>
+          <FormField label={t('common.diabetesType')} error={errors.diabetesType}>
             <View style={styles.diabetesTypeContainer}>
-              <TouchableOpacity
-                style={[
-                  styles.diabetesTypeButton,
-                  diabetesType === 'Type 1' && styles.selectedDiabetesType,
-                ]}
-                onPress={() => setDiabetesType('Type 1')}
-              >
-                <Text
-                  style={[
-                    styles.diabetesTypeText,
-                    diabetesType === 'Type 1' && styles.selectedDiabetesTypeText,
-                  ]}
-                >
-                  Type 1
-                </Text>
-              </TouchableOpacity>
-              
-              <TouchableOpacity
-                style={[
-                  styles.diabetesTypeButton,
-                  diabetesType === 'Type 2' && styles.selectedDiabetesType,
-                ]}
-                onPress={() => setDiabetesType('Type 2')}
-              >
-                <Text
-                  style={[
-                    styles.diabetesTypeText,
-                    diabetesType === 'Type 2' && styles.selectedDiabetesTypeText,
-                  ]}
-                >
-                  Type 2
-                </Text>
-              </TouchableOpacity>
-              
-              <TouchableOpacity
-                style={[
-                  styles.diabetesTypeButton,
-                  diabetesType === 'Gestational' && styles.selectedDiabetesType,
-                ]}
-                onPress={() => setDiabetesType('Gestational')}
-              >
-                <Text
-                  style={[
-                    styles.diabetesTypeText,
-                    diabetesType === 'Gestational' && styles.selectedDiabetesTypeText,
-                  ]}
-                >
-                  Gestational
-                </Text>
-              </TouchableOpacity>
-              
-              <TouchableOpacity
-                style={[
-                  styles.diabetesTypeButton,
-                  diabetesType === 'Prediabetes' && styles.selectedDiabetesType,
-                ]}
-                onPress={() => setDiabetesType('Prediabetes')}
-              >
-                <Text
+              {DIABETES_TYPES.map((type) => (
+                <TouchableOpacity
+                  key={type}
                   style={[
-                    styles.diabetesTypeText,
-                    diabetesType === 'Prediabetes' && styles.selectedDiabetesTypeText,
+                    styles.diabetesTypeButton,
+                    diabetesType === type && styles.selectedDiabetesType,
                   ]}
+                  onPress={() => setDiabetesType(type)}
                 >
-                  Prediabetes
-                </Text>
-              </TouchableOpacity>
+                  <Text
+                    style={[
+                      styles.diabetesTypeText,
+                      diabetesType === type && styles.selectedDiabetesTypeText,
+                    ]}
+                  >
+                    {t(`diabetesTypes.${type}`)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
             </View>
-          </View>
+          </FormField>
           
           <TouchableOpacity
             style={styles.button}
@@ -226,14 +158,14 @@ const RegisterScreen = ({ navigation }) => {
             {isLoading ? (
               <ActivityIndicator color="#fff" />
             ) : (
-              <Text style={styles.buttonText}>Create Account</Text>
+              <Text style={styles.buttonText}>{t('register.submit')}</Text>
             )}
           </TouchableOpacity>
           
           <View style={styles.loginContainer}>
-            <Text style={styles.loginText}>Already have an account? </Text>
+            <Text style={styles.loginText}>{t('register.haveAccount')} </Text>
             <TouchableOpacity onPress={navigateToLogin}>
-              <Text style={styles.loginLink}>Log In</Text>
+              <Text style={styles.loginLink}>{t('login.submit')}</Text>
             </TouchableOpacity>
           </View>
         </View>
@@ -272,23 +204,6 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 30,
   },
-  inputContainer: {
-    marginBottom: 20,
-  },
-  label: {
-    fontSize: 16,
-    marginBottom: 8,
-    color: '#444',
-  },
-  input: {
-    borderWidth: 1,
-    borderColor: '#ddd',
-    borderRadius: 8,
-    paddingHorizontal: 15,
-    paddingVertical: 12,
-    fontSize: 16,
-    backgroundColor: '#f9f9f9',
-  },
   diabetesTypeContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
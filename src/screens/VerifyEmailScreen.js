@@ -0,0 +1,192 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useAuth } from '../contexts/AuthContext';
+import { getErrorMessage } from '../utils/errorMapping';
+import useLogout from '../utils/useLogout';
+import authService from '../services/authService';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+const VerifyEmailScreen = () => {
+  const { currentUser, resendVerificationEmail, refreshEmailVerification } = useAuth();
+  const handleLogout = useLogout();
+  const { t } = useTranslation();
+  const [resendAvailableAt, setResendAvailableAt] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [isSending, setIsSending] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+
+  // Pick up the cooldown from an email sent at registration or before a restart
+  useEffect(() => {
+    authService.getVerificationResendAvailableAt().then(setResendAvailableAt);
+  }, []);
+
+  const secondsLeft = Math.max(0, Math.ceil((resendAvailableAt - now) / 1000));
+
+  // Tick once a second while the resend button is cooling down
+  useEffect(() => {
+    if (secondsLeft === 0) {
+      return undefined;
+    }
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [secondsLeft]);
+
+  const handleResend = async () => {
+    setIsSending(true);
+
+    try {
+      setResendAvailableAt(await resendVerificationEmail());
+      setNow(Date.now());
+      Alert.alert(t('verifyEmail.sentTitle'), t('verifyEmail.sentMessage', { email: currentUser?.email }));
+    } catch (error) {
+      Alert.alert(t('verifyEmail.errorTitle'), getErrorMessage(error, t('verifyEmail.sendFailed')));
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleCheckVerification = async () => {
+    setIsChecking(true);
+
+    try {
+      const verified = await refreshEmailVerification();
+      // Once verified, the navigator switches to the app by itself
+      if (!verified) {
+        Alert.alert(
+          t('verifyEmail.notVerifiedTitle'),
+          t('verifyEmail.notVerifiedMessage')
+        );
+      }
+    } catch (error) {
+      Alert.alert(t('verifyEmail.errorTitle'), getErrorMessage(error, t('verifyEmail.checkFailed')));
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <View style={styles.formContainer}>
+        <Text style={styles.title}>{t('verifyEmail.title')}</Text>
+        <Text style={styles.subtitle}>
+          {t('verifyEmail.linkSentBefore')}
+          <Text style={styles.email}>{currentUser?.email}</Text>
+          {t('verifyEmail.linkSentAfter')}
+        </Text>
+
+        <TouchableOpacity
+          style={styles.button}
+          onPress={handleCheckVerification}
+          disabled={isChecking}
+        >
+          {isChecking ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.buttonText}>{t('verifyEmail.confirm')}</Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.secondaryButton, secondsLeft > 0 && styles.disabledButton]}
+          onPress={handleResend}
+          disabled={isSending || secondsLeft > 0}
+        >
+          {isSending ? (
+            <ActivityIndicator color="#2E7D32" />
+          ) : (
+            <Text style={styles.secondaryButtonText}>
+              {secondsLeft > 0 ? t('verifyEmail.resendIn', { seconds: secondsLeft }) : t('verifyEmail.resend')}
+            </Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.backButton} onPress={handleLogout}>
+          <Text style={styles.backButtonText}>{t('verifyEmail.differentAccount')}</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: '#f9f9f9',
+    padding: 20,
+    justifyContent: 'center',
+  },
+  formContainer: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2E7D32',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 22,
+    marginBottom: 25,
+  },
+  email: {
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  button: {
+    backgroundColor: '#2E7D32',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginVertical: 10,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: '#2E7D32',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  disabledButton: {
+    borderColor: '#ddd',
+  },
+  secondaryButtonText: {
+    color: '#2E7D32',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  backButton: {
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  backButtonText: {
+    color: '#666',
+    fontSize: 16,
+  },
+});
+
+export default VerifyEmailScreen;
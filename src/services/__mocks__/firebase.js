@@ -0,0 +1,25 @@
+// Stand-in for the firebase module, used by service tests that call
+// jest.mock('../firebase'). References only carry their path, which is all
+// the services need while the tests stub out syncService.write.
+const ref = (path) => ({
+  path,
+  id: path.split('/').pop(),
+  doc: (id = 'new-doc') => ref(`${path}/${id}`),
+  collection: (name) => ref(`${path}/${name}`),
+});
+
+const authState = { currentUser: { uid: 'user-1' } };
+
+/**
+ * Change who the mocked auth reports as signed in
+ * @param {object|null} user - { uid } of the user, or null for signed out
+ */
+const setCurrentUser = (user) => {
+  authState.currentUser = user;
+};
+
+const auth = () => authState;
+
+const firestore = () => ({ collection: (name) => ref(name) });
+
+export { auth, firestore, setCurrentUser };
@@ -0,0 +1,38 @@
+import appLockService from '../appLockService';
+import secureStorage from '../secureStorage';
+
+jest.mock('react-native-biometrics', () => jest.fn());
+
+describe('appLockService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports a PIN once one is set', async () => {
+    await appLockService.removePin();
+    expect(await appLockService.hasPin()).toBe(false);
+
+    await appLockService.setPin('2468');
+    expect(await appLockService.hasPin()).toBe(true);
+  });
+
+  it('fails instead of reporting no PIN when secure storage breaks', async () => {
+    jest.spyOn(secureStorage, 'getItem').mockRejectedValue(new Error('Keystore locked'));
+
+    await expect(appLockService.hasPin()).rejects.toThrow('Keystore locked');
+  });
+
+  it('remembers the lock setting for the user it belongs to only', async () => {
+    await appLockService.rememberEnabled('user-1', true);
+
+    expect(await appLockService.getRememberedEnabled('user-1')).toBe(true);
+    expect(await appLockService.getRememberedEnabled('user-2')).toBeNull();
+
+    await appLockService.rememberEnabled('user-1', false);
+    expect(await appLockService.getRememberedEnabled('user-1')).toBe(false);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * @jest-environment node
+ *
+ * Runs authService against the Firebase Auth and Firestore emulators:
+ *
+ *   npm run test:emulators
+ *
+ * Skipped when the emulators aren't running.
+ */
+import authService from '../authService';
+import mealService from '../mealService';
+import { auth, firestore } from '../firebase';
+
+const AUTH_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+const FIRESTORE_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+const PROJECT_ID = 'foodgi-bc42c';
+const PASSWORD = 'Correct-Horse-42';
+const MEAL = { mealType: 'lunch', items: [{ foodId: 'white-rice', quantity: 1, unit: 'serving' }] };
+
+// The web SDK's compat API matches @react-native-firebase closely enough to
+// stand in for the native modules under Jest
+jest.mock('../firebase', () => {
+  const firebase = require('firebase/compat/app').default;
+  require('firebase/compat/auth');
+  require('firebase/compat/firestore');
+
+  const app = firebase.initializeApp({ apiKey: 'emulator', projectId: 'foodgi-bc42c' });
+  if (process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+    // React Native's Jest setup defines window, which makes the web SDK
+    // set up browser-only sign-in popups
+    const { window } = global;
+    delete global.window;
+    app.auth().useEmulator(`http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`);
+    global.window = window;
+
+    const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+    app.firestore().useEmulator(host, Number(port));
+  }
+
+  return { firebase, auth: firebase.auth, firestore: firebase.firestore, googleWebClientId: '' };
+});
+jest.mock('@react-native-google-signin/google-signin', () => ({ GoogleSignin: { configure: jest.fn() } }));
+jest.mock('@invertase/react-native-apple-authentication', () => ({ appleAuth: {} }));
+jest.mock('react-native-biometrics', () => jest.fn());
+
+const describeWithEmulators = AUTH_HOST && FIRESTORE_HOST ? describe : describe.skip;
+
+// Emails the Auth emulator would have sent, e.g. VERIFY_EMAIL or PASSWORD_RESET
+const getSentEmails = async (email) => {
+  const response = await fetch(`http://${AUTH_HOST}/emulator/v1/projects/${PROJECT_ID}/oobCodes`);
+  const { oobCodes } = await response.json();
+  return oobCodes.filter((code) => code.email === email).map((code) => code.requestType);
+};
+
+describeWithEmulators('authService against the Firebase emulators', () => {
+  const email = 'emulator-user@example.com';
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await auth().signOut();
+    await fetch(`http://${AUTH_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+    await fetch(
+      `http://${FIRESTORE_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+      { method: 'DELETE' }
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await auth().signOut();
+    await firestore().terminate();
+  });
+
+  it('registers a user with a profile and sends a verification email', async () => {
+    const user = await authService.register(email, PASSWORD, { name: 'Emulator User' });
+
+    expect(user.email).toBe(email);
+    const profile = await firestore().collection('users').doc(user.uid).get();
+    expect(profile.data()).toMatchObject({
+      email,
+      name: 'Emulator User',
+      onboardingCompleted: false,
+    });
+    expect(await getSentEmails(email)).toContain('VERIFY_EMAIL');
+  });
+
+  it('logs in with the right password only', async () => {
+    const registered = await authService.register(email, PASSWORD, { name: 'Emulator User' });
+    await auth().signOut();
+
+    await expect(authService.login(email, 'Wrong-Horse-42')).rejects.toHaveProperty(
+      'code',
+      expect.stringMatching(/^auth\/(wrong-password|invalid-credential)$/)
+    );
+
+    const user = await authService.login(email, PASSWORD);
+    expect(user.uid).toBe(registered.uid);
+    expect(auth().currentUser.uid).toBe(registered.uid);
+  });
+
+  it('sends a password reset email', async () => {
+    await authService.register(email, PASSWORD, { name: 'Emulator User' });
+    await auth().signOut();
+
+    await authService.resetPassword(email);
+
+    expect(await getSentEmails(email)).toContain('PASSWORD_RESET');
+  });
+
+  it('starts a guest session that can save data', async () => {
+    const guest = await authService.signInAnonymously();
+    const meal = await mealService.addMeal(MEAL);
+
+    expect(guest.isAnonymous).toBe(true);
+    const profile = await firestore().collection('users').doc(guest.uid).get();
+    expect(profile.data()).toMatchObject({ email: null, isAnonymous: true });
+    expect(await mealService.getMeal(meal.id)).toMatchObject({ mealType: 'lunch' });
+  });
+
+  it('keeps the uid and data when a guest adds an email and password', async () => {
+    const guest = await authService.signInAnonymously();
+    const meal = await mealService.addMeal(MEAL);
+
+    const user = await authService.linkWithEmail(email, PASSWORD);
+
+    expect(user.uid).toBe(guest.uid);
+    expect(user.isAnonymous).toBe(false);
+    const profile = await firestore().collection('users').doc(user.uid).get();
+    expect(profile.data()).toMatchObject({ email, isAnonymous: false });
+    expect(await mealService.getMeal(meal.id)).toMatchObject({ mealType: 'lunch' });
+
+    await auth().signOut();
+    expect((await authService.login(email, PASSWORD)).uid).toBe(guest.uid);
+  });
+
+  it("doesn't link a guest to an email that already has an account", async () => {
+    await authService.register(email, PASSWORD, { name: 'Emulator User' });
+    await auth().signOut();
+    const guest = await authService.signInAnonymously();
+
+    await expect(authService.linkWithEmail(email, PASSWORD)).rejects.toHaveProperty(
+      'code',
+      'auth/email-already-in-use'
+    );
+    expect(auth().currentUser).toMatchObject({ uid: guest.uid, isAnonymous: true });
+  });
+
+  it('links a social sign-in to the account that already uses its email', async () => {
+    const registered = await authService.register(email, PASSWORD, { name: 'Emulator User' });
+    await auth().signOut();
+    // The Auth emulator accepts unsigned provider tokens
+    const googleCredential = auth.GoogleAuthProvider.credential(
+      JSON.stringify({ sub: 'google-emulator-user', email, email_verified: false })
+    );
+
+    const error = await authService.signInWithCredential(googleCredential, {}).catch((e) => e);
+    expect(error).toMatchObject({
+      code: 'auth/account-exists-with-different-credential',
+      email,
+      existingProviders: ['password'],
+    });
+
+    // Signing in with the original provider finishes the link
+    const user = await authService.login(email, PASSWORD);
+    expect(user.uid).toBe(registered.uid);
+    expect(auth().currentUser.providerData.map((provider) => provider.providerId).sort()).toEqual([
+      'google.com',
+      'password',
+    ]);
+  });
+});
@@ -0,0 +1,44 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import CryptoJS from 'crypto-js';
+import authService from '../authService';
+import secureStorage from '../secureStorage';
+
+jest.mock('../firebase', () => ({ auth: () => ({}), firestore: () => ({}), googleWebClientId: '' }));
+jest.mock('@react-native-google-signin/google-signin', () => ({ GoogleSignin: { configure: jest.fn() } }));
+jest.mock('@invertase/react-native-apple-authentication', () => ({ appleAuth: {} }));
+jest.mock('react-native-biometrics', () => jest.fn());
+
+const AUTH_TOKEN_KEY = '@GI Tracker:authToken';
+
+// JWT segments are base64url; the payload is all the migration reads
+const tokenExpiringAt = (ms) => {
+  const payload = CryptoJS.enc.Base64.stringify(CryptoJS.enc.Utf8.parse(JSON.stringify({ exp: ms / 1000 })));
+  return `header.${payload.replace(/\+/g, '-').replace(/\//g, '_').split('=')[0]}.signature`;
+};
+
+describe('authService.migrateLegacyStorage', () => {
+  beforeEach(async () => {
+    authService.migration = null;
+    await AsyncStorage.clear();
+    await secureStorage.removeItem(AUTH_TOKEN_KEY);
+  });
+
+  it('moves a token that is still valid into secure storage', async () => {
+    const token = tokenExpiringAt(Date.now() + 60 * 60 * 1000);
+    await AsyncStorage.setItem(AUTH_TOKEN_KEY, token);
+
+    await authService.migrateLegacyStorage();
+
+    expect(await secureStorage.getItem(AUTH_TOKEN_KEY)).toBe(token);
+    expect(await AsyncStorage.getItem(AUTH_TOKEN_KEY)).toBeNull();
+  });
+
+  it('drops an expired token instead of moving it', async () => {
+    await AsyncStorage.setItem(AUTH_TOKEN_KEY, tokenExpiringAt(Date.now() - 60 * 1000));
+
+    await authService.migrateLegacyStorage();
+
+    expect(await secureStorage.getItem(AUTH_TOKEN_KEY)).toBeNull();
+    expect(await AsyncStorage.getItem(AUTH_TOKEN_KEY)).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+import cgmImportService from '../cgmImportService';
+import glucoseService, { CGM_CONTEXT } from '../glucoseService';
+import { SKIP_REASONS } from '../../utils/cgmImport';
+
+jest.mock('react-native-document-picker', () => ({ types: {} }));
+jest.mock('react-native-fs', () => ({}));
+jest.mock('../firebase', () => ({}));
+
+const readFixture = (name) =>
+  fs.readFileSync(path.join(__dirname, '../../utils/__tests__/fixtures', name), 'utf8');
+
+describe('cgmImportService.importExport', () => {
+  let getReadingsInRange;
+  let importReadings;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    getReadingsInRange = jest.spyOn(glucoseService, 'getReadingsInRange').mockResolvedValue([]);
+    importReadings = jest
+      .spyOn(glucoseService, 'importReadings')
+      .mockImplementation(async (readings) => readings.length);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects files that are not a supported export', async () => {
+    await expect(
+      cgmImportService.importExport('Date,Time,Glucose\n2024-01-15,08:00,112\n')
+    ).rejects.toHaveProperty('code', 'import/unrecognized-format');
+    expect(importReadings).not.toHaveBeenCalled();
+  });
+
+  it('imports new readings and reports stored ones as duplicates', async () => {
+    getReadingsInRange.mockResolvedValue([
+      { timestamp: new Date(2024, 0, 15, 8, 13), valueMgdl: 131 },
+    ]);
+
+    const summary = await cgmImportService.importExport(readFixture('libreview-mgdl.csv'));
+
+    // Looks a minute either side of the file for stored duplicates
+    expect(getReadingsInRange).toHaveBeenCalledWith(
+      new Date(2024, 0, 15, 7, 57),
+      new Date(2024, 0, 15, 8, 29)
+    );
+    expect(importReadings.mock.calls[0][0]).toEqual([
+      { timestamp: new Date(2024, 0, 15, 7, 58), value: 104, unit: 'mg/dL', context: CGM_CONTEXT },
+      { timestamp: new Date(2024, 0, 15, 8, 20), value: 142, unit: 'mg/dL', context: CGM_CONTEXT },
+      { timestamp: new Date(2024, 0, 15, 8, 28), value: 150, unit: 'mg/dL', context: CGM_CONTEXT },
+    ]);
+    expect(summary).toMatchObject({
+      source: 'libre',
+      imported: 3,
+      from: new Date(2024, 0, 15, 7, 58),
+      to: new Date(2024, 0, 15, 8, 28),
+      skipped: [
+        { row: 4, reason: SKIP_REASONS.DUPLICATE },
+        { row: 6, reason: SKIP_REASONS.NOT_GLUCOSE },
+        { row: 7, reason: SKIP_REASONS.NOT_GLUCOSE },
+      ],
+    });
+    expect(summary.malformed).toHaveLength(2);
+  });
+});
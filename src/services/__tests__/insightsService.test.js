@@ -0,0 +1,59 @@
+import insightsService from '../insightsService';
+import glucoseService from '../glucoseService';
+import syncService from '../syncService';
+
+jest.mock('../firebase');
+
+const TARGETS = { low: 70, high: 180 };
+
+const readings = [
+  { timestamp: new Date(), valueMgdl: 100 },
+  { timestamp: new Date(), valueMgdl: 200 },
+];
+
+describe('insightsService.getGlucoseMetrics', () => {
+  let getReadingsInRange;
+
+  beforeEach(() => {
+    insightsService.invalidateMetrics();
+    getReadingsInRange = jest.spyOn(glucoseService, 'getReadingsInRange').mockResolvedValue(readings);
+    jest.spyOn(syncService, 'write').mockResolvedValue({ queued: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reuses metrics for the same period and targets', async () => {
+    const first = await insightsService.getGlucoseMetrics({ days: 14, targets: TARGETS });
+    const second = await insightsService.getGlucoseMetrics({ days: 14, targets: TARGETS });
+
+    expect(second).toBe(first);
+    expect(getReadingsInRange).toHaveBeenCalledTimes(1);
+  });
+
+  it('computes each period and target range separately', async () => {
+    await insightsService.getGlucoseMetrics({ days: 14, targets: TARGETS });
+    await insightsService.getGlucoseMetrics({ days: 90, targets: TARGETS });
+    await insightsService.getGlucoseMetrics({ days: 14, targets: { low: 80, high: 160 } });
+
+    expect(getReadingsInRange).toHaveBeenCalledTimes(3);
+  });
+
+  it('reloads after a reading is added', async () => {
+    await insightsService.getGlucoseMetrics({ days: 14, targets: TARGETS });
+    await glucoseService.addReading({ value: 120, unit: 'mg/dL', context: 'fasting' });
+    await insightsService.getGlucoseMetrics({ days: 14, targets: TARGETS });
+
+    expect(getReadingsInRange).toHaveBeenCalledTimes(2);
+  });
+
+  it("doesn't cache a load that overlapped a change", async () => {
+    const loading = insightsService.getGlucoseMetrics({ days: 14, targets: TARGETS });
+    glucoseService.notifyChange();
+    await loading;
+    await insightsService.getGlucoseMetrics({ days: 14, targets: TARGETS });
+
+    expect(getReadingsInRange).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import CryptoJS from 'crypto-js';
+import nightscoutService from '../nightscoutService';
+import glucoseService from '../glucoseService';
+import mealService from '../mealService';
+
+jest.mock('../firebase', () => ({}));
+
+const API_SECRET = 'correct-horse-battery';
+const MINUTE_MS = 60 * 1000;
+const START = Date.UTC(2024, 0, 15, 8, 0);
+
+/**
+ * Local stand-in for a Nightscout site. Each test sets handle(request, body)
+ * to return { status, json }, or nothing to leave the request hanging.
+ */
+const site = {
+  handle: null,
+  requests: [],
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://localhost');
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      secret: req.headers['api-secret'],
+      body: body ? JSON.parse(body) : null,
+    };
+    site.requests.push(request);
+
+    const response = site.handle(request);
+    if (response) {
+      res.writeHead(response.status || 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response.json ?? {}));
+    }
+  });
+});
+
+let baseUrl;
+
+// SGV entries every 5 minutes from START, newest first like Nightscout
+const makeEntries = (count) =>
+  Array.from({ length: count }, (_, i) => ({ sgv: 100 + (i % 50), date: START + i * 5 * MINUTE_MS })).reverse();
+
+// Serve entries the way Nightscout filters and pages them
+const serveEntries = (entries) => ({ query }) => {
+  const after = Number(query['find[date][$gt]']);
+  const before = query['find[date][$lte]'] ? Number(query['find[date][$lte]']) : Infinity;
+  return {
+    json: entries.filter((entry) => entry.date > after && entry.date <= before).slice(0, Number(query.count)),
+  };
+};
+
+const makeMeals = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    id: `meal-${i}`,
+    mealType: 'lunch',
+    timestamp: new Date(START + i * MINUTE_MS),
+    totalCarbs: 40,
+    items: [{ name: 'Rice' }],
+    notes: '',
+  }));
+
+beforeAll(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  await nightscoutService.saveApiSecret(API_SECRET);
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  site.requests = [];
+  site.handle = () => ({ json: [] });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('request', () => {
+  it('sends the SHA-1 of the API secret', async () => {
+    site.handle = () => ({ json: { name: 'My site', version: '15.0.2' } });
+
+    await nightscoutService.request(baseUrl, '/api/v1/status.json');
+
+    expect(site.requests[0].secret).toBe(CryptoJS.SHA1(API_SECRET).toString(CryptoJS.enc.Hex));
+  });
+
+  it.each([401, 403])('maps %i to an unauthorized error', async (status) => {
+    site.handle = () => ({ status, json: { message: 'Unauthorized' } });
+
+    await expect(nightscoutService.request(baseUrl, '/api/v1/status.json')).rejects.toHaveProperty(
+      'code',
+      'nightscout/unauthorized'
+    );
+  });
+
+  it('maps other failures to a server error', async () => {
+    site.handle = () => ({ status: 500 });
+
+    await expect(nightscoutService.request(baseUrl, '/api/v1/status.json')).rejects.toHaveProperty(
+      'code',
+      'nightscout/server-error'
+    );
+  });
+
+  it('gives up on a site that stops responding', async () => {
+    let received;
+    const requestReceived = new Promise((resolve) => {
+      received = resolve;
+    });
+    site.handle = () => {
+      received();
+    };
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+
+    const pending = nightscoutService.request(baseUrl, '/api/v1/status.json');
+    await requestReceived;
+    jest.advanceTimersByTime(15000);
+
+    await expect(pending).rejects.toHaveProperty('code', 'nightscout/unreachable');
+  });
+
+  it('rejects an invalid address without a request', async () => {
+    await expect(nightscoutService.request('not a url', '/api/v1/status.json')).rejects.toHaveProperty(
+      'code',
+      'nightscout/invalid-url'
+    );
+    expect(site.requests).toHaveLength(0);
+  });
+});
+
+describe('fetchEntriesSince', () => {
+  it('pages back until a short page', async () => {
+    const entries = makeEntries(2500);
+    site.handle = serveEntries(entries);
+
+    const fetched = await nightscoutService.fetchEntriesSince(baseUrl, START - 1);
+
+    expect(fetched).toEqual(entries);
+    expect(site.requests.map(({ query }) => query['find[date][$lte]'])).toEqual([
+      undefined,
+      String(entries[999].date),
+      String(entries[1998].date),
+    ]);
+  });
+
+  it('keeps entries that share a time with the end of a page', async () => {
+    // Two uploaders sending the same minutes, so each time appears twice
+    const entries = makeEntries(1200).flatMap((entry) => [
+      { ...entry, _id: `a-${entry.date}` },
+      { ...entry, _id: `b-${entry.date}`, sgv: entry.sgv + 1 },
+    ]);
+    site.handle = serveEntries(entries);
+
+    const fetched = await nightscoutService.fetchEntriesSince(baseUrl, START - 1);
+
+    expect(fetched).toEqual(entries);
+  });
+
+  it('tells entries apart by time and value when they have no id', async () => {
+    const entries = makeEntries(1500).flatMap((entry) => [entry, { ...entry, sgv: entry.sgv + 1 }]);
+    site.handle = serveEntries(entries);
+
+    const fetched = await nightscoutService.fetchEntriesSince(baseUrl, START - 1);
+
+    expect(fetched).toEqual(entries);
+  });
+
+  it('only asks for entries after the cursor', async () => {
+    const entries = makeEntries(10);
+    site.handle = serveEntries(entries);
+
+    const fetched = await nightscoutService.fetchEntriesSince(baseUrl, entries[3].date);
+
+    expect(fetched).toEqual(entries.slice(0, 3));
+    expect(site.requests[0].query['find[date][$gt]']).toBe(String(entries[3].date));
+  });
+
+  it('stops if the site ignores the paging filter', async () => {
+    const entries = makeEntries(1000);
+    site.handle = () => ({ json: entries });
+
+    const fetched = await nightscoutService.fetchEntriesSince(baseUrl, START - 1);
+
+    expect(site.requests).toHaveLength(2);
+    expect(fetched).toEqual(entries);
+  });
+});
+
+describe('pushMeals', () => {
+  it('posts treatments in chunks and reports the cursor after each', async () => {
+    const meals = makeMeals(250);
+    jest.spyOn(mealService, 'getMealsInRange').mockResolvedValue(meals);
+    const onChunkPushed = jest.fn();
+
+    const result = await nightscoutService.pushMeals(baseUrl, START - 1, onChunkPushed);
+
+    expect(site.requests.map(({ method, body }) => [method, body.length])).toEqual([
+      ['POST', 100],
+      ['POST', 100],
+      ['POST', 50],
+    ]);
+    expect(site.requests[0].body[0]).toEqual({
+      eventType: 'Meal Bolus',
+      created_at: new Date(START).toISOString(),
+      carbs: 40,
+      notes: 'Rice',
+      enteredBy: 'GI Tracker',
+    });
+    expect(onChunkPushed.mock.calls).toEqual([
+      [meals[99].timestamp.getTime()],
+      [meals[199].timestamp.getTime()],
+      [meals[249].timestamp.getTime()],
+    ]);
+    expect(result).toEqual({ pushed: 250, cursor: meals[249].timestamp.getTime() });
+  });
+
+  it('keeps the cursor of the chunks sent before a failure', async () => {
+    const meals = makeMeals(250);
+    jest.spyOn(mealService, 'getMealsInRange').mockResolvedValue(meals);
+    site.handle = () => (site.requests.length === 2 ? { status: 500 } : { json: [] });
+    const onChunkPushed = jest.fn();
+
+    await expect(nightscoutService.pushMeals(baseUrl, START - 1, onChunkPushed)).rejects.toHaveProperty(
+      'code',
+      'nightscout/server-error'
+    );
+    expect(onChunkPushed.mock.calls).toEqual([[meals[99].timestamp.getTime()]]);
+  });
+
+  it('only pushes meals with carbs logged after the cursor', async () => {
+    const getMealsInRange = jest
+      .spyOn(mealService, 'getMealsInRange')
+      .mockResolvedValue([{ ...makeMeals(1)[0], totalCarbs: 0 }]);
+
+    const result = await nightscoutService.pushMeals(baseUrl, START, jest.fn());
+
+    expect(getMealsInRange).toHaveBeenCalledWith(new Date(START + 1));
+    expect(site.requests).toHaveLength(0);
+    expect(result).toEqual({ pushed: 0, cursor: START });
+  });
+});
+
+describe('sync', () => {
+  let profile;
+
+  beforeEach(() => {
+    profile = {
+      nightscoutUrl: baseUrl,
+      nightscoutEntriesCursor: START - 1,
+      nightscoutTreatmentsCursor: START - 1,
+    };
+    jest.spyOn(glucoseService, 'getReadingsInRange').mockResolvedValue([]);
+    jest.spyOn(glucoseService, 'importReadings').mockImplementation(async (readings) => readings.length);
+    jest.spyOn(mealService, 'getMealsInRange').mockResolvedValue(makeMeals(2));
+  });
+
+  it('pulls entries, pushes meals and saves both cursors', async () => {
+    const entries = makeEntries(3);
+    site.handle = (request) => (request.method === 'GET' ? serveEntries(entries)(request) : { json: [] });
+    const saveProgress = jest.fn();
+
+    const result = await nightscoutService.sync(profile, saveProgress);
+
+    expect(result).toEqual({ imported: 3, pushed: 2 });
+    expect(saveProgress.mock.calls).toEqual([
+      [{ nightscoutEntriesCursor: entries[0].date }],
+      [{ nightscoutTreatmentsCursor: START + MINUTE_MS }],
+      [{ nightscoutLastSyncAt: expect.any(Date) }],
+    ]);
+  });
+
+  it('still pushes meals and saves their cursor when pulling fails', async () => {
+    site.handle = (request) => (request.method === 'GET' ? { status: 500 } : { json: [] });
+    const saveProgress = jest.fn();
+
+    await expect(nightscoutService.sync(profile, saveProgress)).rejects.toHaveProperty(
+      'code',
+      'nightscout/server-error'
+    );
+    expect(saveProgress.mock.calls).toEqual([[{ nightscoutTreatmentsCursor: START + MINUTE_MS }]]);
+  });
+
+  it('keeps the entries cursor when pushing fails', async () => {
+    const entries = makeEntries(3);
+    site.handle = (request) => (request.method === 'GET' ? serveEntries(entries)(request) : { status: 401 });
+    const saveProgress = jest.fn();
+
+    await expect(nightscoutService.sync(profile, saveProgress)).rejects.toHaveProperty(
+      'code',
+      'nightscout/unauthorized'
+    );
+    expect(saveProgress.mock.calls).toEqual([[{ nightscoutEntriesCursor: entries[0].date }]]);
+  });
+});
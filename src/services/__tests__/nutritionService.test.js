@@ -0,0 +1,146 @@
+import nutritionService from '../nutritionService';
+
+const bread = {
+  id: 'test-bread',
+  name: 'Test bread',
+  category: 'bread',
+  gi: 70,
+  carbsPer100g: 50,
+  servingSize: 30,
+  gramsPerPiece: 30,
+};
+
+const apple = {
+  id: 'test-apple',
+  name: 'Test apple',
+  category: 'fruits',
+  gi: 36,
+  carbsPer100g: 11,
+  servingSize: 120,
+  gramsPerPiece: 120,
+};
+
+const rice = {
+  id: 'test-rice',
+  name: 'Test rice',
+  category: 'grains',
+  gi: 73,
+  carbsPer100g: 28,
+  servingSize: 150,
+  gramsPerCup: 150,
+};
+
+const chocolate = {
+  id: 'test-chocolate',
+  name: 'Test chocolate',
+  category: 'sweets',
+  gi: 43,
+  carbsPer100g: 56,
+  servingSize: 25,
+};
+
+describe('convertToGrams', () => {
+  it('converts mass units without a food', () => {
+    expect(nutritionService.convertToGrams(2, 'kg')).toBe(2000);
+    expect(nutritionService.convertToGrams(1, 'oz')).toBeCloseTo(28.35, 2);
+  });
+
+  it('returns zero grams for a zero quantity', () => {
+    expect(nutritionService.convertToGrams(0, 'g')).toBe(0);
+    expect(nutritionService.convertToGrams(0, 'cup', rice)).toBe(0);
+  });
+
+  it('rejects negative and non-numeric quantities', () => {
+    expect(() => nutritionService.convertToGrams(-1, 'g')).toThrow('Quantity must be a non-negative number');
+    expect(() => nutritionService.convertToGrams(NaN, 'g')).toThrow('Quantity must be a non-negative number');
+    expect(() => nutritionService.convertToGrams('100', 'g')).toThrow('Quantity must be a non-negative number');
+  });
+
+  it('rejects unknown units', () => {
+    expect(() => nutritionService.convertToGrams(1, 'handful', apple)).toThrow('Unknown unit: handful');
+  });
+
+  it('needs a food for volume, count and serving units', () => {
+    expect(() => nutritionService.convertToGrams(1, 'cup')).toThrow('A food is required');
+    expect(() => nutritionService.convertToGrams(1, 'piece')).toThrow('A food is required');
+    expect(() => nutritionService.convertToGrams(1, 'serving')).toThrow('A food is required');
+  });
+
+  it("uses the food's own cup weight", () => {
+    expect(nutritionService.convertToGrams(0.5, 'cup', rice)).toBe(75);
+    expect(nutritionService.convertToGrams(2, 'tbsp', rice)).toBeCloseTo(18.75);
+  });
+
+  it("falls back to the category's cup weight for foods without gramsPerCup", () => {
+    expect(nutritionService.convertToGrams(1, 'cup', apple)).toBe(150);
+  });
+
+  it('rejects volume units for foods with no cup weight at all', () => {
+    expect(() => nutritionService.convertToGrams(1, 'cup', chocolate)).toThrow('Cannot measure Test chocolate by volume');
+    expect(() => nutritionService.convertToGrams(1, 'cup', bread)).toThrow('by volume');
+  });
+
+  it('rejects pieces for foods without gramsPerPiece', () => {
+    expect(() => nutritionService.convertToGrams(1, 'piece', rice)).toThrow('Cannot count Test rice in pieces');
+  });
+
+  it('only allows slices for bread', () => {
+    expect(nutritionService.convertToGrams(2, 'slice', bread)).toBe(60);
+    expect(() => nutritionService.convertToGrams(1, 'slice', apple)).toThrow('Cannot measure Test apple in slices');
+  });
+
+  it('uses the serving size for servings', () => {
+    expect(nutritionService.convertToGrams(1.5, 'serving', chocolate)).toBe(37.5);
+  });
+});
+
+describe('getSupportedUnits', () => {
+  it('lists only the units a food can be measured in', () => {
+    expect(nutritionService.getSupportedUnits(bread)).toEqual(['g', 'kg', 'oz', 'lb', 'piece', 'slice', 'serving']);
+    expect(nutritionService.getSupportedUnits(apple)).not.toContain('slice');
+    expect(nutritionService.getSupportedUnits(chocolate)).toEqual(['g', 'kg', 'oz', 'lb', 'serving']);
+  });
+});
+
+describe('calculateGlycemicLoad', () => {
+  it('multiplies GI by the available carbohydrate', () => {
+    // 150 g of rice has 42 g of carbs; 73 x 42 / 100
+    expect(nutritionService.calculateGlycemicLoad(73, 28, 150)).toBeCloseTo(30.66);
+    expect(nutritionService.calculateGlycemicLoad(73, 28, 0)).toBe(0);
+  });
+
+  it('rejects negative inputs', () => {
+    expect(() => nutritionService.calculateGlycemicLoad(-1, 28, 150)).toThrow('GI must be a non-negative number');
+    expect(() => nutritionService.calculateGlycemicLoad(73, 28, -150)).toThrow('Portion weight must be a non-negative number');
+  });
+});
+
+describe('calculateMealGlycemicLoad', () => {
+  it('totals carbs and glycemic load and averages the GI by carbs', () => {
+    const meal = nutritionService.calculateMealGlycemicLoad([
+      { food: rice, quantity: 1, unit: 'cup' },
+      { food: apple, quantity: 1, unit: 'piece' },
+    ]);
+
+    // Rice: 42 g carbs, GL 30.66. Apple: 13.2 g carbs, GL 4.752.
+    expect(meal.items.map((item) => item.carbs)).toEqual([42, 13.2]);
+    expect(meal.totalCarbs).toBe(55.2);
+    expect(meal.totalGlycemicLoad).toBe(35.4);
+    expect(meal.mealGi).toBe(64);
+  });
+
+  it('defaults to grams when no unit is given', () => {
+    const meal = nutritionService.calculateMealGlycemicLoad([{ food: rice, quantity: 100 }]);
+    expect(meal.items[0]).toMatchObject({ unit: 'g', grams: 100, carbs: 28 });
+  });
+
+  it('has a meal GI of zero when there are no carbs', () => {
+    expect(nutritionService.calculateMealGlycemicLoad([]).mealGi).toBe(0);
+  });
+
+  it('rejects unknown foods and bad input', () => {
+    expect(() => nutritionService.calculateMealGlycemicLoad([{ foodId: 'no-such-food', quantity: 1 }]))
+      .toThrow('Unknown food: no-such-food');
+    expect(() => nutritionService.calculateMealGlycemicLoad(null)).toThrow('Meal items must be an array');
+  });
+});
@@ -0,0 +1,42 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import secureStorage from '../secureStorage';
+
+describe('secureStorage.migrateFromAsyncStorage', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    await secureStorage.removeItem('pin');
+    await secureStorage.removeItem('token');
+  });
+
+  it('moves values into secure storage and wipes them from AsyncStorage', async () => {
+    await AsyncStorage.multiSet([['pin', 'hash'], ['token', 'abc']]);
+
+    await secureStorage.migrateFromAsyncStorage(['pin', 'token', 'missing']);
+
+    expect(await secureStorage.getItem('pin')).toBe('hash');
+    expect(await secureStorage.getItem('token')).toBe('abc');
+    expect(await secureStorage.getItem('missing')).toBeNull();
+    expect(await AsyncStorage.multiGet(['pin', 'token'])).toEqual([['pin', null], ['token', null]]);
+  });
+
+  it('wipes values the filter rejects without moving them', async () => {
+    await AsyncStorage.multiSet([['pin', 'hash'], ['token', 'stale']]);
+
+    await secureStorage.migrateFromAsyncStorage(['pin', 'token'], (key) => key !== 'token');
+
+    expect(await secureStorage.getItem('pin')).toBe('hash');
+    expect(await secureStorage.getItem('token')).toBeNull();
+    expect(await AsyncStorage.getItem('token')).toBeNull();
+  });
+
+  it('leaves AsyncStorage alone if a value cannot be moved', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(secureStorage.backend, 'setItem').mockRejectedValueOnce(new Error('Keystore locked'));
+    await AsyncStorage.setItem('pin', 'hash');
+
+    await expect(secureStorage.migrateFromAsyncStorage(['pin'])).rejects.toThrow('Keystore locked');
+
+    expect(await AsyncStorage.getItem('pin')).toBe('hash');
+    jest.restoreAllMocks();
+  });
+});
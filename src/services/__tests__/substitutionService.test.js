@@ -0,0 +1,276 @@
+import substitutionService from '../substitutionService';
+import foodService from '../foodService';
+import nutritionService from '../nutritionService';
+import insightsService from '../insightsService';
+import mealService from '../mealService';
+import glucoseService from '../glucoseService';
+import syncService from '../syncService';
+import { setCurrentUser } from '../firebase';
+
+jest.mock('../firebase');
+
+const CACHE_MS = 15 * 60 * 1000;
+
+const food = (id, fields) => ({ id, name: id, category: 'grains', servingSize: 100, ...fields });
+
+// Swap candidates come from the whole catalog, so rule tests use a small one
+const useFoods = (...foods) => {
+  jest.spyOn(foodService, 'getAllFoods').mockReturnValue(foods);
+  jest.spyOn(foodService, 'getFoodById').mockImplementation((id) => foods.find((f) => f.id === id) || null);
+};
+
+const itemOf = (foodId, quantity, unit = 'g') =>
+  nutritionService.calculateMealGlycemicLoad([{ foodId, quantity, unit }]).items[0];
+
+const swapIds = (swaps) => swaps.map((swap) => swap.foodId);
+
+// 100 g has 30 g carbs and a glycemic load of 21
+const RICE = food('rice', { gi: 70, carbsPer100g: 30 });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('substitutionService.findSwaps', () => {
+  it('swaps white rice for barley, parboiled or basmati rice', () => {
+    const swaps = substitutionService.findSwaps(itemOf('white-rice', 1, 'serving'));
+
+    expect(swapIds(swaps)).toEqual(['pearl-barley', 'parboiled-rice', 'basmati-rice']);
+    expect(swaps[0]).toEqual({
+      foodId: 'pearl-barley',
+      name: 'Pearl barley, boiled',
+      quantity: 1,
+      unit: 'serving',
+      grams: 150,
+      carbs: 36,
+      gi: 28,
+      personalGi: false,
+      glycemicLoad: 10.1,
+      glSaving: 20.6,
+      respondsBetter: null,
+    });
+  });
+
+  it('only suggests foods from the same category', () => {
+    useFoods(RICE, food('barley', { gi: 30, carbsPer100g: 30 }), food('lentils', { category: 'legumes', gi: 20, carbsPer100g: 30 }));
+
+    expect(swapIds(substitutionService.findSwaps(itemOf('rice', 100)))).toEqual(['barley']);
+  });
+
+  it('keeps the carbs within 20% of the original portion', () => {
+    useFoods(
+      RICE,
+      food('too-little', { gi: 20, carbsPer100g: 23 }),
+      food('a-bit-less', { gi: 20, carbsPer100g: 25 }),
+      food('a-bit-more', { gi: 20, carbsPer100g: 35 }),
+      food('too-much', { gi: 20, carbsPer100g: 37 })
+    );
+
+    const swaps = substitutionService.findSwaps(itemOf('rice', 100));
+
+    expect(swapIds(swaps).sort()).toEqual(['a-bit-less', 'a-bit-more']);
+  });
+
+  it('skips items with under 5 g of carbs', () => {
+    useFoods(food('potato', { gi: 80, carbsPer100g: 25 }), food('sweet-potato', { gi: 45, carbsPer100g: 25 }));
+
+    expect(substitutionService.findSwaps(itemOf('potato', 16))).toEqual([]);
+    expect(swapIds(substitutionService.findSwaps(itemOf('potato', 20)))).toEqual(['sweet-potato']);
+  });
+
+  it('needs a glycemic load saving of at least 1', () => {
+    // 100 g has 50 g carbs and a glycemic load of 35
+    useFoods(
+      food('sugary-rice', { gi: 70, carbsPer100g: 50 }),
+      food('saves-1', { gi: 68, carbsPer100g: 50 }),
+      food('saves-half', { gi: 69, carbsPer100g: 50 })
+    );
+
+    const swaps = substitutionService.findSwaps(itemOf('sugary-rice', 100));
+
+    expect(swapIds(swaps)).toEqual(['saves-1']);
+    expect(swaps[0].glSaving).toBe(1);
+  });
+
+  it('uses personal GI in place of published GI', () => {
+    useFoods(RICE, food('barley', { gi: 30, carbsPer100g: 30 }), food('oats', { gi: 55, carbsPer100g: 30 }));
+    const personalGi = { barley: { personalGi: 78 }, rice: { personalGi: 80 } };
+
+    const swaps = substitutionService.findSwaps(itemOf('rice', 100), { personalGi });
+
+    // Rice at GI 80 has a glycemic load of 24; barley at 78 saves too little
+    expect(swapIds(swaps)).toEqual(['oats']);
+    expect(swaps[0]).toMatchObject({ gi: 55, personalGi: false, glSaving: 7.5 });
+  });
+
+  it('leaves out foods the user responds worse to than the original', () => {
+    useFoods(
+      RICE,
+      food('barley', { gi: 30, carbsPer100g: 30 }),
+      food('oats', { gi: 40, carbsPer100g: 30 }),
+      food('millet', { gi: 50, carbsPer100g: 30 })
+    );
+    const responses = {
+      rice: { mealCount: 3, iaucPerGram: 10 },
+      barley: { mealCount: 3, iaucPerGram: 12 },
+      oats: { mealCount: 2, iaucPerGram: 8 },
+      // Too few meals to compare
+      millet: { mealCount: 1, iaucPerGram: 20 },
+    };
+
+    const swaps = substitutionService.findSwaps(itemOf('rice', 100), { responses });
+
+    expect(swaps.map(({ foodId, respondsBetter }) => ({ foodId, respondsBetter }))).toEqual([
+      { foodId: 'oats', respondsBetter: true },
+      { foodId: 'millet', respondsBetter: null },
+    ]);
+  });
+
+  it('keeps the three biggest savings, biggest first', () => {
+    useFoods(
+      RICE,
+      food('millet', { gi: 60, carbsPer100g: 30 }),
+      food('barley', { gi: 30, carbsPer100g: 30 }),
+      food('quinoa', { gi: 65, carbsPer100g: 30 }),
+      food('oats', { gi: 50, carbsPer100g: 30 })
+    );
+
+    const swaps = substitutionService.findSwaps(itemOf('rice', 100));
+
+    expect(swapIds(swaps)).toEqual(['barley', 'oats', 'millet']);
+    expect(swaps.map((swap) => swap.glSaving)).toEqual([12, 6, 3]);
+  });
+});
+
+describe('substitutionService.getSwapPortion', () => {
+  const WHITE_BREAD = food('white-bread', { category: 'bread', gi: 75, carbsPer100g: 49, gramsPerPiece: 30 });
+
+  it('keeps the unit when the swap can be measured in it', () => {
+    const rye = food('rye-bread', { category: 'bread', gi: 50, carbsPer100g: 45, gramsPerPiece: 40 });
+    useFoods(WHITE_BREAD, rye);
+
+    expect(substitutionService.getSwapPortion(itemOf('white-bread', 2, 'slice'), rye)).toEqual({
+      quantity: 2,
+      unit: 'slice',
+      grams: 80,
+    });
+  });
+
+  it('falls back to the same weight in grams', () => {
+    const pita = food('pita', { category: 'bread', gi: 57, carbsPer100g: 55 });
+    useFoods(WHITE_BREAD, pita);
+
+    expect(substitutionService.getSwapPortion(itemOf('white-bread', 2, 'slice'), pita)).toEqual({
+      quantity: 60,
+      unit: 'g',
+      grams: 60,
+    });
+  });
+});
+
+describe('substitutionService.suggestSwaps', () => {
+  it('lists the items that have swaps with their place in the meal', () => {
+    useFoods(
+      RICE,
+      food('barley', { gi: 30, carbsPer100g: 30 }),
+      food('apple', { category: 'fruits', gi: 36, carbsPer100g: 12 }),
+      food('mango', { category: 'fruits', gi: 51, carbsPer100g: 14 }),
+      food('cherries', { category: 'fruits', gi: 20, carbsPer100g: 12 })
+    );
+
+    const { items, totalSaving } = substitutionService.suggestSwaps([
+      { foodId: 'apple', quantity: 20, unit: 'g' },
+      { foodId: 'rice', quantity: 100, unit: 'g' },
+      { foodId: 'mango', quantity: 100, unit: 'g' },
+    ]);
+
+    // Apple is under 5 g of carbs
+    expect(items.map(({ foodId, index }) => ({ foodId, index }))).toEqual([
+      { foodId: 'rice', index: 1 },
+      { foodId: 'mango', index: 2 },
+    ]);
+    expect(swapIds(items[1].swaps)).toEqual(['cherries', 'apple']);
+    expect(totalSaving).toBe(16.7);
+  });
+
+  it('reports the item GI and glycemic load with personal GI', () => {
+    useFoods(RICE, food('barley', { gi: 30, carbsPer100g: 30 }));
+
+    const { items, totalSaving } = substitutionService.suggestSwaps(
+      [{ foodId: 'rice', quantity: 100, unit: 'g' }],
+      { personalGi: { rice: { personalGi: 90 } } }
+    );
+
+    expect(items[0]).toMatchObject({ gi: 90, personalGi: true, glycemicLoad: 27 });
+    expect(totalSaving).toBe(18);
+  });
+});
+
+describe('substitutionService.loadPersonalData', () => {
+  let loadHistory;
+
+  beforeEach(() => {
+    setCurrentUser({ uid: 'user-1' });
+    substitutionService.invalidatePersonalData();
+    loadHistory = jest.spyOn(insightsService, 'loadHistory').mockResolvedValue({ meals: [], readings: [] });
+    jest.spyOn(syncService, 'write').mockResolvedValue({ queued: false });
+  });
+
+  it('loads the history once for every reference food', async () => {
+    await substitutionService.loadPersonalData();
+    await substitutionService.loadPersonalData({ referenceFoodId: 'white-bread' });
+    await substitutionService.loadPersonalData({ referenceFoodId: 'glucose' });
+
+    expect(loadHistory).toHaveBeenCalledTimes(1);
+    expect(loadHistory).toHaveBeenCalledWith(180);
+  });
+
+  it('reloads once the cached responses expire', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    await substitutionService.loadPersonalData();
+
+    clock.mockReturnValue(now + CACHE_MS - 1);
+    await substitutionService.loadPersonalData();
+    expect(loadHistory).toHaveBeenCalledTimes(1);
+
+    clock.mockReturnValue(now + CACHE_MS);
+    await substitutionService.loadPersonalData();
+    expect(loadHistory).toHaveBeenCalledTimes(2);
+  });
+
+  it("doesn't hand one user's responses to another", async () => {
+    await substitutionService.loadPersonalData();
+    setCurrentUser({ uid: 'user-2' });
+    await substitutionService.loadPersonalData();
+
+    expect(loadHistory).toHaveBeenCalledTimes(2);
+  });
+
+  it('reloads after a meal is logged or a reading added', async () => {
+    await substitutionService.loadPersonalData();
+    await mealService.addMeal({ mealType: 'lunch', items: [{ foodId: 'white-rice', quantity: 1, unit: 'serving' }] });
+    await substitutionService.loadPersonalData();
+    await glucoseService.addReading({ value: 120, unit: 'mg/dL', context: 'fasting' });
+    await substitutionService.loadPersonalData();
+
+    expect(loadHistory).toHaveBeenCalledTimes(3);
+  });
+
+  it('keeps a load that overlapped a reading change out of the cache', async () => {
+    const loading = substitutionService.loadPersonalData();
+    glucoseService.notifyChange();
+    await loading;
+    await substitutionService.loadPersonalData();
+
+    expect(loadHistory).toHaveBeenCalledTimes(2);
+  });
+
+  it('logs and rethrows load failures', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    loadHistory.mockRejectedValueOnce(new Error('offline'));
+
+    await expect(substitutionService.loadPersonalData()).rejects.toThrow('offline');
+    expect(console.error).toHaveBeenCalledWith('Load substitution data error:', expect.any(Error));
+  });
+});
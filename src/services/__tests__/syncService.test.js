@@ -0,0 +1,233 @@
+import syncService from '../syncService';
+
+let mockCurrentUser = { uid: 'u1' };
+
+jest.mock('../firebase', () => ({
+  auth: () => ({ currentUser: mockCurrentUser }),
+  firestore: jest.fn(),
+}));
+
+const firestoreError = (code) => Object.assign(new Error(code), { code });
+
+const queueWrites = (...paths) => {
+  syncService.queue = paths.map((path, index) => ({
+    id: `op-${index}`,
+    type: 'set',
+    path,
+    data: { value: index },
+    clientUpdatedAt: index,
+  }));
+};
+
+describe('syncService.flush', () => {
+  let applyOperation;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    applyOperation = jest.spyOn(syncService, 'applyOperation');
+    await syncService.clear();
+    syncService.isOnline = true;
+    mockCurrentUser = { uid: 'u1' };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('replays every queued write in order', async () => {
+    applyOperation.mockResolvedValue();
+    queueWrites('users/u1/meals/a', 'users/u1/meals/b');
+
+    await syncService.flush();
+
+    expect(applyOperation.mock.calls.map(([op]) => op.path)).toEqual([
+      'users/u1/meals/a',
+      'users/u1/meals/b',
+    ]);
+    expect(syncService.getStatus().pendingCount).toBe(0);
+  });
+
+  it('keeps the write and stops while offline errors persist', async () => {
+    applyOperation.mockRejectedValue(firestoreError('firestore/unavailable'));
+    queueWrites('users/u1/meals/a', 'users/u1/meals/b');
+
+    await syncService.flush();
+
+    expect(applyOperation).toHaveBeenCalledTimes(1);
+    expect(syncService.getStatus()).toMatchObject({ pendingCount: 2, droppedCount: 0 });
+  });
+
+  it('keeps the write and stops on an auth error', async () => {
+    applyOperation.mockRejectedValue(firestoreError('firestore/unauthenticated'));
+    queueWrites('users/u1/meals/a', 'users/u1/meals/b');
+
+    await syncService.flush();
+
+    expect(applyOperation).toHaveBeenCalledTimes(1);
+    expect(syncService.getStatus()).toMatchObject({ pendingCount: 2, droppedCount: 0 });
+    expect(syncService.getStatus().lastError).toBeTruthy();
+  });
+
+  it('keeps the write and stops on an error without a code', async () => {
+    applyOperation.mockRejectedValue(new Error('Something broke'));
+    queueWrites('users/u1/meals/a');
+
+    await syncService.flush();
+
+    expect(syncService.getStatus()).toMatchObject({ pendingCount: 1, droppedCount: 0 });
+  });
+
+  it('drops a write Firestore rejects as invalid and reports it', async () => {
+    applyOperation
+      .mockRejectedValueOnce(firestoreError('firestore/invalid-argument'))
+      .mockResolvedValue();
+    queueWrites('users/u1/meals/bad', 'users/u1/meals/good');
+
+    await syncService.flush();
+
+    expect(applyOperation).toHaveBeenCalledTimes(2);
+    expect(syncService.getStatus()).toMatchObject({ pendingCount: 0, droppedCount: 1 });
+
+    const dropped = syncService.dismissDroppedWrites();
+    expect(dropped).toEqual([{ path: 'users/u1/meals/bad', message: expect.any(String) }]);
+    expect(syncService.getStatus().droppedCount).toBe(0);
+  });
+
+  it('drops a write the security rules deny', async () => {
+    applyOperation
+      .mockRejectedValueOnce(firestoreError('firestore/permission-denied'))
+      .mockResolvedValue();
+    queueWrites('users/u1/meals/bad', 'users/u1/meals/good');
+
+    await syncService.flush();
+
+    expect(applyOperation).toHaveBeenCalledTimes(2);
+    expect(syncService.getStatus()).toMatchObject({ pendingCount: 0, droppedCount: 1 });
+  });
+
+  it('waits for a signed-in user before replaying', async () => {
+    applyOperation.mockResolvedValue();
+    mockCurrentUser = null;
+    queueWrites('users/u1/meals/a');
+
+    await syncService.flush();
+
+    expect(applyOperation).not.toHaveBeenCalled();
+    expect(syncService.getStatus()).toMatchObject({ pendingCount: 1, droppedCount: 0 });
+  });
+
+  it('shares a running flush instead of starting another', async () => {
+    applyOperation.mockResolvedValue();
+    queueWrites('users/u1/meals/a');
+
+    const first = syncService.flush();
+    const second = syncService.flush();
+
+    expect(second).toBe(first);
+    await first;
+    expect(applyOperation).toHaveBeenCalledTimes(1);
+  });
+
+  it('waits for a running flush before clearing the outbox', async () => {
+    let finishWrite;
+    applyOperation.mockImplementation(
+      () => new Promise((resolve) => {
+        finishWrite = resolve;
+      })
+    );
+    queueWrites('users/u1/meals/a', 'users/u1/meals/b');
+
+    const flushing = syncService.flush();
+    await new Promise((resolve) => setImmediate(resolve));
+    const clearing = syncService.clear();
+
+    // Clearing waits for the flush, so both queued writes still go out
+    finishWrite();
+    await new Promise((resolve) => setImmediate(resolve));
+    finishWrite();
+    await Promise.all([flushing, clearing]);
+
+    expect(applyOperation).toHaveBeenCalledTimes(2);
+    expect(syncService.getStatus().pendingCount).toBe(0);
+  });
+});
+
+describe('syncService pending write overlays', () => {
+  const COLLECTION = 'users/u1/meals';
+  const at = (hour) => new Date(2024, 0, 15, hour);
+  const doc = (id, hour) => ({ id, timestamp: at(hour) });
+  const snapshotAt = (hour) => ({ data: () => ({ timestamp: at(hour) }) });
+
+  const queueMeals = (...meals) => {
+    syncService.queue = meals.map(([id, hour], index) => ({
+      id: `op-${index}`,
+      type: 'set',
+      path: `${COLLECTION}/${id}`,
+      data: { timestamp: at(hour) },
+      clientUpdatedAt: index,
+    }));
+  };
+
+  afterEach(() => {
+    syncService.queue = [];
+  });
+
+  it('adds queued documents inside a range and keeps the range sorted', () => {
+    queueMeals(['queued-in', 10], ['queued-out', 20]);
+
+    const result = syncService.applyPendingWritesInRange(
+      COLLECTION,
+      [doc('a', 8), doc('b', 12)],
+      at(6),
+      at(18)
+    );
+
+    expect(result.map((meal) => meal.id)).toEqual(['a', 'queued-in', 'b']);
+  });
+
+  it('puts each queued document on the page whose time span holds it', () => {
+    queueMeals(['newest', 20], ['middle', 11], ['oldest', 2]);
+
+    const firstPage = syncService.applyPendingWritesToPage(
+      COLLECTION,
+      { items: [doc('a', 18), doc('b', 12)], hasMore: true }
+    );
+    const secondPage = syncService.applyPendingWritesToPage(
+      COLLECTION,
+      { items: [doc('c', 10), doc('d', 6)], hasMore: true },
+      { previousCursor: snapshotAt(12) }
+    );
+    const lastPage = syncService.applyPendingWritesToPage(
+      COLLECTION,
+      { items: [doc('e', 4)], hasMore: false },
+      { previousCursor: snapshotAt(6) }
+    );
+
+    expect(firstPage.map((meal) => meal.id)).toEqual(['newest', 'a', 'b']);
+    expect(secondPage.map((meal) => meal.id)).toEqual(['middle', 'c', 'd']);
+    expect(lastPage.map((meal) => meal.id)).toEqual(['e', 'oldest']);
+  });
+
+  it('keeps queued documents outside the requested dates off every page', () => {
+    queueMeals(['too-new', 20], ['too-old', 2]);
+
+    const page = syncService.applyPendingWritesToPage(
+      COLLECTION,
+      { items: [doc('a', 10)], hasMore: false },
+      { from: at(6), to: at(18) }
+    );
+
+    expect(page.map((meal) => meal.id)).toEqual(['a']);
+  });
+
+  it('removes documents deleted while offline from a page', () => {
+    syncService.queue = [{ id: 'op-0', type: 'delete', path: `${COLLECTION}/a`, clientUpdatedAt: 0 }];
+
+    const page = syncService.applyPendingWritesToPage(
+      COLLECTION,
+      { items: [doc('a', 10), doc('b', 8)], hasMore: false }
+    );
+
+    expect(page.map((meal) => meal.id)).toEqual(['b']);
+  });
+});
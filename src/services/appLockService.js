@@ -0,0 +1,289 @@
+import 'react-native-get-random-values';
+import CryptoJS from 'crypto-js';
+import ReactNativeBiometrics from 'react-native-biometrics';
+import secureStorage from './secureStorage';
+import { t } from '../i18n';
+
+// Secure storage keys for the PIN hash and failed attempts
+const PIN_KEY = '@GI Tracker:appLockPin';
+const ATTEMPTS_KEY = '@GI Tracker:appLockAttempts';
+
+// Secure storage key for the last lock setting seen in the user's profile
+const ENABLED_KEY = '@GI Tracker:appLockEnabled';
+
+// PBKDF2 parameters for hashing the PIN
+const PIN_HASH_ITERATIONS = 10000;
+const PIN_SALT_BYTES = 16;
+
+// Failed attempts allowed before unlocking is paused, and how long the
+// pause lasts; it doubles with every further failure up to the maximum
+export const MAX_PIN_ATTEMPTS = 5;
+const LOCKOUT_BASE_MS = 30 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+// Seconds in the background before the app locks again
+export const RELOCK_TIMEOUT_OPTIONS = [0, 60, 300, 900];
+export const DEFAULT_RELOCK_TIMEOUT_SECONDS = 60;
+
+const PIN_PATTERN = /^\d{4,8}$/;
+
+const rnBiometrics = new ReactNativeBiometrics();
+
+/**
+ * Compare two strings in time independent of where they differ
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if equal
+ */
+const constantTimeEquals = (a, b) => {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference += Math.abs(a.charCodeAt(i) - b.charCodeAt(i));
+  }
+  return difference === 0;
+};
+
+/**
+ * Service for the optional PIN / biometric lock in front of the app.
+ * The PIN only ever leaves memory as a salted PBKDF2 hash, kept in secure storage.
+ */
+class AppLockService {
+  constructor() {
+    this.migration = null;
+  }
+
+  /**
+   * Move the PIN and attempt count saved in AsyncStorage by older versions
+   * into secure storage. Runs once, before the first read.
+   * @returns {Promise<void>}
+   */
+  migrateLegacyStorage() {
+    if (!this.migration) {
+      this.migration = secureStorage
+        .migrateFromAsyncStorage([PIN_KEY, ATTEMPTS_KEY])
+        .catch((error) => {
+          this.migration = null;
+          console.error('App lock storage migration error:', error);
+        });
+    }
+    return this.migration;
+  }
+
+  /**
+   * Check that a PIN has the accepted format
+   * @param {string} pin - PIN entered by the user
+   * @returns {boolean} - True if the PIN is 4-8 digits
+   */
+  isValidPin(pin) {
+    return PIN_PATTERN.test(pin);
+  }
+
+  /**
+   * Hash a PIN with PBKDF2-SHA256
+   * @param {string} pin - PIN to hash
+   * @param {string} salt - Hex-encoded salt
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {string} - Hex-encoded hash
+   */
+  hashPin(pin, salt, iterations = PIN_HASH_ITERATIONS) {
+    return CryptoJS.PBKDF2(pin, CryptoJS.enc.Hex.parse(salt), {
+      keySize: 256 / 32,
+      iterations,
+      hasher: CryptoJS.algo.SHA256,
+    }).toString(CryptoJS.enc.Hex);
+  }
+
+  /**
+   * Generate a random salt
+   * @returns {string} - Hex-encoded salt
+   */
+  generateSalt() {
+    const bytes = new Uint8Array(PIN_SALT_BYTES);
+    // Provided by react-native-get-random-values
+    global.crypto.getRandomValues(bytes);
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Read the stored PIN hash record
+   * @returns {Promise<object|null>} - { hash, salt, iterations } or null
+   */
+  async getPinRecord() {
+    await this.migrateLegacyStorage();
+    const record = await secureStorage.getItem(PIN_KEY);
+    return record ? JSON.parse(record) : null;
+  }
+
+  /**
+   * Whether a PIN has been set on this device. Throws if secure storage
+   * can't be read, so callers can keep the app locked.
+   * @returns {Promise<boolean>} - True if a PIN is set
+   */
+  async hasPin() {
+    try {
+      return !!(await this.getPinRecord());
+    } catch (error) {
+      console.error('Check PIN error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remember a user's lock setting on this device, so the app can lock on a
+   * cold start before their profile has loaded
+   * @param {string} uid - User the setting belongs to
+   * @param {boolean} enabled - Whether the user has the lock turned on
+   * @returns {Promise<void>}
+   */
+  async rememberEnabled(uid, enabled) {
+    try {
+      await secureStorage.setItem(ENABLED_KEY, JSON.stringify({ uid, enabled }));
+    } catch (error) {
+      console.error('Remember app lock setting error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the lock setting last remembered for a user on this device
+   * @param {string} uid - User to look up
+   * @returns {Promise<boolean|null>} - The setting, or null if none is remembered for this user
+   */
+  async getRememberedEnabled(uid) {
+    try {
+      const stored = await secureStorage.getItem(ENABLED_KEY);
+      const remembered = stored ? JSON.parse(stored) : null;
+      return remembered?.uid === uid ? remembered.enabled : null;
+    } catch (error) {
+      console.error('Read app lock setting error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set or replace the PIN
+   * @param {string} pin - New PIN
+   * @returns {Promise<void>}
+   */
+  async setPin(pin) {
+    try {
+      if (!this.isValidPin(pin)) {
+        throw new Error('PIN must be 4 to 8 digits');
+      }
+
+      const salt = this.generateSalt();
+      await secureStorage.setItem(PIN_KEY, JSON.stringify({
+        hash: this.hashPin(pin, salt),
+        salt,
+        iterations: PIN_HASH_ITERATIONS,
+      }));
+      await secureStorage.removeItem(ATTEMPTS_KEY);
+    } catch (error) {
+      console.error('Set PIN error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the PIN and any failed attempt history
+   * @returns {Promise<void>}
+   */
+  async removePin() {
+    try {
+      await secureStorage.removeItem(PIN_KEY);
+      await secureStorage.removeItem(ATTEMPTS_KEY);
+    } catch (error) {
+      console.error('Remove PIN error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the failed attempt count and any active lockout
+   * @returns {Promise<{failedAttempts: number, lockedUntil: number}>}
+   */
+  async getLockoutState() {
+    await this.migrateLegacyStorage();
+    const state = await secureStorage.getItem(ATTEMPTS_KEY);
+    return state ? JSON.parse(state) : { failedAttempts: 0, lockedUntil: 0 };
+  }
+
+  /**
+   * Check a PIN, counting failures towards a lockout
+   * @param {string} pin - PIN entered by the user
+   * @returns {Promise<object>} - { success, lockedUntil, remainingAttempts }
+   */
+  async verifyPin(pin) {
+    try {
+      const lockout = await this.getLockoutState();
+
+      if (lockout.lockedUntil > Date.now()) {
+        return { success: false, lockedUntil: lockout.lockedUntil, remainingAttempts: 0 };
+      }
+
+      const record = await this.getPinRecord();
+
+      if (!record) {
+        throw new Error('No PIN has been set');
+      }
+
+      if (constantTimeEquals(this.hashPin(pin, record.salt, record.iterations), record.hash)) {
+        await secureStorage.removeItem(ATTEMPTS_KEY);
+        return { success: true, lockedUntil: 0, remainingAttempts: MAX_PIN_ATTEMPTS };
+      }
+
+      const failedAttempts = lockout.failedAttempts + 1;
+      const excessFailures = failedAttempts - MAX_PIN_ATTEMPTS;
+      const lockedUntil = excessFailures >= 0
+        ? Date.now() + Math.min(LOCKOUT_BASE_MS * 2 ** excessFailures, LOCKOUT_MAX_MS)
+        : 0;
+
+      await secureStorage.setItem(ATTEMPTS_KEY, JSON.stringify({ failedAttempts, lockedUntil }));
+
+      return {
+        success: false,
+        lockedUntil,
+        remainingAttempts: Math.max(0, MAX_PIN_ATTEMPTS - failedAttempts),
+      };
+    } catch (error) {
+      console.error('Verify PIN error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether the device can unlock with biometrics
+   * @returns {Promise<{available: boolean, biometryType: string|null}>}
+   */
+  async getBiometricsAvailability() {
+    try {
+      const { available, biometryType } = await rnBiometrics.isSensorAvailable();
+      return { available, biometryType: available ? biometryType : null };
+    } catch (error) {
+      console.error('Biometrics availability error:', error);
+      return { available: false, biometryType: null };
+    }
+  }
+
+  /**
+   * Ask the user to unlock with Face ID, Touch ID or fingerprint
+   * @returns {Promise<boolean>} - True if the user was recognized
+   */
+  async authenticateWithBiometrics() {
+    try {
+      const { success } = await rnBiometrics.simplePrompt({
+        promptMessage: t('appLock.biometricPrompt'),
+        cancelButtonText: t('appLock.usePin'),
+      });
+      return success;
+    } catch (error) {
+      console.error('Biometric unlock error:', error);
+      return false;
+    }
+  }
+}
+
+export default new AppLockService();
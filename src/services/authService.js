@@ -1,14 +1,90 @@
-import { auth, firestore } from './firebase';
+import { Platform } from 'react-native';
+import { auth, firestore, googleWebClientId } from './firebase';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { GoogleSignin } from '@react-native-google-signin/google-signin';
+import { appleAuth } from '@invertase/react-native-apple-authentication';
+import syncService from './syncService';
+import appLockService from './appLockService';
+import nightscoutService from './nightscoutService';
+import secureStorage from './secureStorage';
+import { isTokenExpired } from '../utils/jwt';
 
-// Keys for storing auth data
+// Keys for storing auth data. The token lives in secure storage.
 const USER_DATA_KEY = '@GI Tracker:userData';
 const AUTH_TOKEN_KEY = '@GI Tracker:authToken';
+const VERIFICATION_SENT_AT_KEY = '@GI Tracker:verificationSentAt';
+
+// Minimum time between verification emails
+export const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Subcollections of users/{uid} holding the user's own data
+const USER_SUBCOLLECTIONS = ['meals', 'glucoseReadings', 'plannedMeals'];
+
+// Firebase provider ids
+export const PROVIDERS = {
+  PASSWORD: 'password',
+  GOOGLE: 'google.com',
+  APPLE: 'apple.com',
+};
+
+/**
+ * Convert Firestore values to plain JSON, dropping internal sync metadata
+ * @param {*} value - Value read from a document
+ * @returns {*} - JSON-safe copy
+ */
+const toExportValue = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toExportValue);
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value)
+      .filter((key) => !key.startsWith('_'))
+      .reduce((result, key) => ({ ...result, [key]: toExportValue(value[key]) }), {});
+  }
+  return value;
+};
 
 /**
  * Service for handling all authentication-related operations in the GI Tracker app
  */
 class AuthService {
+  constructor() {
+    GoogleSignin.configure({ webClientId: googleWebClientId });
+    
+    // Credential from a social sign-in that hit an existing account with the
+    // same email, linked once the user signs in with that account's provider
+    this.pendingCredential = null;
+    
+    this.migration = null;
+  }
+  
+  /**
+   * Move a token saved in plaintext AsyncStorage by older versions into
+   * secure storage. Runs once; expired tokens are wiped rather than moved.
+   * @returns {Promise<void>}
+   */
+  migrateLegacyStorage() {
+    if (!this.migration) {
+      this.migration = secureStorage
+        .migrateFromAsyncStorage([AUTH_TOKEN_KEY], (key, token) => !isTokenExpired(token))
+        .catch((error) => {
+          // Try again next time rather than leaving the token behind
+          this.migration = null;
+          console.error('Auth storage migration error:', error);
+        });
+    }
+    return this.migration;
+  }
+  
   /**
    * Register a new user with email and password
    * @param {string} email - User's email address
@@ -33,6 +109,9 @@ class AuthService {
           name: userData.name || '',
           birthdate: userData.birthdate || null,
           diabetesType: userData.diabetesType || '',
+          // New accounts go through onboarding; older profiles without the
+          // field are treated as done
+          onboardingCompleted: false,
           createdAt: firestore.FieldValue.serverTimestamp(),
           lastLoginAt: firestore.FieldValue.serverTimestamp(),
         });
@@ -41,11 +120,20 @@ class AuthService {
       const userToStore = {
         uid: user.uid,
         email: user.email,
-        ...userData
+        emailVerified: false,
+        ...userData,
+        onboardingCompleted: false,
       };
       
       await AsyncStorage.setItem(USER_DATA_KEY, JSON.stringify(userToStore));
       
+      // The account works without it, so a failed send can be retried later
+      try {
+        await this.sendVerificationEmail();
+      } catch (error) {
+        console.error('Verification email error:', error);
+      }
+      
       return user;
     } catch (error) {
       console.error('Registration error:', error);
@@ -67,6 +155,9 @@ class AuthService {
       // Get the user object
       const user = userCredential.user;
       
+      // Finish linking a social account that shares this email
+      await this.linkPendingCredential(user);
+      
       // Update the last login timestamp in Firestore
       await firestore()
         .collection('users')
@@ -88,16 +179,14 @@ class AuthService {
         await AsyncStorage.setItem(USER_DATA_KEY, JSON.stringify({
           uid: user.uid,
           email: user.email,
+          emailVerified: user.emailVerified,
           name: userData.name,
           birthdate: userData.birthdate,
           diabetesType: userData.diabetesType,
+          onboardingCompleted: userData.onboardingCompleted,
         }));
       }
       
-      // Store authentication token for persistent login
-      const token = await user.getIdToken();
-      await AsyncStorage.setItem(AUTH_TOKEN_KEY, token);
-      
       return user;
     } catch (error) {
       console.error('Login error:', error);
@@ -106,22 +195,343 @@ class AuthService {
   }
   
   /**
-   * Sign out the current user
+   * Whether a user still has to verify their email before using the app.
+   * Guests have no email, and Google and Apple verify emails themselves.
+   * @param {object|null} userData - User data from getCurrentUser
+   * @returns {boolean} - True if the email is unverified
+   */
+  requiresEmailVerification(userData) {
+    if (!userData || userData.isAnonymous || userData.emailVerified !== false) {
+      return false;
+    }
+    return (userData.providerIds || [PROVIDERS.PASSWORD]).includes(PROVIDERS.PASSWORD);
+  }
+  
+  /**
+   * Get when the next verification email may be sent
+   * @returns {Promise<number>} - Time in ms since the epoch, 0 if it can be sent now
+   */
+  async getVerificationResendAvailableAt() {
+    const sentAt = Number(await AsyncStorage.getItem(VERIFICATION_SENT_AT_KEY)) || 0;
+    const availableAt = sentAt + VERIFICATION_RESEND_COOLDOWN_MS;
+    return availableAt > Date.now() ? availableAt : 0;
+  }
+  
+  /**
+   * Send the signed-in user a verification email, at most once per cooldown
+   * @returns {Promise<number>} - When the next email may be sent (ms since the epoch)
+   */
+  async sendVerificationEmail() {
+    try {
+      const currentUser = auth().currentUser;
+      
+      if (!currentUser) {
+        throw new Error('No authenticated user found');
+      }
+      
+      if (await this.getVerificationResendAvailableAt()) {
+        const error = new Error('Please wait before requesting another email');
+        error.code = 'auth/too-many-requests';
+        throw error;
+      }
+      
+      await currentUser.sendEmailVerification();
+      
+      const sentAt = Date.now();
+      await AsyncStorage.setItem(VERIFICATION_SENT_AT_KEY, String(sentAt));
+      return sentAt + VERIFICATION_RESEND_COOLDOWN_MS;
+    } catch (error) {
+      console.error('Send verification email error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Reload the signed-in user from Firebase to pick up a completed verification
+   * @returns {Promise<boolean>} - True if the email is now verified
+   */
+  async reloadEmailVerification() {
+    try {
+      const currentUser = auth().currentUser;
+      
+      if (!currentUser) {
+        throw new Error('No authenticated user found');
+      }
+      
+      await currentUser.reload();
+      const { emailVerified } = auth().currentUser;
+      
+      if (emailVerified) {
+        await AsyncStorage.removeItem(VERIFICATION_SENT_AT_KEY);
+        const storedUserData = await this.getCachedUser();
+        if (storedUserData) {
+          await this.setCachedUser({ ...storedUserData, emailVerified });
+        }
+      }
+      
+      return emailVerified;
+    } catch (error) {
+      console.error('Reload user error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Whether Sign in with Apple can be offered on this device
+   * @returns {boolean} - True on supported iOS versions
+   */
+  isAppleSignInAvailable() {
+    return Platform.OS === 'ios' && appleAuth.isSupported;
+  }
+  
+  /**
+   * Run the Google Sign-In flow and turn the result into a Firebase credential
+   * @returns {Promise<{credential: object, profile: object}>} - Credential and profile details
+   */
+  async getGoogleCredential() {
+    await GoogleSignin.hasPlayServices({ showPlayServicesUpdateDialog: true });
+    const { idToken, user } = await GoogleSignin.signIn();
+    
+    return {
+      credential: auth.GoogleAuthProvider.credential(idToken),
+      profile: { name: user?.name || '' },
+    };
+  }
+  
+  /**
+   * Run the Sign in with Apple flow and turn the result into a Firebase credential
+   * @returns {Promise<{credential: object, profile: object}>} - Credential and profile details
+   */
+  async getAppleCredential() {
+    const response = await appleAuth.performRequest({
+      requestedOperation: appleAuth.Operation.LOGIN,
+      requestedScopes: [appleAuth.Scope.EMAIL, appleAuth.Scope.FULL_NAME],
+    });
+    
+    if (!response.identityToken) {
+      throw new Error('Apple Sign-In failed - no identity token returned');
+    }
+    
+    // Apple only shares the name the first time the user signs in
+    const { givenName, familyName } = response.fullName || {};
+    
+    return {
+      credential: auth.AppleAuthProvider.credential(response.identityToken, response.nonce),
+      profile: { name: [givenName, familyName].filter(Boolean).join(' ') },
+    };
+  }
+  
+  /**
+   * Create the Firestore profile on first sign-in, otherwise record the login
+   * @param {object} user - Firebase user
+   * @param {object} profile - Details from the provider used for a new profile
+   * @returns {Promise<void>}
+   */
+  async ensureUserProfile(user, profile = {}) {
+    const userRef = firestore().collection('users').doc(user.uid);
+    const userDoc = await userRef.get();
+    
+    if (userDoc.exists) {
+      await userRef.update({
+        email: user.email || null,
+        isAnonymous: user.isAnonymous,
+        lastLoginAt: firestore.FieldValue.serverTimestamp(),
+      });
+      return;
+    }
+    
+    await userRef.set({
+      email: user.email || null,
+      name: profile.name || user.displayName || '',
+      birthdate: null,
+      diabetesType: '',
+      onboardingCompleted: false,
+      isAnonymous: user.isAnonymous,
+      createdAt: firestore.FieldValue.serverTimestamp(),
+      lastLoginAt: firestore.FieldValue.serverTimestamp(),
+    });
+  }
+  
+  /**
+   * Link a credential that was left over from a conflicting social sign-in
+   * @param {object} user - Firebase user who just signed in
+   * @returns {Promise<void>}
+   */
+  async linkPendingCredential(user) {
+    const pending = this.pendingCredential;
+    
+    if (!pending || pending.email !== user.email) {
+      return;
+    }
+    
+    this.pendingCredential = null;
+    
+    try {
+      await user.linkWithCredential(pending.credential);
+    } catch (error) {
+      // Signing in still succeeded; the provider can be linked another time
+      console.error('Link pending credential error:', error);
+    }
+  }
+  
+  /**
+   * Sign in with a provider credential. A guest user is upgraded by linking
+   * the credential, which keeps their uid and therefore all of their data.
+   * @param {object} credential - Firebase auth credential
+   * @param {object} profile - Details from the provider used for a new profile
+   * @returns {Promise<object>} - The user object
+   */
+  async signInWithCredential(credential, profile) {
+    try {
+      const currentUser = auth().currentUser;
+      let user;
+      
+      if (currentUser?.isAnonymous) {
+        user = (await currentUser.linkWithCredential(credential)).user;
+      } else {
+        user = (await auth().signInWithCredential(credential)).user;
+      }
+      
+      await this.ensureUserProfile(user, profile);
+      await this.linkPendingCredential(user);
+      await this.setCachedUser(await this.getCurrentUser());
+      
+      return user;
+    } catch (error) {
+      if (error.code === 'auth/account-exists-with-different-credential') {
+        // Remember the credential so it can be linked after the user signs
+        // in with the provider they originally used
+        const email = error.userInfo?.email || error.email || null;
+        this.pendingCredential = { email, credential };
+        error.email = email;
+        error.existingProviders = email
+          ? await auth().fetchSignInMethodsForEmail(email).catch(() => [])
+          : [];
+      }
+      console.error('Credential sign-in error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Sign in (or upgrade a guest account) with Google
+   * @returns {Promise<object>} - The user object
+   */
+  async signInWithGoogle() {
+    const { credential, profile } = await this.getGoogleCredential();
+    return this.signInWithCredential(credential, profile);
+  }
+  
+  /**
+   * Sign in (or upgrade a guest account) with Apple
+   * @returns {Promise<object>} - The user object
+   */
+  async signInWithApple() {
+    const { credential, profile } = await this.getAppleCredential();
+    return this.signInWithCredential(credential, profile);
+  }
+  
+  /**
+   * Start a guest session so the app can be tried without an account
+   * @returns {Promise<object>} - The user object
+   */
+  async signInAnonymously() {
+    try {
+      const { user } = await auth().signInAnonymously();
+      await this.ensureUserProfile(user);
+      await this.setCachedUser(await this.getCurrentUser());
+      return user;
+    } catch (error) {
+      console.error('Anonymous sign-in error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Turn a guest account into a permanent email/password account, keeping its data
+   * @param {string} email - User's email address
+   * @param {string} password - User's chosen password
+   * @returns {Promise<object>} - The user object
+   */
+  async linkWithEmail(email, password) {
+    try {
+      const currentUser = auth().currentUser;
+      
+      if (!currentUser?.isAnonymous) {
+        throw new Error('Only guest accounts can be linked');
+      }
+      
+      const credential = auth.EmailAuthProvider.credential(email, password);
+      const { user } = await currentUser.linkWithCredential(credential);
+      
+      await this.ensureUserProfile(user);
+      await this.setCachedUser(await this.getCurrentUser());
+      
+      return user;
+    } catch (error) {
+      console.error('Link account error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Sign out the current user. Writes still queued after a last sync attempt
+   * would be lost, so they are only dropped when the user agreed to it.
+   * @param {object} options - Logout options
+   * @param {boolean} options.discardPendingWrites - Log out even if queued writes can't be sent
    * @returns {Promise<void>}
    */
-  async logout() {
+  async logout({ discardPendingWrites = false } = {}) {
     try {
+      // Push any queued writes while still signed in
+      await syncService.flush();
+
+      const { pendingCount } = syncService.getStatus();
+      if (pendingCount > 0 && !discardPendingWrites) {
+        const error = new Error(`${pendingCount} queued writes have not been synced`);
+        error.code = 'sync/pending-writes';
+        throw error;
+      }
+
+      await syncService.clear();
+      
       await auth().signOut();
       
+      // Let the next Google sign-in pick an account again
+      if (await GoogleSignin.isSignedIn()) {
+        await GoogleSignin.signOut();
+      }
+      
       // Clear AsyncStorage data
       await AsyncStorage.removeItem(USER_DATA_KEY);
-      await AsyncStorage.removeItem(AUTH_TOKEN_KEY);
+      await AsyncStorage.removeItem(VERIFICATION_SENT_AT_KEY);
+      await secureStorage.removeItem(AUTH_TOKEN_KEY);
+      await nightscoutService.clearApiSecret();
     } catch (error) {
       console.error('Logout error:', error);
       throw error;
     }
   }
   
+  /**
+   * Keep the stored auth token in step with Firebase for every sign-in
+   * method, including when Firebase refreshes it
+   * @returns {function} - Call to stop watching
+   */
+  watchIdToken() {
+    return auth().onIdTokenChanged(async (user) => {
+      try {
+        if (user) {
+          await secureStorage.setItem(AUTH_TOKEN_KEY, await user.getIdToken());
+        } else {
+          await secureStorage.removeItem(AUTH_TOKEN_KEY);
+        }
+      } catch (error) {
+        console.error('Store auth token error:', error);
+      }
+    });
+  }
+  
   /**
    * Check if a user is currently logged in
    * @returns {Promise<boolean>} - True if a user is logged in
@@ -134,15 +544,43 @@ class AuthService {
         return true;
       }
       
-      // Check if we have a stored token as fallback
-      const token = await AsyncStorage.getItem(AUTH_TOKEN_KEY);
-      return token !== null;
+      // Fall back to a stored token, as long as it hasn't expired
+      await this.migrateLegacyStorage();
+      const token = await secureStorage.getItem(AUTH_TOKEN_KEY);
+      return token !== null && !isTokenExpired(token);
     } catch (error) {
       console.error('Authentication check error:', error);
       return false;
     }
   }
   
+  /**
+   * Read the user data cached on the device at the last sign-in
+   * @returns {Promise<object|null>} - Cached user data or null
+   */
+  async getCachedUser() {
+    try {
+      const userDataString = await AsyncStorage.getItem(USER_DATA_KEY);
+      return userDataString ? JSON.parse(userDataString) : null;
+    } catch (error) {
+      console.error('Get cached user error:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Cache the user data on the device for fast startup
+   * @param {object} userData - User data to cache
+   * @returns {Promise<void>}
+   */
+  async setCachedUser(userData) {
+    try {
+      await AsyncStorage.setItem(USER_DATA_KEY, JSON.stringify(userData));
+    } catch (error) {
+      console.error('Set cached user error:', error);
+    }
+  }
+  
   /**
    * Get the current user's data
    * @returns {Promise<object|null>} - User data or null if not logged in
@@ -163,7 +601,10 @@ class AuthService {
           return {
             uid: currentUser.uid,
             email: currentUser.email,
-            ...userDoc.data()
+            ...userDoc.data(),
+            isAnonymous: currentUser.isAnonymous,
+            emailVerified: currentUser.emailVerified,
+            providerIds: currentUser.providerData.map((provider) => provider.providerId),
           };
         }
       }
@@ -194,14 +635,12 @@ class AuthService {
         throw new Error('No authenticated user found');
       }
       
-      // Update the user document in Firestore
-      await firestore()
-        .collection('users')
-        .doc(currentUser.uid)
-        .update({
-          ...userData,
-          updatedAt: firestore.FieldValue.serverTimestamp(),
-        });
+      // Update the user document in Firestore, or queue it while offline
+      await syncService.write({
+        type: 'update',
+        path: `users/${currentUser.uid}`,
+        data: userData,
+      });
       
       // Update the stored user data
       const storedUserData = await this.getCurrentUser();
@@ -230,22 +669,42 @@ class AuthService {
   }
   
   /**
-   * Reauthenticate user before sensitive operations like password change
-   * @param {string} password - Current password for verification
+   * Reauthenticate user before sensitive operations like password change.
+   * Google and Apple users go through their provider's sign-in again.
+   * @param {string} password - Current password for verification (email/password users)
    * @returns {Promise<boolean>} - True if reauthentication was successful
    */
   async reauthenticate(password) {
     try {
       const currentUser = auth().currentUser;
       
-      if (!currentUser || !currentUser.email) {
-        throw new Error('No authenticated user found or email is missing');
+      if (!currentUser) {
+        throw new Error('No authenticated user found');
+      }
+      
+      // Guest accounts have no credential to check
+      if (currentUser.isAnonymous) {
+        return true;
       }
       
-      const credential = auth.EmailAuthProvider.credential(
-        currentUser.email,
-        password
-      );
+      const providerIds = currentUser.providerData.map((provider) => provider.providerId);
+      let credential;
+      
+      if (providerIds.includes(PROVIDERS.PASSWORD)) {
+        if (!currentUser.email) {
+          throw new Error('No authenticated user found or email is missing');
+        }
+        credential = auth.EmailAuthProvider.credential(
+          currentUser.email,
+          password
+        );
+      } else if (providerIds.includes(PROVIDERS.GOOGLE)) {
+        credential = (await this.getGoogleCredential()).credential;
+      } else if (providerIds.includes(PROVIDERS.APPLE)) {
+        credential = (await this.getAppleCredential()).credential;
+      } else {
+        throw new Error('Unsupported sign-in provider');
+      }
       
       await currentUser.reauthenticateWithCredential(credential);
       return true;
@@ -255,6 +714,16 @@ class AuthService {
     }
   }
   
+  /**
+   * Error thrown when reauthentication before a sensitive operation fails
+   * @returns {Error} - Error with an app-specific auth code
+   */
+  reauthenticationError() {
+    const error = new Error('Failed to reauthenticate user');
+    error.code = 'auth/reauthentication-failed';
+    return error;
+  }
+  
   /**
    * Change the user's password
    * @param {string} currentPassword - Current password for verification
@@ -266,7 +735,7 @@ class AuthService {
       const reauthenticated = await this.reauthenticate(currentPassword);
       
       if (!reauthenticated) {
-        throw new Error('Failed to reauthenticate user');
+        throw this.reauthenticationError();
       }
       
       const currentUser = auth().currentUser;
@@ -278,6 +747,80 @@ class AuthService {
       throw error;
     }
   }
+  
+  /**
+   * Permanently delete the user's account and all of their data. The auth
+   * user is deleted first so a failure leaves the account and its data
+   * intact; the Delete User Data extension (see firebase.json) then removes
+   * users/{uid} from Firestore, since the client loses access once the
+   * auth user is gone.
+   * @param {string} password - Current password for verification
+   * @returns {Promise<void>}
+   */
+  async deleteAccount(password) {
+    try {
+      const reauthenticated = await this.reauthenticate(password);
+      
+      if (!reauthenticated) {
+        throw this.reauthenticationError();
+      }
+      
+      // Deleting the auth user also signs them out
+      await auth().currentUser.delete();
+      
+      // Queued writes can no longer reach Firestore, and the rest is local
+      await syncService.clear();
+      await AsyncStorage.multiRemove([USER_DATA_KEY, VERIFICATION_SENT_AT_KEY]);
+      await secureStorage.removeItem(AUTH_TOKEN_KEY);
+      await appLockService.removePin();
+      await nightscoutService.clearApiSecret();
+    } catch (error) {
+      console.error('Delete account error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Build a JSON archive of everything stored for the current user
+   * @returns {Promise<object>} - { exportedAt, profile, meals, glucoseReadings }
+   */
+  async exportUserData() {
+    try {
+      const currentUser = auth().currentUser;
+      
+      if (!currentUser) {
+        throw new Error('No authenticated user found');
+      }
+      
+      // Include anything still waiting in the offline queue
+      await syncService.flush();
+      
+      const userRef = firestore().collection('users').doc(currentUser.uid);
+      const userDoc = await userRef.get();
+      
+      const archive = {
+        exportedAt: new Date().toISOString(),
+        profile: {
+          uid: currentUser.uid,
+          email: currentUser.email,
+          ...toExportValue(userDoc.exists ? userDoc.data() : {}),
+        },
+      };
+      
+      for (const name of USER_SUBCOLLECTIONS) {
+        const snapshot = await userRef.collection(name).get();
+        archive[name] = snapshot.docs.map((doc) => ({
+          id: doc.id,
+          ...toExportValue(doc.data()),
+        }));
+      }
+      
+      return archive;
+    } catch (error) {
+      console.error('Export user data error:', error);
+      throw error;
+    }
+  }
 }
 
 export default new AuthService(); 
\ No newline at end of file
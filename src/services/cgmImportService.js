@@ -0,0 +1,107 @@
+import DocumentPicker, { types } from 'react-native-document-picker';
+import RNFS from 'react-native-fs';
+import glucoseService, { CGM_CONTEXT } from './glucoseService';
+import { DUPLICATE_WINDOW_MS, SKIP_REASONS, parseCgmExport, removeDuplicates } from '../utils/cgmImport';
+
+/**
+ * Get the earliest and latest timestamp of some readings
+ * @param {Array<object>} readings - Readings with a timestamp (Date)
+ * @returns {{from: Date, to: Date}|null} - The range, or null without readings
+ */
+const getTimeRange = (readings) => {
+  if (readings.length === 0) {
+    return null;
+  }
+
+  // reduce rather than Math.min(...times): exports can hold tens of thousands of rows
+  const times = readings.map((reading) => reading.timestamp.getTime());
+  return {
+    from: new Date(times.reduce((min, time) => Math.min(min, time))),
+    to: new Date(times.reduce((max, time) => Math.max(max, time))),
+  };
+};
+
+/**
+ * Service for importing readings from Dexcom Clarity and LibreView exports
+ */
+class CgmImportService {
+  /**
+   * Let the user pick an exported CSV file and read it
+   * @returns {Promise<{name: string, text: string}|null>} - The file, or null if the user cancelled
+   */
+  async pickExportFile() {
+    try {
+      const file = await DocumentPicker.pickSingle({
+        type: [types.csv, types.plainText],
+        copyTo: 'cachesDirectory',
+      });
+
+      // Read the cached copy; content:// URIs can't be read directly on Android
+      const path = decodeURIComponent(file.fileCopyUri.replace(/^file:\/\//, ''));
+      const text = await RNFS.readFile(path, 'utf8');
+      await RNFS.unlink(path).catch(() => {});
+
+      return { name: file.name, text };
+    } catch (error) {
+      if (DocumentPicker.isCancel(error)) {
+        return null;
+      }
+      console.error('Pick CGM export error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import the glucose readings in an export, skipping readings already stored
+   * @param {string} text - Contents of the CSV export
+   * @param {function} onProgress - Called with (written, total) as batches are saved
+   * @returns {Promise<object>} - Summary: { source, imported, from, to, skipped, malformed },
+   * where skipped and malformed list { row, reason }
+   */
+  async importExport(text, onProgress) {
+    try {
+      const parsed = parseCgmExport(text);
+
+      if (!parsed) {
+        const error = new Error('File is not a Dexcom Clarity or LibreView export');
+        error.code = 'import/unrecognized-format';
+        throw error;
+      }
+
+      const { source, readings, skipped, malformed } = parsed;
+      const fileRange = getTimeRange(readings);
+
+      // Stored readings that could duplicate one in the file
+      const existing = fileRange
+        ? await glucoseService.getReadingsInRange(
+          new Date(fileRange.from.getTime() - DUPLICATE_WINDOW_MS),
+          new Date(fileRange.to.getTime() + DUPLICATE_WINDOW_MS)
+        )
+        : [];
+      const { fresh, duplicates } = removeDuplicates(readings, existing);
+      const importedRange = getTimeRange(fresh);
+
+      await glucoseService.importReadings(
+        fresh.map(({ timestamp, value, unit }) => ({ timestamp, value, unit, context: CGM_CONTEXT })),
+        onProgress
+      );
+
+      return {
+        source,
+        imported: fresh.length,
+        from: importedRange ? importedRange.from : null,
+        to: importedRange ? importedRange.to : null,
+        skipped: [
+          ...skipped,
+          ...duplicates.map(({ row }) => ({ row, reason: SKIP_REASONS.DUPLICATE })),
+        ].sort((a, b) => a.row - b.row),
+        malformed,
+      };
+    } catch (error) {
+      console.error('Import CGM export error:', error);
+      throw error;
+    }
+  }
+}
+
+export default new CgmImportService();
@@ -1,3 +1,4 @@
+import { Platform } from 'react-native';
 import firebase from '@react-native-firebase/app';
 import auth from '@react-native-firebase/auth';
 import firestore from '@react-native-firebase/firestore';
@@ -13,9 +14,24 @@ const firebaseConfig = {
   measurementId: "YOUR_MEASUREMENT_ID"
 };
 
+// OAuth web client id from the Google provider settings in Firebase Console,
+// needed for Google Sign-In to return an id token Firebase accepts
+const googleWebClientId = 'YOUR_GOOGLE_WEB_CLIENT_ID';
+
+// Start Metro with USE_FIREBASE_EMULATORS=true to use the local Firebase
+// emulators (firebase emulators:start) instead of the live project. The value
+// is inlined at build time. Android emulators reach the host at 10.0.2.2.
+const USE_EMULATORS = process.env.USE_FIREBASE_EMULATORS === 'true';
+const EMULATOR_HOST = Platform.OS === 'android' ? '10.0.2.2' : 'localhost';
+
 // Initialize Firebase if no apps are initialized
 if (!firebase.apps.length) {
   firebase.initializeApp(firebaseConfig);
 }
 
-export { firebase, auth, firestore }; 
\ No newline at end of file
+if (__DEV__ && USE_EMULATORS) {
+  auth().useEmulator(`http://${EMULATOR_HOST}:9099`);
+  firestore().useEmulator(EMULATOR_HOST, 8080);
+}
+
+export { firebase, auth, firestore, googleWebClientId }; 
\ No newline at end of file
@@ -0,0 +1,68 @@
+import foodData from '../assets/data/foodGI.json';
+import { fuzzySearch } from '../utils/fuzzySearch';
+
+// GI band thresholds (international GI tables)
+const LOW_GI_MAX = 55;
+const MEDIUM_GI_MAX = 69;
+
+/**
+ * Service for looking up foods in the bundled offline GI dataset
+ */
+class FoodService {
+  constructor() {
+    this.foods = foodData;
+    this.foodsById = {};
+    this.foods.forEach((food) => {
+      this.foodsById[food.id] = food;
+    });
+  }
+
+  /**
+   * Get every food in the dataset, sorted by name
+   * @returns {Array<object>} - All foods
+   */
+  getAllFoods() {
+    return [...this.foods].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Look up a single food by its id
+   * @param {string} foodId - The food's id
+   * @returns {object|null} - The food or null if it doesn't exist
+   */
+  getFoodById(foodId) {
+    return this.foodsById[foodId] || null;
+  }
+
+  /**
+   * Search foods by name and synonyms, tolerating typos
+   * @param {string} query - Text typed by the user
+   * @param {number} limit - Maximum number of results
+   * @returns {Array<object>} - Matching foods, best match first
+   */
+  searchFoods(query, limit = 30) {
+    return fuzzySearch(
+      this.foods,
+      query,
+      (food) => [food.name, ...food.synonyms],
+      { limit }
+    ).map((match) => match.item);
+  }
+
+  /**
+   * Classify a GI value into a band
+   * @param {number} gi - Glycemic index value
+   * @returns {string} - 'low', 'medium' or 'high'
+   */
+  getGiBand(gi) {
+    if (gi <= LOW_GI_MAX) {
+      return 'low';
+    }
+    if (gi <= MEDIUM_GI_MAX) {
+      return 'medium';
+    }
+    return 'high';
+  }
+}
+
+export default new FoodService();
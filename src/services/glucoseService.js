@@ -0,0 +1,324 @@
+import { auth, firestore } from './firebase';
+import syncService from './syncService';
+import { GLUCOSE_UNITS, isPlausibleGlucose, toMgdl } from '../utils/glucoseUnits';
+import { toDate } from '../utils/dateUtils';
+
+// Subcollection of users/{uid} that holds blood glucose readings
+const READINGS_COLLECTION = 'glucoseReadings';
+
+// Firestore allows at most 500 writes per batch
+const IMPORT_BATCH_SIZE = 500;
+
+export const READING_CONTEXTS = [
+  'fasting',
+  'pre_meal',
+  'post_meal_1h',
+  'post_meal_2h',
+  'bedtime',
+];
+
+// Context of readings imported from a continuous glucose monitor
+export const CGM_CONTEXT = 'cgm';
+
+/**
+ * Service for recording blood glucose readings in the GI Tracker app
+ */
+class GlucoseService {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to readings changed from this device
+   * @param {function} listener - Called after readings are added, updated, deleted or imported
+   * @returns {function} - Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Tell every subscriber the readings changed
+   */
+  notifyChange() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Get the glucose readings collection of the signed-in user
+   * @returns {object} - Firestore collection reference
+   */
+  getReadingsCollection() {
+    const currentUser = auth().currentUser;
+
+    if (!currentUser) {
+      throw new Error('No authenticated user found');
+    }
+
+    return firestore()
+      .collection('users')
+      .doc(currentUser.uid)
+      .collection(READINGS_COLLECTION);
+  }
+
+  /**
+   * Validate a reading and build the data to store in Firestore. The value is
+   * kept in the unit it was entered in; valueMgdl is stored alongside it so
+   * readings can be compared and charted in a single unit.
+   * @param {object} reading - { value, unit, context, mealId, timestamp, notes }
+   * @returns {object} - Data to store in Firestore
+   */
+  buildReadingData(reading) {
+    if (!GLUCOSE_UNITS.includes(reading.unit)) {
+      throw new Error(`Invalid glucose unit: ${reading.unit}`);
+    }
+
+    if (!isPlausibleGlucose(reading.value, reading.unit)) {
+      throw new Error(`Glucose value ${reading.value} ${reading.unit} is outside the plausible range`);
+    }
+
+    if (!READING_CONTEXTS.includes(reading.context) && reading.context !== CGM_CONTEXT) {
+      throw new Error(`Invalid reading context: ${reading.context}`);
+    }
+
+    return {
+      value: reading.value,
+      unit: reading.unit,
+      valueMgdl: toMgdl(reading.value, reading.unit),
+      context: reading.context,
+      mealId: reading.mealId || null,
+      timestamp: reading.timestamp || new Date(),
+      notes: reading.notes || '',
+    };
+  }
+
+  /**
+   * Convert a Firestore document into a reading object
+   * @param {object} doc - Firestore document snapshot
+   * @returns {object} - The reading
+   */
+  fromDocument(doc) {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      ...data,
+      timestamp: toDate(data.timestamp),
+    };
+  }
+
+  /**
+   * Record a new blood glucose reading
+   * @param {object} reading - { value, unit, context, mealId, timestamp, notes }
+   * @returns {Promise<object>} - The saved reading including its id
+   */
+  async addReading(reading) {
+    try {
+      const readingData = this.buildReadingData(reading);
+      const readingRef = this.getReadingsCollection().doc();
+
+      await syncService.write({ type: 'set', path: readingRef.path, data: readingData });
+      this.notifyChange();
+
+      return { id: readingRef.id, ...readingData };
+    } catch (error) {
+      console.error('Add glucose reading error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a recorded reading
+   * @param {string} readingId - Id of the reading to update
+   * @param {object} reading - { value, unit, context, mealId, timestamp, notes }
+   * @returns {Promise<object>} - The updated reading
+   */
+  async updateReading(readingId, reading) {
+    try {
+      const readingData = this.buildReadingData(reading);
+
+      await syncService.write({
+        type: 'update',
+        path: this.getReadingsCollection().doc(readingId).path,
+        data: readingData,
+      });
+      this.notifyChange();
+
+      return { id: readingId, ...readingData };
+    } catch (error) {
+      console.error('Update glucose reading error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a recorded reading
+   * @param {string} readingId - Id of the reading to delete
+   * @returns {Promise<void>}
+   */
+  async deleteReading(readingId) {
+    try {
+      await syncService.write({
+        type: 'delete',
+        path: this.getReadingsCollection().doc(readingId).path,
+      });
+      this.notifyChange();
+    } catch (error) {
+      console.error('Delete glucose reading error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single reading
+   * @param {string} readingId - Id of the reading
+   * @returns {Promise<object|null>} - The reading or null if it doesn't exist
+   */
+  async getReading(readingId) {
+    try {
+      const readingDoc = await this.getReadingsCollection().doc(readingId).get();
+      return readingDoc.exists ? this.fromDocument(readingDoc) : null;
+    } catch (error) {
+      console.error('Get glucose reading error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recent readings, newest first
+   * @param {number} limit - Maximum number of readings to return
+   * @returns {Promise<Array<object>>} - The readings
+   */
+  async getRecentReadings(limit = 50) {
+    try {
+      const collection = this.getReadingsCollection();
+      const snapshot = await collection
+        .orderBy('timestamp', 'desc')
+        .limit(limit)
+        .get();
+
+      // Include readings logged while offline that haven't synced yet
+      return syncService
+        .applyPendingWrites(collection.path, snapshot.docs.map((doc) => this.fromDocument(doc)))
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Get glucose readings error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every reading between two dates, oldest first
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array<object>>} - The readings
+   */
+  async getReadingsInRange(from, to = new Date()) {
+    try {
+      const collection = this.getReadingsCollection();
+      const snapshot = await collection
+        .where('timestamp', '>=', from)
+        .where('timestamp', '<=', to)
+        .orderBy('timestamp', 'asc')
+        .get();
+
+      // Include readings logged while offline that haven't synced yet
+      return syncService.applyPendingWritesInRange(
+        collection.path,
+        snapshot.docs.map((doc) => this.fromDocument(doc)),
+        from,
+        to
+      );
+    } catch (error) {
+      console.error('Get glucose readings in range error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one page of readings, newest first, for infinite scrolling
+   * @param {object} options - Page options
+   * @param {object} options.cursor - Cursor returned with the previous page
+   * @param {number} options.limit - Page size
+   * @param {Date} options.from - Only include readings at or after this date
+   * @param {Date} options.to - Only include readings at or before this date
+   * @returns {Promise<object>} - { items, cursor, hasMore }
+   */
+  async getReadingsPage({ cursor = null, limit = 20, from = null, to = null } = {}) {
+    try {
+      const collection = this.getReadingsCollection();
+      let query = collection.orderBy('timestamp', 'desc');
+
+      if (from) {
+        query = query.where('timestamp', '>=', from);
+      }
+      if (to) {
+        query = query.where('timestamp', '<=', to);
+      }
+      if (cursor) {
+        query = query.startAfter(cursor);
+      }
+
+      const snapshot = await query.limit(limit).get();
+      const docs = snapshot.docs;
+      const page = {
+        items: docs.map((doc) => this.fromDocument(doc)),
+        cursor: docs.length > 0 ? docs[docs.length - 1] : cursor,
+        hasMore: docs.length === limit,
+      };
+
+      // Include readings logged while offline that haven't synced yet
+      return {
+        ...page,
+        items: syncService.applyPendingWritesToPage(collection.path, page, { previousCursor: cursor, from, to }),
+      };
+    } catch (error) {
+      console.error('Get glucose readings page error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write many readings at once, e.g. from a CGM export, in batches. Imports
+   * go straight to Firestore rather than through the offline queue, which
+   * would hold thousands of writes in AsyncStorage.
+   * @param {Array<object>} readings - { value, unit, context, timestamp }
+   * @param {function} onProgress - Called with (written, total) after each batch
+   * @returns {Promise<number>} - Number of readings written
+   */
+  async importReadings(readings, onProgress) {
+    try {
+      const readingsCollection = this.getReadingsCollection();
+      let written = 0;
+
+      for (let start = 0; start < readings.length; start += IMPORT_BATCH_SIZE) {
+        const batch = firestore().batch();
+
+        readings.slice(start, start + IMPORT_BATCH_SIZE).forEach((reading) => {
+          batch.set(readingsCollection.doc(), {
+            ...this.buildReadingData(reading),
+            createdAt: firestore.FieldValue.serverTimestamp(),
+            updatedAt: firestore.FieldValue.serverTimestamp(),
+          });
+        });
+
+        await batch.commit();
+        written = Math.min(start + IMPORT_BATCH_SIZE, readings.length);
+        // Each batch is saved on its own, so a later failure keeps it
+        this.notifyChange();
+
+        if (onProgress) {
+          onProgress(written, readings.length);
+        }
+      }
+
+      return written;
+    } catch (error) {
+      console.error('Import glucose readings error:', error);
+      throw error;
+    }
+  }
+}
+
+export default new GlucoseService();
@@ -0,0 +1,137 @@
+import mealService from './mealService';
+import glucoseService from './glucoseService';
+
+export const ENTRY_TYPES = ['meal', 'glucose'];
+
+// Where each entry type is loaded from
+const SOURCES = {
+  meal: (options) => mealService.getMealsPage(options),
+  glucose: (options) => glucoseService.getReadingsPage(options),
+};
+
+/**
+ * A reverse-chronological feed that interleaves meals and glucose readings.
+ * Each source is paged independently with its own Firestore cursor, and the
+ * pages are merged so entries always come out newest first.
+ */
+class HistoryFeed {
+  /**
+   * @param {object} options - Feed options
+   * @param {Array<string>} options.types - Entry types to include
+   * @param {Date} options.from - Only include entries at or after this date
+   * @param {Date} options.to - Only include entries at or before this date
+   * @param {number} options.pageSize - Entries returned per loadMore call
+   */
+  constructor({ types = ENTRY_TYPES, from = null, to = null, pageSize = 20 } = {}) {
+    this.from = from;
+    this.to = to;
+    this.pageSize = pageSize;
+    this.sources = types.map((type) => ({
+      type,
+      buffer: [],
+      cursor: null,
+      hasMore: true,
+    }));
+  }
+
+  /**
+   * Whether there are entries left to load
+   * @returns {boolean}
+   */
+  hasMore() {
+    return this.sources.some((source) => source.buffer.length > 0 || source.hasMore);
+  }
+
+  /**
+   * Fetch the next page of a source into its buffer
+   * @param {object} source - Source state
+   * @returns {Promise<void>}
+   */
+  async fetchPage(source) {
+    const page = await SOURCES[source.type]({
+      cursor: source.cursor,
+      limit: this.pageSize,
+      from: this.from,
+      to: this.to,
+    });
+
+    source.buffer.push(...page.items.map((item) => ({
+      type: source.type,
+      id: item.id,
+      timestamp: item.timestamp,
+      data: item,
+    })));
+    source.cursor = page.cursor;
+    source.hasMore = page.hasMore;
+  }
+
+  /**
+   * Load the next entries of the feed
+   * @returns {Promise<Array<object>>} - Entries: { type, id, timestamp, data }
+   */
+  async loadMore() {
+    const entries = [];
+
+    while (entries.length < this.pageSize) {
+      // A source with an empty buffer may still hold the newest entry on the
+      // server, so refill those before comparing the sources' heads
+      await Promise.all(
+        this.sources
+          .filter((source) => source.buffer.length === 0 && source.hasMore)
+          .map((source) => this.fetchPage(source))
+      );
+
+      const candidates = this.sources.filter((source) => source.buffer.length > 0);
+
+      if (candidates.length === 0) {
+        break;
+      }
+
+      const newest = candidates.reduce((a, b) => (
+        a.buffer[0].timestamp >= b.buffer[0].timestamp ? a : b
+      ));
+      entries.push(newest.buffer.shift());
+    }
+
+    return entries;
+  }
+}
+
+/**
+ * Service for browsing the combined meal and glucose history
+ */
+class HistoryService {
+  /**
+   * Create a new paginated history feed
+   * @param {object} options - { types, from, to, pageSize }
+   * @returns {HistoryFeed} - The feed; call loadMore() to get entries
+   */
+  createFeed(options) {
+    return new HistoryFeed(options);
+  }
+
+  /**
+   * Group entries into day sections for a SectionList, keeping their order
+   * @param {Array<object>} entries - Entries sorted newest first
+   * @returns {Array<object>} - Sections: { key, date, data }
+   */
+  groupByDay(entries) {
+    const sections = [];
+
+    entries.forEach((entry) => {
+      const date = entry.timestamp;
+      const key = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+      const lastSection = sections[sections.length - 1];
+
+      if (lastSection && lastSection.key === key) {
+        lastSection.data.push(entry);
+      } else {
+        sections.push({ key, date, data: [entry] });
+      }
+    });
+
+    return sections;
+  }
+}
+
+export default new HistoryService();
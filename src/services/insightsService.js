@@ -0,0 +1,130 @@
+import { auth } from './firebase';
+import mealService from './mealService';
+import glucoseService from './glucoseService';
+import {
+  aggregateByFood,
+  aggregateByMealType,
+  analyzeMealResponses,
+  rankFoods,
+} from '../utils/postprandialAnalysis';
+import { estimatePersonalGi } from '../utils/personalGi';
+import { computeGlucoseMetrics } from '../utils/glucoseMetrics';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Readings changed on this device clear the cached metrics at once; this
+// bounds how long changes synced from other devices take to show up
+const METRICS_CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * Service for personal insights built from the user's own meal and glucose logs
+ */
+class InsightsService {
+  constructor() {
+    // Dashboard metrics by user, period and target range: { computedAt, metrics }
+    this.metricsCache = new Map();
+    // Bumped on every change so a load that was already running isn't cached
+    this.metricsGeneration = 0;
+    glucoseService.subscribe(() => this.invalidateMetrics());
+  }
+
+  /**
+   * Forget cached dashboard metrics, e.g. after readings change
+   */
+  invalidateMetrics() {
+    this.metricsCache.clear();
+    this.metricsGeneration += 1;
+  }
+
+  /**
+   * Load the meals and readings of the last few days
+   * @param {number} days - How many days back to look
+   * @returns {Promise<{meals: Array<object>, readings: Array<object>}>}
+   */
+  async loadHistory(days) {
+    const from = new Date(Date.now() - days * DAY_MS);
+    const [meals, readings] = await Promise.all([
+      mealService.getMealsInRange(from),
+      glucoseService.getReadingsInRange(from),
+    ]);
+    return { meals, readings };
+  }
+
+  /**
+   * Work out how the user's glucose responds to the foods they eat
+   * @param {object} options - Analysis options
+   * @param {number} options.days - How many days of history to analyze
+   * @param {number} options.minMeals - Minimum meals per food before it's ranked
+   * @returns {Promise<object>} - { responses, foods, mealTypes, best, worst }
+   */
+  async getFoodResponseInsights({ days = 90, minMeals = 2 } = {}) {
+    try {
+      const { meals, readings } = await this.loadHistory(days);
+      const responses = analyzeMealResponses(meals, readings);
+      const foods = aggregateByFood(responses);
+      const { best, worst } = rankFoods(foods, { minMeals });
+
+      return {
+        responses,
+        foods,
+        mealTypes: aggregateByMealType(responses),
+        best,
+        worst,
+      };
+    } catch (error) {
+      console.error('Food response insights error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Estimate personal GI values for frequently eaten foods
+   * @param {object} options - Estimation options
+   * @param {string} options.referenceFoodId - Food used as the reference meal
+   * @param {number} options.days - How many days of history to use
+   * @returns {Promise<object>} - { reference, estimates } (see estimatePersonalGi)
+   */
+  async getPersonalGiEstimates({ referenceFoodId = 'glucose', days = 180 } = {}) {
+    try {
+      const { meals, readings } = await this.loadHistory(days);
+      return estimatePersonalGi(analyzeMealResponses(meals, readings), { referenceFoodId });
+    } catch (error) {
+      console.error('Personal GI estimation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compute time in range, variability, GMI and the ambulatory glucose
+   * profile for the dashboard. Results are cached per period and target
+   * range until readings change.
+   * @param {object} options - Metric options
+   * @param {number} options.days - How many days of readings to include
+   * @param {{low: number, high: number}} options.targets - Target range in mg/dL
+   * @returns {Promise<object>} - Metrics (see computeGlucoseMetrics)
+   */
+  async getGlucoseMetrics({ days = 14, targets }) {
+    try {
+      const key = [auth().currentUser?.uid, days, targets.low, targets.high].join(':');
+      const cached = this.metricsCache.get(key);
+      if (cached && Date.now() - cached.computedAt < METRICS_CACHE_MS) {
+        return cached.metrics;
+      }
+
+      const generation = this.metricsGeneration;
+      const from = new Date(Date.now() - days * DAY_MS);
+      const readings = await glucoseService.getReadingsInRange(from);
+      const metrics = computeGlucoseMetrics(readings, targets);
+
+      if (generation === this.metricsGeneration) {
+        this.metricsCache.set(key, { computedAt: Date.now(), metrics });
+      }
+      return metrics;
+    } catch (error) {
+      console.error('Glucose metrics error:', error);
+      throw error;
+    }
+  }
+}
+
+export default new InsightsService();
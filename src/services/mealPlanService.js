@@ -0,0 +1,257 @@
+import { auth, firestore } from './firebase';
+import syncService from './syncService';
+import mealService, { MEAL_TYPES } from './mealService';
+import nutritionService from './nutritionService';
+import foodService from './foodService';
+import { addDays, parseDateKey, toDateKey } from '../utils/dateUtils';
+import { DEFAULT_MEAL_TIMES, parseMealTime } from '../utils/diabetesProfile';
+
+// Subcollection of users/{uid} that holds the planned meals
+const PLANNED_MEALS_COLLECTION = 'plannedMeals';
+
+export const PLAN_DAYS = 7;
+
+// Time a planned snack is logged at on past days; the profile has no snack time
+const DEFAULT_SNACK_TIME = '15:30';
+
+// Shopping list sections, roughly in the order of a supermarket's aisles
+const SHOPPING_LIST_CATEGORIES = [
+  'fruits',
+  'vegetables',
+  'starchy-vegetables',
+  'bread',
+  'grains',
+  'pasta',
+  'cereals',
+  'legumes',
+  'dairy',
+  'snacks',
+  'sweets',
+  'beverages',
+];
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Service for the weekly meal planner. A plan holds at most one meal per
+ * meal type and day, stored as users/{uid}/plannedMeals/{YYYY-MM-DD}_{mealType}.
+ */
+class MealPlanService {
+  /**
+   * Get the planned meals collection of the signed-in user
+   * @returns {object} - Firestore collection reference
+   */
+  getPlannedMealsCollection() {
+    const currentUser = auth().currentUser;
+
+    if (!currentUser) {
+      throw new Error('No authenticated user found');
+    }
+
+    return firestore()
+      .collection('users')
+      .doc(currentUser.uid)
+      .collection(PLANNED_MEALS_COLLECTION);
+  }
+
+  /**
+   * Get the document id of a day's planned meal
+   * @param {string} date - Day key (YYYY-MM-DD)
+   * @param {string} mealType - One of MEAL_TYPES
+   * @returns {string} - Document id
+   */
+  getPlannedMealId(date, mealType) {
+    return `${date}_${mealType}`;
+  }
+
+  /**
+   * Validate a planned meal and compute its carb and glycemic load totals
+   * @param {object} plannedMeal - { date, mealType, items: [{ foodId, quantity, unit }], loggedMealId }
+   * @returns {object} - Data to store in Firestore
+   */
+  buildPlannedMealData(plannedMeal) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(plannedMeal.date || '')) {
+      throw new Error(`Invalid plan date: ${plannedMeal.date}`);
+    }
+
+    if (!MEAL_TYPES.includes(plannedMeal.mealType)) {
+      throw new Error(`Invalid meal type: ${plannedMeal.mealType}`);
+    }
+
+    const { items, totalCarbs, totalGlycemicLoad } =
+      nutritionService.calculateMealGlycemicLoad(plannedMeal.items);
+
+    return {
+      date: plannedMeal.date,
+      mealType: plannedMeal.mealType,
+      items,
+      totalCarbs,
+      totalGlycemicLoad,
+      loggedMealId: plannedMeal.loggedMealId || null,
+    };
+  }
+
+  /**
+   * Get the planned meals of a week
+   * @param {Date} weekStart - First day of the week
+   * @returns {Promise<Array<object>>} - Planned meals by day and meal type
+   */
+  async getWeekPlan(weekStart) {
+    try {
+      const collection = this.getPlannedMealsCollection();
+      const from = toDateKey(weekStart);
+      const to = toDateKey(addDays(weekStart, PLAN_DAYS - 1));
+      const snapshot = await collection
+        .where('date', '>=', from)
+        .where('date', '<=', to)
+        .get();
+
+      // Include changes made offline that haven't synced yet
+      return syncService
+        .applyPendingWrites(collection.path, snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })))
+        .filter((plannedMeal) => plannedMeal.date >= from && plannedMeal.date <= to)
+        .sort((a, b) => a.date.localeCompare(b.date)
+          || MEAL_TYPES.indexOf(a.mealType) - MEAL_TYPES.indexOf(b.mealType));
+    } catch (error) {
+      console.error('Get meal plan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a day's planned meal, or remove it once it has no foods left
+   * @param {object} plannedMeal - { date, mealType, items: [{ foodId, quantity, unit }], loggedMealId }
+   * @returns {Promise<object|null>} - The saved planned meal, or null if it was removed
+   */
+  async savePlannedMeal(plannedMeal) {
+    try {
+      const id = this.getPlannedMealId(plannedMeal.date, plannedMeal.mealType);
+      const path = this.getPlannedMealsCollection().doc(id).path;
+
+      if (!plannedMeal.items || plannedMeal.items.length === 0) {
+        await syncService.write({ type: 'delete', path });
+        return null;
+      }
+
+      const data = this.buildPlannedMealData(plannedMeal);
+      await syncService.write({ type: 'set', path, data });
+
+      return { id, ...data };
+    } catch (error) {
+      console.error('Save planned meal error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add up a day's planned meals and compare them with the daily budgets
+   * @param {Array<object>} plannedMeals - The day's planned meals
+   * @param {{glycemicLoad: number, carbs: number}} budgets - Daily budgets
+   * @returns {object} - { totalCarbs, totalGlycemicLoad, overCarbs, overGlycemicLoad }
+   */
+  summarizeDay(plannedMeals, budgets) {
+    const totalCarbs = roundToTenth(plannedMeals.reduce((sum, meal) => sum + meal.totalCarbs, 0));
+    const totalGlycemicLoad = roundToTenth(plannedMeals.reduce((sum, meal) => sum + meal.totalGlycemicLoad, 0));
+
+    return {
+      totalCarbs,
+      totalGlycemicLoad,
+      overCarbs: totalCarbs > budgets.carbs,
+      overGlycemicLoad: totalGlycemicLoad > budgets.glycemicLoad,
+    };
+  }
+
+  /**
+   * Split a week's planned meals into days with their totals
+   * @param {Array<object>} plannedMeals - Result of getWeekPlan
+   * @param {Date} weekStart - First day of the week
+   * @param {{glycemicLoad: number, carbs: number}} budgets - Daily budgets
+   * @returns {Array<object>} - One entry per day: { date, meals, ...summarizeDay }
+   */
+  summarizeWeek(plannedMeals, weekStart, budgets) {
+    return Array.from({ length: PLAN_DAYS }, (_, index) => {
+      const date = toDateKey(addDays(weekStart, index));
+      const meals = plannedMeals.filter((plannedMeal) => plannedMeal.date === date);
+      return { date, meals, ...this.summarizeDay(meals, budgets) };
+    });
+  }
+
+  /**
+   * Total the foods of a week's plan into a shopping list
+   * @param {Array<object>} plannedMeals - Planned meals to shop for
+   * @returns {Array<object>} - { category, items: [{ foodId, name, grams }] } per
+   *   food category, in aisle order; items sorted by name
+   */
+  buildShoppingList(plannedMeals) {
+    const gramsByFood = new Map();
+
+    plannedMeals.forEach((plannedMeal) => {
+      plannedMeal.items.forEach((item) => {
+        gramsByFood.set(item.foodId, (gramsByFood.get(item.foodId) || 0) + item.grams);
+      });
+    });
+
+    // Categories added to the dataset later go at the end
+    const categories = [...new Set([
+      ...SHOPPING_LIST_CATEGORIES,
+      ...foodService.getAllFoods().map((food) => food.category),
+    ])];
+
+    return categories
+      .map((category) => ({
+        category,
+        items: [...gramsByFood.entries()]
+          .map(([foodId, grams]) => ({ food: foodService.getFoodById(foodId), grams }))
+          .filter(({ food }) => food && food.category === category)
+          .map(({ food, grams }) => ({ foodId: food.id, name: food.name, grams: Math.round(grams) }))
+          .sort((a, b) => a.name.localeCompare(b.name)),
+      }))
+      .filter((group) => group.items.length > 0);
+  }
+
+  /**
+   * Pick the time a planned meal is logged at: now for today's meals,
+   * otherwise the usual time of that meal on the planned day
+   * @param {object} plannedMeal - Planned meal
+   * @param {object} mealTimes - Usual time (HH:MM) per meal type, from the profile
+   * @returns {Date} - Timestamp for the logged meal
+   */
+  getLogTimestamp(plannedMeal, mealTimes) {
+    if (plannedMeal.date === toDateKey(new Date())) {
+      return new Date();
+    }
+
+    const time = mealTimes?.[plannedMeal.mealType]
+      || DEFAULT_MEAL_TIMES[plannedMeal.mealType]
+      || DEFAULT_SNACK_TIME;
+    const minutes = parseMealTime(time) ?? parseMealTime(DEFAULT_SNACK_TIME);
+    const timestamp = parseDateKey(plannedMeal.date);
+    timestamp.setHours(Math.floor(minutes / 60), minutes % 60);
+
+    return timestamp;
+  }
+
+  /**
+   * Log a planned meal as eaten and remember the logged meal on the plan
+   * @param {object} plannedMeal - Planned meal from getWeekPlan
+   * @param {object} mealTimes - Usual time (HH:MM) per meal type, from the profile
+   * @returns {Promise<object>} - { meal, plannedMeal } with the logged meal and updated plan entry
+   */
+  async logPlannedMeal(plannedMeal, mealTimes) {
+    try {
+      const meal = await mealService.addMeal({
+        mealType: plannedMeal.mealType,
+        timestamp: this.getLogTimestamp(plannedMeal, mealTimes),
+        items: plannedMeal.items,
+      });
+      const updated = await this.savePlannedMeal({ ...plannedMeal, loggedMealId: meal.id });
+
+      return { meal, plannedMeal: updated };
+    } catch (error) {
+      console.error('Log planned meal error:', error);
+      throw error;
+    }
+  }
+}
+
+export default new MealPlanService();
@@ -0,0 +1,268 @@
+import { auth, firestore } from './firebase';
+import syncService from './syncService';
+import nutritionService from './nutritionService';
+import { toDate } from '../utils/dateUtils';
+
+// Subcollection of users/{uid} that holds the meal log
+const MEALS_COLLECTION = 'meals';
+
+export const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+/**
+ * Service for logging meals in the GI Tracker app
+ */
+class MealService {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to meals changed from this device
+   * @param {function} listener - Called after meals are added, updated or deleted
+   * @returns {function} - Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Tell every subscriber the meals changed
+   */
+  notifyChange() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Get the meals collection of the signed-in user
+   * @returns {object} - Firestore collection reference
+   */
+  getMealsCollection() {
+    const currentUser = auth().currentUser;
+
+    if (!currentUser) {
+      throw new Error('No authenticated user found');
+    }
+
+    return firestore()
+      .collection('users')
+      .doc(currentUser.uid)
+      .collection(MEALS_COLLECTION);
+  }
+
+  /**
+   * Validate a meal and compute its carb and glycemic load totals
+   * @param {object} meal - { mealType, timestamp, items: [{ foodId, quantity, unit }], notes }
+   * @returns {object} - Data to store in Firestore
+   */
+  buildMealData(meal) {
+    if (!MEAL_TYPES.includes(meal.mealType)) {
+      throw new Error(`Invalid meal type: ${meal.mealType}`);
+    }
+
+    if (!meal.items || meal.items.length === 0) {
+      throw new Error('A meal needs at least one food item');
+    }
+
+    const { items, totalCarbs, totalGlycemicLoad, mealGi } =
+      nutritionService.calculateMealGlycemicLoad(meal.items);
+
+    return {
+      mealType: meal.mealType,
+      timestamp: meal.timestamp || new Date(),
+      items,
+      totalCarbs,
+      totalGlycemicLoad,
+      mealGi,
+      notes: meal.notes || '',
+    };
+  }
+
+  /**
+   * Convert a Firestore document into a meal object
+   * @param {object} doc - Firestore document snapshot
+   * @returns {object} - The meal
+   */
+  fromDocument(doc) {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      ...data,
+      timestamp: toDate(data.timestamp),
+    };
+  }
+
+  /**
+   * Log a new meal
+   * @param {object} meal - { mealType, timestamp, items: [{ foodId, quantity, unit }], notes }
+   * @returns {Promise<object>} - The saved meal including its id
+   */
+  async addMeal(meal) {
+    try {
+      const mealData = this.buildMealData(meal);
+      const mealRef = this.getMealsCollection().doc();
+
+      await syncService.write({ type: 'set', path: mealRef.path, data: mealData });
+      this.notifyChange();
+
+      return { id: mealRef.id, ...mealData };
+    } catch (error) {
+      console.error('Add meal error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a logged meal
+   * @param {string} mealId - Id of the meal to update
+   * @param {object} meal - { mealType, timestamp, items: [{ foodId, quantity, unit }], notes }
+   * @returns {Promise<object>} - The updated meal
+   */
+  async updateMeal(mealId, meal) {
+    try {
+      const mealData = this.buildMealData(meal);
+
+      await syncService.write({
+        type: 'update',
+        path: this.getMealsCollection().doc(mealId).path,
+        data: mealData,
+      });
+      this.notifyChange();
+
+      return { id: mealId, ...mealData };
+    } catch (error) {
+      console.error('Update meal error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a logged meal
+   * @param {string} mealId - Id of the meal to delete
+   * @returns {Promise<void>}
+   */
+  async deleteMeal(mealId) {
+    try {
+      await syncService.write({
+        type: 'delete',
+        path: this.getMealsCollection().doc(mealId).path,
+      });
+      this.notifyChange();
+    } catch (error) {
+      console.error('Delete meal error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single logged meal
+   * @param {string} mealId - Id of the meal
+   * @returns {Promise<object|null>} - The meal or null if it doesn't exist
+   */
+  async getMeal(mealId) {
+    try {
+      const mealDoc = await this.getMealsCollection().doc(mealId).get();
+      return mealDoc.exists ? this.fromDocument(mealDoc) : null;
+    } catch (error) {
+      console.error('Get meal error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recent meals, newest first
+   * @param {number} limit - Maximum number of meals to return
+   * @returns {Promise<Array<object>>} - The meals
+   */
+  async getRecentMeals(limit = 50) {
+    try {
+      const collection = this.getMealsCollection();
+      const snapshot = await collection
+        .orderBy('timestamp', 'desc')
+        .limit(limit)
+        .get();
+
+      // Include meals logged while offline that haven't synced yet
+      return syncService
+        .applyPendingWrites(collection.path, snapshot.docs.map((doc) => this.fromDocument(doc)))
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Get meals error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every meal between two dates, oldest first
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array<object>>} - The meals
+   */
+  async getMealsInRange(from, to = new Date()) {
+    try {
+      const collection = this.getMealsCollection();
+      const snapshot = await collection
+        .where('timestamp', '>=', from)
+        .where('timestamp', '<=', to)
+        .orderBy('timestamp', 'asc')
+        .get();
+
+      // Include meals logged while offline that haven't synced yet
+      return syncService.applyPendingWritesInRange(
+        collection.path,
+        snapshot.docs.map((doc) => this.fromDocument(doc)),
+        from,
+        to
+      );
+    } catch (error) {
+      console.error('Get meals in range error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one page of meals, newest first, for infinite scrolling
+   * @param {object} options - Page options
+   * @param {object} options.cursor - Cursor returned with the previous page
+   * @param {number} options.limit - Page size
+   * @param {Date} options.from - Only include meals at or after this date
+   * @param {Date} options.to - Only include meals at or before this date
+   * @returns {Promise<object>} - { items, cursor, hasMore }
+   */
+  async getMealsPage({ cursor = null, limit = 20, from = null, to = null } = {}) {
+    try {
+      const collection = this.getMealsCollection();
+      let query = collection.orderBy('timestamp', 'desc');
+
+      if (from) {
+        query = query.where('timestamp', '>=', from);
+      }
+      if (to) {
+        query = query.where('timestamp', '<=', to);
+      }
+      if (cursor) {
+        query = query.startAfter(cursor);
+      }
+
+      const snapshot = await query.limit(limit).get();
+      const docs = snapshot.docs;
+      const page = {
+        items: docs.map((doc) => this.fromDocument(doc)),
+        cursor: docs.length > 0 ? docs[docs.length - 1] : cursor,
+        hasMore: docs.length === limit,
+      };
+
+      // Include meals logged while offline that haven't synced yet
+      return {
+        ...page,
+        items: syncService.applyPendingWritesToPage(collection.path, page, { previousCursor: cursor, from, to }),
+      };
+    } catch (error) {
+      console.error('Get meals page error:', error);
+      throw error;
+    }
+  }
+}
+
+export default new MealService();
@@ -0,0 +1,319 @@
+import CryptoJS from 'crypto-js';
+import secureStorage from './secureStorage';
+import glucoseService, { CGM_CONTEXT } from './glucoseService';
+import mealService from './mealService';
+import { MGDL, isPlausibleGlucose } from '../utils/glucoseUnits';
+import { DUPLICATE_WINDOW_MS, removeDuplicates } from '../utils/cgmImport';
+
+// Secure storage key for the SHA-1 hash of the Nightscout API secret
+const API_SECRET_KEY = '@GI Tracker:nightscoutApiSecret';
+
+// How far back the first sync reaches
+const INITIAL_SYNC_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entries requested per page, and treatments sent per request
+const ENTRIES_PAGE_SIZE = 1000;
+const TREATMENTS_CHUNK_SIZE = 100;
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Shown in Nightscout as the source of pushed treatments
+const ENTERED_BY = 'GI Tracker';
+
+/**
+ * Normalize a Nightscout site address as typed by the user
+ * @param {string} url - e.g. "https://my-site.herokuapp.com/api/v1/"
+ * @returns {string|null} - Base URL without a trailing slash or API path, or null if invalid
+ */
+export function normalizeNightscoutUrl(url) {
+  const trimmed = String(url || '').trim().replace(/\/+$/, '').replace(/\/api\/v1$/i, '');
+  return /^https?:\/\/[^\s/?#]+(\/[^\s?#]*)?$/i.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Build a Nightscout error with a code for errorMapping
+ * @param {string} code - e.g. 'nightscout/unauthorized'
+ * @param {string} message - Technical message for logs
+ * @returns {Error} - The error
+ */
+const nightscoutError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Sync with a Nightscout site through its REST API (v1).
+ *
+ * Sensor glucose values (SGV entries) are pulled into the glucose log and
+ * logged meals are pushed as treatments. Each direction keeps a cursor, the
+ * time of the newest entry pulled and the newest meal pushed, so a sync only
+ * transfers what is new. The cursors live in the user's profile; the API
+ * secret is kept in secure storage as the SHA-1 hash Nightscout expects.
+ */
+class NightscoutService {
+  /**
+   * Store the API secret for the signed-in user's site
+   * @param {string} apiSecret - API secret as set on the Nightscout site
+   * @returns {Promise<void>}
+   */
+  async saveApiSecret(apiSecret) {
+    try {
+      await secureStorage.setItem(API_SECRET_KEY, CryptoJS.SHA1(apiSecret).toString(CryptoJS.enc.Hex));
+    } catch (error) {
+      console.error('Save Nightscout secret error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether an API secret has been stored
+   * @returns {Promise<boolean>} - True if a secret is stored
+   */
+  async hasApiSecret() {
+    return !!(await secureStorage.getItem(API_SECRET_KEY));
+  }
+
+  /**
+   * Forget the API secret, e.g. on logout
+   * @returns {Promise<void>}
+   */
+  async clearApiSecret() {
+    await secureStorage.removeItem(API_SECRET_KEY);
+  }
+
+  /**
+   * Call the Nightscout API
+   * @param {string} baseUrl - Site address
+   * @param {string} path - API path, e.g. "/api/v1/status.json"
+   * @param {object} options - { method, query, body }
+   * @returns {Promise<any>} - Parsed JSON response
+   */
+  async request(baseUrl, path, { method = 'GET', query = {}, body } = {}) {
+    const base = normalizeNightscoutUrl(baseUrl);
+    if (!base) {
+      throw nightscoutError('nightscout/invalid-url', `Invalid Nightscout URL: ${baseUrl}`);
+    }
+
+    const secretHash = await secureStorage.getItem(API_SECRET_KEY);
+    const queryString = Object.keys(query)
+      .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent(query[key])}`)
+      .join('&');
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    let response;
+    try {
+      response = await fetch(`${base}${path}${queryString ? `?${queryString}` : ''}`, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+          ...(secretHash ? { 'api-secret': secretHash } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw nightscoutError('nightscout/unreachable', `Nightscout request failed: ${error.message}`);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw nightscoutError('nightscout/unauthorized', `Nightscout rejected the API secret (${response.status})`);
+    }
+    if (!response.ok) {
+      throw nightscoutError('nightscout/server-error', `Nightscout responded with ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Check that the site can be reached and accepts the API secret
+   * @param {string} baseUrl - Site address
+   * @returns {Promise<object>} - { name, version } of the site
+   */
+  async testConnection(baseUrl) {
+    try {
+      const status = await this.request(baseUrl, '/api/v1/status.json');
+      // Reading entries needs the secret on sites that aren't public
+      await this.request(baseUrl, '/api/v1/entries/sgv.json', { query: { count: 1 } });
+      return { name: status.name, version: status.version };
+    } catch (error) {
+      console.error('Nightscout connection test error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the SGV entries newer than the cursor. Nightscout returns the
+   * newest entries first, so pages walk backwards until one comes back short.
+   * Each page includes the oldest time of the one before, so entries sharing
+   * that time aren't skipped; the ones already fetched are dropped.
+   * @param {string} baseUrl - Site address
+   * @param {number} since - Only entries after this time (ms since epoch)
+   * @returns {Promise<Array<object>>} - Entries, newest first
+   */
+  async fetchEntriesSince(baseUrl, since) {
+    const entries = [];
+    const seen = new Set();
+    let before = null;
+
+    while (true) {
+      const page = await this.request(baseUrl, '/api/v1/entries/sgv.json', {
+        query: {
+          count: ENTRIES_PAGE_SIZE,
+          'find[date][$gt]': since,
+          ...(before ? { 'find[date][$lte]': before } : {}),
+        },
+      });
+
+      const fresh = page.filter((entry) => {
+        const key = entry._id ?? `${entry.date}:${entry.sgv}`;
+        if (seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+      entries.push(...fresh);
+
+      // Stop on a short page, or if the page brought nothing new
+      if (page.length < ENTRIES_PAGE_SIZE || fresh.length === 0) {
+        return entries;
+      }
+      before = page.reduce((min, entry) => Math.min(min, entry.date), Infinity);
+    }
+  }
+
+  /**
+   * Pull new sensor glucose values into the glucose log
+   * @param {string} baseUrl - Site address
+   * @param {number} cursor - Time of the newest entry already pulled (ms)
+   * @returns {Promise<{imported: number, cursor: number}>} - Readings added and the new cursor
+   */
+  async pullEntries(baseUrl, cursor) {
+    const readings = (await this.fetchEntriesSince(baseUrl, cursor))
+      .filter((entry) => typeof entry.sgv === 'number' && typeof entry.date === 'number')
+      .filter((entry) => isPlausibleGlucose(entry.sgv, MGDL))
+      .map((entry) => ({ timestamp: new Date(entry.date), value: entry.sgv, unit: MGDL, valueMgdl: entry.sgv }));
+
+    if (readings.length === 0) {
+      return { imported: 0, cursor };
+    }
+
+    const times = readings.map((reading) => reading.timestamp.getTime());
+    const newest = times.reduce((max, time) => Math.max(max, time));
+    const oldest = times.reduce((min, time) => Math.min(min, time));
+
+    // Skip readings already in the log, e.g. from a CSV import of the same sensor
+    const existing = await glucoseService.getReadingsInRange(
+      new Date(oldest - DUPLICATE_WINDOW_MS),
+      new Date(newest + DUPLICATE_WINDOW_MS)
+    );
+    const { fresh } = removeDuplicates(readings, existing);
+
+    await glucoseService.importReadings(
+      fresh.map(({ timestamp, value, unit }) => ({ timestamp, value, unit, context: CGM_CONTEXT }))
+    );
+
+    return { imported: fresh.length, cursor: newest };
+  }
+
+  /**
+   * Turn a logged meal into a Nightscout treatment
+   * @param {object} meal - Meal from mealService
+   * @returns {object} - Treatment for treatments.json
+   */
+  toTreatment(meal) {
+    const foods = (meal.items || []).map((item) => item.name).filter(Boolean).join(', ');
+
+    return {
+      eventType: meal.mealType === 'snack' ? 'Snack Bolus' : 'Meal Bolus',
+      created_at: meal.timestamp.toISOString(),
+      carbs: Math.round(meal.totalCarbs),
+      notes: [foods, meal.notes].filter(Boolean).join(' - '),
+      enteredBy: ENTERED_BY,
+    };
+  }
+
+  /**
+   * Push meals logged after the cursor as treatments. Nightscout matches
+   * treatments on created_at and eventType, so pushing a meal twice doesn't
+   * duplicate it. Meals backdated to before the cursor are not pushed.
+   * @param {string} baseUrl - Site address
+   * @param {number} cursor - Time of the newest meal already pushed (ms)
+   * @param {function} onChunkPushed - Called with the new cursor after each chunk is accepted
+   * @returns {Promise<{pushed: number, cursor: number}>} - Treatments sent and the new cursor
+   */
+  async pushMeals(baseUrl, cursor, onChunkPushed) {
+    const meals = (await mealService.getMealsInRange(new Date(cursor + 1)))
+      .filter((meal) => meal.totalCarbs > 0);
+    let pushedCursor = cursor;
+
+    for (let start = 0; start < meals.length; start += TREATMENTS_CHUNK_SIZE) {
+      const chunk = meals.slice(start, start + TREATMENTS_CHUNK_SIZE);
+
+      await this.request(baseUrl, '/api/v1/treatments.json', {
+        method: 'POST',
+        body: chunk.map((meal) => this.toTreatment(meal)),
+      });
+
+      // Meals come back oldest first
+      pushedCursor = chunk[chunk.length - 1].timestamp.getTime();
+      if (onChunkPushed) {
+        await onChunkPushed(pushedCursor);
+      }
+    }
+
+    return { pushed: meals.length, cursor: pushedCursor };
+  }
+
+  /**
+   * Pull new glucose entries and push new meals. Each direction saves its
+   * own cursor as it makes progress, so a failure in one doesn't lose or
+   * block the other; the first error is thrown once both have run.
+   * @param {object} profile - User profile with nightscoutUrl and the sync cursors
+   * @param {function} saveProgress - Saves profile fields, e.g. { nightscoutEntriesCursor }
+   * @returns {Promise<{imported: number, pushed: number}>} - Readings added and treatments sent
+   */
+  async sync(profile, saveProgress) {
+    const initialCursor = Date.now() - INITIAL_SYNC_DAYS * DAY_MS;
+    let imported = 0;
+    let pushed = 0;
+    let syncError = null;
+
+    try {
+      const pulled = await this.pullEntries(profile.nightscoutUrl, profile.nightscoutEntriesCursor ?? initialCursor);
+      imported = pulled.imported;
+      await saveProgress({ nightscoutEntriesCursor: pulled.cursor });
+    } catch (error) {
+      console.error('Nightscout pull error:', error);
+      syncError = error;
+    }
+
+    try {
+      const result = await this.pushMeals(
+        profile.nightscoutUrl,
+        profile.nightscoutTreatmentsCursor ?? initialCursor,
+        (cursor) => saveProgress({ nightscoutTreatmentsCursor: cursor })
+      );
+      pushed = result.pushed;
+    } catch (error) {
+      console.error('Nightscout push error:', error);
+      syncError = syncError || error;
+    }
+
+    if (syncError) {
+      throw syncError;
+    }
+
+    await saveProgress({ nightscoutLastSyncAt: new Date() });
+    return { imported, pushed };
+  }
+}
+
+export default new NightscoutService();
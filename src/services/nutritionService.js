@@ -0,0 +1,205 @@
+import foodService from './foodService';
+
+// Glycemic load bands for a single serving or meal
+const LOW_GL_MAX = 10;
+const MEDIUM_GL_MAX = 19;
+
+// Unit conversion table. Mass units convert straight to grams, volume units
+// convert to cups and then use the food's own cup weight, and count units use
+// the food's piece or serving weight. Units with categories only apply to
+// foods in those categories.
+const UNITS = {
+  g: { type: 'mass', grams: 1, label: 'g' },
+  kg: { type: 'mass', grams: 1000, label: 'kg' },
+  oz: { type: 'mass', grams: 28.3495, label: 'oz' },
+  lb: { type: 'mass', grams: 453.592, label: 'lb' },
+  cup: { type: 'volume', cups: 1, label: 'cup' },
+  tbsp: { type: 'volume', cups: 1 / 16, label: 'tbsp' },
+  tsp: { type: 'volume', cups: 1 / 48, label: 'tsp' },
+  ml: { type: 'volume', cups: 1 / 236.588, label: 'ml' },
+  piece: { type: 'count', label: 'piece' },
+  slice: { type: 'count', label: 'slice', categories: ['bread'] },
+  serving: { type: 'serving', label: 'serving' },
+};
+
+// Fallback cup weights (grams) for foods that don't define their own
+const GRAMS_PER_CUP_BY_CATEGORY = {
+  grains: 160,
+  pasta: 160,
+  cereals: 40,
+  'starchy-vegetables': 160,
+  vegetables: 150,
+  legumes: 170,
+  fruits: 150,
+  dairy: 245,
+  beverages: 250,
+};
+
+/**
+ * Round a number to one decimal place
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Throw if value isn't a finite, non-negative number
+ * @param {any} value - Value to check
+ * @param {string} name - Name used in the error message
+ */
+const assertNonNegative = (value, name) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+};
+
+/**
+ * Service for glycemic load and portion calculations
+ */
+class NutritionService {
+  /**
+   * Get the units a portion of the given food can be entered in
+   * @param {object} food - Food from the GI dataset
+   * @returns {Array<string>} - Unit keys usable with convertToGrams
+   */
+  getSupportedUnits(food) {
+    return Object.keys(UNITS).filter((unit) => {
+      try {
+        this.convertToGrams(1, unit, food);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Convert a portion to grams
+   * @param {number} quantity - Amount in the given unit
+   * @param {string} unit - One of the keys in the unit conversion table
+   * @param {object} food - Food from the GI dataset (needed for cups and pieces)
+   * @returns {number} - Portion weight in grams
+   */
+  convertToGrams(quantity, unit, food) {
+    assertNonNegative(quantity, 'Quantity');
+
+    const unitInfo = UNITS[unit];
+
+    if (!unitInfo) {
+      throw new Error(`Unknown unit: ${unit}`);
+    }
+
+    if (unitInfo.type === 'mass') {
+      return quantity * unitInfo.grams;
+    }
+
+    if (!food) {
+      throw new Error(`A food is required to convert ${unit} to grams`);
+    }
+
+    if (unitInfo.type === 'volume') {
+      const gramsPerCup = food.gramsPerCup || GRAMS_PER_CUP_BY_CATEGORY[food.category];
+      if (!gramsPerCup) {
+        throw new Error(`Cannot measure ${food.name} by volume`);
+      }
+      return quantity * unitInfo.cups * gramsPerCup;
+    }
+
+    if (unitInfo.type === 'count') {
+      if (unitInfo.categories && !unitInfo.categories.includes(food.category)) {
+        throw new Error(`Cannot measure ${food.name} in ${unitInfo.label}s`);
+      }
+      if (!food.gramsPerPiece) {
+        throw new Error(`Cannot count ${food.name} in pieces`);
+      }
+      return quantity * food.gramsPerPiece;
+    }
+
+    return quantity * food.servingSize;
+  }
+
+  /**
+   * Calculate the glycemic load of a portion
+   * GL = GI x available carbohydrate (g) / 100
+   * @param {number} gi - Glycemic index of the food
+   * @param {number} carbsPer100g - Available carbohydrate per 100 g
+   * @param {number} grams - Portion weight in grams
+   * @returns {number} - Glycemic load
+   */
+  calculateGlycemicLoad(gi, carbsPer100g, grams) {
+    assertNonNegative(gi, 'GI');
+    assertNonNegative(carbsPer100g, 'Carbohydrate per 100 g');
+    assertNonNegative(grams, 'Portion weight');
+
+    const carbs = (carbsPer100g * grams) / 100;
+    return (gi * carbs) / 100;
+  }
+
+  /**
+   * Calculate carbs and glycemic load for every item of a meal and the totals
+   * @param {Array<object>} items - Meal items: { foodId or food, quantity, unit }
+   * @returns {object} - { items, totalCarbs, totalGlycemicLoad, mealGi }
+   */
+  calculateMealGlycemicLoad(items) {
+    if (!Array.isArray(items)) {
+      throw new Error('Meal items must be an array');
+    }
+
+    let totalCarbs = 0;
+    let totalGlycemicLoad = 0;
+
+    const calculatedItems = items.map((item) => {
+      const food = item.food || foodService.getFoodById(item.foodId);
+
+      if (!food) {
+        throw new Error(`Unknown food: ${item.foodId}`);
+      }
+
+      const unit = item.unit || 'g';
+      const grams = this.convertToGrams(item.quantity, unit, food);
+      const carbs = (food.carbsPer100g * grams) / 100;
+      const glycemicLoad = this.calculateGlycemicLoad(food.gi, food.carbsPer100g, grams);
+
+      totalCarbs += carbs;
+      totalGlycemicLoad += glycemicLoad;
+
+      return {
+        foodId: food.id,
+        name: food.name,
+        gi: food.gi,
+        quantity: item.quantity,
+        unit,
+        grams: roundToTenth(grams),
+        carbs: roundToTenth(carbs),
+        glycemicLoad: roundToTenth(glycemicLoad),
+      };
+    });
+
+    // The GI of a mixed meal is the carb-weighted average of its foods' GI
+    const mealGi = totalCarbs > 0 ? Math.round((totalGlycemicLoad * 100) / totalCarbs) : 0;
+
+    return {
+      items: calculatedItems,
+      totalCarbs: roundToTenth(totalCarbs),
+      totalGlycemicLoad: roundToTenth(totalGlycemicLoad),
+      mealGi,
+    };
+  }
+
+  /**
+   * Classify a glycemic load value into a band
+   * @param {number} glycemicLoad - Glycemic load of a serving or meal
+   * @returns {string} - 'low', 'medium' or 'high'
+   */
+  getGlBand(glycemicLoad) {
+    if (glycemicLoad <= LOW_GL_MAX) {
+      return 'low';
+    }
+    if (glycemicLoad <= MEDIUM_GL_MAX) {
+      return 'medium';
+    }
+    return 'high';
+  }
+}
+
+export default new NutritionService();
@@ -0,0 +1,109 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { toMgdl } from '../utils/glucoseUnits';
+import { formatMealTime, parseMealTime, usesInsulin } from '../utils/diabetesProfile';
+import { parseNumber } from '../i18n';
+
+// Key for the answers of an onboarding the user has not finished yet
+const ONBOARDING_PROGRESS_KEY = '@GI Tracker:onboardingProgress';
+
+/**
+ * Service for the onboarding wizard shown after sign-up
+ */
+class OnboardingService {
+  /**
+   * Get the wizard's steps for the answers so far. The diabetes type decides
+   * which regimens are offered and the regimen whether insulin settings are
+   * asked for, so the steps can change as the user answers.
+   * @param {object} values - Answers so far ({ treatmentRegimen, ... })
+   * @param {boolean} askDiabetesType - Whether to ask for the diabetes type,
+   * for accounts that did not give one at sign-up
+   * @returns {Array<string>} - Step ids in order
+   */
+  getSteps(values, askDiabetesType) {
+    return [
+      ...(askDiabetesType ? ['diabetesType'] : []),
+      'regimen',
+      'units',
+      'targets',
+      ...(usesInsulin(values.treatmentRegimen) ? ['insulin'] : []),
+      'mealTimes',
+    ];
+  }
+
+  /**
+   * Load the saved progress of an unfinished onboarding
+   * @param {string} uid - Id of the signed-in user
+   * @returns {Promise<object|null>} - { step, values, askDiabetesType }, or null if there is none
+   */
+  async loadProgress(uid) {
+    try {
+      const saved = await AsyncStorage.getItem(ONBOARDING_PROGRESS_KEY);
+      const { uid: savedUid, ...progress } = saved ? JSON.parse(saved) : {};
+
+      // Another account's answers must not be picked up
+      return savedUid === uid ? progress : null;
+    } catch (error) {
+      console.error('Load onboarding progress error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the progress so onboarding resumes where the user left it
+   * @param {string} uid - Id of the signed-in user
+   * @param {object} progress - { step, values, askDiabetesType }
+   * @returns {Promise<void>}
+   */
+  async saveProgress(uid, progress) {
+    try {
+      await AsyncStorage.setItem(ONBOARDING_PROGRESS_KEY, JSON.stringify({ uid, ...progress }));
+    } catch (error) {
+      console.error('Save onboarding progress error:', error);
+    }
+  }
+
+  /**
+   * Forget the saved progress once onboarding is finished
+   * @returns {Promise<void>}
+   */
+  async clearProgress() {
+    try {
+      await AsyncStorage.removeItem(ONBOARDING_PROGRESS_KEY);
+    } catch (error) {
+      console.error('Clear onboarding progress error:', error);
+    }
+  }
+
+  /**
+   * Turn the wizard's answers into profile fields. Glucose values are
+   * entered in the chosen unit and stored in mg/dL like on the profile screen.
+   * @param {object} values - Validated answers
+   * @returns {object} - Fields for updateProfile
+   */
+  buildProfile(values) {
+    const { unit } = values;
+    const insulin = usesInsulin(values.treatmentRegimen);
+    const mealTimes = {};
+
+    Object.keys(values.mealTimes).forEach((meal) => {
+      const minutes = parseMealTime(values.mealTimes[meal]);
+      mealTimes[meal] = minutes === null ? null : formatMealTime(minutes);
+    });
+
+    return {
+      diabetesType: values.diabetesType,
+      treatmentRegimen: values.treatmentRegimen,
+      preferredGlucoseUnit: unit,
+      targetLowMgdl: Math.round(toMgdl(parseNumber(values.targetLow), unit)),
+      targetHighMgdl: Math.round(toMgdl(parseNumber(values.targetHigh), unit)),
+      insulinToCarbRatio: insulin && values.insulinToCarbRatio ? parseNumber(values.insulinToCarbRatio) : null,
+      correctionFactorMgdl: insulin && values.correctionFactor
+        ? Math.round(toMgdl(parseNumber(values.correctionFactor), unit))
+        : null,
+      mealTimes,
+      onboardingCompleted: true,
+    };
+  }
+}
+
+export default new OnboardingService();
@@ -0,0 +1,142 @@
+import { NativeModules } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Keychain from 'react-native-keychain';
+
+/**
+ * Storage backend using the iOS Keychain / Android Keystore. Each key is
+ * stored as its own keychain entry, named by the service option.
+ */
+const keychainBackend = {
+  async getItem(key) {
+    const credentials = await Keychain.getGenericPassword({ service: key });
+    return credentials ? credentials.password : null;
+  },
+  async setItem(key, value) {
+    await Keychain.setGenericPassword(key, value, {
+      service: key,
+      accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+    });
+  },
+  async removeItem(key) {
+    await Keychain.resetGenericPassword({ service: key });
+  },
+};
+
+/**
+ * Storage backend for builds where the keychain module isn't linked. Secrets
+ * are never kept anywhere less safe, so every call fails (and is logged).
+ */
+const keychainMissing = async () => {
+  throw new Error('Secure storage is unavailable: react-native-keychain is not linked');
+};
+
+const unavailableBackend = {
+  getItem: keychainMissing,
+  setItem: keychainMissing,
+  removeItem: keychainMissing,
+};
+
+/**
+ * Storage backend that keeps values in memory only, for tests
+ * @returns {object} - Backend with getItem, setItem and removeItem
+ */
+export function createMemoryBackend() {
+  const values = new Map();
+  return {
+    async getItem(key) {
+      return values.has(key) ? values.get(key) : null;
+    },
+    async setItem(key, value) {
+      values.set(key, value);
+    },
+    async removeItem(key) {
+      values.delete(key);
+    },
+  };
+}
+
+/**
+ * Key-value storage for credentials and secrets, kept in the platform keystore
+ */
+class SecureStorage {
+  constructor() {
+    this.backend = NativeModules.RNKeychainManager ? keychainBackend : unavailableBackend;
+  }
+
+  /**
+   * Replace the storage backend, e.g. with createMemoryBackend() in tests
+   * @param {object} backend - Backend with getItem, setItem and removeItem
+   */
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {Promise<string|null>} - Stored value or null
+   */
+  async getItem(key) {
+    try {
+      return await this.backend.getItem(key);
+    } catch (error) {
+      console.error('Secure storage read error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   * @returns {Promise<void>}
+   */
+  async setItem(key, value) {
+    try {
+      await this.backend.setItem(key, value);
+    } catch (error) {
+      console.error('Secure storage write error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    try {
+      await this.backend.removeItem(key);
+    } catch (error) {
+      console.error('Secure storage delete error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move values that older versions kept in plaintext AsyncStorage into
+   * secure storage, then wipe them from AsyncStorage
+   * @param {Array<string>} keys - Keys to migrate
+   * @param {function} shouldKeep - Optional filter; values it rejects are wiped without being moved
+   * @returns {Promise<void>}
+   */
+  async migrateFromAsyncStorage(keys, shouldKeep = () => true) {
+    try {
+      const entries = await AsyncStorage.multiGet(keys);
+
+      for (const [key, value] of entries) {
+        if (value !== null && shouldKeep(key, value)) {
+          await this.setItem(key, value);
+        }
+      }
+
+      await AsyncStorage.multiRemove(keys);
+    } catch (error) {
+      console.error('Secure storage migration error:', error);
+      throw error;
+    }
+  }
+}
+
+export default new SecureStorage();
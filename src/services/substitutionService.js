@@ -0,0 +1,219 @@
+import { auth } from './firebase';
+import foodService from './foodService';
+import mealService from './mealService';
+import glucoseService from './glucoseService';
+import nutritionService from './nutritionService';
+import insightsService from './insightsService';
+import { aggregateResponsePerCarb, analyzeMealResponses } from '../utils/postprandialAnalysis';
+import { estimatePersonalGi } from '../utils/personalGi';
+
+// A swap's carbs may differ from the original portion's by this share
+const CARB_TOLERANCE = 0.2;
+
+// Items with fewer carbs than this barely affect the meal's glycemic load
+const MIN_ITEM_CARBS = 5;
+
+// Smallest glycemic load saving worth suggesting
+const MIN_GL_SAVING = 1;
+
+// Foods need this many logged meals before their responses are compared
+const MIN_RESPONSE_MEALS = 2;
+
+const MAX_SWAPS_PER_ITEM = 3;
+
+// History used for the personal data behind the suggestions
+const HISTORY_DAYS = 180;
+
+// Analysing months of meals and readings is too slow to redo for every meal
+// opened. Logging on this device drops the cache anyway, so the expiry is
+// only how soon meals and readings synced from the user's other devices count
+const RESPONSES_CACHE_MS = 15 * 60 * 1000;
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Service suggesting lower-GI swaps for the foods in a meal.
+ *
+ * Swaps come from the same food category, keep roughly the same carbs for
+ * the same portion and must lower the item's glycemic load. The user's own
+ * data is used where there is some: personal GI estimates replace published
+ * GI values, and a swap the user has responded worse to than the original
+ * food (per gram of carbs) is not suggested.
+ */
+class SubstitutionService {
+  constructor() {
+    // Post-meal responses of the last user loaded, shared by every reference
+    // food since only the personal GI estimate depends on it:
+    // { uid, loadedAt, responses }
+    this.responsesCache = null;
+    // Counts meal and reading changes; a history load that started before the
+    // latest one is still returned but not kept
+    this.responsesGeneration = 0;
+    mealService.subscribe(() => this.invalidatePersonalData());
+    glucoseService.subscribe(() => this.invalidatePersonalData());
+  }
+
+  /**
+   * Forget the cached post-meal responses, e.g. after meals or readings change
+   */
+  invalidatePersonalData() {
+    this.responsesCache = null;
+    this.responsesGeneration += 1;
+  }
+
+  /**
+   * Get the user's post-meal responses over the history the suggestions use,
+   * from the cache when it's still fresh
+   * @returns {Promise<Array<object>>} - Result of analyzeMealResponses
+   */
+  async getResponses() {
+    const uid = auth().currentUser?.uid;
+    const cached = this.responsesCache;
+    if (cached && cached.uid === uid && Date.now() - cached.loadedAt < RESPONSES_CACHE_MS) {
+      return cached.responses;
+    }
+
+    const generation = this.responsesGeneration;
+    const { meals, readings } = await insightsService.loadHistory(HISTORY_DAYS);
+    const responses = analyzeMealResponses(meals, readings);
+
+    if (generation === this.responsesGeneration) {
+      this.responsesCache = { uid, loadedAt: Date.now(), responses };
+    }
+    return responses;
+  }
+
+  /**
+   * Load the personal data the suggestions take into account
+   * @param {object} options - Loading options
+   * @param {string|null} options.referenceFoodId - Reference food for personal
+   * GI estimates, or null if the user hasn't turned personal GI on
+   * @returns {Promise<object>} - { personalGi, responses } for suggestSwaps
+   */
+  async loadPersonalData({ referenceFoodId = null } = {}) {
+    try {
+      const responses = await this.getResponses();
+
+      return {
+        personalGi: referenceFoodId ? estimatePersonalGi(responses, { referenceFoodId }).estimates : {},
+        responses: aggregateResponsePerCarb(responses),
+      };
+    } catch (error) {
+      console.error('Load substitution data error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the GI to use for a food: the user's personal estimate if there is one
+   * @param {object} food - Food from the GI dataset
+   * @param {object} personalGi - Personal GI estimates by food id
+   * @returns {{gi: number, personal: boolean}}
+   */
+  getEffectiveGi(food, personalGi = {}) {
+    const estimate = personalGi[food.id];
+    return estimate ? { gi: estimate.personalGi, personal: true } : { gi: food.gi, personal: false };
+  }
+
+  /**
+   * Express the original portion in the candidate food: the same amount in
+   * the same unit if the candidate can be measured in it, otherwise the same
+   * weight in grams
+   * @param {object} item - Calculated meal item
+   * @param {object} food - Candidate food
+   * @returns {{quantity: number, unit: string, grams: number}}
+   */
+  getSwapPortion(item, food) {
+    if (nutritionService.getSupportedUnits(food).includes(item.unit)) {
+      return {
+        quantity: item.quantity,
+        unit: item.unit,
+        grams: nutritionService.convertToGrams(item.quantity, item.unit, food),
+      };
+    }
+    return { quantity: Math.round(item.grams), unit: 'g', grams: item.grams };
+  }
+
+  /**
+   * Find lower-GI swaps for one meal item
+   * @param {object} item - Item from calculateMealGlycemicLoad
+   * @param {object} personalData - Result of loadPersonalData; may be empty
+   * @returns {Array<object>} - Swaps, biggest glycemic load saving first:
+   *   { foodId, name, quantity, unit, grams, carbs, gi, personalGi, glycemicLoad, glSaving, respondsBetter }
+   */
+  findSwaps(item, { personalGi = {}, responses = {} } = {}) {
+    const original = foodService.getFoodById(item.foodId);
+
+    if (!original || item.carbs < MIN_ITEM_CARBS) {
+      return [];
+    }
+
+    const originalGl = (this.getEffectiveGi(original, personalGi).gi * item.carbs) / 100;
+    const originalResponse = responses[original.id];
+
+    return foodService.getAllFoods()
+      .filter((food) => food.category === original.category && food.id !== original.id)
+      .map((food) => {
+        const portion = this.getSwapPortion(item, food);
+        const carbs = (food.carbsPer100g * portion.grams) / 100;
+        const { gi, personal } = this.getEffectiveGi(food, personalGi);
+        const glycemicLoad = (gi * carbs) / 100;
+        const response = responses[food.id];
+        const compareResponses = originalResponse?.mealCount >= MIN_RESPONSE_MEALS
+          && response?.mealCount >= MIN_RESPONSE_MEALS;
+
+        return {
+          foodId: food.id,
+          name: food.name,
+          ...portion,
+          grams: roundToTenth(portion.grams),
+          carbs: roundToTenth(carbs),
+          gi,
+          personalGi: personal,
+          glycemicLoad: roundToTenth(glycemicLoad),
+          glSaving: roundToTenth(originalGl - glycemicLoad),
+          carbRatio: carbs / item.carbs,
+          respondsBetter: compareResponses ? response.iaucPerGram < originalResponse.iaucPerGram : null,
+        };
+      })
+      .filter((swap) => Math.abs(swap.carbRatio - 1) <= CARB_TOLERANCE
+        && swap.glSaving >= MIN_GL_SAVING
+        && swap.respondsBetter !== false)
+      .sort((a, b) => b.glSaving - a.glSaving)
+      .slice(0, MAX_SWAPS_PER_ITEM)
+      .map(({ carbRatio, ...swap }) => swap);
+  }
+
+  /**
+   * Suggest swaps for every item of a logged or planned meal
+   * @param {Array<object>} items - Meal items: { foodId, quantity, unit }
+   * @param {object} personalData - Result of loadPersonalData; may be empty
+   * @returns {object} - { items, totalSaving } where each item is a calculated
+   *   meal item with its index in the meal and its swaps (GI and glycemic load
+   *   use personal GI where known), and totalSaving is the glycemic load saved
+   *   by making the top swap for every item
+   */
+  suggestSwaps(items, { personalGi = {}, responses = {} } = {}) {
+    const suggestions = nutritionService.calculateMealGlycemicLoad(items).items
+      .map((item, index) => {
+        const food = foodService.getFoodById(item.foodId);
+        const { gi, personal } = this.getEffectiveGi(food, personalGi);
+        return {
+          ...item,
+          index,
+          gi,
+          personalGi: personal,
+          glycemicLoad: roundToTenth((gi * item.carbs) / 100),
+          swaps: this.findSwaps(item, { personalGi, responses }),
+        };
+      })
+      .filter((item) => item.swaps.length > 0);
+
+    return {
+      items: suggestions,
+      totalSaving: roundToTenth(suggestions.reduce((sum, item) => sum + item.swaps[0].glSaving, 0)),
+    };
+  }
+}
+
+export default new SubstitutionService();
@@ -0,0 +1,474 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { auth, firestore } from './firebase';
+import { isRejectedWriteError, isRetryableError, mapError } from '../utils/errorMapping';
+import { toDate } from '../utils/dateUtils';
+
+// Key for the persisted queue of writes waiting to reach Firestore
+const OUTBOX_KEY = '@GI Tracker:outbox';
+
+// Bookkeeping fields stored on every synced document
+const FIELD_TIMESTAMPS = '_fieldUpdatedAt';
+const LAST_OP_ID = '_lastOpId';
+
+/**
+ * Generate an idempotency key for a queued write
+ * @returns {string} - Unique id
+ */
+const generateOpId = () => {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Encode Dates so write data survives a round trip through JSON
+ * @param {any} value - Value to encode
+ * @returns {any} - JSON-safe value
+ */
+const encodeValue = (value) => {
+  if (value instanceof Date) {
+    return { __date: value.toISOString() };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+  if (value && typeof value === 'object') {
+    const encoded = {};
+    Object.keys(value).forEach((key) => {
+      encoded[key] = encodeValue(value[key]);
+    });
+    return encoded;
+  }
+  return value;
+};
+
+/**
+ * Reverse encodeValue
+ * @param {any} value - Value read from JSON
+ * @returns {any} - Value with Dates restored
+ */
+const decodeValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+  if (value && typeof value === 'object') {
+    if (typeof value.__date === 'string') {
+      return new Date(value.__date);
+    }
+    const decoded = {};
+    Object.keys(value).forEach((key) => {
+      decoded[key] = decodeValue(value[key]);
+    });
+    return decoded;
+  }
+  return value;
+};
+
+/**
+ * Offline-first write queue for meal, glucose and profile data.
+ *
+ * Writes go straight to Firestore when online. When the device is offline (or
+ * Firestore is unreachable) they are kept in an outbox in AsyncStorage and
+ * replayed in order once connectivity returns. Each write carries an
+ * idempotency key, and documents track when each field was last written so
+ * conflicts with edits from other devices resolve last-writer-wins per field.
+ */
+class SyncService {
+  constructor() {
+    this.queue = [];
+    this.isOnline = true;
+    this.isSyncing = false;
+    this.lastError = null;
+    this.droppedWrites = [];
+    this.flushPromise = null;
+    this.listeners = new Set();
+    this.loadPromise = null;
+    this.unsubscribeNetInfo = null;
+    this.unsubscribeAuth = null;
+  }
+
+  /**
+   * Load the outbox and start watching connectivity and sign-ins
+   * @returns {function} - Call to stop watching
+   */
+  start() {
+    if (!this.unsubscribeNetInfo) {
+      this.unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+        const wasOnline = this.isOnline;
+        this.isOnline = state.isConnected !== false && state.isInternetReachable !== false;
+        this.notify();
+
+        if (this.isOnline && !wasOnline) {
+          this.flush();
+        }
+      });
+    }
+
+    // Queued writes wait for a signed-in user (see replayQueue)
+    if (!this.unsubscribeAuth) {
+      this.unsubscribeAuth = auth().onAuthStateChanged((user) => {
+        if (user) {
+          this.flush();
+        }
+      });
+    }
+
+    this.loadQueue().then(() => this.flush());
+
+    return () => this.stop();
+  }
+
+  /**
+   * Stop watching connectivity and sign-ins
+   */
+  stop() {
+    if (this.unsubscribeNetInfo) {
+      this.unsubscribeNetInfo();
+      this.unsubscribeNetInfo = null;
+    }
+    if (this.unsubscribeAuth) {
+      this.unsubscribeAuth();
+      this.unsubscribeAuth = null;
+    }
+  }
+
+  /**
+   * Read the persisted outbox into memory (once)
+   * @returns {Promise<void>}
+   */
+  loadQueue() {
+    if (!this.loadPromise) {
+      this.loadPromise = AsyncStorage.getItem(OUTBOX_KEY)
+        .then((storedQueue) => {
+          const persisted = storedQueue ? decodeValue(JSON.parse(storedQueue)) : [];
+          // Keep anything queued before the outbox finished loading
+          this.queue = [...persisted, ...this.queue];
+          this.notify();
+        })
+        .catch((error) => {
+          console.error('Load outbox error:', error);
+        });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Persist the outbox
+   * @returns {Promise<void>}
+   */
+  async saveQueue() {
+    await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(encodeValue(this.queue)));
+  }
+
+  /**
+   * Remove every queued write, e.g. on logout
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    // Let a running flush finish so it doesn't replay writes being removed
+    if (this.flushPromise) {
+      await this.flushPromise.catch(() => {});
+    }
+
+    this.queue = [];
+    this.lastError = null;
+    this.droppedWrites = [];
+    await AsyncStorage.removeItem(OUTBOX_KEY);
+    this.notify();
+  }
+
+  /**
+   * Subscribe to sync status changes
+   * @param {function} listener - Called with { pendingCount, droppedCount, isOnline, isSyncing, lastError }
+   * @returns {function} - Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getStatus());
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Get the current sync status
+   * @returns {object} - { pendingCount, droppedCount, isOnline, isSyncing, lastError }
+   */
+  getStatus() {
+    return {
+      pendingCount: this.queue.length,
+      droppedCount: this.droppedWrites.length,
+      isOnline: this.isOnline,
+      isSyncing: this.isSyncing,
+      lastError: this.lastError,
+    };
+  }
+
+  /**
+   * Get the queued writes Firestore rejected since the user was last told,
+   * and forget them
+   * @returns {Array<object>} - { path, message } per dropped write
+   */
+  dismissDroppedWrites() {
+    const dropped = this.droppedWrites;
+    this.droppedWrites = [];
+    this.notify();
+    return dropped;
+  }
+
+  /**
+   * Send the current status to every subscriber
+   */
+  notify() {
+    const status = this.getStatus();
+    this.listeners.forEach((listener) => listener(status));
+  }
+
+  /**
+   * Write a document, queueing the write if it can't reach Firestore now
+   * @param {object} write - Write to perform
+   * @param {string} write.type - 'set', 'update' or 'delete'
+   * @param {string} write.path - Document path, e.g. users/{uid}/meals/{mealId}
+   * @param {object} write.data - Fields to write (not used for deletes)
+   * @returns {Promise<{queued: boolean}>} - Whether the write was queued
+   */
+  async write({ type, path, data = {} }) {
+    await this.loadQueue();
+
+    const op = {
+      id: generateOpId(),
+      type,
+      path,
+      data,
+      clientUpdatedAt: Date.now(),
+    };
+
+    // Apply directly only when nothing older is waiting, to keep writes in order
+    if (this.isOnline && this.queue.length === 0) {
+      try {
+        await this.applyOperation(op);
+        return { queued: false };
+      } catch (error) {
+        if (!isRetryableError(error)) {
+          throw error;
+        }
+      }
+    }
+
+    this.queue.push(op);
+    await this.saveQueue();
+    this.notify();
+
+    if (this.isOnline) {
+      this.flush();
+    }
+
+    return { queued: true };
+  }
+
+  /**
+   * Overlay writes still waiting in the outbox onto documents read from a
+   * collection, so screens show data that hasn't reached Firestore yet
+   * @param {string} collectionPath - Collection path, e.g. users/{uid}/meals
+   * @param {Array<object>} documents - Documents read from Firestore: { id, ...data }
+   * @param {function} include - Optional filter for documents that so far
+   *   exist only in the outbox, e.g. to leave out those outside a query's range
+   * @returns {Array<object>} - Documents with queued writes applied
+   */
+  applyPendingWrites(collectionPath, documents, include = null) {
+    const prefix = `${collectionPath}/`;
+    const byId = new Map(documents.map((doc) => [doc.id, doc]));
+    const queuedIds = new Set();
+
+    this.queue.forEach((op) => {
+      const id = op.path.slice(prefix.length);
+
+      if (!op.path.startsWith(prefix) || id.includes('/')) {
+        return;
+      }
+
+      if (op.type === 'delete') {
+        byId.delete(id);
+      } else if (op.type === 'set') {
+        if (!byId.has(id)) {
+          queuedIds.add(id);
+        }
+        byId.set(id, { ...byId.get(id), ...op.data, id });
+      } else if (byId.has(id)) {
+        byId.set(id, { ...byId.get(id), ...op.data });
+      }
+    });
+
+    const result = [...byId.values()];
+    return include ? result.filter((doc) => !queuedIds.has(doc.id) || include(doc)) : result;
+  }
+
+  /**
+   * Overlay queued writes onto one page of a collection paged by timestamp,
+   * newest first. A document still in the outbox goes on the page whose time
+   * span it falls in, so it shows up on exactly one page.
+   * @param {string} collectionPath - Collection path, e.g. users/{uid}/meals
+   * @param {object} page - The page read from Firestore: { items, cursor, hasMore }
+   * @param {object} options - How the page was queried
+   * @param {object} options.previousCursor - Last document of the previous page, if any
+   * @param {Date} options.from - Only include documents at or after this date
+   * @param {Date} options.to - Only include documents at or before this date
+   * @returns {Array<object>} - The page's documents with queued writes applied, newest first
+   */
+  applyPendingWritesToPage(collectionPath, { items, hasMore }, { previousCursor = null, from = null, to = null } = {}) {
+    const newerThan = previousCursor ? toDate(previousCursor.data().timestamp) : null;
+    // Past the last page, everything down to the start of the range is ours
+    const oldest = hasMore ? items[items.length - 1].timestamp : from;
+
+    const isOnPage = (doc) => {
+      const timestamp = toDate(doc.timestamp);
+      return (newerThan ? timestamp < newerThan : !to || timestamp <= to)
+        && (!oldest || timestamp >= oldest);
+    };
+
+    return this.applyPendingWrites(collectionPath, items, isOnPage)
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Overlay queued writes onto documents read for a time range, oldest first
+   * @param {string} collectionPath - Collection path, e.g. users/{uid}/meals
+   * @param {Array<object>} documents - Documents read from Firestore
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Array<object>} - Documents in the range with queued writes applied, oldest first
+   */
+  applyPendingWritesInRange(collectionPath, documents, from, to) {
+    const isInRange = (doc) => {
+      const timestamp = toDate(doc.timestamp);
+      return timestamp >= from && timestamp <= to;
+    };
+
+    return this.applyPendingWrites(collectionPath, documents)
+      .filter(isInRange)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Replay queued writes in order until the outbox is empty or a write can't
+   * go through yet. Calling it while a flush is running waits for that flush.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this.flushPromise) {
+      this.flushPromise = this.replayQueue().finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  /**
+   * Replay the outbox (see flush)
+   * @returns {Promise<void>}
+   */
+  async replayQueue() {
+    // Signed out, security rules deny every write; wait for a session rather
+    // than dropping the outbox as rejected
+    if (!this.isOnline || !auth().currentUser) {
+      return;
+    }
+
+    await this.loadQueue();
+
+    this.isSyncing = true;
+    this.notify();
+
+    try {
+      while (this.queue.length > 0 && this.isOnline) {
+        const op = this.queue[0];
+
+        try {
+          await this.applyOperation(op);
+          this.lastError = null;
+        } catch (error) {
+          if (isRetryableError(error)) {
+            break;
+          }
+
+          // An expired session or an unknown failure may clear up, so keep
+          // the write and try again on the next flush
+          if (!isRejectedWriteError(error)) {
+            console.error('Sync paused:', op.path, error);
+            this.lastError = mapError(error).message;
+            break;
+          }
+
+          // A write Firestore or its rules reject will never be accepted; drop
+          // it so it doesn't block everything queued behind it, and tell the user
+          console.error('Dropping queued write:', op.path, error);
+          this.lastError = mapError(error).message;
+          this.droppedWrites.push({ path: op.path, message: this.lastError });
+        }
+
+        this.queue.shift();
+        await this.saveQueue();
+        this.notify();
+      }
+    } finally {
+      this.isSyncing = false;
+      this.notify();
+    }
+  }
+
+  /**
+   * Apply a single write to Firestore, resolving conflicts last-writer-wins
+   * per field using the write's client timestamp
+   * @param {object} op - Queued write
+   * @returns {Promise<void>}
+   */
+  async applyOperation(op) {
+    const docRef = firestore().doc(op.path);
+
+    await firestore().runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(docRef);
+      const remote = snapshot.exists ? snapshot.data() : null;
+
+      // Already applied, e.g. the app closed before the write was dequeued
+      if (remote && remote[LAST_OP_ID] === op.id) {
+        return;
+      }
+
+      const remoteTimestamps = (remote && remote[FIELD_TIMESTAMPS]) || {};
+
+      if (op.type === 'delete') {
+        const lastRemoteUpdate = Math.max(0, ...Object.values(remoteTimestamps));
+        if (remote && lastRemoteUpdate <= op.clientUpdatedAt) {
+          transaction.delete(docRef);
+        }
+        return;
+      }
+
+      // Updates to a document deleted elsewhere are dropped
+      if (op.type === 'update' && !remote) {
+        return;
+      }
+
+      const fields = {};
+      const fieldTimestamps = {};
+
+      Object.keys(op.data).forEach((field) => {
+        if (!(remoteTimestamps[field] > op.clientUpdatedAt)) {
+          fields[field] = op.data[field];
+          fieldTimestamps[field] = op.clientUpdatedAt;
+        }
+      });
+
+      transaction.set(
+        docRef,
+        {
+          ...fields,
+          [FIELD_TIMESTAMPS]: { ...remoteTimestamps, ...fieldTimestamps },
+          [LAST_OP_ID]: op.id,
+          ...(remote ? {} : { createdAt: firestore.FieldValue.serverTimestamp() }),
+          updatedAt: firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+    });
+  }
+}
+
+export default new SyncService();
@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  CGM_SOURCES,
+  MALFORMED_REASONS,
+  SKIP_REASONS,
+  detectFormat,
+  parseCgmExport,
+  parseCsv,
+  removeDuplicates,
+} from '../cgmImport';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Exports have no time zone column, so timestamps are in the phone's time zone
+const at = (hours, minutes) => new Date(2024, 0, 15, hours, minutes);
+
+const notGlucose = (...rows) => rows.map((row) => ({ row, reason: SKIP_REASONS.NOT_GLUCOSE }));
+
+describe('detectFormat', () => {
+  it('finds the Dexcom Clarity header on the first row', () => {
+    const format = detectFormat(parseCsv(readFixture('clarity-mgdl.csv')));
+
+    expect(format).toMatchObject({
+      source: CGM_SOURCES.DEXCOM,
+      headerRow: 0,
+      columns: { timestamp: 1, eventType: 2, glucose: 7, unit: -1, timeZone: -1 },
+    });
+  });
+
+  it('finds the LibreView header below its title row', () => {
+    const format = detectFormat(parseCsv(readFixture('libreview-mgdl.csv')));
+
+    expect(format).toMatchObject({
+      source: CGM_SOURCES.LIBRE,
+      headerRow: 1,
+      columns: { timestamp: 2, recordType: 3, historic: 4, scan: 5 },
+    });
+  });
+
+  it("doesn't recognize other CSV files", () => {
+    const rows = parseCsv('Date,Time,Glucose\n2024-01-15,08:00,112\n');
+
+    expect(detectFormat(rows)).toBeNull();
+    expect(parseCgmExport('Date,Time,Glucose\n2024-01-15,08:00,112\n')).toBeNull();
+  });
+});
+
+describe('parseCgmExport with Dexcom Clarity', () => {
+  it('reads glucose rows in mg/dL', () => {
+    const { source, readings, skipped, malformed } = parseCgmExport(readFixture('clarity-mgdl.csv'));
+
+    expect(source).toBe(CGM_SOURCES.DEXCOM);
+    expect(readings).toEqual([
+      { row: 8, timestamp: at(8, 0), value: 112, unit: 'mg/dL', valueMgdl: 112 },
+      { row: 9, timestamp: at(8, 5), value: 118, unit: 'mg/dL', valueMgdl: 118 },
+      { row: 11, timestamp: at(8, 10), value: 400, unit: 'mg/dL', valueMgdl: 400 },
+      { row: 12, timestamp: at(8, 15), value: 40, unit: 'mg/dL', valueMgdl: 40 },
+      { row: 15, timestamp: at(8, 30), value: 95, unit: 'mg/dL', valueMgdl: 95 },
+    ]);
+    // Patient, device and alert rows, then insulin and carbs
+    expect(skipped).toEqual(notGlucose(2, 3, 4, 5, 6, 7, 10, 13));
+    expect(malformed).toEqual([{ row: 14, reason: MALFORMED_REASONS.VALUE }]);
+  });
+
+  it('converts mmol/L readings and imports High and Low at the sensor limits', () => {
+    const { readings } = parseCgmExport(readFixture('clarity-mmol.csv'));
+
+    expect(readings.map(({ row, value, unit }) => ({ row, value, unit }))).toEqual([
+      { row: 8, value: 6.2, unit: 'mmol/L' },
+      { row: 9, value: 6.6, unit: 'mmol/L' },
+      // 400 and 40 mg/dL, rounded to one decimal
+      { row: 11, value: 22.2, unit: 'mmol/L' },
+      { row: 12, value: 2.2, unit: 'mmol/L' },
+      { row: 15, value: 5.3, unit: 'mmol/L' },
+    ]);
+    // 6.2 × 18.0156
+    expect(readings[0].valueMgdl).toBeCloseTo(111.70, 2);
+    // 22.2 × 18.0156 and 2.2 × 18.0156
+    expect(readings[2].valueMgdl).toBeCloseTo(399.95, 2);
+    expect(readings[3].valueMgdl).toBeCloseTo(39.63, 2);
+  });
+});
+
+describe('parseCgmExport with LibreView', () => {
+  it('reads historic and scan glucose in mg/dL with US dates', () => {
+    const { source, readings, skipped, malformed } = parseCgmExport(readFixture('libreview-mgdl.csv'));
+
+    expect(source).toBe(CGM_SOURCES.LIBRE);
+    expect(readings).toEqual([
+      { row: 3, timestamp: at(7, 58), value: 104, unit: 'mg/dL', valueMgdl: 104 },
+      { row: 4, timestamp: at(8, 13), value: 131, unit: 'mg/dL', valueMgdl: 131 },
+      { row: 5, timestamp: at(8, 20), value: 142, unit: 'mg/dL', valueMgdl: 142 },
+      { row: 8, timestamp: at(8, 28), value: 150, unit: 'mg/dL', valueMgdl: 150 },
+    ]);
+    // Insulin and note records
+    expect(skipped).toEqual(notGlucose(6, 7));
+    expect(malformed).toEqual([
+      { row: 9, reason: MALFORMED_REASONS.TIMESTAMP },
+      { row: 10, reason: MALFORMED_REASONS.OUT_OF_RANGE },
+    ]);
+  });
+
+  it('reads mmol/L with decimal commas and day-first dates', () => {
+    const { readings, malformed } = parseCgmExport(readFixture('libreview-mmol.csv'));
+
+    expect(readings.map(({ row, timestamp, value, unit }) => ({ row, timestamp, value, unit }))).toEqual([
+      { row: 3, timestamp: at(7, 58), value: 5.8, unit: 'mmol/L' },
+      { row: 4, timestamp: at(8, 13), value: 7.3, unit: 'mmol/L' },
+      { row: 5, timestamp: at(8, 20), value: 7.9, unit: 'mmol/L' },
+      { row: 8, timestamp: at(8, 28), value: 8.3, unit: 'mmol/L' },
+    ]);
+    // 5.8 × 18.0156
+    expect(readings[0].valueMgdl).toBeCloseTo(104.49, 2);
+    // 0.3 mmol/L is below anything a sensor reports
+    expect(malformed).toEqual([
+      { row: 9, reason: MALFORMED_REASONS.TIMESTAMP },
+      { row: 10, reason: MALFORMED_REASONS.OUT_OF_RANGE },
+    ]);
+  });
+});
+
+describe('removeDuplicates', () => {
+  const { readings } = parseCgmExport(readFixture('clarity-mgdl.csv'));
+
+  it('drops readings already stored within a minute and 1 mg/dL', () => {
+    const existing = [
+      // 30 seconds and 0.5 mg/dL from row 8
+      { timestamp: new Date(2024, 0, 15, 8, 0, 30), valueMgdl: 112.5 },
+      // Same time as row 9 but a different value
+      { timestamp: at(8, 5), valueMgdl: 130 },
+      // Same value as row 15 but two minutes later
+      { timestamp: at(8, 32), valueMgdl: 95 },
+    ];
+
+    const { fresh, duplicates } = removeDuplicates(readings, existing);
+
+    expect(duplicates.map(({ row }) => row)).toEqual([8]);
+    expect(fresh.map(({ row }) => row)).toEqual([9, 11, 12, 15]);
+  });
+
+  it('drops rows repeated within the file, e.g. from overlapping exports', () => {
+    const { fresh, duplicates } = removeDuplicates([...readings, ...readings], []);
+
+    expect(fresh).toEqual(readings);
+    expect(duplicates).toEqual(readings);
+  });
+});
@@ -0,0 +1,40 @@
+import { fuzzySearch, normalizeText } from '../fuzzySearch';
+
+const foods = [
+  { name: 'White rice, boiled', synonyms: ['steamed rice', '米饭'] },
+  { name: 'Jalapeño pepper', synonyms: [] },
+  { name: 'Banana, ripe', synonyms: [] },
+];
+
+const search = (query) => fuzzySearch(foods, query, (food) => [food.name, ...food.synonyms])
+  .map((match) => match.item.name);
+
+describe('normalizeText', () => {
+  it('lowercases and strips accents and punctuation', () => {
+    expect(normalizeText('Jalapeño, Pepper!')).toBe('jalapeno pepper');
+  });
+
+  it('keeps letters and digits of non-Latin scripts', () => {
+    expect(normalizeText('米饭（白）')).toBe('米饭 白');
+    expect(normalizeText('Рис 2')).toBe('рис 2');
+  });
+});
+
+describe('fuzzySearch', () => {
+  it('matches typos and partial words', () => {
+    expect(search('rcie')).toEqual(['White rice, boiled']);
+    expect(search('banan')).toEqual(['Banana, ripe']);
+  });
+
+  it('matches regardless of accents', () => {
+    expect(search('jalapeno')).toEqual(['Jalapeño pepper']);
+  });
+
+  it('matches synonyms written in other scripts', () => {
+    expect(search('米饭')).toEqual(['White rice, boiled']);
+  });
+
+  it('returns nothing for a query of only punctuation', () => {
+    expect(search('!?')).toEqual([]);
+  });
+});
@@ -0,0 +1,181 @@
+import {
+  ambulatoryGlucoseProfile,
+  coefficientOfVariation,
+  computeGlucoseMetrics,
+  countDaysWithReadings,
+  glucoseManagementIndicator,
+  mean,
+  percentile,
+  timeInRanges,
+} from '../glucoseMetrics';
+
+const TARGETS = { low: 70, high: 180 };
+
+// Local time, so hours and days don't depend on the machine's time zone
+const reading = (day, hour, valueMgdl) => ({
+  timestamp: new Date(2024, 0, day, hour, 0),
+  valueMgdl,
+});
+
+describe('percentile', () => {
+  const values = [10, 20, 30, 40];
+
+  it('interpolates between ranks', () => {
+    expect(percentile(values, 0)).toBe(10);
+    expect(percentile(values, 25)).toBe(17.5);
+    expect(percentile(values, 50)).toBe(25);
+    expect(percentile(values, 100)).toBe(40);
+  });
+
+  it('returns null without values', () => {
+    expect(percentile([], 50)).toBeNull();
+  });
+});
+
+describe('mean', () => {
+  it('averages the values', () => {
+    expect(mean([100, 200, 150])).toBe(150);
+  });
+
+  it('returns null without values', () => {
+    expect(mean([])).toBeNull();
+  });
+});
+
+describe('coefficientOfVariation', () => {
+  it('uses the sample standard deviation', () => {
+    // Mean 150, variance (50² + 50²) / 1 = 5000, SD 70.71
+    expect(coefficientOfVariation([100, 200])).toBeCloseTo(47.14, 2);
+  });
+
+  it('is zero for steady glucose', () => {
+    expect(coefficientOfVariation([120, 120, 120])).toBe(0);
+  });
+
+  it('needs at least two values', () => {
+    expect(coefficientOfVariation([])).toBeNull();
+    expect(coefficientOfVariation([120])).toBeNull();
+  });
+});
+
+describe('glucoseManagementIndicator', () => {
+  it('applies 3.31 + 0.02392 × mean', () => {
+    expect(glucoseManagementIndicator(154)).toBeCloseTo(6.99, 2);
+    expect(glucoseManagementIndicator(100)).toBeCloseTo(5.702, 3);
+  });
+
+  it('returns null without a mean', () => {
+    expect(glucoseManagementIndicator(null)).toBeNull();
+    expect(glucoseManagementIndicator(NaN)).toBeNull();
+  });
+});
+
+describe('timeInRanges', () => {
+  it('splits readings into below, in range and above', () => {
+    const values = [50, 60, 80, 90, 100, 120, 150, 200, 260, 300];
+
+    expect(timeInRanges(values, TARGETS)).toEqual({
+      veryLow: 10,
+      below: 20,
+      inRange: 50,
+      above: 30,
+      veryHigh: 20,
+    });
+  });
+
+  it('counts the target limits as in range', () => {
+    expect(timeInRanges([70, 180], TARGETS).inRange).toBe(100);
+  });
+
+  it('counts very low from the target when it is under 54 mg/dL', () => {
+    const ranges = timeInRanges([45, 52, 100, 100], { low: 50, high: 180 });
+
+    expect(ranges.veryLow).toBe(25);
+    expect(ranges.below).toBe(25);
+  });
+
+  it('returns null without values', () => {
+    expect(timeInRanges([], TARGETS)).toBeNull();
+  });
+});
+
+describe('ambulatoryGlucoseProfile', () => {
+  it('gives percentiles per hour of day across days', () => {
+    const agp = ambulatoryGlucoseProfile([
+      reading(1, 8, 140),
+      reading(2, 8, 100),
+      reading(3, 8, 180),
+      reading(4, 8, 120),
+      reading(5, 8, 160),
+    ]);
+
+    expect(agp).toHaveLength(24);
+    expect(agp[8]).toEqual({ hour: 8, count: 5, p5: 104, p25: 120, p50: 140, p75: 160, p95: 176 });
+  });
+
+  it('leaves out hours with too few readings', () => {
+    const agp = ambulatoryGlucoseProfile([reading(1, 9, 130)]);
+
+    expect(agp[9]).toEqual({ hour: 9, count: 1, p5: null, p25: null, p50: null, p75: null, p95: null });
+    expect(agp[10].count).toBe(0);
+    expect(agp[10].p50).toBeNull();
+  });
+});
+
+describe('countDaysWithReadings', () => {
+  it('counts distinct days, however sparse', () => {
+    const readings = [reading(1, 7, 100), reading(1, 22, 110), reading(5, 12, 120), reading(20, 3, 90)];
+
+    expect(countDaysWithReadings(readings)).toBe(3);
+  });
+});
+
+describe('computeGlucoseMetrics', () => {
+  it('returns empty metrics without readings', () => {
+    const metrics = computeGlucoseMetrics([], TARGETS);
+
+    expect(metrics).toMatchObject({
+      readingCount: 0,
+      dayCount: 0,
+      meanMgdl: null,
+      cv: null,
+      gmi: null,
+      gmiReliable: false,
+      ranges: null,
+    });
+    expect(metrics.agp.every((hour) => hour.count === 0 && hour.p50 === null)).toBe(true);
+  });
+
+  it('summarises readings over a few days', () => {
+    const readings = [
+      reading(1, 8, 100),
+      reading(1, 20, 200),
+      reading(2, 8, 100),
+      reading(2, 20, 200),
+    ];
+
+    const metrics = computeGlucoseMetrics(readings, TARGETS);
+
+    expect(metrics.readingCount).toBe(4);
+    expect(metrics.dayCount).toBe(2);
+    expect(metrics.meanMgdl).toBe(150);
+    // Sample SD of 100, 200, 100, 200 is 57.74
+    expect(metrics.cv).toBeCloseTo(38.49, 2);
+    expect(metrics.gmi).toBeCloseTo(6.898, 3);
+    expect(metrics.gmiReliable).toBe(false);
+    expect(metrics.ranges).toMatchObject({ below: 0, inRange: 50, above: 50 });
+    expect(metrics.agp[8]).toMatchObject({ count: 2, p50: 100 });
+    expect(metrics.agp[20]).toMatchObject({ count: 2, p50: 200 });
+  });
+
+  it('only trusts GMI with readings on at least 14 days', () => {
+    // One reading every other day: 13 days, then 14
+    const sparse = Array.from({ length: 13 }, (_, i) => reading(1 + i * 2, 12, 154));
+
+    expect(computeGlucoseMetrics(sparse, TARGETS)).toMatchObject({ dayCount: 13, gmiReliable: false });
+
+    const metrics = computeGlucoseMetrics([...sparse, reading(27, 12, 154)], TARGETS);
+    expect(metrics).toMatchObject({ dayCount: 14, gmiReliable: true, meanMgdl: 154, cv: 0 });
+    expect(metrics.gmi).toBeCloseTo(6.99, 2);
+  });
+});
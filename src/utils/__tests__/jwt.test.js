@@ -0,0 +1,68 @@
+import CryptoJS from 'crypto-js';
+import {
+  EXPIRY_SKEW_MS,
+  decodeBase64Url,
+  decodeJwtPayload,
+  getTokenExpiry,
+  isTokenExpired,
+} from '../jwt';
+
+const NOW = Date.UTC(2024, 0, 15, 12, 0);
+
+const base64Url = (text) => CryptoJS.enc.Base64.stringify(CryptoJS.enc.Utf8.parse(text))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .split('=')[0];
+
+const makeToken = (payload) => `${base64Url('{"alg":"RS256"}')}.${base64Url(JSON.stringify(payload))}.signature`;
+
+describe('decodeBase64Url', () => {
+  it('decodes the URL-safe alphabet without padding', () => {
+    // "??>" and "~~~" encode to characters that differ between the alphabets
+    expect(base64Url('??>~~~')).toBe('Pz8-fn5-');
+    expect(decodeBase64Url('Pz8-fn5-')).toBe('??>~~~');
+    expect(decodeBase64Url(base64Url('a'))).toBe('a');
+    expect(decodeBase64Url(base64Url('ab'))).toBe('ab');
+  });
+
+  it('decodes multi-byte UTF-8 characters', () => {
+    expect(decodeBase64Url(base64Url('José 米饭'))).toBe('José 米饭');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => decodeBase64Url('abc$')).toThrow('Invalid base64 character');
+  });
+});
+
+describe('decodeJwtPayload', () => {
+  it('reads the claims', () => {
+    expect(decodeJwtPayload(makeToken({ sub: 'user-1', exp: 1 }))).toEqual({ sub: 'user-1', exp: 1 });
+  });
+
+  it('returns null for malformed tokens', () => {
+    expect(decodeJwtPayload(null)).toBeNull();
+    expect(decodeJwtPayload('only.two')).toBeNull();
+    expect(decodeJwtPayload(`header.${base64Url('not json')}.signature`)).toBeNull();
+  });
+});
+
+describe('isTokenExpired', () => {
+  const expiringIn = (ms) => makeToken({ exp: (NOW + ms) / 1000 });
+
+  it('accepts a token that expires after the clock skew allowance', () => {
+    expect(isTokenExpired(expiringIn(60 * 60 * 1000), NOW)).toBe(false);
+    expect(isTokenExpired(expiringIn(EXPIRY_SKEW_MS + 1000), NOW)).toBe(false);
+  });
+
+  it('treats a token within the clock skew allowance as expired', () => {
+    expect(isTokenExpired(expiringIn(EXPIRY_SKEW_MS), NOW)).toBe(true);
+    expect(isTokenExpired(expiringIn(10 * 1000), NOW)).toBe(true);
+    expect(isTokenExpired(expiringIn(-60 * 1000), NOW)).toBe(true);
+  });
+
+  it('treats tokens without a usable expiry as expired', () => {
+    expect(getTokenExpiry(makeToken({ sub: 'user-1' }))).toBeNull();
+    expect(isTokenExpired(makeToken({ sub: 'user-1' }), NOW)).toBe(true);
+    expect(isTokenExpired('garbage', NOW)).toBe(true);
+  });
+});
@@ -0,0 +1,415 @@
+import { parseNumber } from '../i18n';
+import { MGDL, MMOLL, fromMgdl, isPlausibleGlucose, roundGlucose, toMgdl } from './glucoseUnits';
+
+/**
+ * Parsing of continuous glucose monitor (CGM) exports.
+ *
+ * Supports the CSV files exported by Dexcom Clarity and FreeStyle LibreView.
+ * Each data row becomes a reading, is skipped (device info, insulin, notes
+ * and other non-glucose rows) or is reported as malformed with the reason.
+ * Timestamps are in the device's local time; when the export has a time zone
+ * or UTC offset column it is applied, otherwise the phone's time zone is used.
+ */
+
+export const CGM_SOURCES = {
+  DEXCOM: 'dexcom',
+  LIBRE: 'libre',
+};
+
+// Why a row was not imported
+export const SKIP_REASONS = {
+  NOT_GLUCOSE: 'notGlucose',
+  DUPLICATE: 'duplicate',
+};
+export const MALFORMED_REASONS = {
+  TIMESTAMP: 'timestamp',
+  VALUE: 'value',
+  OUT_OF_RANGE: 'outOfRange',
+};
+
+// A reading this close in time to an existing one with the same value is
+// a duplicate, e.g. from importing overlapping exports
+export const DUPLICATE_WINDOW_MS = 60 * 1000;
+
+// mg/dL difference still treated as the same value, allowing for the
+// rounding of values exported in mmol/L
+const DUPLICATE_TOLERANCE_MGDL = 1;
+
+// Dexcom writes readings beyond the sensor's range as "Low" and "High";
+// they are imported at the range limits so lows still count
+const DEXCOM_LIMITS_MGDL = {
+  low: 40,
+  high: 400,
+};
+
+// LibreView record types holding glucose: 0 = historic (every 15 min), 1 = scan
+const LIBRE_GLUCOSE_RECORD_TYPES = ['0', '1'];
+
+// Rows searched for the column headers; LibreView puts a title row first
+const MAX_HEADER_ROW = 5;
+
+const DELIMITERS = [',', ';', '\t'];
+
+const ISO_TIMESTAMP = /^(\d{4})-(\d{1,2})-(\d{1,2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const NUMERIC_TIMESTAMP = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([AP]M))?$/i;
+
+/**
+ * Pick the delimiter used most on the first lines of a CSV file
+ * @param {string} text - File contents
+ * @returns {string} - Delimiter character
+ */
+const detectDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).slice(0, MAX_HEADER_ROW).join('\n');
+  const counts = DELIMITERS.map((delimiter) => sample.split(delimiter).length);
+  return DELIMITERS[counts.indexOf(Math.max(...counts))];
+};
+
+/**
+ * Split CSV text into rows of fields. Handles quoted fields with embedded
+ * delimiters, quotes and line breaks, a byte order mark, and comma, semicolon
+ * or tab delimiters.
+ * @param {string} text - File contents
+ * @returns {Array<Array<string>>} - Rows of trimmed fields
+ */
+export function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field.trim());
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Find the first column whose header matches a pattern
+ * @param {Array<string>} header - Column headers
+ * @param {RegExp} pattern - Pattern to look for
+ * @returns {number} - Column index, or -1
+ */
+const findColumn = (header, pattern) => header.findIndex((name) => pattern.test(name));
+
+/**
+ * Get the glucose unit named in a column header or unit field
+ * @param {string} text - e.g. "Glucose Value (mmol/L)"
+ * @returns {string} - mmol/L if mentioned, otherwise mg/dL
+ */
+const unitFrom = (text) => (/mmol/i.test(text) ? MMOLL : MGDL);
+
+/**
+ * Work out which app exported the file and where its columns are
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @returns {object|null} - { source, headerRow, columns }, or null if the format is not recognized
+ */
+export function detectFormat(rows) {
+  for (let index = 0; index < Math.min(rows.length, MAX_HEADER_ROW); index += 1) {
+    const header = rows[index];
+    const common = {
+      unit: findColumn(header, /^units?$/i),
+      timeZone: findColumn(header, /time ?zone|utc ?offset/i),
+    };
+
+    const dexcom = {
+      timestamp: findColumn(header, /^timestamp/i),
+      eventType: findColumn(header, /^event type$/i),
+      glucose: findColumn(header, /^glucose value/i),
+    };
+    if (Object.values(dexcom).every((column) => column >= 0)) {
+      return { source: CGM_SOURCES.DEXCOM, headerRow: index, header, columns: { ...common, ...dexcom } };
+    }
+
+    const libre = {
+      timestamp: findColumn(header, /^device timestamp$/i),
+      recordType: findColumn(header, /^record type$/i),
+      historic: findColumn(header, /^historic glucose/i),
+      scan: findColumn(header, /^scan glucose/i),
+    };
+    if (Object.values(libre).every((column) => column >= 0)) {
+      return { source: CGM_SOURCES.LIBRE, headerRow: index, header, columns: { ...common, ...libre } };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a UTC offset or time zone field
+ * @param {string} text - e.g. "+01:00", "-0500", "UTC+2" or "Z"
+ * @returns {number|null} - Offset from UTC in minutes, or null if not recognized
+ */
+export function parseUtcOffset(text) {
+  const value = String(text || '').trim().toUpperCase();
+
+  if (['Z', 'UTC', 'GMT'].includes(value)) {
+    return 0;
+  }
+
+  const match = /^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Decide whether numeric dates in an export are month-first or day-first.
+ * LibreView uses the account's regional format, so the first date with a
+ * part above 12 settles it; US month-first order is assumed otherwise.
+ * @param {Array<string>} timestamps - Timestamp fields
+ * @returns {string} - 'MDY' or 'DMY'
+ */
+export function detectDateOrder(timestamps) {
+  for (const text of timestamps) {
+    const match = NUMERIC_TIMESTAMP.exec(text);
+    if (match && Number(match[1]) > 12) {
+      return 'DMY';
+    }
+    if (match && Number(match[2]) > 12) {
+      return 'MDY';
+    }
+  }
+  return 'MDY';
+}
+
+/**
+ * Build a Date from calendar fields, rejecting impossible dates
+ * @param {object} parts - { year, month, day, hours, minutes, seconds }
+ * @param {number|null} offsetMinutes - UTC offset, or null for the phone's time zone
+ * @returns {Date|null} - The moment, or null if the fields are invalid
+ */
+const buildDate = ({ year, month, day, hours, minutes, seconds }, offsetMinutes) => {
+  if (month < 1 || month > 12 || day < 1 || hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+
+  if (offsetMinutes === null) {
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+    return date.getDate() === day ? date : null;
+  }
+
+  const utc = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  if (utc.getUTCDate() !== day) {
+    return null;
+  }
+  return new Date(utc.getTime() - offsetMinutes * 60 * 1000);
+};
+
+/**
+ * Parse an export timestamp. ISO timestamps may carry their own offset,
+ * which wins over the offset passed in.
+ * @param {string} text - e.g. "2024-01-15T08:05:00" or "01-15-2024 08:05"
+ * @param {object} options - Parsing options
+ * @param {string} options.dateOrder - 'MDY' or 'DMY' for numeric dates
+ * @param {number|null} options.offsetMinutes - UTC offset, or null for the phone's time zone
+ * @returns {Date|null} - The moment, or null if it can't be parsed
+ */
+export function parseTimestamp(text, { dateOrder = 'MDY', offsetMinutes = null } = {}) {
+  const value = String(text || '').trim();
+  const iso = ISO_TIMESTAMP.exec(value);
+
+  if (iso) {
+    return buildDate(
+      {
+        year: Number(iso[1]),
+        month: Number(iso[2]),
+        day: Number(iso[3]),
+        hours: Number(iso[4]),
+        minutes: Number(iso[5]),
+        seconds: Number(iso[6] || 0),
+      },
+      iso[7] ? parseUtcOffset(iso[7]) : offsetMinutes
+    );
+  }
+
+  const numeric = NUMERIC_TIMESTAMP.exec(value);
+  if (!numeric) {
+    return null;
+  }
+
+  let hours = Number(numeric[4]);
+  const meridiem = numeric[7] ? numeric[7].toUpperCase() : null;
+  if (meridiem && (hours < 1 || hours > 12)) {
+    return null;
+  }
+  if (meridiem) {
+    hours = (hours % 12) + (meridiem === 'PM' ? 12 : 0);
+  }
+
+  const [first, second] = [Number(numeric[1]), Number(numeric[2])];
+  return buildDate(
+    {
+      year: Number(numeric[3]),
+      month: dateOrder === 'DMY' ? second : first,
+      day: dateOrder === 'DMY' ? first : second,
+      hours,
+      minutes: Number(numeric[5]),
+      seconds: Number(numeric[6] || 0),
+    },
+    offsetMinutes
+  );
+}
+
+/**
+ * Read the glucose field of a data row
+ * @param {string} source - One of CGM_SOURCES
+ * @param {Array<string>} row - Data row
+ * @param {object} format - Result of detectFormat
+ * @returns {{field: string, header: string}|null} - The glucose field and its column header, or null for non-glucose rows
+ */
+const getGlucoseField = (source, row, { header, columns }) => {
+  if (source === CGM_SOURCES.DEXCOM) {
+    return row[columns.eventType] === 'EGV'
+      ? { field: row[columns.glucose], header: header[columns.glucose] }
+      : null;
+  }
+
+  const recordType = row[columns.recordType];
+  if (!LIBRE_GLUCOSE_RECORD_TYPES.includes(recordType)) {
+    return null;
+  }
+  const column = recordType === '0' ? columns.historic : columns.scan;
+  return { field: row[column], header: header[column] };
+};
+
+/**
+ * Parse a Dexcom Clarity or LibreView CSV export
+ * @param {string} text - File contents
+ * @returns {object|null} - { source, readings, skipped, malformed }, or null if
+ * the file is not a supported export. Readings are { row, timestamp, value,
+ * unit, valueMgdl }; skipped and malformed entries are { row, reason }, with
+ * 1-based row numbers in the file.
+ */
+export function parseCgmExport(text) {
+  const rows = parseCsv(text);
+  const format = detectFormat(rows);
+
+  if (!format) {
+    return null;
+  }
+
+  const { source, headerRow, columns } = format;
+  const dataRows = rows
+    .map((row, index) => ({ row, number: index + 1 }))
+    .slice(headerRow + 1)
+    .filter(({ row }) => row.some((field) => field !== ''));
+  const dateOrder = detectDateOrder(dataRows.map(({ row }) => row[columns.timestamp] || ''));
+
+  const readings = [];
+  const skipped = [];
+  const malformed = [];
+
+  dataRows.forEach(({ row, number }) => {
+    const glucose = getGlucoseField(source, row, format);
+
+    if (!glucose) {
+      skipped.push({ row: number, reason: SKIP_REASONS.NOT_GLUCOSE });
+      return;
+    }
+
+    const offsetText = columns.timeZone >= 0 ? row[columns.timeZone] : '';
+    const offsetMinutes = offsetText ? parseUtcOffset(offsetText) : null;
+    const timestamp = offsetText && offsetMinutes === null
+      ? null
+      : parseTimestamp(row[columns.timestamp], { dateOrder, offsetMinutes });
+
+    if (!timestamp) {
+      malformed.push({ row: number, reason: MALFORMED_REASONS.TIMESTAMP });
+      return;
+    }
+
+    const unit = columns.unit >= 0 && row[columns.unit] ? unitFrom(row[columns.unit]) : unitFrom(glucose.header);
+    const limitMgdl = source === CGM_SOURCES.DEXCOM ? DEXCOM_LIMITS_MGDL[glucose.field.toLowerCase()] : undefined;
+    const value = limitMgdl ? roundGlucose(fromMgdl(limitMgdl, unit), unit) : parseNumber(glucose.field);
+
+    if (Number.isNaN(value)) {
+      malformed.push({ row: number, reason: MALFORMED_REASONS.VALUE });
+      return;
+    }
+
+    if (!isPlausibleGlucose(value, unit)) {
+      malformed.push({ row: number, reason: MALFORMED_REASONS.OUT_OF_RANGE });
+      return;
+    }
+
+    readings.push({ row: number, timestamp, value, unit, valueMgdl: toMgdl(value, unit) });
+  });
+
+  return { source, readings, skipped, malformed };
+}
+
+/**
+ * Split parsed readings into new ones and duplicates of existing readings
+ * or of earlier rows in the same file
+ * @param {Array<object>} readings - Parsed readings with a timestamp and valueMgdl
+ * @param {Array<object>} existingReadings - Stored readings with a timestamp and valueMgdl
+ * @returns {{fresh: Array<object>, duplicates: Array<object>}} - Readings to write and the rest
+ */
+export function removeDuplicates(readings, existingReadings) {
+  // Readings by minute, so each check only looks at a few neighbours
+  const byMinute = new Map();
+  const minuteOf = (timestamp) => Math.floor(timestamp.getTime() / DUPLICATE_WINDOW_MS);
+  const remember = (reading) => {
+    const minute = minuteOf(reading.timestamp);
+    byMinute.set(minute, [...(byMinute.get(minute) || []), reading]);
+  };
+  const isDuplicate = (reading) => {
+    const minute = minuteOf(reading.timestamp);
+    return [minute - 1, minute, minute + 1].some((key) => (byMinute.get(key) || []).some((other) => (
+      Math.abs(other.timestamp.getTime() - reading.timestamp.getTime()) <= DUPLICATE_WINDOW_MS &&
+      Math.abs(other.valueMgdl - reading.valueMgdl) <= DUPLICATE_TOLERANCE_MGDL
+    )));
+  };
+
+  existingReadings.forEach(remember);
+
+  const fresh = [];
+  const duplicates = [];
+  readings.forEach((reading) => {
+    if (isDuplicate(reading)) {
+      duplicates.push(reading);
+    } else {
+      fresh.push(reading);
+      remember(reading);
+    }
+  });
+
+  return { fresh, duplicates };
+}
@@ -0,0 +1,151 @@
+import { t, tList } from '../i18n';
+
+/**
+ * Date helpers shared by the logging screens and services
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Convert a Firestore Timestamp, Date, ISO string or millisecond value to a Date
+ * @param {any} value - Value to convert
+ * @returns {Date|null} - The date or null if value is empty
+ */
+export function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate();
+  }
+  return new Date(value);
+}
+
+/**
+ * Format a date for text inputs as "YYYY-MM-DD HH:MM" in local time
+ * @param {Date} date - Date to format
+ * @returns {string} - Formatted date
+ */
+export function formatDateTimeInput(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Parse a "YYYY-MM-DD HH:MM" string entered by the user as local time
+ * @param {string} text - Text to parse
+ * @returns {Date|null} - The date or null if the text isn't a valid date
+ */
+export function parseDateTimeInput(text) {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})\s+(\d{1,2}):(\d{2})$/.exec((text || '').trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes] = match.map(Number);
+  const date = new Date(year, month - 1, day, hours, minutes);
+
+  // Reject dates that rolled over, e.g. 2024-02-31
+  if (date.getMonth() !== month - 1 || date.getDate() !== day || hours > 23) {
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * Format a date for display in the current language, e.g. "Mar 5, 08:30"
+ * @param {Date} date - Date to format
+ * @returns {string} - Formatted date
+ */
+export function formatDateTime(date) {
+  return t('dates.dateTime', {
+    month: tList('dates.monthsShort')[date.getMonth()],
+    day: date.getDate(),
+    time: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+  });
+}
+
+/**
+ * Format a day heading for grouped lists: "Today", "Yesterday" or "Mon, Mar 5"
+ * @param {Date} date - Any time on the day
+ * @returns {string} - Formatted heading
+ */
+export function formatDayHeading(date) {
+  const today = startOfDay(new Date());
+  const diffDays = Math.round((today - startOfDay(date)) / (24 * 60 * 60 * 1000));
+
+  if (diffDays === 0) {
+    return t('dates.today');
+  }
+  if (diffDays === 1) {
+    return t('dates.yesterday');
+  }
+  return formatDay(date);
+}
+
+/**
+ * Format a day with its weekday, e.g. "Mon, Mar 5"
+ * @param {Date} date - Any time on the day
+ * @returns {string} - Formatted day
+ */
+export function formatDay(date) {
+  return t('dates.dayHeading', {
+    weekday: tList('dates.weekdaysShort')[date.getDay()],
+    month: tList('dates.monthsShort')[date.getMonth()],
+    day: date.getDate(),
+  });
+}
+
+/**
+ * Get midnight (local time) at the start of a date's day
+ * @param {Date} date - Any time on the day
+ * @returns {Date} - Start of the day
+ */
+export function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Get a date's calendar day as a "YYYY-MM-DD" key in local time
+ * @param {Date} date - Any time on the day
+ * @returns {string} - Day key, e.g. "2024-03-05"
+ */
+export function toDateKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse a "YYYY-MM-DD" day key
+ * @param {string} key - Day key
+ * @returns {Date} - Midnight (local time) at the start of the day
+ */
+export function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Move a date by whole days, keeping the local time of day
+ * @param {Date} date - Date to start from
+ * @param {number} days - Days to add; negative to go back
+ * @returns {Date} - The new date
+ */
+export function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Get midnight (local time) on the Monday of a date's week
+ * @param {Date} date - Any time in the week
+ * @returns {Date} - Start of the week
+ */
+export function startOfWeek(date) {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getDay() + 6) % 7));
+}
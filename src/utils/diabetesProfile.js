@@ -0,0 +1,153 @@
+import {
+  glucoseInRange,
+  greaterThanField,
+  numberInRange,
+  oneOf,
+  required,
+  satisfies,
+} from './validation';
+
+/**
+ * Diabetes types, treatment regimens, glucose targets and meal times: the
+ * clinical profile that onboarding collects and the profile screen edits
+ */
+
+export const DIABETES_TYPES = ['Type 1', 'Type 2', 'Gestational', 'Prediabetes'];
+
+export const TREATMENT_REGIMENS = ['diet_only', 'oral_meds', 'basal_bolus', 'pump'];
+
+// Regimens that make sense for each diabetes type. Type 1 always needs
+// insulin; prediabetes is managed without it.
+export const REGIMENS_BY_DIABETES_TYPE = {
+  'Type 1': ['basal_bolus', 'pump'],
+  'Type 2': ['diet_only', 'oral_meds', 'basal_bolus', 'pump'],
+  Gestational: ['diet_only', 'oral_meds', 'basal_bolus'],
+  Prediabetes: ['diet_only', 'oral_meds'],
+};
+
+// Suggested target ranges in mg/dL. Type 1 and 2 use the consensus 70-180
+// time-in-range target; pregnancy uses the tighter 63-140 range.
+const DEFAULT_TARGETS_MGDL = {
+  'Type 1': { low: 70, high: 180 },
+  'Type 2': { low: 70, high: 180 },
+  Gestational: { low: 63, high: 140 },
+  Prediabetes: { low: 70, high: 140 },
+};
+const FALLBACK_TARGETS_MGDL = { low: 70, high: 180 };
+
+// Accepted ranges for the clinical settings, in mg/dL where relevant
+export const TARGET_LOW_RANGE_MGDL = [60, 150];
+export const TARGET_HIGH_RANGE_MGDL = [100, 300];
+export const INSULIN_TO_CARB_RANGE = [1, 150];
+export const CORRECTION_FACTOR_RANGE_MGDL = [5, 400];
+
+// Daily budgets for the meal planner until the user sets their own. A day
+// under 100 glycemic load counts as a low-GL diet in most studies.
+export const DEFAULT_DAILY_BUDGETS = { glycemicLoad: 100, carbs: 180 };
+
+// Accepted ranges for the daily budgets (glycemic load and grams of carbs)
+export const DAILY_GL_BUDGET_RANGE = [20, 300];
+export const DAILY_CARB_BUDGET_RANGE = [20, 500];
+
+// Typical meal times (24-hour HH:MM) used until the user sets their own
+export const DEFAULT_MEAL_TIMES = {
+  breakfast: '07:30',
+  lunch: '12:30',
+  dinner: '18:30',
+};
+
+/**
+ * Get the regimens to offer for a diabetes type
+ * @param {string} diabetesType - One of DIABETES_TYPES
+ * @returns {Array<string>} - Regimen ids; every regimen if the type is unknown
+ */
+export function getRegimenOptions(diabetesType) {
+  return REGIMENS_BY_DIABETES_TYPE[diabetesType] || TREATMENT_REGIMENS;
+}
+
+/**
+ * Check whether a regimen involves insulin doses
+ * @param {string} regimen - One of TREATMENT_REGIMENS
+ * @returns {boolean} - True for injections and pumps
+ */
+export function usesInsulin(regimen) {
+  return regimen === 'basal_bolus' || regimen === 'pump';
+}
+
+/**
+ * Get the suggested target range for a diabetes type
+ * @param {string} diabetesType - One of DIABETES_TYPES
+ * @returns {{low: number, high: number}} - Target range in mg/dL
+ */
+export function getDefaultTargets(diabetesType) {
+  return DEFAULT_TARGETS_MGDL[diabetesType] || FALLBACK_TARGETS_MGDL;
+}
+
+/**
+ * Get the meal planner's daily budgets from the profile
+ * @param {object} profile - User profile
+ * @returns {{glycemicLoad: number, carbs: number}} - Daily glycemic load and carbs (g)
+ */
+export function getDailyBudgets(profile) {
+  return {
+    glycemicLoad: profile?.dailyGlBudget || DEFAULT_DAILY_BUDGETS.glycemicLoad,
+    carbs: profile?.dailyCarbBudget || DEFAULT_DAILY_BUDGETS.carbs,
+  };
+}
+
+/**
+ * Parse a 24-hour meal time
+ * @param {string} text - Time as HH:MM, e.g. "7:30" or "18:30"
+ * @returns {number|null} - Minutes after midnight, or null if invalid
+ */
+export function parseMealTime(text) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(text).trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Format minutes after midnight as a 24-hour meal time
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} - Time as HH:MM
+ */
+export function formatMealTime(minutes) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Validation rules for the clinical settings, shared by onboarding and the
+ * profile screen. Glucose values are entered in the form's "unit".
+ */
+export const CLINICAL_SETTINGS_SCHEMA = {
+  diabetesType: [
+    required('validation.diabetesTypeRequired'),
+    oneOf(DIABETES_TYPES, 'validation.diabetesTypeRequired'),
+  ],
+  treatmentRegimen: [
+    satisfies((value, values) => getRegimenOptions(values.diabetesType).includes(value), 'validation.regimenInvalid'),
+  ],
+  targetLow: [required(), glucoseInRange(TARGET_LOW_RANGE_MGDL, 'profile.rangeError')],
+  targetHigh: [
+    required(),
+    glucoseInRange(TARGET_HIGH_RANGE_MGDL, 'profile.rangeError'),
+    greaterThanField('targetLow', 'profile.targetOrder'),
+  ],
+  insulinToCarbRatio: [numberInRange(INSULIN_TO_CARB_RANGE, 'profile.ratioError')],
+  correctionFactor: [glucoseInRange(CORRECTION_FACTOR_RANGE_MGDL, 'profile.correctionFactorError')],
+};
+
+// Validation rules for the meal planner's daily budgets
+export const DAILY_BUDGETS_SCHEMA = {
+  dailyGlBudget: [required(), numberInRange(DAILY_GL_BUDGET_RANGE, 'profile.budgetError')],
+  dailyCarbBudget: [required(), numberInRange(DAILY_CARB_BUDGET_RANGE, 'profile.budgetError')],
+};
+
+const validMealTime = satisfies((value) => parseMealTime(value) !== null, 'validation.mealTimeFormat');
+
+// Validation rules for the usual meal times
+export const MEAL_TIMES_SCHEMA = {
+  breakfast: [required(), validMealTime],
+  lunch: [required(), validMealTime],
+  dinner: [required(), validMealTime],
+};
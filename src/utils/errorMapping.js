@@ -0,0 +1,145 @@
+import { t } from '../i18n';
+
+/**
+ * Maps Firebase Auth and Firestore errors to user-facing messages.
+ *
+ * Every screen and AuthContext should go through mapError rather than
+ * checking error codes themselves, so the same error always reads the same
+ * way. The messages themselves live in the "errors" section of the
+ * translation catalogs.
+ */
+
+// code -> [messageKey, retry hint (errors.hints.*) or null]
+const ERROR_MESSAGES = {
+  // Firebase Auth
+  'auth/invalid-email': ['errors.invalidEmail', null],
+  'auth/missing-email': ['errors.invalidEmail', null],
+  'auth/user-not-found': ['errors.userNotFound', null],
+  'auth/wrong-password': ['errors.wrongPassword', null],
+  'auth/invalid-credential': ['errors.invalidCredential', null],
+  'auth/invalid-login-credentials': ['errors.invalidCredential', null],
+  'auth/user-disabled': ['errors.userDisabled', null],
+  'auth/email-already-in-use': ['errors.emailInUse', null],
+  'auth/credential-already-in-use': ['errors.credentialInUse', null],
+  'auth/provider-already-linked': ['errors.providerLinked', null],
+  'auth/account-exists-with-different-credential': ['errors.accountExists', null],
+  'auth/weak-password': ['errors.weakPassword', null],
+  'auth/requires-recent-login': ['errors.recentLogin', null],
+  'auth/reauthentication-failed': ['errors.reauthFailed', null],
+  'auth/user-token-expired': ['errors.sessionExpired', null],
+  'auth/operation-not-allowed': ['errors.notAllowed', null],
+  'auth/expired-action-code': ['errors.linkExpired', null],
+  'auth/invalid-action-code': ['errors.linkInvalid', null],
+  'auth/too-many-requests': ['errors.tooManyRequests', 'later'],
+  'auth/network-request-failed': ['errors.network', 'network'],
+  'auth/internal-error': ['errors.server', 'again'],
+
+  // Firestore
+  'firestore/permission-denied': ['errors.permissionDenied', null],
+  'firestore/unauthenticated': ['errors.sessionExpired', null],
+  'firestore/not-found': ['errors.notFound', null],
+  'firestore/already-exists': ['errors.alreadyExists', null],
+  'firestore/invalid-argument': ['errors.invalidData', null],
+  'firestore/failed-precondition': ['errors.server', 'again'],
+  'firestore/out-of-range': ['errors.invalidData', null],
+  'firestore/unavailable': ['errors.offline', 'network'],
+  'firestore/deadline-exceeded': ['errors.timeout', 'again'],
+  'firestore/aborted': ['errors.conflict', 'again'],
+  'firestore/resource-exhausted': ['errors.quota', 'later'],
+  'firestore/cancelled': ['errors.cancelled', 'again'],
+  'firestore/internal': ['errors.server', 'again'],
+  'firestore/data-loss': ['errors.server', null],
+  'firestore/unimplemented': ['errors.server', null],
+  'firestore/unknown': ['errors.unknown', 'again'],
+
+  // Offline write queue
+  'sync/pending-writes': ['errors.pendingWrites', null],
+
+  // CGM import
+  'import/unrecognized-format': ['errors.importFormat', null],
+
+  // Nightscout
+  'nightscout/invalid-url': ['errors.nightscoutUrl', null],
+  'nightscout/unauthorized': ['errors.nightscoutUnauthorized', null],
+  'nightscout/unreachable': ['errors.nightscoutUnreachable', 'network'],
+  'nightscout/server-error': ['errors.nightscoutServer', 'later'],
+};
+
+// Errors worth retrying automatically, e.g. by the offline write queue.
+// Other errors with a retry hint need the user to act (or wait) first.
+const RETRYABLE_CODES = [
+  'auth/network-request-failed',
+  'firestore/unavailable',
+  'firestore/deadline-exceeded',
+  'firestore/aborted',
+  'firestore/resource-exhausted',
+];
+
+// Write errors meaning Firestore rejected the write itself, so the same write
+// can never succeed. Security rules reject bad data with permission-denied.
+const REJECTED_WRITE_CODES = [
+  'firestore/invalid-argument',
+  'firestore/out-of-range',
+  'firestore/permission-denied',
+];
+
+/**
+ * Map an error to what the user should see, in the current language
+ * @param {Error} error - Error thrown by Firebase or a service
+ * @param {string} fallbackMessage - Message for errors without a known code; defaults to errors.unknown
+ * @returns {object} - { code, messageKey, message, retryable, retryHint }
+ */
+export function mapError(error, fallbackMessage) {
+  const code = error?.code || null;
+  const entry = ERROR_MESSAGES[code];
+
+  if (!entry) {
+    return {
+      code,
+      messageKey: 'errors.unknown',
+      message: fallbackMessage || t('errors.unknown'),
+      retryable: false,
+      retryHint: null,
+    };
+  }
+
+  const [messageKey, hint] = entry;
+
+  return {
+    code,
+    messageKey,
+    message: t(messageKey),
+    retryable: RETRYABLE_CODES.includes(code),
+    retryHint: hint ? t(`errors.hints.${hint}`) : null,
+  };
+}
+
+/**
+ * Check whether an operation that failed with this error can be retried as is
+ * @param {Error} error - Error thrown by Firebase
+ * @returns {boolean} - True if retrying later may succeed
+ */
+export function isRetryableError(error) {
+  return mapError(error).retryable;
+}
+
+/**
+ * Check whether a write failed because Firestore or its security rules
+ * rejected it, rather than because of the connection or the session
+ * @param {Error} error - Error thrown by Firestore
+ * @returns {boolean} - True if retrying the write can never succeed
+ */
+export function isRejectedWriteError(error) {
+  return REJECTED_WRITE_CODES.includes(error?.code);
+}
+
+/**
+ * Get the full message to show for an error, including any retry hint
+ * @param {Error} error - Error thrown by Firebase or a service
+ * @param {string} fallbackMessage - Message for errors without a known code
+ * @returns {string} - Message for an alert or inline error
+ */
+export function getErrorMessage(error, fallbackMessage) {
+  const { message, retryHint } = mapError(error, fallbackMessage);
+  return retryHint ? t('errors.withHint', { message, hint: retryHint }) : message;
+}
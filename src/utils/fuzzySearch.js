@@ -0,0 +1,178 @@
+/**
+ * Typo-tolerant text matching used by the food search
+ */
+
+/**
+ * Normalize text for comparison: lowercase, strip accents and punctuation.
+ * Letters and digits of every script are kept, so non-Latin names still match.
+ * @param {string} text - Raw text
+ * @returns {string} - Normalized text
+ */
+export function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of edits needed to turn a into b
+ */
+export function editDistance(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (!a.length) {
+    return b.length;
+  }
+  if (!b.length) {
+    return a.length;
+  }
+
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+
+      // Adjacent transposition ("rcie" -> "rice")
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Number of typos tolerated for a query word of the given length
+ * @param {number} length - Length of the query word
+ * @returns {number} - Maximum edit distance
+ */
+function allowedEdits(length) {
+  if (length <= 3) {
+    return 0;
+  }
+  if (length <= 6) {
+    return 1;
+  }
+  return 2;
+}
+
+/**
+ * Score how well a single query word matches a single candidate word
+ * @param {string} queryWord - Word from the search query
+ * @param {string} word - Word from the candidate text
+ * @returns {number} - Score between 0 (no match) and 1 (exact match)
+ */
+function scoreWord(queryWord, word) {
+  if (word === queryWord) {
+    return 1;
+  }
+  if (word.startsWith(queryWord)) {
+    return 0.9;
+  }
+
+  // Compare against the same-length prefix too, so partially typed words
+  // with a typo ("banan" -> "bananas", "straw" -> "strawberries") still match
+  const prefix = word.slice(0, queryWord.length);
+  const distance = Math.min(
+    editDistance(queryWord, word),
+    editDistance(queryWord, prefix)
+  );
+  const maxEdits = allowedEdits(queryWord.length);
+
+  if (distance > maxEdits) {
+    return 0;
+  }
+  return 0.8 - distance * 0.2;
+}
+
+/**
+ * Score how well a query matches a piece of text. Every query word must match
+ * some word in the text for the text to count as a match.
+ * @param {string} query - Normalized search query
+ * @param {string} text - Normalized candidate text
+ * @returns {number} - Score between 0 (no match) and 1 (exact match)
+ */
+export function scoreText(query, text) {
+  if (!query || !text) {
+    return 0;
+  }
+  if (text === query) {
+    return 1;
+  }
+  if (text.startsWith(query)) {
+    return 0.95;
+  }
+
+  const queryWords = query.split(' ');
+  const words = text.split(' ');
+  let total = 0;
+
+  for (const queryWord of queryWords) {
+    let best = 0;
+    for (const word of words) {
+      best = Math.max(best, scoreWord(queryWord, word));
+    }
+    if (best === 0) {
+      return 0;
+    }
+    total += best;
+  }
+
+  // Slightly favour texts where the query covers more of the words
+  const coverage = queryWords.length / Math.max(words.length, queryWords.length);
+  return (total / queryWords.length) * (0.85 + 0.1 * coverage);
+}
+
+/**
+ * Rank items against a query using typo-tolerant matching
+ * @param {Array<object>} items - Items to search
+ * @param {string} query - Raw search query
+ * @param {function} getTexts - Returns the searchable texts for an item
+ * @param {object} options - Search options
+ * @param {number} options.limit - Maximum number of results
+ * @param {number} options.minScore - Minimum score for an item to be returned
+ * @returns {Array<{item: object, score: number}>} - Matches, best first
+ */
+export function fuzzySearch(items, query, getTexts, { limit = 50, minScore = 0.3 } = {}) {
+  const normalizedQuery = normalizeText(query);
+
+  if (!normalizedQuery) {
+    return [];
+  }
+
+  const matches = [];
+
+  for (const item of items) {
+    let best = 0;
+    for (const text of getTexts(item)) {
+      best = Math.max(best, scoreText(normalizedQuery, normalizeText(text)));
+    }
+    if (best >= minScore) {
+      matches.push({ item, score: best });
+    }
+  }
+
+  matches.sort((a, b) => b.score - a.score);
+  return matches.slice(0, limit);
+}
@@ -0,0 +1,170 @@
+/**
+ * Glucose control metrics for the dashboard.
+ *
+ * Follows the international consensus on time in range: the share of readings
+ * below, within and above the target range, the coefficient of variation,
+ * mean glucose and the glucose management indicator (GMI, an HbA1c estimate
+ * from mean glucose). The ambulatory glucose profile (AGP) summarises the
+ * readings by hour of day as a median with percentile bands.
+ *
+ * Every reading counts equally, which matches time for evenly spaced CGM data
+ * and approximates it for fingerstick readings.
+ */
+
+// Periods the dashboard offers, in days
+export const METRIC_PERIODS_DAYS = [7, 14, 30, 90];
+
+// Consensus thresholds for clinically significant lows and highs, in mg/dL
+export const VERY_LOW_MGDL = 54;
+export const VERY_HIGH_MGDL = 250;
+
+// Variability above this CV (%) is considered unstable
+export const CV_STABLE_LIMIT = 36;
+
+// GMI is only validated for at least 14 days of data
+export const MIN_GMI_DAYS = 14;
+
+// Percentiles drawn in the AGP, outer band to inner band
+export const AGP_PERCENTILES = [5, 25, 50, 75, 95];
+
+// Hours with fewer readings than this are left out of the AGP
+export const MIN_AGP_HOUR_READINGS = 2;
+
+/**
+ * Value at a percentile of sorted values, interpolating between ranks
+ * @param {Array<number>} sortedValues - Values in ascending order
+ * @param {number} p - Percentile from 0 to 100
+ * @returns {number|null} - The percentile, or null without values
+ */
+export function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+
+  const rank = (p / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+}
+
+/**
+ * Mean of a list of values
+ * @param {Array<number>} values - Values
+ * @returns {number|null} - The mean, or null without values
+ */
+export function mean(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Coefficient of variation: standard deviation as a percentage of the mean
+ * @param {Array<number>} values - Glucose values in mg/dL
+ * @returns {number|null} - CV in percent, or null with fewer than 2 values
+ */
+export function coefficientOfVariation(values) {
+  if (values.length < 2) {
+    return null;
+  }
+
+  const average = mean(values);
+  const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+  return (Math.sqrt(variance) / average) * 100;
+}
+
+/**
+ * Glucose management indicator from mean glucose (Bergenstal et al., 2018)
+ * @param {number} meanMgdl - Mean glucose in mg/dL
+ * @returns {number|null} - Estimated HbA1c in percent, or null without a mean
+ */
+export function glucoseManagementIndicator(meanMgdl) {
+  if (typeof meanMgdl !== 'number' || !Number.isFinite(meanMgdl)) {
+    return null;
+  }
+  return 3.31 + 0.02392 * meanMgdl;
+}
+
+/**
+ * Share of values below, within and above the target range. The very low
+ * and very high shares are the part of below and above past the consensus
+ * thresholds.
+ * @param {Array<number>} values - Glucose values in mg/dL
+ * @param {{low: number, high: number}} targets - Target range in mg/dL, inclusive
+ * @returns {object|null} - { veryLow, below, inRange, above, veryHigh } in percent, or null without values
+ */
+export function timeInRanges(values, targets) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const share = (predicate) => (values.filter(predicate).length / values.length) * 100;
+
+  return {
+    veryLow: share((value) => value < Math.min(VERY_LOW_MGDL, targets.low)),
+    below: share((value) => value < targets.low),
+    inRange: share((value) => value >= targets.low && value <= targets.high),
+    above: share((value) => value > targets.high),
+    veryHigh: share((value) => value > Math.max(VERY_HIGH_MGDL, targets.high)),
+  };
+}
+
+/**
+ * Ambulatory glucose profile: percentiles of the readings in each hour of
+ * the day, whatever day they were taken on
+ * @param {Array<object>} readings - Readings with a timestamp (Date) and valueMgdl
+ * @returns {Array<object>} - 24 entries { hour, count, p5, p25, p50, p75, p95 };
+ * percentiles are null for hours with too few readings
+ */
+export function ambulatoryGlucoseProfile(readings) {
+  const byHour = Array.from({ length: 24 }, () => []);
+  readings.forEach((reading) => {
+    byHour[reading.timestamp.getHours()].push(reading.valueMgdl);
+  });
+
+  return byHour.map((values, hour) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const entry = { hour, count: sorted.length };
+
+    AGP_PERCENTILES.forEach((p) => {
+      entry[`p${p}`] = sorted.length >= MIN_AGP_HOUR_READINGS ? percentile(sorted, p) : null;
+    });
+
+    return entry;
+  });
+}
+
+/**
+ * Count the calendar days that have at least one reading
+ * @param {Array<object>} readings - Readings with a timestamp (Date)
+ * @returns {number} - Number of distinct local dates
+ */
+export function countDaysWithReadings(readings) {
+  const days = new Set(readings.map((reading) => reading.timestamp.toDateString()));
+  return days.size;
+}
+
+/**
+ * Compute every dashboard metric for a set of readings
+ * @param {Array<object>} readings - Readings with a timestamp (Date) and valueMgdl
+ * @param {{low: number, high: number}} targets - Target range in mg/dL
+ * @returns {object} - { readingCount, dayCount, meanMgdl, cv, gmi, gmiReliable,
+ * ranges, agp }; values are null when there are too few readings
+ */
+export function computeGlucoseMetrics(readings, targets) {
+  const values = readings.map((reading) => reading.valueMgdl);
+  const meanMgdl = mean(values);
+  const dayCount = countDaysWithReadings(readings);
+
+  return {
+    readingCount: values.length,
+    dayCount,
+    meanMgdl,
+    cv: coefficientOfVariation(values),
+    gmi: glucoseManagementIndicator(meanMgdl),
+    gmiReliable: dayCount >= MIN_GMI_DAYS,
+    ranges: timeInRanges(values, targets),
+    agp: ambulatoryGlucoseProfile(readings),
+  };
+}
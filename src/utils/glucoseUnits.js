@@ -0,0 +1,143 @@
+import { formatNumber } from '../i18n';
+
+/**
+ * Blood glucose unit conversion and plausibility checks
+ */
+
+export const MGDL = 'mg/dL';
+export const MMOLL = 'mmol/L';
+export const GLUCOSE_UNITS = [MGDL, MMOLL];
+
+// mg/dL per mmol/L, from the molar mass of glucose (180.156 g/mol)
+export const MGDL_PER_MMOLL = 18.0156;
+
+// Physiologically plausible range for a reading, in mg/dL. Anything outside
+// this is almost certainly a typo or a meter error.
+export const MIN_PLAUSIBLE_MGDL = 20;
+export const MAX_PLAUSIBLE_MGDL = 600;
+
+/**
+ * Convert a glucose value to mg/dL without rounding
+ * @param {number} value - Glucose value
+ * @param {string} unit - Unit of value (mg/dL or mmol/L)
+ * @returns {number} - Value in mg/dL
+ */
+export function toMgdl(value, unit) {
+  if (unit === MMOLL) {
+    return value * MGDL_PER_MMOLL;
+  }
+  if (unit === MGDL) {
+    return value;
+  }
+  throw new Error(`Unknown glucose unit: ${unit}`);
+}
+
+/**
+ * Convert a value in mg/dL to the given unit without rounding
+ * @param {number} mgdl - Glucose value in mg/dL
+ * @param {string} unit - Target unit (mg/dL or mmol/L)
+ * @returns {number} - Value in the target unit
+ */
+export function fromMgdl(mgdl, unit) {
+  if (unit === MMOLL) {
+    return mgdl / MGDL_PER_MMOLL;
+  }
+  if (unit === MGDL) {
+    return mgdl;
+  }
+  throw new Error(`Unknown glucose unit: ${unit}`);
+}
+
+/**
+ * Convert a glucose value between units without rounding
+ * @param {number} value - Glucose value
+ * @param {string} fromUnit - Unit of value
+ * @param {string} toUnit - Target unit
+ * @returns {number} - Converted value
+ */
+export function convertGlucose(value, fromUnit, toUnit) {
+  if (fromUnit === toUnit) {
+    return value;
+  }
+  return fromMgdl(toMgdl(value, fromUnit), toUnit);
+}
+
+/**
+ * Round a glucose value to the precision meters display in that unit
+ * (whole numbers for mg/dL, one decimal for mmol/L)
+ * @param {number} value - Glucose value
+ * @param {string} unit - Unit of value
+ * @returns {number} - Rounded value
+ */
+export function roundGlucose(value, unit) {
+  if (unit === MMOLL) {
+    return Math.round(value * 10) / 10;
+  }
+  return Math.round(value);
+}
+
+/**
+ * Format a glucose value for display in the current locale, e.g. "5,6" for
+ * mmol/L in Spanish. mmol/L always shows one decimal, mg/dL none.
+ * @param {number} value - Glucose value
+ * @param {string} unit - Unit of value
+ * @returns {string} - Formatted value without the unit
+ */
+export function formatGlucose(value, unit) {
+  const digits = unit === MMOLL ? 1 : 0;
+  return formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * Format a value stored in mg/dL for editing in the given unit
+ * @param {number} mgdl - Value in mg/dL
+ * @param {string} unit - Display unit
+ * @returns {string} - Text for the input, empty if there's no value
+ */
+export function formatGlucoseInput(mgdl, unit) {
+  if (mgdl === null || mgdl === undefined) {
+    return '';
+  }
+  return formatGlucose(roundGlucose(fromMgdl(mgdl, unit), unit), unit);
+}
+
+/**
+ * Get a reading's value in the requested unit. Readings keep the value and unit
+ * they were entered in, so showing a reading in its own unit never loses
+ * precision to a round trip through the other unit.
+ * @param {object} reading - { value, unit }
+ * @param {string} unit - Unit to display in
+ * @returns {number} - Display value, rounded for the unit
+ */
+export function getReadingValue(reading, unit) {
+  if (reading.unit === unit) {
+    return reading.value;
+  }
+  return roundGlucose(convertGlucose(reading.value, reading.unit, unit), unit);
+}
+
+/**
+ * Get the plausible range for readings in the given unit
+ * @param {string} unit - Unit (mg/dL or mmol/L)
+ * @returns {{min: number, max: number}} - Inclusive range
+ */
+export function getPlausibleRange(unit) {
+  return {
+    min: roundGlucose(fromMgdl(MIN_PLAUSIBLE_MGDL, unit), unit),
+    max: roundGlucose(fromMgdl(MAX_PLAUSIBLE_MGDL, unit), unit),
+  };
+}
+
+/**
+ * Check whether a glucose value is physiologically plausible
+ * @param {number} value - Glucose value
+ * @param {string} unit - Unit of value
+ * @returns {boolean} - True if the value is within the plausible range
+ */
+export function isPlausibleGlucose(value, unit) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return false;
+  }
+  const { min, max } = getPlausibleRange(unit);
+  return value >= min && value <= max;
+}
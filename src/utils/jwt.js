@@ -0,0 +1,86 @@
+/**
+ * Minimal JWT helpers for checking Firebase ID tokens on the device. These
+ * only read the payload; they do not verify the signature, which is the
+ * server's job.
+ */
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Treat tokens this close to expiry as expired, to allow for clock skew
+export const EXPIRY_SKEW_MS = 30 * 1000;
+
+/**
+ * Decode a base64url string to text (RN has no reliable atob or Buffer)
+ * @param {string} input - base64url-encoded string
+ * @returns {string} - Decoded UTF-8 text
+ */
+export function decodeBase64Url(input) {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const char of base64) {
+    if (char === '=') {
+      break;
+    }
+    const value = BASE64_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base64 character');
+    }
+    buffer = buffer * 64 + value;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push(Math.floor(buffer / 2 ** bits) % 256);
+      buffer %= 2 ** bits;
+    }
+  }
+
+  // Percent-encode the bytes so multi-byte UTF-8 characters decode correctly
+  return decodeURIComponent(bytes.map((byte) => `%${byte.toString(16).padStart(2, '0')}`).join(''));
+}
+
+/**
+ * Read the payload (claims) of a JWT
+ * @param {string} token - Encoded JWT
+ * @returns {object|null} - Payload, or null if the token is malformed
+ */
+export function decodeJwtPayload(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(decodeBase64Url(parts[1]));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get when a JWT expires
+ * @param {string} token - Encoded JWT
+ * @returns {number|null} - Expiry time in ms since the epoch, or null if unknown
+ */
+export function getTokenExpiry(token) {
+  const payload = decodeJwtPayload(token);
+  return typeof payload?.exp === 'number' ? payload.exp * 1000 : null;
+}
+
+/**
+ * Check whether a JWT has expired. Malformed tokens and tokens without an
+ * expiry count as expired.
+ * @param {string} token - Encoded JWT
+ * @param {number} now - Current time in ms since the epoch
+ * @returns {boolean} - True if the token can no longer be used
+ */
+export function isTokenExpired(token, now = Date.now()) {
+  const expiry = getTokenExpiry(token);
+  return expiry === null || expiry - EXPIRY_SKEW_MS <= now;
+}
@@ -0,0 +1,149 @@
+/**
+ * Personal GI estimation from the user's own glucose responses.
+ *
+ * Lab GI testing compares the glucose response to a food with the response to
+ * a reference (glucose or white bread) containing the same carbohydrate. We
+ * mimic that with logged meals: for meals where one food supplies nearly all
+ * the carbs, the iAUC per gram of carbohydrate is compared with the same
+ * figure for the user's reference meals and scaled by the reference's GI.
+ */
+
+// A meal counts as a test of a food when that food supplies this share of its carbs
+export const DOMINANT_CARB_SHARE = 0.8;
+
+// Meals with fewer carbs than this give responses too small to measure
+export const MIN_MEAL_CARBS = 10;
+
+// Minimum meals before an estimate is reported
+export const MIN_FOOD_SAMPLES = 3;
+export const MIN_REFERENCE_SAMPLES = 2;
+
+// Foods that can serve as the reference meal, with their GI on the glucose scale
+export const REFERENCE_FOODS = {
+  glucose: 100,
+  'white-bread': 75,
+};
+
+// Two-sided 95% Student's t critical values by degrees of freedom
+const T_CRITICAL_95 = [
+  null, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086,
+  2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+/**
+ * Get the 95% t critical value for the given degrees of freedom
+ * @param {number} degreesOfFreedom - Sample size minus one
+ * @returns {number} - Critical value
+ */
+const tCritical = (degreesOfFreedom) => {
+  return T_CRITICAL_95[degreesOfFreedom] || 1.96;
+};
+
+/**
+ * Find the food that dominates a meal's carbohydrate, if any
+ * @param {object} meal - Logged meal with items and totalCarbs
+ * @returns {object|null} - The dominant item or null
+ */
+export function getDominantItem(meal) {
+  const items = meal.items || [];
+  const totalCarbs = items.reduce((sum, item) => sum + (item.carbs || 0), 0);
+
+  if (totalCarbs < MIN_MEAL_CARBS) {
+    return null;
+  }
+
+  return items.find((item) => (item.carbs || 0) / totalCarbs >= DOMINANT_CARB_SHARE) || null;
+}
+
+/**
+ * Mean, standard deviation and 95% confidence interval half-width
+ * @param {Array<number>} values - Samples
+ * @returns {{mean: number, sd: number, halfWidth: number}}
+ */
+const describe = (values) => {
+  const n = values.length;
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  const variance = n > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1)
+    : 0;
+  const sd = Math.sqrt(variance);
+
+  return { mean, sd, halfWidth: n > 1 ? (tCritical(n - 1) * sd) / Math.sqrt(n) : Infinity };
+};
+
+/**
+ * Estimate a personal GI for every food with enough test meals
+ * @param {Array<object>} responses - Result of analyzeMealResponses
+ * @param {object} options - Estimation options
+ * @param {string} options.referenceFoodId - Id of the reference food (see REFERENCE_FOODS)
+ * @param {number} options.minSamples - Minimum test meals per food
+ * @returns {object} - { reference: { foodId, sampleCount, ready }, estimates: { [foodId]: estimate } }
+ *   where estimate is { foodId, name, personalGi, ciLow, ciHigh, sampleCount }
+ */
+export function estimatePersonalGi(
+  responses,
+  { referenceFoodId = 'glucose', minSamples = MIN_FOOD_SAMPLES } = {}
+) {
+  const referenceGi = REFERENCE_FOODS[referenceFoodId];
+
+  if (!referenceGi) {
+    throw new Error(`Unknown reference food: ${referenceFoodId}`);
+  }
+
+  // iAUC per gram of carbohydrate for each single-food meal, grouped by food
+  const samplesByFood = new Map();
+
+  responses.forEach((response) => {
+    const item = getDominantItem(response.meal);
+    if (!item) {
+      return;
+    }
+    if (!samplesByFood.has(item.foodId)) {
+      samplesByFood.set(item.foodId, { name: item.name, values: [] });
+    }
+    samplesByFood.get(item.foodId).values.push(response.iauc / response.meal.totalCarbs);
+  });
+
+  const referenceSamples = samplesByFood.get(referenceFoodId)?.values || [];
+  const reference = {
+    foodId: referenceFoodId,
+    sampleCount: referenceSamples.length,
+    ready: referenceSamples.length >= MIN_REFERENCE_SAMPLES,
+  };
+
+  const estimates = {};
+
+  if (!reference.ready) {
+    return { reference, estimates };
+  }
+
+  const referenceMean = describe(referenceSamples).mean;
+
+  if (referenceMean <= 0) {
+    return { reference, estimates };
+  }
+
+  samplesByFood.forEach(({ name, values }, foodId) => {
+    if (foodId === referenceFoodId || values.length < minSamples) {
+      return;
+    }
+
+    // Each test meal gives its own GI estimate; the interval reflects how
+    // much they vary from meal to meal
+    const { mean, halfWidth } = describe(
+      values.map((value) => (value / referenceMean) * referenceGi)
+    );
+
+    estimates[foodId] = {
+      foodId,
+      name,
+      personalGi: Math.round(mean),
+      ciLow: Math.max(0, Math.round(mean - halfWidth)),
+      ciHigh: Math.round(mean + halfWidth),
+      sampleCount: values.length,
+    };
+  });
+
+  return { reference, estimates };
+}
@@ -0,0 +1,263 @@
+/**
+ * Postprandial (after-meal) glucose response analysis.
+ *
+ * Pairs logged meals with the readings taken in the 3 hours after them,
+ * measures each response as the incremental area under the curve (iAUC) and
+ * peak rise over the pre-meal baseline, then aggregates the responses per food
+ * and per meal type.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Readings this close to the start of a meal count as its baseline
+export const BASELINE_WINDOW_BEFORE_MIN = 30;
+export const BASELINE_WINDOW_AFTER_MIN = 5;
+
+// How long after a meal its readings are attributed to it
+export const RESPONSE_WINDOW_MIN = 180;
+
+// Fewer post-meal readings than this can't describe a curve
+export const MIN_RESPONSE_READINGS = 2;
+
+/**
+ * Pair each meal with its baseline reading and the readings in the 0-3 h
+ * after it. The window is cut short if another meal is eaten, since later
+ * readings would reflect both meals.
+ * @param {Array<object>} meals - Meals with a timestamp (Date)
+ * @param {Array<object>} readings - Readings with a timestamp (Date) and valueMgdl
+ * @returns {Array<object>} - { meal, baseline, points: [{ minutes, mgdl }] }
+ */
+export function pairMealsWithReadings(meals, readings) {
+  const sortedMeals = [...meals].sort((a, b) => a.timestamp - b.timestamp);
+  const sortedReadings = [...readings].sort((a, b) => a.timestamp - b.timestamp);
+
+  return sortedMeals.map((meal, index) => {
+    const start = meal.timestamp.getTime();
+    const nextMeal = sortedMeals[index + 1];
+    const end = Math.min(
+      start + RESPONSE_WINDOW_MIN * MINUTE_MS,
+      nextMeal ? nextMeal.timestamp.getTime() : Infinity
+    );
+
+    // Baseline: the reading closest to the start of the meal
+    let baseline = null;
+    sortedReadings.forEach((reading) => {
+      const offset = reading.timestamp.getTime() - start;
+      if (
+        offset >= -BASELINE_WINDOW_BEFORE_MIN * MINUTE_MS &&
+        offset <= BASELINE_WINDOW_AFTER_MIN * MINUTE_MS &&
+        (!baseline || Math.abs(offset) < Math.abs(baseline.timestamp.getTime() - start))
+      ) {
+        baseline = reading;
+      }
+    });
+
+    const points = sortedReadings
+      .filter((reading) => {
+        const time = reading.timestamp.getTime();
+        return reading !== baseline && time > start && time <= end;
+      })
+      .map((reading) => ({
+        minutes: (reading.timestamp.getTime() - start) / MINUTE_MS,
+        mgdl: reading.valueMgdl,
+      }));
+
+    return { meal, baseline, points };
+  });
+}
+
+/**
+ * Incremental area under the curve above baseline, using the trapezoid rule
+ * and ignoring area below baseline (Wolever's method). Where a segment
+ * crosses the baseline only the part above it is counted.
+ * @param {Array<{minutes: number, mgdl: number}>} points - Readings after the meal
+ * @param {number} baseline - Baseline glucose in mg/dL, taken at minute 0
+ * @returns {number} - iAUC in mg/dL x min
+ */
+export function incrementalAuc(points, baseline) {
+  const curve = [{ minutes: 0, mgdl: baseline }, ...points]
+    .sort((a, b) => a.minutes - b.minutes);
+  let area = 0;
+
+  for (let i = 1; i < curve.length; i++) {
+    const width = curve[i].minutes - curve[i - 1].minutes;
+    const a = curve[i - 1].mgdl - baseline;
+    const b = curve[i].mgdl - baseline;
+
+    if (a >= 0 && b >= 0) {
+      area += ((a + b) / 2) * width;
+    } else if (a > 0 || b > 0) {
+      // Only the triangle above baseline counts
+      const above = Math.max(a, b);
+      const below = Math.min(a, b);
+      area += (above * above * width) / (2 * (above - below));
+    }
+  }
+
+  return area;
+}
+
+/**
+ * Measure a single meal's glucose response
+ * @param {object} pair - Result of pairMealsWithReadings for one meal
+ * @returns {object|null} - { meal, baselineMgdl, iauc, peakDelta, minutesToPeak, readingCount }
+ *   or null if there isn't enough data
+ */
+export function analyzeResponse({ meal, baseline, points }) {
+  if (!baseline || points.length < MIN_RESPONSE_READINGS) {
+    return null;
+  }
+
+  const baselineMgdl = baseline.valueMgdl;
+  const peak = points.reduce((max, point) => (point.mgdl > max.mgdl ? point : max));
+
+  return {
+    meal,
+    baselineMgdl,
+    iauc: incrementalAuc(points, baselineMgdl),
+    peakDelta: peak.mgdl - baselineMgdl,
+    minutesToPeak: peak.minutes,
+    readingCount: points.length,
+  };
+}
+
+/**
+ * Measure the responses of every meal that has enough readings
+ * @param {Array<object>} meals - Logged meals
+ * @param {Array<object>} readings - Glucose readings
+ * @returns {Array<object>} - Responses (see analyzeResponse)
+ */
+export function analyzeMealResponses(meals, readings) {
+  return pairMealsWithReadings(meals, readings)
+    .map(analyzeResponse)
+    .filter(Boolean);
+}
+
+/**
+ * Average a list of weighted response measurements
+ * @param {Array<{response: object, weight: number}>} entries - Weighted responses
+ * @returns {object} - { mealCount, meanIauc, meanPeakDelta }
+ */
+const summarize = (entries) => {
+  const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0) || 1;
+  return {
+    mealCount: entries.length,
+    meanIauc: entries.reduce((sum, entry) => sum + entry.response.iauc * entry.weight, 0) / totalWeight,
+    meanPeakDelta: entries.reduce((sum, entry) => sum + entry.response.peakDelta * entry.weight, 0) / totalWeight,
+  };
+};
+
+/**
+ * Aggregate responses per food. A mixed meal's response counts towards each
+ * of its foods, weighted by that food's share of the meal's carbs.
+ * @param {Array<object>} responses - Result of analyzeMealResponses
+ * @returns {Array<object>} - { foodId, name, mealCount, meanIauc, meanPeakDelta }
+ */
+export function aggregateByFood(responses) {
+  const byFood = new Map();
+
+  responses.forEach((response) => {
+    const items = response.meal.items || [];
+    const totalCarbs = items.reduce((sum, item) => sum + (item.carbs || 0), 0);
+
+    items.forEach((item) => {
+      const weight = totalCarbs > 0 ? (item.carbs || 0) / totalCarbs : 1 / items.length;
+      if (weight === 0) {
+        return;
+      }
+      if (!byFood.has(item.foodId)) {
+        byFood.set(item.foodId, { name: item.name, entries: [] });
+      }
+      byFood.get(item.foodId).entries.push({ response, weight });
+    });
+  });
+
+  return [...byFood.entries()].map(([foodId, { name, entries }]) => ({
+    foodId,
+    name,
+    ...summarize(entries),
+  }));
+}
+
+/**
+ * Average each food's response per gram of the meal's carbohydrate, so foods
+ * eaten in different portions can be compared. Weighted like aggregateByFood.
+ * @param {Array<object>} responses - Result of analyzeMealResponses
+ * @returns {object} - { [foodId]: { mealCount, iaucPerGram } }
+ */
+export function aggregateResponsePerCarb(responses) {
+  const byFood = new Map();
+
+  responses.forEach((response) => {
+    const items = response.meal.items || [];
+    const totalCarbs = items.reduce((sum, item) => sum + (item.carbs || 0), 0);
+
+    if (totalCarbs <= 0) {
+      return;
+    }
+
+    items.forEach((item) => {
+      const weight = (item.carbs || 0) / totalCarbs;
+      if (weight === 0) {
+        return;
+      }
+      if (!byFood.has(item.foodId)) {
+        byFood.set(item.foodId, []);
+      }
+      byFood.get(item.foodId).push({ value: response.iauc / totalCarbs, weight });
+    });
+  });
+
+  const result = {};
+  byFood.forEach((entries, foodId) => {
+    const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    result[foodId] = {
+      mealCount: entries.length,
+      iaucPerGram: entries.reduce((sum, entry) => sum + entry.value * entry.weight, 0) / totalWeight,
+    };
+  });
+
+  return result;
+}
+
+/**
+ * Aggregate responses per meal type
+ * @param {Array<object>} responses - Result of analyzeMealResponses
+ * @returns {Array<object>} - { mealType, mealCount, meanIauc, meanPeakDelta }
+ */
+export function aggregateByMealType(responses) {
+  const byType = new Map();
+
+  responses.forEach((response) => {
+    const { mealType } = response.meal;
+    if (!byType.has(mealType)) {
+      byType.set(mealType, []);
+    }
+    byType.get(mealType).push({ response, weight: 1 });
+  });
+
+  return [...byType.entries()].map(([mealType, entries]) => ({
+    mealType,
+    ...summarize(entries),
+  }));
+}
+
+/**
+ * Rank foods from gentlest to harshest glucose response
+ * @param {Array<object>} foodStats - Result of aggregateByFood
+ * @param {object} options - Ranking options
+ * @param {number} options.minMeals - Foods eaten fewer times than this are left out
+ * @param {number} options.count - Number of foods in each list
+ * @returns {{best: Array<object>, worst: Array<object>}} - Best and worst foods
+ */
+export function rankFoods(foodStats, { minMeals = 2, count = 5 } = {}) {
+  const ranked = foodStats
+    .filter((food) => food.mealCount >= minMeals)
+    .sort((a, b) => a.meanIauc - b.meanIauc);
+
+  // With only a few foods, split them so no food shows up in both lists
+  const best = ranked.slice(0, Math.min(count, Math.ceil(ranked.length / 2)));
+  const worst = ranked.slice(best.length).reverse().slice(0, count);
+
+  return { best, worst };
+}
@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Return a copy of value that only updates once it has stopped changing for
+ * the given delay. Useful for search boxes that shouldn't search on every key.
+ * @param {any} value - The value to debounce
+ * @param {number} delay - Delay in milliseconds
+ * @returns {any} - The debounced value
+ */
+export default function useDebouncedValue(value, delay = 300) {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedValue(value);
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+}
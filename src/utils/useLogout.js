@@ -0,0 +1,48 @@
+import { useCallback } from 'react';
+import { Alert } from 'react-native';
+import { useAuth } from '../contexts/AuthContext';
+import syncService from '../services/syncService';
+import { getErrorMessage } from './errorMapping';
+import { useTranslation } from '../i18n/LocaleProvider';
+
+/**
+ * Get a function that logs the user out. Logging out drops changes made
+ * offline that haven't synced, so the user is asked first if there are any.
+ * Errors are shown in an alert.
+ * @returns {function} - Resolves to true once the user is logged out
+ */
+export default function useLogout() {
+  const { logout } = useAuth();
+  const { t } = useTranslation();
+
+  return useCallback(async () => {
+    const logOut = async (discardPendingWrites) => {
+      try {
+        await logout({ discardPendingWrites });
+        return true;
+      } catch (error) {
+        Alert.alert(t('common.error'), getErrorMessage(error, t('common.logoutFailed')));
+        return false;
+      }
+    };
+
+    await syncService.flush();
+    const { pendingCount } = syncService.getStatus();
+
+    if (pendingCount === 0) {
+      return logOut(false);
+    }
+
+    return new Promise((resolve) => {
+      Alert.alert(
+        t('sync.unsyncedTitle'),
+        t('sync.unsyncedMessage', { count: pendingCount }),
+        [
+          { text: t('common.cancel'), style: 'cancel', onPress: () => resolve(false) },
+          { text: t('sync.logOutAnyway'), style: 'destructive', onPress: () => resolve(logOut(true)) },
+        ],
+        { cancelable: true, onDismiss: () => resolve(false) }
+      );
+    });
+  }, [logout, t]);
+}
@@ -0,0 +1,347 @@
+import { parseNumber, t } from '../i18n';
+import { formatGlucoseInput, toMgdl } from './glucoseUnits';
+import { parseDateTimeInput } from './dateUtils';
+
+/**
+ * Schema-driven form validation.
+ *
+ * A schema maps each field to a list of rules. A rule is a function
+ * (value, values) => message or null, so forms can mix the rules below with
+ * their own. Rules other than required() accept empty values, which keeps
+ * optional fields optional; the first failing rule decides a field's message.
+ *
+ *   const errors = validate(values, {
+ *     email: [required('validation.emailRequired'), validEmail()],
+ *     password: [required('validation.passwordRequired')],
+ *   });
+ */
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Firebase accepts 6 characters; new passwords need a little more
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Lowest getPasswordStrength score accepted for a new password
+const MIN_PASSWORD_SCORE = 2;
+
+export const PASSWORD_STRENGTH_LEVELS = ['veryWeak', 'weak', 'fair', 'good', 'strong'];
+
+// Passwords from public breach lists, plus a few anyone would guess for a
+// diabetes app. Compared in lower case and without trailing digits/symbols,
+// so "Password2024!" counts as "password".
+const COMMON_PASSWORDS = new Set([
+  '123456', '1234567', '12345678', '123456789', '1234567890', '111111', '11111111',
+  '000000', '00000000', '654321', '987654321', '123123', '121212', '112233',
+  'password', 'passw0rd', 'p@ssw0rd', 'p@ssword', 'qwerty', 'qwertyuiop', 'qwertz',
+  'azerty', 'asdfgh', 'asdfghjkl', 'zxcvbnm', '1q2w3e4r', '1qaz2wsx', 'zaq12wsx',
+  'abc123', 'abcdef', 'abcdefg', 'abcdefgh', 'iloveyou', 'letmein', 'welcome',
+  'admin', 'administrator', 'login', 'changeme', 'secret', 'trustno', 'master',
+  'monkey', 'dragon', 'shadow', 'sunshine', 'princess', 'football', 'baseball',
+  'soccer', 'superman', 'batman', 'starwars', 'pokemon', 'whatever', 'freedom',
+  'michael', 'jennifer', 'charlie', 'jordan', 'hunter', 'computer', 'internet',
+  'mustang', 'corvette', 'mercedes', 'summer', 'winter', 'flower', 'cookie',
+  'chocolate', 'hello', 'lovely', 'qazwsx', 'google', 'samsung', 'apple',
+  'diabetes', 'diabetic', 'glucose', 'insulin', 'sugar', 'gitracker', 'foodgi',
+]);
+
+const isEmpty = (value) => {
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  return value === undefined || value === null || String(value).trim() === '';
+};
+
+/**
+ * Require a value
+ * @param {string} messageKey - Message to show when the field is empty
+ * @returns {function} - Rule
+ */
+export const required = (messageKey = 'validation.required') => (value) =>
+  isEmpty(value) ? t(messageKey) : null;
+
+/**
+ * Require a well-formed email address
+ * @param {string} messageKey - Message for an invalid address
+ * @returns {function} - Rule
+ */
+export const validEmail = (messageKey = 'validation.emailInvalid') => (value) =>
+  isEmpty(value) || EMAIL_PATTERN.test(String(value).trim()) ? null : t(messageKey);
+
+/**
+ * Require at least a number of characters
+ * @param {number} length - Minimum length
+ * @param {string} messageKey - Plural message, given the length as count
+ * @returns {function} - Rule
+ */
+export const minLength = (length, messageKey) => (value) =>
+  isEmpty(value) || String(value).length >= length ? null : t(messageKey, { count: length });
+
+/**
+ * Allow at most a number of characters, ignoring surrounding whitespace
+ * @param {number} length - Maximum length
+ * @param {string} messageKey - Plural message, given the length as count
+ * @returns {function} - Rule
+ */
+export const maxLength = (length, messageKey) => (value) =>
+  isEmpty(value) || String(value).trim().length <= length ? null : t(messageKey, { count: length });
+
+/**
+ * Require one of a fixed set of values
+ * @param {Array} options - Allowed values
+ * @param {string} messageKey - Message for any other value
+ * @returns {function} - Rule
+ */
+export const oneOf = (options, messageKey) => (value) =>
+  isEmpty(value) || options.includes(value) ? null : t(messageKey);
+
+/**
+ * Require the same value as another field, e.g. a password confirmation
+ * @param {string} field - Field to compare with
+ * @param {string} messageKey - Message when they differ
+ * @returns {function} - Rule
+ */
+export const matchesField = (field, messageKey) => (value, values) =>
+  value === values[field] ? null : t(messageKey);
+
+/**
+ * Require a number within a range. Numbers may use a decimal comma.
+ * @param {Array<number>} range - Inclusive [min, max]
+ * @param {string} messageKey - Message, given min and max
+ * @returns {function} - Rule
+ */
+export const numberInRange = ([min, max], messageKey = 'validation.numberRange') => (value) => {
+  if (isEmpty(value)) {
+    return null;
+  }
+  const number = parseNumber(value);
+  return number >= min && number <= max ? null : t(messageKey, { min, max });
+};
+
+/**
+ * Require a glucose value within a range, entered in the unit held by the
+ * form's "unit" field
+ * @param {Array<number>} rangeMgdl - Inclusive [min, max] in mg/dL
+ * @param {string} messageKey - Message, given min and max in the form's unit and the unit
+ * @returns {function} - Rule
+ */
+export const glucoseInRange = ([minMgdl, maxMgdl], messageKey) => (value, values) => {
+  if (isEmpty(value)) {
+    return null;
+  }
+  const { unit } = values;
+  const mgdl = toMgdl(parseNumber(value), unit);
+
+  if (mgdl >= minMgdl && mgdl <= maxMgdl) {
+    return null;
+  }
+  return t(messageKey, {
+    min: formatGlucoseInput(minMgdl, unit),
+    max: formatGlucoseInput(maxMgdl, unit),
+    unit,
+  });
+};
+
+/**
+ * Require a number above another field's, when that field holds a number
+ * @param {string} field - Field holding the lower value
+ * @param {string} messageKey - Message when the value is not above it
+ * @returns {function} - Rule
+ */
+export const greaterThanField = (field, messageKey) => (value, values) => {
+  const lower = parseNumber(values[field]);
+  if (isEmpty(value) || isNaN(lower)) {
+    return null;
+  }
+  return parseNumber(value) > lower ? null : t(messageKey);
+};
+
+/**
+ * Require a date and time typed as YYYY-MM-DD HH:MM
+ * @param {object} options - Rule options
+ * @param {boolean} options.allowFuture - Whether times after now are accepted
+ * @param {string} options.futureMessageKey - Message for a time in the future
+ * @returns {function} - Rule
+ */
+export const validDateTime = ({ allowFuture = true, futureMessageKey } = {}) => (value) => {
+  if (isEmpty(value)) {
+    return null;
+  }
+  const date = parseDateTimeInput(value);
+
+  if (!date) {
+    return t('validation.dateTimeFormat');
+  }
+  return !allowFuture && date > new Date() ? t(futureMessageKey) : null;
+};
+
+/**
+ * Require a value that passes a custom check
+ * @param {function} predicate - (value, values) => true if valid
+ * @param {string} messageKey - Message when the check fails
+ * @param {function} getParams - (values) => message parameters
+ * @returns {function} - Rule
+ */
+export const satisfies = (predicate, messageKey, getParams = () => ({})) => (value, values) =>
+  isEmpty(value) || predicate(value, values) ? null : t(messageKey, getParams(values));
+
+/**
+ * Require a plausible birthdate typed as YYYY-MM-DD
+ * @param {string} formatMessageKey - Message for text that is not a real date
+ * @param {string} rangeMessageKey - Message for a date in the future or over 120 years ago
+ * @returns {function} - Rule
+ */
+export const validBirthdate = (formatMessageKey, rangeMessageKey) => (value) => {
+  if (isEmpty(value)) {
+    return null;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+
+  // new Date rolls invalid days over, e.g. Feb 30 becomes Mar 1
+  if (!date || date.getDate() !== Number(match[3]) || date.getMonth() !== Number(match[2]) - 1) {
+    return t(formatMessageKey);
+  }
+
+  const age = (Date.now() - date.getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+  return age < 0 || age > 120 ? t(rangeMessageKey) : null;
+};
+
+/**
+ * Require a password that is long enough and hard to guess
+ * @param {Array<string>} userFields - Fields (e.g. "email", "name") the
+ * password must not contain
+ * @returns {function} - Rule
+ */
+export const strongPassword = (userFields = []) => (value, values) => {
+  if (isEmpty(value)) {
+    return null;
+  }
+  if (value.length < MIN_PASSWORD_LENGTH) {
+    return t('validation.passwordTooShort', { count: MIN_PASSWORD_LENGTH });
+  }
+
+  const strength = getPasswordStrength(value, userFields.map((field) => values[field]));
+
+  if (strength.isGuessable) {
+    return t('validation.passwordCommon');
+  }
+  return strength.score < MIN_PASSWORD_SCORE ? t('validation.passwordWeak') : null;
+};
+
+/**
+ * Validate form values against a schema
+ * @param {object} values - Form values by field
+ * @param {object} schema - Rules by field
+ * @param {Array<string>} fields - Only validate these fields; all by default
+ * @returns {object} - Error message per invalid field, empty if all are valid
+ */
+export function validate(values, schema, fields = Object.keys(schema)) {
+  const errors = {};
+
+  fields.forEach((field) => {
+    for (const rule of schema[field] || []) {
+      const message = rule(values[field], values);
+      if (message) {
+        errors[field] = message;
+        break;
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check whether validate() found any errors
+ * @param {object} errors - Result of validate
+ * @returns {boolean} - True if at least one field is invalid
+ */
+export function hasErrors(errors) {
+  return Object.keys(errors).length > 0;
+}
+
+/**
+ * Check for runs of four or more repeated or consecutive characters, such as
+ * "aaaa", "1234" or "dcba"
+ * @param {string} text - Text to check
+ * @returns {boolean} - True if the text contains such a run
+ */
+const hasSimpleRun = (text) => {
+  let repeat = 1;
+  let ascending = 1;
+  let descending = 1;
+
+  for (let i = 1; i < text.length; i++) {
+    const step = text.charCodeAt(i) - text.charCodeAt(i - 1);
+    repeat = step === 0 ? repeat + 1 : 1;
+    ascending = step === 1 ? ascending + 1 : 1;
+    descending = step === -1 ? descending + 1 : 1;
+
+    if (Math.max(repeat, ascending, descending) >= 4) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Rate how hard a password is to guess, for the strength meter and the
+ * strongPassword rule. Length counts most; mixing character classes helps;
+ * common passwords, the user's own details and simple runs count against it.
+ * @param {string} password - Password to rate
+ * @param {Array<string>} userInputs - The user's email, name etc.
+ * @returns {object} - { score (0-4), level, checks: { length, mixedCase, digit, symbol }, isGuessable }
+ */
+export function getPasswordStrength(password = '', userInputs = []) {
+  const lower = password.toLowerCase();
+  const checks = {
+    length: password.length >= MIN_PASSWORD_LENGTH,
+    mixedCase: /[a-z]/.test(password) && /[A-Z]/.test(password),
+    digit: /\d/.test(password),
+    symbol: /[^A-Za-z0-9]/.test(password),
+  };
+
+  // The part of an email before the @ is as guessable as the whole address
+  const personalWords = userInputs
+    .filter(Boolean)
+    .map((input) => String(input).toLowerCase().split('@')[0].trim())
+    .filter((word) => word.length >= 3);
+  const isGuessable = COMMON_PASSWORDS.has(lower)
+    || COMMON_PASSWORDS.has(lower.replace(/[\d\W_]+$/, ''))
+    || personalWords.some((word) => lower.includes(word));
+
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter((pattern) => pattern.test(password)).length;
+  let score = 0;
+
+  if (checks.length) {
+    score += 1;
+  }
+  if (password.length >= 12) {
+    score += 1;
+  }
+  if (classes >= 2) {
+    score += 1;
+  }
+  if (classes >= 3) {
+    score += 1;
+  }
+  if (hasSimpleRun(lower)) {
+    score -= 1;
+  }
+
+  // However varied, a short or well-known password is easy to crack
+  if (isGuessable) {
+    score = 0;
+  } else if (!checks.length) {
+    score = Math.min(score, 1);
+  }
+  score = Math.max(0, Math.min(score, 4));
+
+  return {
+    score,
+    level: PASSWORD_STRENGTH_LEVELS[score],
+    checks,
+    isGuessable,
+  };
+}